@@ -203,14 +203,32 @@ class AudioEngine {
       return source;
     }
     
+    // Keep track of a source started elsewhere so it can be stopped
+    addActiveSource(sampleId, source) {
+      const sources = [].concat(this.activeSources[sampleId] || []);
+      sources.push(source);
+      this.activeSources[sampleId] = sources;
+      
+      source.addEventListener('ended', () => {
+        const remaining = [].concat(this.activeSources[sampleId] || []).filter(active => active !== source);
+        if (remaining.length > 0) {
+          this.activeSources[sampleId] = remaining;
+        } else {
+          delete this.activeSources[sampleId];
+        }
+      });
+    }
+    
     // Stop a sample by ID
     stopSample(sampleId) {
       if (this.activeSources[sampleId]) {
-        try {
-          this.activeSources[sampleId].stop();
-        } catch (e) {
-          // Source might have already stopped
-        }
+        [].concat(this.activeSources[sampleId]).forEach(source => {
+          try {
+            source.stop();
+          } catch (e) {
+            // Source might have already stopped
+          }
+        });
         delete this.activeSources[sampleId];
       }
     }
@@ -222,6 +240,11 @@ class AudioEngine {
       });
     }
     
+    // Stop every tracked source
+    stopAllSources() {
+      this.stopAllSamples();
+    }
+    
     // Set filter frequency
     setFilterFrequency(value) {
       if (this.filter) {
@@ -0,0 +1,140 @@
+// mp4Audio.js - Direct MP4 audio decoding for Web Audio Instrument
+
+import Mp4Demuxer from './mp4Demuxer.js';
+
+/**
+ * Decode the AAC track of an MP4 file without playing it
+ * Uses WebCodecs when available and falls back to decodeAudioData on an ADTS stream
+ * @param {BaseAudioContext} audioContext - The Web Audio API context
+ * @param {ArrayBuffer} arrayBuffer - The complete MP4 file
+ * @returns {Promise<AudioBuffer>} - The decoded audio
+ */
+export async function decodeMp4Audio(audioContext, arrayBuffer) {
+    if (!Mp4Demuxer.isMp4(arrayBuffer)) {
+        throw new Error('Not an MP4 file');
+    }
+
+    const demuxer = new Mp4Demuxer(arrayBuffer);
+    const track = demuxer.getAudioTrack();
+
+    if (!track || track.samples.length === 0) {
+        throw new Error('MP4 file has no AAC audio track');
+    }
+
+    let audioBuffer = null;
+
+    if (typeof AudioDecoder !== 'undefined') {
+        const support = await AudioDecoder.isConfigSupported({
+            codec: track.codec,
+            sampleRate: track.sampleRate,
+            numberOfChannels: track.numberOfChannels,
+            description: track.description
+        }).catch(() => ({ supported: false }));
+
+        if (support.supported) {
+            audioBuffer = await decodeWithWebCodecs(audioContext, demuxer, track);
+        }
+    }
+
+    if (!audioBuffer) {
+        const adts = demuxer.toADTS(track);
+        audioBuffer = await audioContext.decodeAudioData(adts.buffer);
+    }
+
+    return trimAudioBuffer(audioContext, audioBuffer, track.trimStart, track.duration, track.delay);
+}
+
+/**
+ * Decode a track's frames with a WebCodecs AudioDecoder
+ * @param {BaseAudioContext} audioContext - The Web Audio API context
+ * @param {Mp4Demuxer} demuxer - The demuxer holding the file
+ * @param {Object} track - The track from getAudioTrack()
+ * @returns {Promise<AudioBuffer>} - The decoded audio
+ */
+async function decodeWithWebCodecs(audioContext, demuxer, track) {
+    const decoded = [];
+    let decoderError = null;
+
+    const decoder = new AudioDecoder({
+        output: (audioData) => {
+            const channels = [];
+            for (let channel = 0; channel < audioData.numberOfChannels; channel++) {
+                const data = new Float32Array(audioData.numberOfFrames);
+                audioData.copyTo(data, { planeIndex: channel, format: 'f32-planar' });
+                channels.push(data);
+            }
+            decoded.push({ channels, sampleRate: audioData.sampleRate });
+            audioData.close();
+        },
+        error: (error) => {
+            decoderError = error;
+        }
+    });
+
+    decoder.configure({
+        codec: track.codec,
+        sampleRate: track.sampleRate,
+        numberOfChannels: track.numberOfChannels,
+        description: track.description
+    });
+
+    track.samples.forEach(sample => {
+        decoder.decode(new EncodedAudioChunk({
+            type: 'key',
+            timestamp: Math.round((sample.timestamp / track.timescale) * 1000000),
+            duration: Math.round((sample.duration / track.timescale) * 1000000),
+            data: demuxer.getSampleData(sample)
+        }));
+    });
+
+    await decoder.flush();
+    decoder.close();
+
+    if (decoderError || decoded.length === 0) {
+        throw new Error(`Failed to decode AAC audio: ${decoderError ? decoderError.message : 'no output'}`);
+    }
+
+    // Join the decoded blocks into one buffer
+    const numberOfChannels = decoded[0].channels.length;
+    const length = decoded.reduce((sum, block) => sum + block.channels[0].length, 0);
+    const audioBuffer = audioContext.createBuffer(numberOfChannels, length, decoded[0].sampleRate);
+
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+        const output = audioBuffer.getChannelData(channel);
+        let offset = 0;
+        decoded.forEach(block => {
+            output.set(block.channels[channel], offset);
+            offset += block.channels[channel].length;
+        });
+    }
+
+    return audioBuffer;
+}
+
+/**
+ * Cut encoder priming and padding from a decoded buffer
+ * @param {BaseAudioContext} audioContext - The Web Audio API context
+ * @param {AudioBuffer} audioBuffer - The decoded audio
+ * @param {number} trimStart - Seconds to drop from the start
+ * @param {number} duration - The presented duration in seconds
+ * @param {number} delay - Seconds of silence to put in front, from empty edits
+ * @returns {AudioBuffer} - The trimmed audio
+ */
+function trimAudioBuffer(audioContext, audioBuffer, trimStart, duration, delay = 0) {
+    const sampleRate = audioBuffer.sampleRate;
+    const startFrame = Math.min(audioBuffer.length, Math.round(trimStart * sampleRate));
+    const available = audioBuffer.length - startFrame;
+    const frames = duration > 0 ? Math.min(available, Math.round(duration * sampleRate)) : available;
+    const delayFrames = Math.round(delay * sampleRate);
+
+    if (startFrame === 0 && frames === audioBuffer.length && delayFrames === 0) {
+        return audioBuffer;
+    }
+
+    const trimmed = audioContext.createBuffer(audioBuffer.numberOfChannels, Math.max(1, delayFrames + frames), sampleRate);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        trimmed.copyToChannel(audioBuffer.getChannelData(channel).subarray(startFrame, startFrame + frames), channel, delayFrames);
+    }
+
+    return trimmed;
+}
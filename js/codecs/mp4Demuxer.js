@@ -0,0 +1,423 @@
+// mp4Demuxer.js - ISO-BMFF (MP4) audio track demuxer for Web Audio Instrument
+
+// Boxes whose payload is just more boxes
+const CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'edts'];
+
+// ADTS sampling frequency table, indexed by samplingFrequencyIndex
+const SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/**
+ * Mp4Demuxer class
+ * Reads the sample tables of an MP4 file and exposes its AAC audio track
+ * as a list of encoded frames
+ */
+class Mp4Demuxer {
+    /**
+     * Create a new Mp4Demuxer
+     * @param {ArrayBuffer} arrayBuffer - The complete MP4 file
+     */
+    constructor(arrayBuffer) {
+        this.buffer = arrayBuffer;
+        this.view = new DataView(arrayBuffer);
+        this.bytes = new Uint8Array(arrayBuffer);
+    }
+
+    /**
+     * Check whether a buffer looks like an ISO-BMFF file
+     * @param {ArrayBuffer} arrayBuffer - The file contents
+     * @returns {boolean} - Whether an ftyp box comes first
+     */
+    static isMp4(arrayBuffer) {
+        if (arrayBuffer.byteLength < 8) return false;
+        const type = String.fromCharCode(...new Uint8Array(arrayBuffer, 4, 4));
+        return type === 'ftyp';
+    }
+
+    /**
+     * Find and parse the first AAC audio track
+     * @returns {Object|null} - The track description and sample table, or null
+     */
+    getAudioTrack() {
+        const moov = this.findBoxes(0, this.buffer.byteLength).find(box => box.type === 'moov');
+        if (!moov) {
+            throw new Error('MP4 file has no moov box');
+        }
+
+        const moovChildren = this.findBoxes(moov.start, moov.end);
+        const mvhd = moovChildren.find(box => box.type === 'mvhd');
+        const movieTimescale = mvhd ? this.parseMvhd(mvhd) : 1000;
+
+        for (const trak of moovChildren.filter(box => box.type === 'trak')) {
+            const boxes = this.collectBoxes(trak);
+
+            if (!boxes.hdlr || this.parseHandlerType(boxes.hdlr) !== 'soun') continue;
+            if (!boxes.stsd || !boxes.stsz || !boxes.stsc || !boxes.stts) continue;
+            if (!boxes.stco && !boxes.co64) continue;
+
+            const config = this.parseStsd(boxes.stsd);
+            if (!config) continue;
+
+            const timescale = this.parseMdhd(boxes.mdhd);
+            const samples = this.buildSampleTable(boxes);
+            const totalTicks = samples.reduce((sum, sample) => sum + sample.duration, 0);
+
+            // Edit list: delay by leading empty edits, skip encoder priming and honour the presented duration
+            let delay = 0;
+            let trimStart = 0;
+            let duration = totalTicks / timescale;
+            if (boxes.elst) {
+                const edit = this.parseElst(boxes.elst);
+                if (edit) {
+                    delay = edit.emptyDuration / movieTimescale;
+                    trimStart = edit.mediaTime / timescale;
+                    if (edit.segmentDuration > 0) {
+                        duration = edit.segmentDuration / movieTimescale;
+                    } else {
+                        duration -= trimStart;
+                    }
+                }
+            }
+
+            return {
+                ...config,
+                timescale,
+                samples,
+                delay,
+                trimStart,
+                duration
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the encoded data for a sample
+     * @param {Object} sample - A sample from the track's sample table
+     * @returns {Uint8Array} - The encoded frame
+     */
+    getSampleData(sample) {
+        return this.bytes.subarray(sample.offset, sample.offset + sample.size);
+    }
+
+    /**
+     * Wrap every AAC frame of a track in an ADTS header
+     * @param {Object} track - The track from getAudioTrack()
+     * @returns {Uint8Array} - A raw ADTS stream decodeAudioData understands
+     */
+    toADTS(track) {
+        const total = track.samples.reduce((sum, sample) => sum + sample.size + 7, 0);
+        const output = new Uint8Array(total);
+
+        // ADTS cannot signal SBR/PS, so HE-AAC is written as LC at the core rate
+        const profile = track.objectType <= 4 ? track.objectType - 1 : 1;
+        const frequencyIndex = track.frequencyIndex;
+        const channels = track.channelConfig;
+
+        let offset = 0;
+        track.samples.forEach(sample => {
+            const frameLength = sample.size + 7;
+
+            output[offset] = 0xFF;
+            output[offset + 1] = 0xF1; // MPEG-4, no CRC
+            output[offset + 2] = (profile << 6) | (frequencyIndex << 2) | ((channels >> 2) & 0x1);
+            output[offset + 3] = ((channels & 0x3) << 6) | ((frameLength >> 11) & 0x3);
+            output[offset + 4] = (frameLength >> 3) & 0xFF;
+            output[offset + 5] = ((frameLength & 0x7) << 5) | 0x1F;
+            output[offset + 6] = 0xFC;
+
+            output.set(this.getSampleData(sample), offset + 7);
+            offset += frameLength;
+        });
+
+        return output;
+    }
+
+    /**
+     * List the boxes in a byte range
+     * @param {number} start - The first byte
+     * @param {number} end - The byte after the last
+     * @returns {Array<Object>} - The boxes ({type, start, end}) with payload ranges
+     */
+    findBoxes(start, end) {
+        const boxes = [];
+        let offset = start;
+
+        while (offset + 8 <= end) {
+            let size = this.view.getUint32(offset);
+            const type = String.fromCharCode(...this.bytes.subarray(offset + 4, offset + 8));
+            let headerSize = 8;
+
+            if (size === 1) {
+                size = Number(this.view.getBigUint64(offset + 8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = end - offset;
+            }
+
+            if (size < headerSize || offset + size > end) break;
+
+            boxes.push({ type, start: offset + headerSize, end: offset + size });
+            offset += size;
+        }
+
+        return boxes;
+    }
+
+    /**
+     * Recursively collect the boxes of a track by type
+     * @param {Object} box - The parent box
+     * @param {Object} result - The accumulated boxes
+     * @returns {Object} - The boxes keyed by type
+     */
+    collectBoxes(box, result = {}) {
+        this.findBoxes(box.start, box.end).forEach(child => {
+            if (!result[child.type]) {
+                result[child.type] = child;
+            }
+            if (CONTAINER_BOXES.includes(child.type)) {
+                this.collectBoxes(child, result);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Read the movie timescale
+     * @param {Object} box - The mvhd box
+     * @returns {number} - Ticks per second
+     */
+    parseMvhd(box) {
+        const version = this.view.getUint8(box.start);
+        return this.view.getUint32(box.start + (version === 1 ? 20 : 12));
+    }
+
+    /**
+     * Read the media timescale
+     * @param {Object} box - The mdhd box
+     * @returns {number} - Ticks per second
+     */
+    parseMdhd(box) {
+        const version = this.view.getUint8(box.start);
+        return this.view.getUint32(box.start + (version === 1 ? 20 : 12));
+    }
+
+    /**
+     * Read the handler type
+     * @param {Object} box - The hdlr box
+     * @returns {string} - The handler type ('soun' for audio)
+     */
+    parseHandlerType(box) {
+        return String.fromCharCode(...this.bytes.subarray(box.start + 8, box.start + 12));
+    }
+
+    /**
+     * Read the first edit list entry that plays media, after any empty edits
+     * Empty edits (media time -1) delay the track, e.g. audio starting after video
+     * @param {Object} box - The elst box
+     * @returns {Object|null} - The segment duration and media time, plus the empty edits' total duration (movie timescale)
+     */
+    parseElst(box) {
+        const version = this.view.getUint8(box.start);
+        const entryCount = this.view.getUint32(box.start + 4);
+        const entrySize = version === 1 ? 20 : 12;
+        let emptyDuration = 0;
+
+        for (let i = 0; i < entryCount; i++) {
+            const offset = box.start + 8 + i * entrySize;
+            const segmentDuration = version === 1 ? Number(this.view.getBigUint64(offset)) : this.view.getUint32(offset);
+            const mediaTime = version === 1 ? Number(this.view.getBigInt64(offset + 8)) : this.view.getInt32(offset + 4);
+
+            if (mediaTime >= 0) {
+                return { segmentDuration, mediaTime, emptyDuration };
+            }
+            emptyDuration += segmentDuration;
+        }
+
+        return null;
+    }
+
+    /**
+     * Read the AAC decoder configuration from the sample description
+     * @param {Object} box - The stsd box
+     * @returns {Object|null} - The codec configuration, or null if not AAC
+     */
+    parseStsd(box) {
+        const entries = this.findBoxes(box.start + 8, box.end);
+        const mp4a = entries.find(entry => entry.type === 'mp4a');
+        if (!mp4a) return null;
+
+        // AudioSampleEntry; QuickTime versions 1 and 2 add extra fields
+        const version = this.view.getUint16(mp4a.start + 8);
+        const childOffset = mp4a.start + 28 + (version === 1 ? 16 : version === 2 ? 36 : 0);
+
+        const esds = this.findBoxes(childOffset, mp4a.end).find(child => child.type === 'esds');
+        if (!esds) return null;
+
+        const description = this.parseEsds(esds);
+        if (!description) return null;
+
+        return this.parseAudioSpecificConfig(description);
+    }
+
+    /**
+     * Extract the AudioSpecificConfig from an esds box
+     * @param {Object} box - The esds box
+     * @returns {Uint8Array|null} - The AudioSpecificConfig bytes
+     */
+    parseEsds(box) {
+        let offset = box.start + 4; // Skip version and flags
+
+        const readDescriptor = () => {
+            const tag = this.view.getUint8(offset++);
+            let size = 0;
+            for (let i = 0; i < 4; i++) {
+                const byte = this.view.getUint8(offset++);
+                size = (size << 7) | (byte & 0x7F);
+                if (!(byte & 0x80)) break;
+            }
+            return { tag, size, start: offset };
+        };
+
+        // ES_Descriptor
+        const es = readDescriptor();
+        if (es.tag !== 0x03) return null;
+
+        offset += 2; // ES_ID
+        const flags = this.view.getUint8(offset++);
+        if (flags & 0x80) offset += 2; // streamDependenceFlag
+        if (flags & 0x40) offset += 1 + this.view.getUint8(offset); // URL_Flag
+        if (flags & 0x20) offset += 2; // OCRstreamFlag
+
+        // DecoderConfigDescriptor
+        const decoderConfig = readDescriptor();
+        if (decoderConfig.tag !== 0x04) return null;
+
+        const objectTypeIndication = this.view.getUint8(offset);
+        if (objectTypeIndication !== 0x40 && objectTypeIndication !== 0x66 &&
+            objectTypeIndication !== 0x67 && objectTypeIndication !== 0x68) {
+            return null;
+        }
+        offset += 13;
+
+        // DecoderSpecificInfo
+        const specificInfo = readDescriptor();
+        if (specificInfo.tag !== 0x05) return null;
+
+        return this.bytes.slice(specificInfo.start, specificInfo.start + specificInfo.size);
+    }
+
+    /**
+     * Parse the fields of an AudioSpecificConfig
+     * @param {Uint8Array} description - The AudioSpecificConfig bytes
+     * @returns {Object} - The codec configuration
+     */
+    parseAudioSpecificConfig(description) {
+        let bitOffset = 0;
+        const readBits = (count) => {
+            let value = 0;
+            for (let i = 0; i < count; i++) {
+                const byte = description[(bitOffset >> 3)] || 0;
+                value = (value << 1) | ((byte >> (7 - (bitOffset & 7))) & 1);
+                bitOffset++;
+            }
+            return value;
+        };
+
+        let objectType = readBits(5);
+        if (objectType === 31) objectType = 32 + readBits(6);
+
+        const frequencyIndex = readBits(4);
+        const sampleRate = frequencyIndex === 15 ? readBits(24) : SAMPLE_RATES[frequencyIndex];
+        const channelConfig = readBits(4);
+
+        return {
+            codec: `mp4a.40.${objectType}`,
+            description,
+            objectType,
+            frequencyIndex,
+            sampleRate,
+            channelConfig,
+            numberOfChannels: channelConfig === 7 ? 8 : channelConfig || 2
+        };
+    }
+
+    /**
+     * Resolve every sample's byte range and timing
+     * @param {Object} boxes - The track's boxes keyed by type
+     * @returns {Array<Object>} - The samples ({offset, size, timestamp, duration})
+     */
+    buildSampleTable(boxes) {
+        const view = this.view;
+
+        // Sample sizes
+        const stsz = boxes.stsz.start;
+        const fixedSize = view.getUint32(stsz + 4);
+        const sampleCount = view.getUint32(stsz + 8);
+        const sizes = new Array(sampleCount);
+        for (let i = 0; i < sampleCount; i++) {
+            sizes[i] = fixedSize || view.getUint32(stsz + 12 + i * 4);
+        }
+
+        // Chunk offsets
+        const chunkOffsets = [];
+        if (boxes.stco) {
+            const count = view.getUint32(boxes.stco.start + 4);
+            for (let i = 0; i < count; i++) {
+                chunkOffsets.push(view.getUint32(boxes.stco.start + 8 + i * 4));
+            }
+        } else {
+            const count = view.getUint32(boxes.co64.start + 4);
+            for (let i = 0; i < count; i++) {
+                chunkOffsets.push(Number(view.getBigUint64(boxes.co64.start + 8 + i * 8)));
+            }
+        }
+
+        // Sample-to-chunk runs
+        const stscCount = view.getUint32(boxes.stsc.start + 4);
+        const runs = [];
+        for (let i = 0; i < stscCount; i++) {
+            const entry = boxes.stsc.start + 8 + i * 12;
+            runs.push({
+                firstChunk: view.getUint32(entry) - 1,
+                samplesPerChunk: view.getUint32(entry + 4)
+            });
+        }
+
+        // Sample durations
+        const sttsCount = view.getUint32(boxes.stts.start + 4);
+        const durations = [];
+        for (let i = 0; i < sttsCount; i++) {
+            const entry = boxes.stts.start + 8 + i * 8;
+            const count = view.getUint32(entry);
+            const delta = view.getUint32(entry + 4);
+            for (let j = 0; j < count; j++) durations.push(delta);
+        }
+
+        const samples = [];
+        let sampleIndex = 0;
+        let timestamp = 0;
+
+        for (let run = 0; run < runs.length; run++) {
+            const lastChunk = run + 1 < runs.length ? runs[run + 1].firstChunk : chunkOffsets.length;
+
+            for (let chunk = runs[run].firstChunk; chunk < lastChunk; chunk++) {
+                let offset = chunkOffsets[chunk];
+
+                for (let i = 0; i < runs[run].samplesPerChunk && sampleIndex < sampleCount; i++) {
+                    const duration = durations[sampleIndex] || 0;
+                    samples.push({ offset, size: sizes[sampleIndex], timestamp, duration });
+
+                    offset += sizes[sampleIndex];
+                    timestamp += duration;
+                    sampleIndex++;
+                }
+            }
+        }
+
+        return samples;
+    }
+}
+
+export default Mp4Demuxer;
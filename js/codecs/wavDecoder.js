@@ -0,0 +1,133 @@
+// wavDecoder.js - WAV (RIFF) decoding for Web Audio Instrument
+
+/**
+ * Decode a PCM or IEEE float WAV file without resampling
+ * Supports 8/16/24/32-bit integer and 32/64-bit float data
+ * @param {ArrayBuffer} arrayBuffer - The WAV file
+ * @returns {Object} - The audio ({sampleRate, channels: Array<Float32Array>})
+ */
+export function decodeWAV(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+
+    if (view.byteLength < 12 || readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= view.byteLength) {
+        const id = readString(view, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            let formatTag = view.getUint16(body, true);
+
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+            if (formatTag === 0xFFFE && size >= 26) {
+                formatTag = view.getUint16(body + 24, true);
+            }
+
+            format = {
+                formatTag,
+                numChannels: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                bitsPerSample: view.getUint16(body + 14, true)
+            };
+        } else if (id === 'data') {
+            if (!format) {
+                throw new Error('WAV data chunk before format chunk');
+            }
+
+            const length = Math.min(size, view.byteLength - body);
+            return {
+                sampleRate: format.sampleRate,
+                channels: readSamples(view, body, length, format)
+            };
+        }
+
+        // Chunks are padded to an even size
+        offset = body + size + (size & 1);
+    }
+
+    throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * Deinterleave the data chunk into float channels
+ * @param {DataView} view - The file
+ * @param {number} offset - The start of the sample data
+ * @param {number} length - The data length in bytes
+ * @param {Object} format - The parsed format chunk
+ * @returns {Array<Float32Array>} - One array per channel
+ */
+function readSamples(view, offset, length, format) {
+    const { formatTag, numChannels, bitsPerSample } = format;
+    const bytesPerSample = bitsPerSample / 8;
+    const numFrames = Math.floor(length / (bytesPerSample * numChannels));
+    const isFloat = formatTag === 3;
+
+    if (formatTag !== 1 && !isFloat) {
+        throw new Error(`Unsupported WAV format: ${formatTag}`);
+    }
+
+    const channels = [];
+    for (let channel = 0; channel < numChannels; channel++) {
+        channels.push(new Float32Array(numFrames));
+    }
+
+    let position = offset;
+    for (let i = 0; i < numFrames; i++) {
+        for (let channel = 0; channel < numChannels; channel++) {
+            channels[channel][i] = readSample(view, position, bitsPerSample, isFloat);
+            position += bytesPerSample;
+        }
+    }
+
+    return channels;
+}
+
+/**
+ * Read one sample as a float in -1..1
+ * @param {DataView} view - The file
+ * @param {number} offset - The byte offset
+ * @param {number} bitsPerSample - The sample size
+ * @param {boolean} isFloat - Whether the data is IEEE float
+ * @returns {number} - The sample value
+ */
+function readSample(view, offset, bitsPerSample, isFloat) {
+    if (isFloat) {
+        return bitsPerSample === 64 ? view.getFloat64(offset, true) : view.getFloat32(offset, true);
+    }
+
+    switch (bitsPerSample) {
+        case 8:
+            return (view.getUint8(offset) - 128) / 128;
+        case 16:
+            return view.getInt16(offset, true) / 0x8000;
+        case 24: {
+            const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+            return value / 0x800000;
+        }
+        case 32:
+            return view.getInt32(offset, true) / 0x80000000;
+        default:
+            throw new Error(`Unsupported WAV bit depth: ${bitsPerSample}`);
+    }
+}
+
+/**
+ * Read an ASCII string from a DataView
+ * @param {DataView} view - The source view
+ * @param {number} offset - The byte offset
+ * @param {number} length - The string length
+ * @returns {string} - The string
+ */
+function readString(view, offset, length) {
+    let string = '';
+    for (let i = 0; i < length; i++) {
+        string += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return string;
+}
@@ -0,0 +1,72 @@
+// wavEncoder.js - WAV (RIFF PCM) encoding for Web Audio Instrument
+
+/**
+ * Encode an AudioBuffer as a 16-bit PCM or 32-bit float WAV file
+ * @param {AudioBuffer} audioBuffer - The audio buffer to encode
+ * @param {Object} options - Encoding options ({float: true} for lossless 32-bit float)
+ * @returns {ArrayBuffer} - The encoded WAV file
+ */
+export function encodeWAV(audioBuffer, options = {}) {
+    const numChannels = audioBuffer.numberOfChannels;
+    const sampleRate = audioBuffer.sampleRate;
+    const numFrames = audioBuffer.length;
+    const isFloat = !!options.float;
+    const bytesPerSample = isFloat ? 4 : 2;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    // RIFF header
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+
+    // Format chunk
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true); // Chunk size
+    view.setUint16(20, isFloat ? 3 : 1, true); // IEEE float or PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true); // Byte rate
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+
+    // Data chunk
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    // Interleave and convert to 16-bit integers (or copy floats as they are)
+    const channels = [];
+    for (let channel = 0; channel < numChannels; channel++) {
+        channels.push(audioBuffer.getChannelData(channel));
+    }
+
+    let offset = 44;
+    for (let i = 0; i < numFrames; i++) {
+        for (let channel = 0; channel < numChannels; channel++) {
+            if (isFloat) {
+                view.setFloat32(offset, channels[channel][i], true);
+            } else {
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * Write an ASCII string into a DataView
+ * @param {DataView} view - The target view
+ * @param {number} offset - The byte offset
+ * @param {string} string - The string to write
+ */
+function writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+        view.setUint8(offset + i, string.charCodeAt(i));
+    }
+}
@@ -0,0 +1,300 @@
+// webmMuxer.js - Minimal WebM (Matroska) muxer for Opus audio in Web Audio Instrument
+
+// EBML element IDs
+const IDS = {
+    EBML: 0x1A45DFA3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42F7,
+    EBMLMaxIDLength: 0x42F2,
+    EBMLMaxSizeLength: 0x42F3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    MuxingApp: 0x4D80,
+    WritingApp: 0x5741,
+    Duration: 0x4489,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackUID: 0x73C5,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    CodecDelay: 0x56AA,
+    SeekPreRoll: 0x56BB,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3
+};
+
+// Samples at 48 kHz an Opus decoder drops from the start, as libopus encoders pad by
+const OPUS_PRE_SKIP = 312;
+
+// Clusters are limited to a 16-bit relative timecode, so start a new one every few seconds
+const CLUSTER_DURATION_MS = 5000;
+
+/**
+ * WebmMuxer class
+ * Collects encoded Opus packets and writes them into a single WebM file
+ */
+class WebmMuxer {
+    /**
+     * Create a new WebmMuxer
+     * @param {Object} options - The track options
+     * @param {number} options.sampleRate - The sample rate in Hz
+     * @param {number} options.numberOfChannels - The number of channels
+     * @param {Uint8Array} options.codecPrivate - The OpusHead header (generated if omitted)
+     */
+    constructor({ sampleRate, numberOfChannels, codecPrivate = null }) {
+        this.sampleRate = sampleRate;
+        this.numberOfChannels = numberOfChannels;
+        this.codecPrivate = codecPrivate;
+        this.packets = [];
+    }
+
+    /**
+     * Add an encoded packet
+     * @param {Uint8Array} data - The encoded packet
+     * @param {number} timestamp - The presentation time in microseconds
+     */
+    addPacket(data, timestamp) {
+        this.packets.push({ data, timestamp });
+    }
+
+    /**
+     * Build the WebM file
+     * @param {number} duration - The total duration in seconds
+     * @returns {Blob} - The WebM file
+     */
+    finalize(duration) {
+        const header = element(IDS.EBML, [
+            uintElement(IDS.EBMLVersion, 1),
+            uintElement(IDS.EBMLReadVersion, 1),
+            uintElement(IDS.EBMLMaxIDLength, 4),
+            uintElement(IDS.EBMLMaxSizeLength, 8),
+            stringElement(IDS.DocType, 'webm'),
+            uintElement(IDS.DocTypeVersion, 4),
+            uintElement(IDS.DocTypeReadVersion, 2)
+        ]);
+
+        const info = element(IDS.Info, [
+            uintElement(IDS.TimecodeScale, 1000000), // Timecodes are in milliseconds
+            stringElement(IDS.MuxingApp, 'Web Audio Instrument'),
+            stringElement(IDS.WritingApp, 'Web Audio Instrument'),
+            floatElement(IDS.Duration, duration * 1000)
+        ]);
+
+        const codecPrivate = this.codecPrivate || createOpusHead(this.sampleRate, this.numberOfChannels);
+
+        const tracks = element(IDS.Tracks, [
+            element(IDS.TrackEntry, [
+                uintElement(IDS.TrackNumber, 1),
+                uintElement(IDS.TrackUID, 1),
+                uintElement(IDS.TrackType, 2), // Audio
+                stringElement(IDS.CodecID, 'A_OPUS'),
+                element(IDS.CodecPrivate, [codecPrivate]),
+                uintElement(IDS.CodecDelay, Math.round(getPreSkip(codecPrivate) / 48000 * 1e9)), // In nanoseconds
+                uintElement(IDS.SeekPreRoll, 80000000),
+                element(IDS.Audio, [
+                    floatElement(IDS.SamplingFrequency, this.sampleRate),
+                    uintElement(IDS.Channels, this.numberOfChannels)
+                ])
+            ])
+        ]);
+
+        const segment = element(IDS.Segment, [info, tracks, ...this.buildClusters()]);
+
+        return new Blob([header, segment], { type: 'audio/webm' });
+    }
+
+    /**
+     * Group packets into clusters
+     * @returns {Array<Uint8Array>} - The encoded clusters
+     */
+    buildClusters() {
+        const clusters = [];
+        let clusterStart = -Infinity;
+        let blocks = [];
+
+        const flush = () => {
+            if (blocks.length > 0) {
+                clusters.push(element(IDS.Cluster, [uintElement(IDS.Timecode, clusterStart), ...blocks]));
+            }
+            blocks = [];
+        };
+
+        this.packets.forEach(packet => {
+            const timeMs = Math.round(packet.timestamp / 1000);
+
+            if (timeMs - clusterStart >= CLUSTER_DURATION_MS) {
+                flush();
+                clusterStart = timeMs;
+            }
+
+            blocks.push(simpleBlock(packet.data, timeMs - clusterStart));
+        });
+
+        flush();
+
+        return clusters;
+    }
+}
+
+/**
+ * Create an OpusHead identification header
+ * @param {number} sampleRate - The input sample rate
+ * @param {number} numberOfChannels - The number of channels
+ * @returns {Uint8Array} - The OpusHead header
+ */
+function createOpusHead(sampleRate, numberOfChannels) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+
+    head.set([0x4F, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64]); // "OpusHead"
+    view.setUint8(8, 1); // Version
+    view.setUint8(9, numberOfChannels);
+    view.setUint16(10, OPUS_PRE_SKIP, true); // Pre-skip
+    view.setUint32(12, sampleRate, true);
+    view.setInt16(16, 0, true); // Output gain
+    view.setUint8(18, 0); // Channel mapping family
+
+    return head;
+}
+
+/**
+ * Read the pre-skip from an OpusHead header
+ * @param {Uint8Array} head - The OpusHead header
+ * @returns {number} - The samples at 48 kHz to drop from the start
+ */
+function getPreSkip(head) {
+    if (head.length < 12) return OPUS_PRE_SKIP;
+    return new DataView(head.buffer, head.byteOffset, head.byteLength).getUint16(10, true);
+}
+
+/**
+ * Encode a SimpleBlock for track 1
+ * @param {Uint8Array} data - The frame data
+ * @param {number} relativeTime - The time relative to the cluster in ms
+ * @returns {Uint8Array} - The encoded element
+ */
+function simpleBlock(data, relativeTime) {
+    const blockHeader = new Uint8Array(4);
+    blockHeader[0] = 0x81; // Track number 1 as a vint
+    new DataView(blockHeader.buffer).setInt16(1, relativeTime);
+    blockHeader[3] = 0x80; // Keyframe
+
+    return element(IDS.SimpleBlock, [blockHeader, data]);
+}
+
+/**
+ * Encode a master or binary element
+ * @param {number} id - The element ID
+ * @param {Array<Uint8Array>} children - The encoded payload parts
+ * @returns {Uint8Array} - The encoded element
+ */
+function element(id, children) {
+    const payload = concat(children);
+    return concat([encodeId(id), encodeSize(payload.length), payload]);
+}
+
+/**
+ * Encode an unsigned integer element
+ * @param {number} id - The element ID
+ * @param {number} value - The value
+ * @returns {Uint8Array} - The encoded element
+ */
+function uintElement(id, value) {
+    const bytes = [];
+    let remaining = value;
+
+    do {
+        bytes.unshift(remaining % 256);
+        remaining = Math.floor(remaining / 256);
+    } while (remaining > 0);
+
+    return element(id, [new Uint8Array(bytes)]);
+}
+
+/**
+ * Encode a 64-bit float element
+ * @param {number} id - The element ID
+ * @param {number} value - The value
+ * @returns {Uint8Array} - The encoded element
+ */
+function floatElement(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, [bytes]);
+}
+
+/**
+ * Encode an ASCII string element
+ * @param {number} id - The element ID
+ * @param {string} value - The value
+ * @returns {Uint8Array} - The encoded element
+ */
+function stringElement(id, value) {
+    return element(id, [new TextEncoder().encode(value)]);
+}
+
+/**
+ * Encode an element ID (IDs already carry their length marker)
+ * @param {number} id - The element ID
+ * @returns {Uint8Array} - The encoded ID
+ */
+function encodeId(id) {
+    const bytes = [];
+    let remaining = id;
+
+    while (remaining > 0) {
+        bytes.unshift(remaining & 0xFF);
+        remaining = Math.floor(remaining / 256);
+    }
+
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Encode an element size as an 8-byte vint
+ * @param {number} size - The payload size in bytes
+ * @returns {Uint8Array} - The encoded size
+ */
+function encodeSize(size) {
+    const bytes = new Uint8Array(8);
+    let remaining = size;
+
+    for (let i = 7; i > 0; i--) {
+        bytes[i] = remaining % 256;
+        remaining = Math.floor(remaining / 256);
+    }
+
+    bytes[0] = 0x01; // Length marker for an 8-byte vint
+
+    return bytes;
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Array<Uint8Array>} parts - The arrays to join
+ * @returns {Uint8Array} - The joined array
+ */
+function concat(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+
+    return result;
+}
+
+export default WebmMuxer;
@@ -0,0 +1,103 @@
+// fft.js - Fast Fourier transform for the Song Dissector
+
+/**
+ * FFT class
+ * In-place iterative radix-2 complex FFT with precomputed tables
+ */
+class FFT {
+    /**
+     * Create a new FFT of a fixed size
+     * @param {number} size - The transform size (must be a power of two)
+     */
+    constructor(size) {
+        if (size < 2 || (size & (size - 1)) !== 0) {
+            throw new Error(`FFT size must be a power of two: ${size}`);
+        }
+
+        this.size = size;
+
+        // Twiddle factors
+        this.cosTable = new Float32Array(size / 2);
+        this.sinTable = new Float32Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            this.cosTable[i] = Math.cos((2 * Math.PI * i) / size);
+            this.sinTable[i] = Math.sin((2 * Math.PI * i) / size);
+        }
+
+        // Bit reversal permutation
+        this.reverseTable = new Uint32Array(size);
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            this.reverseTable[i] = reversed;
+        }
+    }
+
+    /**
+     * Transform complex data in place
+     * @param {Float32Array} re - The real parts
+     * @param {Float32Array} im - The imaginary parts
+     * @param {boolean} inverse - Whether to run the inverse transform (scaled by 1/size)
+     */
+    transform(re, im, inverse = false) {
+        const size = this.size;
+        const sign = inverse ? 1 : -1;
+
+        // Reorder into bit-reversed order
+        for (let i = 0; i < size; i++) {
+            const j = this.reverseTable[i];
+            if (j > i) {
+                let temp = re[i]; re[i] = re[j]; re[j] = temp;
+                temp = im[i]; im[i] = im[j]; im[j] = temp;
+            }
+        }
+
+        // Butterflies
+        for (let blockSize = 2; blockSize <= size; blockSize <<= 1) {
+            const halfSize = blockSize >> 1;
+            const tableStep = size / blockSize;
+
+            for (let start = 0; start < size; start += blockSize) {
+                for (let k = 0; k < halfSize; k++) {
+                    const wr = this.cosTable[k * tableStep];
+                    const wi = sign * this.sinTable[k * tableStep];
+                    const a = start + k;
+                    const b = a + halfSize;
+
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+
+        if (inverse) {
+            for (let i = 0; i < size; i++) {
+                re[i] /= size;
+                im[i] /= size;
+            }
+        }
+    }
+}
+
+/**
+ * Create a periodic Hann window
+ * @param {number} size - The window length
+ * @returns {Float32Array} - The window
+ */
+export function hannWindow(size) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+    }
+    return window;
+}
+
+export default FFT;
@@ -1,5 +1,8 @@
 // dissector/index.js - Song dissector module for Web Audio Instrument
 
+import SpectralSeparator from './separator.js';
+import { decodeMp4Audio } from '../codecs/mp4Audio.js';
+
 /**
  * SongDissector class
  * Handles splitting MP4 songs into individual instrument components
@@ -14,6 +17,9 @@ class SongDissector {
         this.isProcessing = false;
         this.progress = 0;
         
+        // STFT source separation engine
+        this.separator = new SpectralSeparator();
+        
         // Event callbacks
         this.onProgressUpdate = null;
         this.onDissectionComplete = null;
@@ -58,7 +64,7 @@ class SongDissector {
             // Extract audio from the MP4 file
             const audioBuffer = await this.extractAudioFromFile(file);
             
-            // Perform source separation (this is a placeholder - actual implementation would use ML models)
+            // Perform spectral source separation
             const components = await this.separateComponents(audioBuffer);
             
             this.isProcessing = false;
@@ -86,6 +92,27 @@ class SongDissector {
      * @returns {Promise<AudioBuffer>} - The extracted audio buffer
      */
     async extractAudioFromFile(file) {
+        try {
+            // Demux and decode the AAC track directly
+            const arrayBuffer = await file.arrayBuffer();
+            this.updateProgress(20);
+
+            const audioBuffer = await decodeMp4Audio(this.audioContext, arrayBuffer);
+            this.updateProgress(40);
+
+            return audioBuffer;
+        } catch (error) {
+            console.warn(`Direct decode failed for ${file.name}, capturing in real time:`, error);
+            return this.captureAudioFromFile(file);
+        }
+    }
+
+    /**
+     * Extract audio from an MP4 file by recording its playback in real time
+     * @param {File} file - The MP4 file
+     * @returns {Promise<AudioBuffer>} - The extracted audio buffer
+     */
+    async captureAudioFromFile(file) {
         return new Promise((resolve, reject) => {
             const fileReader = new FileReader();
             
@@ -188,116 +215,43 @@ class SongDissector {
      * @returns {Promise<Array>} - The separated components
      */
     async separateComponents(audioBuffer) {
-        // This is a placeholder for actual source separation
-        // In a real implementation, this would use a machine learning model
-        // like Spleeter, Demucs, or another source separation algorithm
-        
-        // Simulate processing time
-        await this.simulateProcessing(40, 90);
-        
-        // Create mock components
-        // In a real implementation, these would be actual separated audio buffers
-        const components = [
-            {
-                id: 'vocals',
-                name: 'Vocals',
-                buffer: this.createFilteredBuffer(audioBuffer, 'bandpass', 300, 3000),
-                type: 'vocals'
-            },
-            {
-                id: 'drums',
-                name: 'Drums',
-                buffer: this.createFilteredBuffer(audioBuffer, 'lowpass', 200),
-                type: 'drums'
-            },
-            {
-                id: 'bass',
-                name: 'Bass',
-                buffer: this.createFilteredBuffer(audioBuffer, 'lowpass', 150),
-                type: 'bass'
-            },
-            {
-                id: 'other',
-                name: 'Other Instruments',
-                buffer: this.createFilteredBuffer(audioBuffer, 'highpass', 500),
-                type: 'other'
-            }
+        const definitions = [
+            { id: 'vocals', name: 'Vocals', type: 'vocals' },
+            { id: 'drums', name: 'Drums', type: 'drums' },
+            { id: 'bass', name: 'Bass', type: 'bass' },
+            { id: 'other', name: 'Other Instruments', type: 'other' }
         ];
-        
-        return components;
-    }
-    
-    /**
-     * Create a filtered copy of an audio buffer
-     * @param {AudioBuffer} sourceBuffer - The source audio buffer
-     * @param {string} filterType - The filter type
-     * @param {number} frequency - The filter frequency
-     * @param {number} q - The filter Q factor
-     * @returns {AudioBuffer} - The filtered audio buffer
-     */
-    createFilteredBuffer(sourceBuffer, filterType = 'lowpass', frequency = 1000, q = 1) {
-        // Create a new buffer with the same properties
-        const filteredBuffer = this.audioContext.createBuffer(
-            sourceBuffer.numberOfChannels,
-            sourceBuffer.length,
-            sourceBuffer.sampleRate
-        );
-        
-        // Create an offline audio context for processing
-        const offlineContext = new OfflineAudioContext(
-            sourceBuffer.numberOfChannels,
-            sourceBuffer.length,
-            sourceBuffer.sampleRate
-        );
-        
-        // Create a buffer source
-        const source = offlineContext.createBufferSource();
-        source.buffer = sourceBuffer;
-        
-        // Create a filter
-        const filter = offlineContext.createBiquadFilter();
-        filter.type = filterType;
-        filter.frequency.value = frequency;
-        filter.Q.value = q;
-        
-        // Connect the nodes
-        source.connect(filter);
-        filter.connect(offlineContext.destination);
-        
-        // Start the source
-        source.start(0);
-        
-        // Render the audio
-        return filteredBuffer;
-    }
-    
-    /**
-     * Simulate processing time for demonstration purposes
-     * @param {number} startProgress - The starting progress percentage
-     * @param {number} endProgress - The ending progress percentage
-     * @returns {Promise} - Resolves when the simulation is complete
-     */
-    simulateProcessing(startProgress, endProgress) {
-        return new Promise((resolve) => {
-            const duration = 3000; // 3 seconds
-            const steps = 20;
-            const stepTime = duration / steps;
-            const progressStep = (endProgress - startProgress) / steps;
-            
-            let currentStep = 0;
-            
-            const interval = setInterval(() => {
-                currentStep++;
-                this.updateProgress(startProgress + (progressStep * currentStep));
-                
-                if (currentStep >= steps) {
-                    clearInterval(interval);
-                    resolve();
-                }
-            }, stepTime);
+
+        // Stems are always stereo; mono input is treated as centre-panned
+        const left = audioBuffer.getChannelData(0);
+        const right = audioBuffer.numberOfChannels > 1 ? audioBuffer.getChannelData(1) : left;
+
+        // The separator writes straight into the component buffers
+        const outputs = {};
+        const components = definitions.map(definition => {
+            const buffer = this.audioContext.createBuffer(2, audioBuffer.length, audioBuffer.sampleRate);
+            outputs[definition.id] = [buffer.getChannelData(0), buffer.getChannelData(1)];
+
+            return {
+                id: definition.id,
+                name: definition.name,
+                buffer: buffer,
+                type: definition.type
+            };
         });
+
+        // Separation covers the 40-90% progress range
+        await this.separator.separate(
+            left,
+            right,
+            audioBuffer.sampleRate,
+            outputs,
+            (fraction) => this.updateProgress(40 + fraction * 50)
+        );
+
+        return components;
     }
-    
+
     /**
      * Update the progress
      * @param {number} progress - The progress percentage (0-100)
@@ -0,0 +1,316 @@
+// separator.js - Spectral source separation engine for the Song Dissector
+
+import FFT, { hannWindow } from './fft.js';
+
+/**
+ * SpectralSeparator class
+ * Splits a stereo mix into vocals, drums, bass and other stems with
+ * STFT masking, entirely in the browser:
+ * - harmonic/percussive separation by median filtering (drums)
+ * - low-band harmonic content (bass)
+ * - mid/side centre extraction of the harmonic mid band (vocals)
+ * - everything that is left over (other)
+ */
+class SpectralSeparator {
+    /**
+     * Create a new SpectralSeparator
+     * @param {Object} options - The separation settings
+     */
+    constructor(options = {}) {
+        this.fftSize = options.fftSize || 2048;
+        this.hopSize = options.hopSize || this.fftSize / 4;
+        this.harmonicKernel = options.harmonicKernel || 17; // Frames, median along time
+        this.percussiveKernel = options.percussiveKernel || 17; // Bins, median along frequency
+        this.bassCutoff = options.bassCutoff || 250;
+        this.vocalLow = options.vocalLow || 150;
+        this.vocalHigh = options.vocalHigh || 8000;
+        this.framesPerYield = options.framesPerYield || 200;
+
+        this.fft = new FFT(this.fftSize);
+        this.window = hannWindow(this.fftSize);
+        this.numBins = this.fftSize / 2 + 1;
+    }
+
+    /**
+     * Separate a stereo signal into stems
+     * @param {Float32Array} left - The left channel
+     * @param {Float32Array} right - The right channel (same array as left for mono)
+     * @param {number} sampleRate - The sample rate in Hz
+     * @param {Object} outputs - Stem outputs keyed by stem ID, each [left, right] Float32Arrays
+     * @param {Function} onProgress - Called with the processed fraction (0-1)
+     * @returns {Promise<Object>} - The filled outputs
+     */
+    async separate(left, right, sampleRate, outputs, onProgress = null) {
+        const { fftSize, hopSize, numBins } = this;
+        const length = left.length;
+        const half = this.harmonicKernel >> 1;
+        const numFrames = Math.ceil((length + fftSize - hopSize) / hopSize);
+        const stems = ['vocals', 'drums', 'bass', 'other'];
+
+        // Ring buffer holding the frames needed for the time-axis median
+        const ring = [];
+        for (let i = 0; i < this.harmonicKernel; i++) {
+            ring.push({
+                lre: new Float32Array(numBins),
+                lim: new Float32Array(numBins),
+                rre: new Float32Array(numBins),
+                rim: new Float32Array(numBins),
+                mag: new Float32Array(numBins),
+                percussive: new Float32Array(numBins)
+            });
+        }
+
+        // Per-bin frequency weights
+        const bassWeight = new Float32Array(numBins);
+        const vocalWeight = new Float32Array(numBins);
+        for (let k = 0; k < numBins; k++) {
+            const frequency = (k * sampleRate) / fftSize;
+            bassWeight[k] = 1 - smoothstep(this.bassCutoff, this.bassCutoff * 1.5, frequency);
+            vocalWeight[k] = smoothstep(this.vocalLow, this.vocalLow * 1.5, frequency) *
+                (1 - smoothstep(this.vocalHigh, this.vocalHigh * 1.5, frequency));
+        }
+
+        // Scratch buffers
+        const re = new Float32Array(fftSize);
+        const im = new Float32Array(fftSize);
+        const scratch = new Float32Array(Math.max(this.harmonicKernel, this.percussiveKernel));
+        const masks = {
+            drums: new Float32Array(numBins),
+            bass: new Float32Array(numBins),
+            vocals: new Float32Array(numBins)
+        };
+
+        // Overlap-add normalisation for a Hann window used for analysis and synthesis
+        const norm = hopSize / (0.375 * fftSize);
+
+        for (let t = 0; t < numFrames + half; t++) {
+            if (t < numFrames) {
+                this.analyzeFrame(left, right, t * hopSize - (fftSize - hopSize), ring[t % ring.length], re, im, scratch);
+            }
+
+            const center = t - half;
+            if (center < 0) continue;
+
+            const frame = ring[center % ring.length];
+            const firstFrame = Math.max(0, center - half);
+            const lastFrame = Math.min(numFrames - 1, center + half);
+
+            // Build the masks for the centre frame
+            for (let k = 0; k < numBins; k++) {
+                let count = 0;
+                for (let f = firstFrame; f <= lastFrame; f++) {
+                    scratch[count++] = ring[f % ring.length].mag[k];
+                }
+
+                const harmonic = median(scratch, count);
+                const percussive = frame.percussive[k];
+                const h2 = harmonic * harmonic;
+                const p2 = percussive * percussive;
+                const harmonicMask = h2 + p2 > 0 ? h2 / (h2 + p2) : 0.5;
+
+                // Mid/side energy ratio: 1 for centre-panned content, 0 for wide content
+                const midRe = (frame.lre[k] + frame.rre[k]) / 2;
+                const midIm = (frame.lim[k] + frame.rim[k]) / 2;
+                const sideRe = (frame.lre[k] - frame.rre[k]) / 2;
+                const sideIm = (frame.lim[k] - frame.rim[k]) / 2;
+                const midEnergy = midRe * midRe + midIm * midIm;
+                const sideEnergy = sideRe * sideRe + sideIm * sideIm;
+                const centre = midEnergy + sideEnergy > 0
+                    ? Math.max(0, (midEnergy - sideEnergy) / (midEnergy + sideEnergy))
+                    : 0;
+
+                masks.drums[k] = 1 - harmonicMask;
+                masks.bass[k] = harmonicMask * bassWeight[k];
+                masks.vocals[k] = harmonicMask * (1 - bassWeight[k]) * vocalWeight[k] * centre * centre;
+            }
+
+            // Resynthesise each stem; "other" is the exact remainder so the stems sum to the mix
+            const start = center * hopSize - (fftSize - hopSize);
+            stems.forEach(stem => {
+                this.buildStemSpectrum(frame, stem, masks, re, im);
+                this.fft.transform(re, im, true);
+                overlapAdd(outputs[stem], re, im, this.window, start, norm);
+            });
+
+            if (onProgress && center % this.framesPerYield === 0) {
+                onProgress(center / numFrames);
+
+                // Yield so the page stays responsive
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        if (onProgress) {
+            onProgress(1);
+        }
+
+        return outputs;
+    }
+
+    /**
+     * Window a frame, transform both channels and compute its magnitudes
+     * @param {Float32Array} left - The left channel
+     * @param {Float32Array} right - The right channel
+     * @param {number} start - The first sample of the frame (may be negative)
+     * @param {Object} frame - The ring slot to fill
+     * @param {Float32Array} re - Scratch real buffer
+     * @param {Float32Array} im - Scratch imaginary buffer
+     * @param {Float32Array} scratch - Scratch median buffer
+     */
+    analyzeFrame(left, right, start, frame, re, im, scratch) {
+        const { fftSize, numBins } = this;
+
+        // Pack left and right into one complex transform: z = l + i*r
+        for (let i = 0; i < fftSize; i++) {
+            const index = start + i;
+            const inRange = index >= 0 && index < left.length;
+            re[i] = inRange ? left[index] * this.window[i] : 0;
+            im[i] = inRange ? right[index] * this.window[i] : 0;
+        }
+
+        this.fft.transform(re, im);
+
+        // Unpack the two real spectra
+        for (let k = 0; k < numBins; k++) {
+            const n = (fftSize - k) % fftSize;
+            frame.lre[k] = (re[k] + re[n]) / 2;
+            frame.lim[k] = (im[k] - im[n]) / 2;
+            frame.rre[k] = (im[k] + im[n]) / 2;
+            frame.rim[k] = (re[n] - re[k]) / 2;
+
+            const midRe = (frame.lre[k] + frame.rre[k]) / 2;
+            const midIm = (frame.lim[k] + frame.rim[k]) / 2;
+            frame.mag[k] = Math.sqrt(midRe * midRe + midIm * midIm);
+        }
+
+        // Percussive enhancement: median along frequency
+        const half = this.percussiveKernel >> 1;
+        for (let k = 0; k < numBins; k++) {
+            let count = 0;
+            for (let b = Math.max(0, k - half); b <= Math.min(numBins - 1, k + half); b++) {
+                scratch[count++] = frame.mag[b];
+            }
+            frame.percussive[k] = median(scratch, count);
+        }
+    }
+
+    /**
+     * Fill re/im with the stem spectrum for both channels packed as l + i*r
+     * @param {Object} frame - The analysed frame
+     * @param {string} stem - The stem ID
+     * @param {Object} masks - The drums, bass and vocals masks
+     * @param {Float32Array} re - The real output buffer
+     * @param {Float32Array} im - The imaginary output buffer
+     */
+    buildStemSpectrum(frame, stem, masks, re, im) {
+        const { fftSize, numBins } = this;
+
+        for (let k = 0; k < numBins; k++) {
+            let lr, li, rr, ri;
+
+            const midRe = (frame.lre[k] + frame.rre[k]) / 2;
+            const midIm = (frame.lim[k] + frame.rim[k]) / 2;
+            const vocalRe = masks.vocals[k] * midRe;
+            const vocalIm = masks.vocals[k] * midIm;
+
+            if (stem === 'vocals') {
+                // Centre content goes to both sides
+                lr = rr = vocalRe;
+                li = ri = vocalIm;
+            } else if (stem === 'other') {
+                const keep = 1 - masks.drums[k] - masks.bass[k];
+                lr = frame.lre[k] * keep - vocalRe;
+                li = frame.lim[k] * keep - vocalIm;
+                rr = frame.rre[k] * keep - vocalRe;
+                ri = frame.rim[k] * keep - vocalIm;
+            } else {
+                const mask = masks[stem][k];
+                lr = frame.lre[k] * mask;
+                li = frame.lim[k] * mask;
+                rr = frame.rre[k] * mask;
+                ri = frame.rim[k] * mask;
+            }
+
+            // z = L + i*R, and its Hermitian mirror for the upper half
+            re[k] = lr - ri;
+            im[k] = li + rr;
+
+            if (k > 0 && k < fftSize / 2) {
+                re[fftSize - k] = lr + ri;
+                im[fftSize - k] = rr - li;
+            }
+        }
+    }
+}
+
+/**
+ * Add a synthesised frame into a stereo output
+ * @param {Array<Float32Array>} output - The [left, right] output
+ * @param {Float32Array} re - The left channel frame
+ * @param {Float32Array} im - The right channel frame
+ * @param {Float32Array} window - The synthesis window
+ * @param {number} start - The first sample of the frame
+ * @param {number} norm - The overlap-add normalisation
+ */
+function overlapAdd(output, re, im, window, start, norm) {
+    const [left, right] = output;
+    const from = Math.max(0, -start);
+    const to = Math.min(window.length, left.length - start);
+
+    for (let i = from; i < to; i++) {
+        const gain = window[i] * norm;
+        left[start + i] += re[i] * gain;
+        if (right) right[start + i] += im[i] * gain;
+    }
+}
+
+/**
+ * Find the median of the first count values (reorders them)
+ * @param {Float32Array} values - The values
+ * @param {number} count - How many values to use
+ * @returns {number} - The median
+ */
+function median(values, count) {
+    const target = count >> 1;
+    let low = 0;
+    let high = count - 1;
+
+    // Quickselect
+    while (low < high) {
+        const pivot = values[(low + high) >> 1];
+        let i = low;
+        let j = high;
+
+        while (i <= j) {
+            while (values[i] < pivot) i++;
+            while (values[j] > pivot) j--;
+            if (i <= j) {
+                const temp = values[i];
+                values[i] = values[j];
+                values[j] = temp;
+                i++;
+                j--;
+            }
+        }
+
+        if (target <= j) high = j;
+        else if (target >= i) low = i;
+        else break;
+    }
+
+    return values[target];
+}
+
+/**
+ * Smooth 0-1 transition between two edges
+ * @param {number} edge0 - Where the transition starts
+ * @param {number} edge1 - Where the transition ends
+ * @param {number} x - The input value
+ * @returns {number} - The interpolated value
+ */
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+export default SpectralSeparator;
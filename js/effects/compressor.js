@@ -102,6 +102,22 @@ class CompressorEffect {
         return this.compressor;
     }
     
+    /**
+     * Get the input node
+     * @returns {DynamicsCompressorNode} - The compressor node
+     */
+    getInputNode() {
+        return this.compressor;
+    }
+    
+    /**
+     * Get the output node
+     * @returns {DynamicsCompressorNode} - The compressor node
+     */
+    getOutputNode() {
+        return this.compressor;
+    }
+    
     /**
      * Get current parameters
      * @returns {Object} - The current parameters
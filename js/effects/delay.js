@@ -11,6 +11,7 @@ class DelayEffect {
      */
     constructor(audioContext) {
         this.audioContext = audioContext;
+        this.isReturn = false;
         
         // Create nodes
         this.inputNode = audioContext.createGain();
@@ -80,14 +81,24 @@ class DelayEffect {
         this.params.feedback = safeAmount;
     }
     
+    /**
+     * Use the effect as an aux return (100% wet) or as an insert
+     * @param {boolean} isReturn - Whether the effect sits on a send/return bus
+     */
+    setReturnMode(isReturn) {
+        this.isReturn = isReturn;
+        this.setMix(this.params.mix);
+    }
+    
     /**
      * Set wet/dry mix
-     * @param {number} mix - The wet/dry mix (0-1)
+     * @param {number} mix - The wet/dry mix (0-1, ignored as a return)
      */
     setMix(mix) {
         const safeMix = Math.max(0, Math.min(1, mix));
-        this.wetGainNode.gain.setValueAtTime(safeMix, this.audioContext.currentTime);
-        this.dryGainNode.gain.setValueAtTime(1 - safeMix, this.audioContext.currentTime);
+        const appliedMix = this.isReturn ? 1 : safeMix;
+        this.wetGainNode.gain.setValueAtTime(appliedMix, this.audioContext.currentTime);
+        this.dryGainNode.gain.setValueAtTime(1 - appliedMix, this.audioContext.currentTime);
         this.params.mix = safeMix;
     }
     
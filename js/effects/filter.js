@@ -66,13 +66,14 @@ class FilterEffect {
     /**
      * Set filter frequency
      * @param {number} frequency - The frequency in Hz
+     * @param {number} time - The audio context time of the change (defaults to now)
      */
-    setFrequency(frequency) {
+    setFrequency(frequency, time = this.audioContext.currentTime) {
         const minFreq = 20;
         const maxFreq = 20000;
         const safeFreq = Math.max(minFreq, Math.min(maxFreq, frequency));
         
-        this.filter.frequency.setValueAtTime(safeFreq, this.audioContext.currentTime);
+        this.filter.frequency.setValueAtTime(safeFreq, time);
         this.params.frequency = safeFreq;
     }
     
@@ -104,6 +105,22 @@ class FilterEffect {
         return this.filter;
     }
     
+    /**
+     * Get the input node
+     * @returns {BiquadFilterNode} - The filter node
+     */
+    getInputNode() {
+        return this.filter;
+    }
+    
+    /**
+     * Get the output node
+     * @returns {BiquadFilterNode} - The filter node
+     */
+    getOutputNode() {
+        return this.filter;
+    }
+    
     /**
      * Get current parameters
      * @returns {Object} - The current parameters
@@ -117,10 +134,10 @@ class FilterEffect {
      * @param {Object} params - The parameters to set
      */
     setParams(params) {
-        if (params.type) this.setType(params.type);
-        if (params.frequency) this.setFrequency(params.frequency);
-        if (params.Q) this.setQ(params.Q);
-        if (params.gain) this.setGain(params.gain);
+        if (params.type !== undefined) this.setType(params.type);
+        if (params.frequency !== undefined) this.setFrequency(params.frequency);
+        if (params.Q !== undefined) this.setQ(params.Q);
+        if (params.gain !== undefined) this.setGain(params.gain);
     }
     
     /**
@@ -5,10 +5,90 @@ import DelayEffect from './delay.js';
 import ReverbEffect from './reverb.js';
 import CompressorEffect from './compressor.js';
 
+/**
+ * Effect types available to the effects rack, keyed by type ID
+ * Each entry holds a display name, the effect class and the ranges of its
+ * parameters (numeric {min, max, step} or {options} for choices). Numeric
+ * ranges may add scale: 'log' to glide exponentially, or glide: false for
+ * parameters that are too expensive to change continuously
+ */
+const effectTypes = {
+    filter: {
+        name: 'Filter',
+        EffectClass: FilterEffect,
+        params: {
+            type: { options: ['lowpass', 'highpass', 'bandpass', 'lowshelf', 'highshelf', 'peaking', 'notch', 'allpass'] },
+            frequency: { min: 20, max: 20000, step: 1, scale: 'log' },
+            Q: { min: 0.1, max: 20, step: 0.1 },
+            gain: { min: -40, max: 40, step: 0.5 }
+        }
+    },
+    delay: {
+        name: 'Delay',
+        EffectClass: DelayEffect,
+        params: {
+            delayTime: { min: 0, max: 2, step: 0.01 },
+            feedback: { min: 0, max: 0.95, step: 0.01 },
+            mix: { min: 0, max: 1, step: 0.01 }
+        }
+    },
+    reverb: {
+        name: 'Reverb',
+        EffectClass: ReverbEffect,
+        params: {
+            mix: { min: 0, max: 1, step: 0.01 },
+            decayTime: { min: 0.1, max: 10, step: 0.1, glide: false },
+            preDelay: { min: 0, max: 0.1, step: 0.001, glide: false },
+            tone: { min: 0, max: 1, step: 0.01, glide: false }
+        }
+    },
+    compressor: {
+        name: 'Compressor',
+        EffectClass: CompressorEffect,
+        params: {
+            threshold: { min: -100, max: 0, step: 1 },
+            knee: { min: 0, max: 40, step: 1 },
+            ratio: { min: 1, max: 20, step: 0.5 },
+            attack: { min: 0, max: 1, step: 0.001 },
+            release: { min: 0, max: 1, step: 0.01 }
+        }
+    }
+};
+
+/**
+ * Register a new effect type with the rack
+ * The class must provide getInputNode(), getOutputNode(), getParams() and setParams()
+ * @param {string} type - The type ID
+ * @param {string} name - The display name
+ * @param {Function} EffectClass - The effect class, constructed with an AudioContext
+ * @param {Object} params - Parameter ranges for the rack UI
+ */
+function registerEffectType(type, name, EffectClass, params = {}) {
+    effectTypes[type] = { name, EffectClass, params };
+}
+
+/**
+ * Create an effect instance by type ID
+ * @param {string} type - The type ID
+ * @param {BaseAudioContext} audioContext - The context to create the effect in
+ * @returns {Object} - The effect instance
+ */
+function createEffect(type, audioContext) {
+    const definition = effectTypes[type];
+    if (!definition) {
+        throw new Error(`Unknown effect type: ${type}`);
+    }
+
+    return new definition.EffectClass(audioContext);
+}
+
 // Export all effects
 export {
     FilterEffect,
     DelayEffect,
     ReverbEffect,
-    CompressorEffect
+    CompressorEffect,
+    effectTypes,
+    registerEffectType,
+    createEffect
 };
@@ -0,0 +1,259 @@
+// rack.js - Insert effects rack for Web Audio Instrument
+
+import { effectTypes, createEffect } from './index.js';
+
+/**
+ * EffectsRack class
+ * Runs an ordered list of effect instances in series. Each instance sits in
+ * a slot with a wet/dry crossfade for bypass, and the chain is rewired
+ * behind a short fade so reordering, adding or removing effects is click-free
+ */
+class EffectsRack {
+    /**
+     * Create a new effects rack
+     * @param {BaseAudioContext} audioContext - The Web Audio API context
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.slots = [];
+        this.retiredSlots = []; // Removed slots still wired until the next rewire
+        this.nextSlotId = 1;
+        this.fadeTime = 0.01; // Seconds for bypass crossfades and rewiring fades
+        this.rewireTimer = null;
+
+        // Rack input and output
+        this.inputNode = audioContext.createGain();
+        this.outputNode = audioContext.createGain();
+
+        // An empty rack passes audio straight through
+        this.inputNode.connect(this.outputNode);
+    }
+
+    /**
+     * Connect the rack output to a destination
+     * @param {AudioNode} destination - The destination node
+     */
+    connect(destination) {
+        this.outputNode.connect(destination);
+    }
+
+    /**
+     * Add an effect instance to the rack
+     * @param {string} type - The effect type ID
+     * @param {Object} params - Initial parameters
+     * @param {number} index - Where to insert it (defaults to the end)
+     * @returns {Object} - The new slot
+     */
+    addEffect(type, params = null, index = this.slots.length) {
+        const effect = createEffect(type, this.audioContext);
+        if (params) {
+            effect.setParams(params);
+        }
+
+        const slot = {
+            id: `fx${this.nextSlotId++}`,
+            type,
+            name: effectTypes[type].name,
+            effect,
+            bypassed: false,
+            input: this.audioContext.createGain(),
+            output: this.audioContext.createGain(),
+            wetGain: this.audioContext.createGain(),
+            dryGain: this.audioContext.createGain()
+        };
+
+        // Slot input -> Effect -> Wet -> Slot output
+        // Slot input -> Dry -> Slot output
+        slot.input.connect(effect.getInputNode());
+        effect.getOutputNode().connect(slot.wetGain);
+        slot.wetGain.connect(slot.output);
+        slot.input.connect(slot.dryGain);
+        slot.dryGain.connect(slot.output);
+        slot.dryGain.gain.value = 0;
+
+        this.slots.splice(Math.max(0, Math.min(this.slots.length, index)), 0, slot);
+        this.rewire();
+
+        return slot;
+    }
+
+    /**
+     * Remove an effect instance from the rack
+     * @param {string} slotId - The slot ID
+     */
+    removeEffect(slotId) {
+        const index = this.slots.findIndex(slot => slot.id === slotId);
+        if (index === -1) return;
+
+        this.retiredSlots.push(...this.slots.splice(index, 1));
+        this.rewire();
+    }
+
+    /**
+     * Move an effect instance to a new position
+     * @param {string} slotId - The slot ID
+     * @param {number} newIndex - The new position
+     */
+    moveEffect(slotId, newIndex) {
+        const index = this.slots.findIndex(slot => slot.id === slotId);
+        if (index === -1) return;
+
+        const [slot] = this.slots.splice(index, 1);
+        this.slots.splice(Math.max(0, Math.min(this.slots.length, newIndex)), 0, slot);
+        this.rewire();
+    }
+
+    /**
+     * Bypass or enable an effect instance
+     * @param {string} slotId - The slot ID
+     * @param {boolean} bypassed - Whether the effect is bypassed
+     */
+    setBypass(slotId, bypassed) {
+        const slot = this.getSlot(slotId);
+        if (!slot) return;
+
+        slot.bypassed = bypassed;
+
+        // Crossfade between the processed and the untouched signal
+        const now = this.audioContext.currentTime;
+        slot.wetGain.gain.setTargetAtTime(bypassed ? 0 : 1, now, this.fadeTime / 3);
+        slot.dryGain.gain.setTargetAtTime(bypassed ? 1 : 0, now, this.fadeTime / 3);
+    }
+
+    /**
+     * Reconnect the slots in their current order
+     * On a running context the output fades out, the chain is rewired in
+     * silence and the output fades back in
+     */
+    rewire() {
+        if (this.audioContext.state !== 'running') {
+            this.connectChain();
+            return;
+        }
+
+        // A pending rewire picks up the latest slot order when it runs
+        if (this.rewireTimer) return;
+
+        const now = this.audioContext.currentTime;
+        this.outputNode.gain.cancelScheduledValues(now);
+        this.outputNode.gain.setValueAtTime(this.outputNode.gain.value, now);
+        this.outputNode.gain.linearRampToValueAtTime(0, now + this.fadeTime);
+
+        this.rewireTimer = setTimeout(() => {
+            this.rewireTimer = null;
+            this.connectChain();
+
+            const time = this.audioContext.currentTime;
+            this.outputNode.gain.cancelScheduledValues(time);
+            this.outputNode.gain.setValueAtTime(0, time);
+            this.outputNode.gain.linearRampToValueAtTime(1, time + this.fadeTime);
+        }, this.fadeTime * 2000);
+    }
+
+    /**
+     * Connect input -> slots -> output without any fading
+     */
+    connectChain() {
+        this.inputNode.disconnect();
+        this.slots.forEach(slot => slot.output.disconnect());
+        this.retiredSlots.forEach(slot => slot.output.disconnect());
+        this.retiredSlots = [];
+
+        let previous = this.inputNode;
+        this.slots.forEach(slot => {
+            previous.connect(slot.input);
+            previous = slot.output;
+        });
+        previous.connect(this.outputNode);
+    }
+
+    /**
+     * Get a slot by ID
+     * @param {string} slotId - The slot ID
+     * @returns {Object|null} - The slot
+     */
+    getSlot(slotId) {
+        return this.slots.find(slot => slot.id === slotId) || null;
+    }
+
+    /**
+     * Get the effect instance in a slot
+     * @param {string} slotId - The slot ID
+     * @returns {Object|null} - The effect instance
+     */
+    getEffect(slotId) {
+        const slot = this.getSlot(slotId);
+        return slot ? slot.effect : null;
+    }
+
+    /**
+     * Find the first effect of a type in the rack
+     * @param {string} type - The effect type ID
+     * @returns {Object|null} - The effect instance
+     */
+    findByType(type) {
+        const slot = this.slots.find(slot => slot.type === type);
+        return slot ? slot.effect : null;
+    }
+
+    /**
+     * Get the slots in chain order
+     * @returns {Array<Object>} - The slots
+     */
+    getSlots() {
+        return [...this.slots];
+    }
+
+    /**
+     * Get the input node
+     * @returns {GainNode} - The input node
+     */
+    getInputNode() {
+        return this.inputNode;
+    }
+
+    /**
+     * Get the output node
+     * @returns {GainNode} - The output node
+     */
+    getOutputNode() {
+        return this.outputNode;
+    }
+
+    /**
+     * Get the rack layout and parameters
+     * @returns {Array<Object>} - One entry per slot ({type, bypassed, params})
+     */
+    getParams() {
+        return this.slots.map(slot => ({
+            type: slot.type,
+            bypassed: slot.bypassed,
+            params: slot.effect.getParams()
+        }));
+    }
+
+    /**
+     * Rebuild the rack from saved parameters
+     * @param {Array<Object>} params - One entry per slot ({type, bypassed, params})
+     */
+    setParams(params) {
+        this.retiredSlots.push(...this.slots);
+        this.slots = [];
+
+        params.forEach(entry => {
+            if (!effectTypes[entry.type]) {
+                console.warn(`Skipping unknown effect type: ${entry.type}`);
+                return;
+            }
+
+            const slot = this.addEffect(entry.type, entry.params);
+            if (entry.bypassed) {
+                this.setBypass(slot.id, true);
+            }
+        });
+
+        this.rewire();
+    }
+}
+
+export default EffectsRack;
@@ -0,0 +1,338 @@
+// export/index.js - Offline mixdown export module for Web Audio Instrument
+
+import { DelayEffect, ReverbEffect } from '../effects/index.js';
+import EffectsRack from '../effects/rack.js';
+import { encodeWAV } from '../codecs/wavEncoder.js';
+import WebmMuxer from '../codecs/webmMuxer.js';
+import Mixer from '../mixer/index.js';
+
+/**
+ * MixdownExporter class
+ * Bounces the track editor timeline through the effects chain in an
+ * OfflineAudioContext and encodes the result as WAV or WebM
+ */
+class MixdownExporter {
+    /**
+     * Create a new MixdownExporter instance
+     * @param {AudioContext} audioContext - The Web Audio API context
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.isProcessing = false;
+        this.progress = 0;
+
+        // Render settings
+        this.numberOfChannels = 2;
+        this.tailTime = 2; // Extra seconds rendered for reverb/delay tails
+        this.progressSteps = 50;
+
+        // Event callbacks
+        this.onProgressUpdate = null;
+    }
+
+    /**
+     * Initialize the exporter
+     * @param {AudioContext} audioContext - The Web Audio API context
+     */
+    initialize(audioContext) {
+        if (audioContext) {
+            this.audioContext = audioContext;
+        }
+
+        if (!this.audioContext) {
+            throw new Error('AudioContext is required for MixdownExporter');
+        }
+
+        return this;
+    }
+
+    /**
+     * Render and encode the timeline
+     * @param {Array<Object>} clips - The clips ({buffer, time, duration, offset, track, sampleId, pitch, loop, release, velocity})
+     * @param {Object} effectParams - Rack layout and return effect parameters ({rack, reverb, delay})
+     * @param {string} format - 'wav' or 'webm'
+     * @param {Object} mixerParams - Track and sample strip parameters and return levels ({tracks, samples, returns})
+     * @returns {Promise<Blob>} - The encoded file
+     */
+    async export(clips, effectParams, format = 'wav', mixerParams = {}) {
+        if (this.isProcessing) {
+            throw new Error('Already exporting');
+        }
+
+        if (clips.length === 0) {
+            throw new Error('The timeline is empty');
+        }
+
+        this.isProcessing = true;
+        this.updateProgress(0);
+
+        try {
+            // Opus only runs at 48 kHz, so render WebM at that rate directly
+            const sampleRate = format === 'webm' ? 48000 : this.audioContext.sampleRate;
+            const rendered = await this.render(clips, effectParams, sampleRate, mixerParams);
+
+            const blob = format === 'webm'
+                ? await this.encodeWebM(rendered)
+                : new Blob([encodeWAV(rendered)], { type: 'audio/wav' });
+
+            this.updateProgress(100);
+            return blob;
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Render the clips through the effects chain offline
+     * @param {Array<Object>} clips - The clips to render
+     * @param {Object} effectParams - Rack layout and return effect parameters ({rack, reverb, delay})
+     * @param {number} sampleRate - The render sample rate
+     * @param {Object} mixerParams - Track and sample strip parameters and return levels ({tracks, samples, returns})
+     * @returns {Promise<AudioBuffer>} - The rendered mix
+     */
+    async render(clips, effectParams, sampleRate, mixerParams = {}) {
+        const endTime = clips.reduce((end, clip) => Math.max(end, clip.time + clip.duration), 0);
+        const length = Math.ceil((endTime + this.tailTime) * sampleRate);
+        const offlineContext = new OfflineAudioContext(this.numberOfChannels, length, sampleRate);
+
+        // Rebuild the live effects in the offline context
+        const effects = this.createEffectsChain(offlineContext, effectParams);
+
+        // Recreate the track and sample channel strips and aux buses in front of the inserts
+        const mixer = new Mixer(offlineContext);
+        mixer.connect(effects.input);
+        mixer.createBus('reverb', effects.reverb);
+        mixer.createBus('delay', effects.delay);
+        mixer.setParams(mixerParams.tracks || {});
+        mixer.setSampleParams(mixerParams.samples || {});
+
+        const returns = mixerParams.returns || {};
+        for (const busId in returns) {
+            mixer.setReturnLevel(busId, returns[busId]);
+        }
+
+        clips.forEach(clip => {
+            const strip = mixer.getClipStrip(clip);
+            const source = offlineContext.createBufferSource();
+            source.buffer = clip.buffer;
+            source.playbackRate.value = Math.pow(2, (clip.pitch || 0) / 12);
+            if (clip.loop) {
+                source.loop = true;
+                source.loopStart = clip.loop.start;
+                source.loopEnd = clip.loop.end;
+            }
+            const gain = offlineContext.createGain();
+            source.connect(gain);
+            gain.connect(strip ? strip.getInputNode() : effects.input);
+            scheduleClip(source, gain, clip, clip.time);
+        });
+
+        // Suspend at regular points to report render progress (0-80%)
+        const duration = length / sampleRate;
+        for (let i = 1; i < this.progressSteps; i++) {
+            const time = (duration * i) / this.progressSteps;
+            offlineContext.suspend(time).then(() => {
+                this.updateProgress((i / this.progressSteps) * 80);
+                offlineContext.resume();
+            }).catch(() => {
+                // Two points fell in the same render quantum; skip this one
+            });
+        }
+
+        const rendered = await offlineContext.startRendering();
+        this.updateProgress(80);
+
+        return rendered;
+    }
+
+    /**
+     * Create the insert rack plus the Delay and Reverb returns in a context
+     * @param {BaseAudioContext} context - The context to build the chain in
+     * @param {Object} effectParams - Rack layout and return effect parameters ({rack, reverb, delay})
+     * @returns {Object} - The rack input node, the rack and the return effects
+     */
+    createEffectsChain(context, effectParams = {}) {
+        const rack = new EffectsRack(context);
+        const delay = new DelayEffect(context);
+        const reverb = new ReverbEffect(context);
+
+        rack.setParams(effectParams.rack || []);
+        if (effectParams.delay) delay.setParams(effectParams.delay);
+        if (effectParams.reverb) reverb.setParams(effectParams.reverb);
+
+        // Delay and reverb are left unconnected; the mixer wires them as returns
+        rack.connect(context.destination);
+
+        return {
+            input: rack.getInputNode(),
+            rack,
+            delay,
+            reverb
+        };
+    }
+
+    /**
+     * Encode a rendered buffer as Opus in a WebM container
+     * @param {AudioBuffer} audioBuffer - The rendered mix
+     * @returns {Promise<Blob>} - The WebM file
+     */
+    async encodeWebM(audioBuffer) {
+        if (typeof AudioEncoder === 'undefined') {
+            return this.recordWebM(audioBuffer);
+        }
+
+        const { sampleRate, numberOfChannels, length } = audioBuffer;
+        let muxer = null;
+        let encoderError = null;
+
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                if (!muxer) {
+                    const description = metadata?.decoderConfig?.description;
+                    muxer = new WebmMuxer({
+                        sampleRate,
+                        numberOfChannels,
+                        codecPrivate: description ? new Uint8Array(description) : null
+                    });
+                }
+
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                muxer.addPacket(data, chunk.timestamp);
+            },
+            error: (error) => {
+                encoderError = error;
+            }
+        });
+
+        encoder.configure({
+            codec: 'opus',
+            sampleRate,
+            numberOfChannels,
+            bitrate: 192000
+        });
+
+        // Feed planar frames in blocks of 100 ms (80-100%)
+        const blockSize = sampleRate / 10;
+        for (let offset = 0; offset < length; offset += blockSize) {
+            const frames = Math.min(blockSize, length - offset);
+            const planar = new Float32Array(frames * numberOfChannels);
+
+            for (let channel = 0; channel < numberOfChannels; channel++) {
+                planar.set(audioBuffer.getChannelData(channel).subarray(offset, offset + frames), channel * frames);
+            }
+
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels,
+                timestamp: Math.round((offset / sampleRate) * 1000000),
+                data: planar
+            });
+
+            encoder.encode(audioData);
+            audioData.close();
+
+            this.updateProgress(80 + (offset / length) * 20);
+        }
+
+        await encoder.flush();
+        encoder.close();
+
+        if (encoderError) {
+            throw new Error(`Failed to encode audio: ${encoderError.message}`);
+        }
+
+        if (!muxer) {
+            throw new Error('Encoder produced no audio');
+        }
+
+        return muxer.finalize(audioBuffer.duration);
+    }
+
+    /**
+     * Fallback WebM encoder for browsers without WebCodecs (runs in real time)
+     * @param {AudioBuffer} audioBuffer - The rendered mix
+     * @returns {Promise<Blob>} - The WebM file
+     */
+    recordWebM(audioBuffer) {
+        return new Promise((resolve, reject) => {
+            const destination = this.audioContext.createMediaStreamDestination();
+            const source = this.audioContext.createBufferSource();
+            source.buffer = audioBuffer;
+            source.connect(destination);
+
+            const mediaRecorder = new MediaRecorder(destination.stream, { mimeType: 'audio/webm' });
+            const chunks = [];
+
+            mediaRecorder.ondataavailable = (event) => {
+                if (event.data.size > 0) {
+                    chunks.push(event.data);
+                }
+            };
+
+            mediaRecorder.onstop = () => {
+                source.disconnect();
+                resolve(new Blob(chunks, { type: 'audio/webm' }));
+            };
+
+            mediaRecorder.onerror = (event) => {
+                reject(new Error(`Failed to record audio: ${event.error.message}`));
+            };
+
+            source.onended = () => mediaRecorder.stop();
+
+            mediaRecorder.start();
+            source.start();
+        });
+    }
+
+    /**
+     * Update the progress
+     * @param {number} progress - The progress percentage (0-100)
+     */
+    updateProgress(progress) {
+        this.progress = Math.min(100, Math.max(0, progress));
+
+        if (this.onProgressUpdate) {
+            this.onProgressUpdate(this.progress);
+        }
+    }
+
+    /**
+     * Check if the exporter is currently processing
+     * @returns {boolean} - Whether an export is running
+     */
+    isCurrentlyProcessing() {
+        return this.isProcessing;
+    }
+}
+
+/**
+ * Start a clip's source and end it after the clip's length
+ * Clip lengths are in real seconds, so they are applied with stop() rather
+ * than as start()'s duration, which counts buffer seconds and so shrinks
+ * with the playback rate. Clips cut short fade out like a released note.
+ * @param {AudioBufferSourceNode} source - The clip's source, with its buffer, rate and loop set
+ * @param {GainNode} gain - The gain the source plays through, set to the clip's velocity
+ * @param {Object} clip - The clip ({duration, offset, loop, release, velocity})
+ * @param {number} when - The context time to start at
+ */
+export function scheduleClip(source, gain, clip, when) {
+    const offset = clip.offset || 0;
+    const end = when + clip.duration;
+    const length = (source.buffer.duration - offset) / source.playbackRate.value;
+
+    gain.gain.value = clip.velocity !== undefined ? clip.velocity : 1;
+    source.start(when, offset);
+
+    if (clip.loop || clip.duration < length - 0.001) {
+        const release = Math.min(clip.release || 0, clip.duration);
+        gain.gain.setValueAtTime(gain.gain.value, end - release);
+        gain.gain.linearRampToValueAtTime(0, end);
+        source.stop(end);
+    }
+}
+
+export default MixdownExporter;
@@ -1,5 +1,7 @@
 // fileHandler.js - Handles file operations for Web Audio Instrument
 
+import { decodeMp4Audio } from './codecs/mp4Audio.js';
+
 class FileHandler {
     constructor(audioContext) {
         this.audioContext = audioContext;
@@ -174,8 +176,14 @@ class FileHandler {
                         end: video.duration
                     };
                     
-                    // Extract audio from video
-                    const audioBuffer = await this.extractAudioFromVideo(video, sampleId);
+                    // Decode the audio track directly, capturing playback only as a fallback
+                    let audioBuffer;
+                    try {
+                        audioBuffer = await this.decodeVideoAudio(file, sampleId);
+                    } catch (error) {
+                        console.warn(`Direct decode failed for ${file.name}, capturing in real time:`, error);
+                        audioBuffer = await this.extractAudioFromVideo(video, sampleId);
+                    }
                     
                     resolve({
                         id: sampleId,
@@ -200,7 +208,30 @@ class FileHandler {
     }
     
     /**
-     * Extract audio from a video element
+     * Decode the audio track of a video file without playing it
+     * @param {File} file - The video file
+     * @param {string} sampleId - The sample ID
+     * @returns {Promise<AudioBuffer>} - Resolves with the decoded audio buffer
+     */
+    async decodeVideoAudio(file, sampleId) {
+        const arrayBuffer = await file.arrayBuffer();
+        const audioBuffer = await decodeMp4Audio(this.audioContext, arrayBuffer);
+
+        // Store the audio buffer
+        this.audioBuffers[sampleId] = audioBuffer;
+
+        if (this.onExtractComplete) {
+            this.onExtractComplete({
+                id: sampleId,
+                buffer: audioBuffer
+            });
+        }
+
+        return audioBuffer;
+    }
+
+    /**
+     * Extract audio from a video element by recording it in real time
      * @param {HTMLVideoElement} videoElement - The video element
      * @param {string} sampleId - The sample ID
      * @returns {Promise} - Resolves with the extracted audio buffer
@@ -371,6 +402,27 @@ class FileHandler {
         return this.loopPoints[sampleId] || null;
     }
     
+    /**
+     * Check whether a sample's loop points were set, rather than left at the full length
+     * @param {string} sampleId - The sample ID
+     * @returns {boolean} - True if the loop is shorter than the sample
+     */
+    hasLoopPoints(sampleId) {
+        const loopPoints = this.loopPoints[sampleId];
+        const buffer = this.audioBuffers[sampleId];
+        if (!loopPoints || !buffer) return false;
+        
+        return loopPoints.start > 0.001 || loopPoints.end < buffer.duration - 0.001;
+    }
+    
+    /**
+     * Remove a sample's loop points so it plays in full
+     * @param {string} sampleId - The sample ID
+     */
+    clearLoopPoints(sampleId) {
+        delete this.loopPoints[sampleId];
+    }
+    
     /**
      * Create a looped buffer from a sample with the current loop points
      * @param {string} sampleId - The sample ID
@@ -539,6 +591,19 @@ class FileHandler {
         return this.supportedVideoTypes.includes(file.type);
     }
     
+    /**
+     * Add an already decoded sample, e.g. from a project file
+     * @param {string} sampleId - The sample ID
+     * @param {AudioBuffer} audioBuffer - The sample audio
+     * @param {Object} loopPoints - The loop points ({start, end}), full length if omitted
+     */
+    restoreSample(sampleId, audioBuffer, loopPoints = null) {
+        this.audioBuffers[sampleId] = audioBuffer;
+        this.loopPoints[sampleId] = loopPoints
+            ? { start: loopPoints.start, end: Math.min(loopPoints.end, audioBuffer.duration) }
+            : { start: 0, end: audioBuffer.duration };
+    }
+    
     /**
      * Get all loaded samples
      * @returns {Object} - The loaded samples
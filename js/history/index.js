@@ -0,0 +1,181 @@
+// history/index.js - Undo/redo history for Web Audio Instrument
+
+/**
+ * CommandHistory class
+ * Keeps a linear list of commands ({label, undo, redo, mergeKey}) and a
+ * position in it. Commands are recorded after their change has been made;
+ * undo() and redo() replay them. Consecutive commands sharing a mergeKey
+ * within mergeWindow are folded into one step, so a slider drag undoes in
+ * a single go.
+ */
+class CommandHistory {
+    /**
+     * Create a new CommandHistory instance
+     * @param {Object} options - History settings
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || 100; // Oldest steps are dropped beyond this
+        this.mergeWindow = options.mergeWindow || 1000; // ms between merged changes
+
+        this.commands = [];
+        this.position = 0; // Number of commands currently applied
+        this.isApplying = false;
+        this.mergeTarget = null;
+
+        // Callback
+        this.onChange = null;
+    }
+
+    /**
+     * Record a change that has already been made
+     * Ignored while undoing or redoing, so setters that report back do not
+     * record their own replays
+     * @param {Object} command - The command ({label, undo, redo, mergeKey})
+     */
+    push(command) {
+        if (this.isApplying) return;
+
+        const now = Date.now();
+        const top = this.mergeTarget;
+
+        if (command.mergeKey && top && top.mergeKey === command.mergeKey && now - top.time < this.mergeWindow) {
+            // Keep the original undo, take the latest redo
+            top.redo = command.redo;
+            top.time = now;
+            this.notify();
+            return;
+        }
+
+        // A new change discards anything that was undone
+        this.commands.splice(this.position);
+        this.commands.push({ ...command, time: now });
+
+        if (this.commands.length > this.limit) {
+            this.commands.splice(0, this.commands.length - this.limit);
+        }
+
+        this.position = this.commands.length;
+        this.mergeTarget = this.commands[this.position - 1];
+        this.notify();
+    }
+
+    /**
+     * Make a change and record it
+     * @param {Object} command - The command ({label, undo, redo, mergeKey})
+     */
+    execute(command) {
+        this.apply(() => command.redo());
+        this.push(command);
+    }
+
+    /**
+     * Undo the last applied command
+     * @returns {boolean} - Whether anything was undone
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+
+        this.position -= 1;
+        this.apply(() => this.commands[this.position].undo());
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Redo the next undone command
+     * @returns {boolean} - Whether anything was redone
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        this.apply(() => this.commands[this.position].redo());
+        this.position += 1;
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Undo or redo until a given number of commands are applied
+     * @param {number} position - 0 for the initial state, up to the number of commands
+     */
+    jumpTo(position) {
+        const target = Math.max(0, Math.min(this.commands.length, position));
+
+        while (this.position > target) {
+            this.position -= 1;
+            this.apply(() => this.commands[this.position].undo());
+        }
+
+        while (this.position < target) {
+            this.apply(() => this.commands[this.position].redo());
+            this.position += 1;
+        }
+
+        this.notify();
+    }
+
+    /**
+     * Check whether there is anything to undo
+     * @returns {boolean} - True if a command can be undone
+     */
+    canUndo() {
+        return this.position > 0;
+    }
+
+    /**
+     * Check whether there is anything to redo
+     * @returns {boolean} - True if a command can be redone
+     */
+    canRedo() {
+        return this.position < this.commands.length;
+    }
+
+    /**
+     * Get the history for display
+     * @returns {Object} - The history ({entries: [{label, time}], position})
+     */
+    getState() {
+        return {
+            entries: this.commands.map(({ label, time }) => ({ label, time })),
+            position: this.position
+        };
+    }
+
+    /**
+     * Forget every command, e.g. when a different project is loaded
+     */
+    clear() {
+        this.commands = [];
+        this.position = 0;
+        this.mergeTarget = null;
+        this.notify();
+    }
+
+    /**
+     * Run an undo or redo without recording what it triggers
+     * @param {Function} action - The undo or redo function
+     */
+    apply(action) {
+        this.isApplying = true;
+        this.mergeTarget = null;
+
+        try {
+            action();
+        } catch (error) {
+            console.error('Error applying history step:', error);
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * Report a change to the history
+     */
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.getState());
+        }
+    }
+}
+
+export default CommandHistory;
@@ -4,8 +4,27 @@
 import UI from './ui.js';
 import FileHandler from './fileHandler.js';
 import AudioEngine from './audioEngine.js';
-import { FilterEffect, DelayEffect, ReverbEffect, CompressorEffect } from './effects/index.js';
+import { DelayEffect, ReverbEffect, effectTypes } from './effects/index.js';
+import EffectsRack from './effects/rack.js';
+import PresetManager from './presets/index.js';
+import { glideParams } from './presets/glide.js';
+import { encodeProject, decodeProject, PROJECT_EXTENSION } from './project/index.js';
+import AutosaveManager from './project/autosave.js';
+import CommandHistory from './history/index.js';
+import PatternBank, { PARAM_LOCKS } from './sequencer/index.js';
+import { euclidean, randomSteps, mutateSteps } from './sequencer/generators.js';
+import Song from './sequencer/song.js';
+import Groove from './sequencer/groove.js';
+import ChromaticSampler, { noteName, ROOT_NOTES } from './sampler/index.js';
+import VoicePool from './sampler/voices.js';
+import MidiInput, { padKey, padNote } from './midi/index.js';
+import { createMockMIDIAccess } from './midi/mock.js';
+import MidiMappings from './midi/mappings.js';
+import MidiClock, { CLOCK, START, CONTINUE, STOP, songPositionMessage } from './midi/clock.js';
 import SongDissector from './dissector/index.js';
+import Scheduler from './scheduler.js';
+import MixdownExporter, { scheduleClip } from './export/index.js';
+import Mixer from './mixer/index.js';
 
 // Main application class
 class App {
@@ -18,13 +37,23 @@ class App {
         this.fileHandler = null;
         this.audioEngine = null;
         this.songDissector = null;
-
-        // Effect instances
+        this.scheduler = null;
+        this.exporter = null;
+        this.mixer = null;
+
+        // Insert effects rack and aux return effects
+        this.effectsRack = null;
+        this.presets = new PresetManager();
+        this.presetGlideTime = 0.3; // Seconds to glide into a loaded preset
+        this.autosave = new AutosaveManager();
+        this.recoveryPoints = [];
+        this.autosaveListenersAdded = false;
+
+        // Undo/redo
+        this.history = new CommandHistory();
         this.effects = {
-            filter: null,
             delay: null,
-            reverb: null,
-            compressor: null
+            reverb: null
         };
 
         // Song dissector state
@@ -34,17 +63,69 @@ class App {
         // Playback state
         this.isPlaying = false;
         this.currentBPM = 120;
-        this.sequencerInterval = null;
+        this.metronomeEnabled = false;
         this.currentStep = 0;
         this.totalSteps = 16;
+        this.patternTick = 0; // 16ths since the current pattern started, for rows with their own length and rate
+
+        // Sequencer patterns
+        this.patterns = new PatternBank(this.totalSteps);
+        this.lockEditorStep = null; // {sampleId, step} whose parameter locks are open
+
+        // Song arrangement; 'pattern' mode loops the current pattern, 'song' mode plays the chain
+        this.song = new Song();
+        this.playMode = 'pattern';
+
+        // Swing and groove templates, shared by sequencer playback and timeline quantize
+        this.groove = new Groove();
 
         // Recording state
         this.isRecording = false;
         this.recordedEvents = [];
         this.recordStartTime = 0;
+        this.recordBarTime = null; // Context time of the transport's bar 1 during the take, or null if it never ran
 
-        // Keyboard bindings
+        // Timeline clips that are playing or scheduled, so stopping cuts them off
+        this.timelineSources = new Set();
+
+        // Context time the last scheduled filter lock ends; rows share the one rack filter
+        this.filterLockEnd = 0;
+
+        // Keyboard bindings and how each key plays ('oneshot', 'gate', 'toggle' or 'loop')
         this.keyBindings = {};
+        this.keyModes = {}; // Keys missing here are one-shots
+        this.keyChokes = {}; // Key -> choke group (1-8) its notes belong to
+        this.heldKeys = {}; // Key -> {voice, mode, event, startTime} for notes waiting on a note-off
+        this.releaseTime = 0.05; // Fade on note-off, in seconds
+
+        // Chromatic mode: one sample played at a different pitch on every key
+        this.sampler = new ChromaticSampler();
+
+        // Sounding sample voices, for choke groups and per-sample polyphony limits
+        this.voices = new VoicePool();
+
+        // MIDI notes play bound pads, or the chromatic sampler; pads bind as 'midi-<note>' keys
+        this.midi = new MidiInput();
+        this.midi.onNoteOn = (note, velocity) => this.handleMidiNoteOn(note, velocity);
+        this.midi.onNoteOff = (note) => this.releaseKey(padKey(note));
+        this.midi.onStateChange = (names) => {
+            this.ui.setMidiStatus(names);
+            this.ui.setMidiOutputs(this.midi.getOutputs());
+        };
+
+        // MIDI CCs move the sliders mapped to them
+        this.midiMappings = new MidiMappings();
+        this.midi.onControlChange = (cc, value, channel) => this.handleMidiControlChange(cc, value, channel);
+
+        // MIDI clock: the transport can follow a drum machine's, and send its own
+        this.midiClock = new MidiClock();
+        this.clockSync = false; // Tempo, start, stop and song position follow incoming clock
+        this.clockOutputId = null; // Output our clock is sent to
+        this.midi.onClock = (timestamp) => this.handleMidiClock(timestamp);
+        this.midi.onStart = () => this.handleMidiStart(0);
+        this.midi.onContinue = () => this.handleMidiStart(this.midiClock.getStep());
+        this.midi.onStop = () => this.handleMidiStop();
+        this.midi.onSongPosition = (step) => this.midiClock.setSongPosition(step);
 
         // Initialize the application
         this.init();
@@ -60,6 +141,27 @@ class App {
         // Set up UI callbacks
         this.setupUICallbacks();
 
+        // Show the undo history as it changes
+        this.history.onChange = (state) => this.ui.renderHistory(state);
+        this.ui.renderHistory(this.history.getState());
+
+        // Show the first sequencer pattern
+        this.showPattern();
+        this.updateGrooveList();
+
+        // Chromatic keyboard
+        this.ui.setRootNotes(ROOT_NOTES.map(note => ({ note, name: noteName(note) })));
+        this.updateChromaticKeyboard();
+
+        // Load saved presets
+        this.presets.onPresetsChange = () => {
+            if (this.effectsRack) this.refreshEffectsRack();
+        };
+        this.presets.initialize();
+
+        // Offer to restore a crashed session, then keep autosaving
+        this.checkForRecovery();
+
         // Create audio context on user interaction
         document.addEventListener('click', () => this.initAudio(), { once: true });
     }
@@ -87,6 +189,22 @@ class App {
             this.songDissector = new SongDissector(this.audioContext);
             this.songDissector.initialize(this.audioContext);
 
+            // Initialize transport scheduler
+            this.scheduler = new Scheduler(this.audioContext);
+            this.scheduler.initialize(this.audioContext, this.audioContext.destination);
+            this.scheduler.setTempo(this.currentBPM);
+            this.scheduler.setTotalSteps(this.totalSteps);
+            this.scheduler.setMetronomeEnabled(this.metronomeEnabled);
+            this.scheduler.onStep = (step, time, stepCount) => {
+                this.sendMidiClock(time);
+                this.playNextStep(step, time, stepCount);
+            };
+
+            // Initialize mixdown exporter
+            this.exporter = new MixdownExporter(this.audioContext);
+            this.exporter.initialize(this.audioContext);
+            this.exporter.onProgressUpdate = (progress) => this.ui.updateExportProgress(progress);
+
             // Set up file handler callbacks
             this.setupFileHandlerCallbacks();
 
@@ -96,6 +214,9 @@ class App {
             // Create effects
             this.createEffects();
 
+            // Create track mixer
+            this.createMixer();
+
             // Create track editor UI
             this.ui.createTrackEditor();
 
@@ -116,7 +237,18 @@ class App {
         // Transport controls
         this.ui.setCallback('onPlay', () => this.togglePlay());
         this.ui.setCallback('onStop', () => this.stopPlayback());
-        this.ui.setCallback('onTempoChange', (tempo) => this.updateTempo(tempo));
+        this.ui.setCallback('onTempoChange', (tempo) => this.changeTempo(tempo));
+        this.ui.setCallback('onMetronomeToggle', (enabled) => this.changeMetronome(enabled));
+        this.ui.setCallback('onPlayModeChange', (mode) => this.changePlayMode(mode));
+
+        // History
+        this.ui.setCallback('onUndo', () => this.history.undo());
+        this.ui.setCallback('onRedo', () => this.history.redo());
+        this.ui.setCallback('onHistoryJump', (position) => this.history.jumpTo(position));
+
+        // Project
+        this.ui.setCallback('onProjectSave', () => this.saveProject());
+        this.ui.setCallback('onProjectOpen', (file) => this.openProject(file));
 
         // File handling
         this.ui.setCallback('onFilesDrop', (files) => this.handleFiles(files));
@@ -130,22 +262,59 @@ class App {
         this.ui.setCallback('onLayerVolumeChange', (layerId, volume) => this.handleLayerVolumeChange(layerId, volume));
 
         // Effects controls
-        this.ui.setCallback('onFilterChange', (freq) => this.updateFilterFrequency(freq));
-        this.ui.setCallback('onReverbChange', (level) => this.updateReverbLevel(level));
-        this.ui.setCallback('onDelayChange', (time) => this.updateDelayTime(time));
+        this.ui.setCallback('onFilterChange', (freq) => this.changeFilterFrequency(freq));
+        this.ui.setCallback('onReverbChange', (level) => this.changeReverbLevel(level));
+        this.ui.setCallback('onDelayChange', (time) => this.changeDelayTime(time));
+        this.ui.setCallback('onCompressorChange', (threshold) => this.changeCompressorThreshold(threshold));
 
         // Sequencer controls
         this.ui.setCallback('onSequencerCellToggle', (sampleId, step, isActive) => this.handleSequencerCellToggle(sampleId, step, isActive));
+        this.ui.setCallback('onSequencerStepEdit', (sampleId, step, changes) => this.editSequencerStep(sampleId, step, changes));
+        this.ui.setCallback('onRowSettingsChange', (sampleId, changes) => this.changeRowSettings(sampleId, changes));
+        this.ui.setCallback('onStepLockOpen', (sampleId, step) => this.openStepLocks(sampleId, step));
+        this.ui.setCallback('onStepLockChange', (sampleId, step, name, value) => this.changeStepLock(sampleId, step, name, value));
+        this.ui.setCallback('onStepLockClose', () => this.closeStepLocks());
+        this.ui.setCallback('onRowGenerate', (sampleId, options) => this.generateRow(sampleId, options));
         this.ui.setCallback('onSequencerClear', () => this.clearSequencer());
         this.ui.setCallback('onStepsChange', (steps) => this.changeStepCount(steps));
+        this.ui.setCallback('onPatternSelect', (patternId) => this.selectPattern(patternId));
+        this.ui.setCallback('onPatternAdd', () => this.addPattern());
+        this.ui.setCallback('onPatternCopy', () => this.copyPattern());
+        this.ui.setCallback('onPatternPaste', () => this.pastePattern());
+        this.ui.setCallback('onPatternDuplicate', () => this.duplicatePattern());
+
+        // Groove
+        this.ui.setCallback('onGrooveChange', (templateId) => this.changeGroove(templateId));
+        this.ui.setCallback('onSwingChange', (amount) => this.changeSwingAmount(amount));
+        this.ui.setCallback('onGrooveExtract', () => this.extractGroove());
+        this.ui.setCallback('onTimelineQuantize', () => this.quantizeTimeline());
+
+        // Song arrangement
+        this.ui.setCallback('onSongAdd', () => this.addPatternToSong());
+        this.ui.setCallback('onSongEntryChange', (index, changes) => this.changeSongEntry(index, changes));
+        this.ui.setCallback('onSongEntryRemove', (index) => this.removeSongEntry(index));
+        this.ui.setCallback('onSongEntryMove', (from, to) => this.moveSongEntry(from, to));
+        this.ui.setCallback('onSongRender', () => this.renderSongToTimeline());
 
         // Loop controls
         this.ui.setCallback('onLoopPointsChange', (sampleId, start, end) => this.setLoopPoints(sampleId, start, end));
 
         // Keyboard binding
-        this.ui.setCallback('onKeyBind', (key, sampleId) => this.bindKeyToSample(key, sampleId));
-        this.ui.setCallback('onKeyTrigger', (key, sampleId) => this.triggerSample(sampleId));
+        this.ui.setCallback('onKeyBind', (key, sampleId, mode, chokeGroup) => this.bindKeyToSample(key, sampleId, mode, chokeGroup));
+        this.ui.setCallback('onKeyTrigger', (key, sampleId) => this.triggerSample(sampleId, key));
+        this.ui.setCallback('onKeyRelease', (key) => this.releaseKey(key));
+        this.ui.setCallback('onPadRemove', (key) => this.unbindKey(key));
+        this.ui.setCallback('onMidiEnable', () => this.enableMidi());
+        this.ui.setCallback('onMidiLearn', (active) => this.toggleMidiLearn(active));
+        this.ui.setCallback('onControlLearn', (controlId) => this.learnControl(controlId));
+        this.ui.setCallback('onControlMappingChange', (controlId, changes) => this.changeControlMapping(controlId, changes));
+        this.ui.setCallback('onControlMappingRemove', (controlId) => this.removeControlMapping(controlId));
+        this.ui.setCallback('onClockSyncChange', (enabled) => this.setClockSync(enabled));
+        this.ui.setCallback('onClockOutputChange', (outputId) => this.setClockOutput(outputId));
         this.ui.setCallback('onClearBindings', () => this.clearKeyBindings());
+        this.ui.setCallback('onKeyNote', (key) => this.playKeyNote(key));
+        this.ui.setCallback('onChromaticChange', (changes) => this.changeChromatic(changes));
+        this.ui.setCallback('onOctaveShift', (delta) => this.shiftOctave(delta));
 
         // Recording
         this.ui.setCallback('onStartRecording', () => this.startRecording());
@@ -153,9 +322,50 @@ class App {
 
         // Timeline
         this.ui.setCallback('onPlayTimeline', () => this.playTimeline());
-        this.ui.setCallback('onClearTimeline', () => this.clearTimeline());
-        this.ui.setCallback('onExportTimeline', () => this.exportTimeline());
-        this.ui.setCallback('onClipEdit', (clip) => this.updateClip(clip));
+        this.ui.setCallback('onClearTimeline', (removed) => this.clearTimeline(removed));
+        this.ui.setCallback('onExportTimeline', (format) => this.exportTimeline(format));
+        this.ui.setCallback('onClipEdit', (clip, element, previous) => this.updateClip(clip, element, previous));
+
+        // Track mixer
+        this.ui.setCallback('onTrackVolumeChange', (trackId, volume) => this.changeTrackStrip(trackId, 'Track volume', { volume }));
+        this.ui.setCallback('onTrackPanChange', (trackId, pan) => this.changeTrackStrip(trackId, 'Track pan', { pan }));
+        this.ui.setCallback('onTrackMute', (trackId, isMute) => this.changeTrackStrip(trackId, isMute ? 'Mute track' : 'Unmute track', { mute: isMute }));
+        this.ui.setCallback('onTrackSolo', (trackId, isSolo) => this.changeTrackStrip(trackId, isSolo ? 'Solo track' : 'Unsolo track', { solo: isSolo }));
+        this.ui.setCallback('onRackAddEffect', (type) => this.addRackEffect(type));
+        this.ui.setCallback('onRackRemoveEffect', (slotId) => this.removeRackEffect(slotId));
+        this.ui.setCallback('onRackMoveEffect', (slotId, index) => this.moveRackEffect(slotId, index));
+        this.ui.setCallback('onRackBypass', (slotId, bypassed) => this.setRackBypass(slotId, bypassed));
+        this.ui.setCallback('onRackParamChange', (slotId, param, value) => this.setRackEffectParam(slotId, param, value));
+        this.ui.setCallback('onEffectPresetLoad', (slotId, presetId) => this.loadEffectPreset(slotId, presetId));
+        this.ui.setCallback('onEffectPresetSave', (slotId, name) => this.saveEffectPreset(slotId, name));
+        this.ui.setCallback('onRackPresetLoad', (presetId) => this.loadRackPreset(presetId));
+        this.ui.setCallback('onRackPresetSave', (name) => this.saveRackPreset(name));
+        this.ui.setCallback('onPresetsExport', () => this.exportPresets());
+        this.ui.setCallback('onPresetsImport', (file) => this.importPresets(file));
+        this.ui.setCallback('onTrackSendChange', (trackId, busId, amount) => this.changeTrackStrip(trackId, 'Track send', { sends: { [busId]: amount } }));
+        this.ui.setCallback('onSampleSendChange', (sampleId, busId, amount) => this.changeSampleSend(sampleId, busId, amount));
+        this.ui.setCallback('onSampleVoicesChange', (sampleId, settings) => this.changeSampleVoices(sampleId, settings));
+
+        // Session recovery
+        this.ui.setCallback('onRecoveryRestore', (pointId) => this.restoreSession(pointId));
+        this.ui.setCallback('onRecoveryDiscard', () => this.discardSession());
+    }
+
+    /**
+     * Record a change that has already been made so it can be undone
+     * @param {string} label - The history label
+     * @param {*} previous - The value before the change
+     * @param {*} value - The value after the change
+     * @param {Function} apply - Sets a value in both the audio state and the UI
+     * @param {string} mergeKey - Changes with the same key in quick succession undo as one step
+     */
+    recordChange(label, previous, value, apply, mergeKey = null) {
+        this.history.push({
+            label,
+            undo: () => apply(previous),
+            redo: () => apply(value),
+            mergeKey
+        });
     }
 
     /**
@@ -189,26 +399,342 @@ class App {
      * Create audio effects
      */
     createEffects() {
-        // Create filter effect
-        this.effects.filter = new FilterEffect(this.audioContext);
-
-        // Create delay effect
+        // Insert rack, starting with Filter -> Compressor
+        // Mixer -> Rack -> Analyser -> Master
+        this.effectsRack = new EffectsRack(this.audioContext);
+        this.effectsRack.addEffect('filter');
+        this.effectsRack.addEffect('compressor');
+        this.effectsRack.connect(this.audioEngine.getAnalyser());
+
+        // Delay and Reverb are wired as aux returns in createMixer()
         this.effects.delay = new DelayEffect(this.audioContext);
-
-        // Create reverb effect
         this.effects.reverb = new ReverbEffect(this.audioContext);
 
-        // Create compressor effect
-        this.effects.compressor = new CompressorEffect(this.audioContext);
+        this.ui.setEffectTypes(Object.keys(effectTypes).map(type => ({ type, name: effectTypes[type].name })));
+        this.refreshEffectsRack();
+    }
+
+    /**
+     * Redraw the effects rack UI from the rack's slots
+     */
+    refreshEffectsRack() {
+        this.ui.renderEffectsRack(this.effectsRack.getSlots().map(slot => ({
+            id: slot.id,
+            name: slot.name,
+            bypassed: slot.bypassed,
+            params: slot.effect.getParams(),
+            ranges: effectTypes[slot.type].params,
+            presets: this.presets.getPresets(slot.type).map(({ id, name, factory }) => ({ id, name, factory }))
+        })));
+
+        this.ui.updateRackPresets(this.presets.getPresets('rack').map(({ id, name, factory }) => ({ id, name, factory })));
+    }
+
+    /**
+     * Add an effect instance to the end of the rack
+     * @param {string} type - The effect type ID
+     */
+    addRackEffect(type) {
+        const previous = this.effectsRack.getParams();
+        this.effectsRack.addEffect(type);
+        this.refreshEffectsRack();
+        this.recordRackLayout(`Add ${effectTypes[type].name}`, previous);
+    }
+
+    /**
+     * Remove an effect instance from the rack
+     * @param {string} slotId - The rack slot ID
+     */
+    removeRackEffect(slotId) {
+        const slot = this.effectsRack.getSlot(slotId);
+        if (!slot) return;
+
+        const previous = this.effectsRack.getParams();
+        this.effectsRack.removeEffect(slotId);
+        this.refreshEffectsRack();
+        this.recordRackLayout(`Remove ${slot.name}`, previous);
+    }
+
+    /**
+     * Move an effect instance within the rack
+     * @param {string} slotId - The rack slot ID
+     * @param {number} index - The new position
+     */
+    moveRackEffect(slotId, index) {
+        const slot = this.effectsRack.getSlot(slotId);
+        if (!slot) return;
+
+        const previous = this.effectsRack.getParams();
+        this.effectsRack.moveEffect(slotId, index);
+        this.refreshEffectsRack();
+        this.recordRackLayout(`Move ${slot.name}`, previous);
+    }
+
+    /**
+     * Bypass or re-enable a rack effect
+     * @param {string} slotId - The rack slot ID
+     * @param {boolean} bypassed - Whether the effect is bypassed
+     */
+    setRackBypass(slotId, bypassed) {
+        const slot = this.effectsRack.getSlot(slotId);
+        if (!slot) return;
+
+        const index = this.effectsRack.getSlots().indexOf(slot);
+        const previous = slot.bypassed;
+        this.effectsRack.setBypass(slotId, bypassed);
+
+        // Slots are found by position, as rebuilding the rack gives them new IDs
+        this.recordChange(`${bypassed ? 'Bypass' : 'Enable'} ${slot.name}`, previous, bypassed, (value) => {
+            const target = this.effectsRack.getSlots()[index];
+            if (target) this.effectsRack.setBypass(target.id, value);
+            this.refreshEffectsRack();
+        });
+    }
+
+    /**
+     * Record a change to the rack layout
+     * @param {string} label - The history label
+     * @param {Array<Object>} previous - The rack parameters before the change
+     */
+    recordRackLayout(label, previous) {
+        this.recordChange(label, previous, this.effectsRack.getParams(), (layout) => {
+            this.effectsRack.setParams(layout);
+            this.refreshEffectsRack();
+        });
+    }
+
+    /**
+     * Change one parameter of a rack effect
+     * @param {string} slotId - The rack slot ID
+     * @param {string} param - The parameter name
+     * @param {number|string} value - The new value
+     */
+    setRackEffectParam(slotId, param, value) {
+        const slot = this.effectsRack.getSlot(slotId);
+        if (!slot) return;
+
+        const index = this.effectsRack.getSlots().indexOf(slot);
+        const previous = slot.effect.getParams()[param];
+        slot.effect.setParams({ [param]: value });
+
+        this.recordChange(`${slot.name} ${param}`, previous, value, (paramValue) => {
+            const target = this.effectsRack.getSlots()[index];
+            if (target) target.effect.setParams({ [param]: paramValue });
+            this.refreshEffectsRack();
+        }, `rack:${index}:${param}`);
+    }
+
+    /**
+     * Glide a rack effect to a preset
+     * @param {string} slotId - The rack slot ID
+     * @param {string} presetId - The preset ID
+     */
+    async loadEffectPreset(slotId, presetId) {
+        const slot = this.effectsRack.getSlot(slotId);
+        const preset = this.presets.getPreset(presetId);
+        if (!slot || !preset || preset.type !== slot.type) return;
+
+        const index = this.effectsRack.getSlots().indexOf(slot);
+        const previous = slot.effect.getParams();
+
+        this.recordChange(`${slot.name} preset: ${preset.name}`, previous, preset.params, async (params) => {
+            const target = this.effectsRack.getSlots()[index];
+            if (!target || target.type !== slot.type) return;
+
+            await glideParams(target.effect, effectTypes[target.type].params, params, this.presetGlideTime);
+            this.refreshEffectsRack();
+        });
+
+        await glideParams(slot.effect, effectTypes[slot.type].params, preset.params, this.presetGlideTime);
+        this.refreshEffectsRack();
+    }
+
+    /**
+     * Save a rack effect's current settings as a preset
+     * @param {string} slotId - The rack slot ID
+     * @param {string} name - The preset name
+     */
+    async saveEffectPreset(slotId, name) {
+        const slot = this.effectsRack.getSlot(slotId);
+        if (!slot) return;
+
+        try {
+            await this.presets.savePreset(slot.type, name, slot.effect.getParams());
+        } catch (error) {
+            console.error('Error saving preset:', error);
+            alert(`Error saving preset: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load a whole-rack preset
+     * Glides the parameters when the rack already has the same effects in
+     * the same order, otherwise rebuilds the rack
+     * @param {string} presetId - The preset ID
+     */
+    async loadRackPreset(presetId) {
+        const preset = this.presets.getPreset(presetId);
+        if (!preset || preset.type !== 'rack') return;
+
+        this.recordChange(`Rack preset: ${preset.name}`, this.effectsRack.getParams(), preset.params,
+            (layout) => this.applyRackLayout(layout));
+
+        await this.applyRackLayout(preset.params);
+    }
+
+    /**
+     * Bring the rack to a layout, gliding if it already has the same effects
+     * @param {Array<Object>} layout - One entry per slot ({type, bypassed, params})
+     */
+    async applyRackLayout(layout) {
+        const slots = this.effectsRack.getSlots();
+        const sameLayout = slots.length === layout.length &&
+            slots.every((slot, i) => slot.type === layout[i].type);
+
+        if (sameLayout) {
+            await Promise.all(slots.map((slot, i) => {
+                this.effectsRack.setBypass(slot.id, !!layout[i].bypassed);
+                return glideParams(slot.effect, effectTypes[slot.type].params, layout[i].params, this.presetGlideTime);
+            }));
+        } else {
+            this.effectsRack.setParams(layout);
+        }
+
+        this.refreshEffectsRack();
+    }
+
+    /**
+     * Save the whole rack as a preset
+     * @param {string} name - The preset name
+     */
+    async saveRackPreset(name) {
+        try {
+            await this.presets.savePreset('rack', name, this.effectsRack.getParams());
+        } catch (error) {
+            console.error('Error saving preset:', error);
+            alert(`Error saving preset: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download all user presets as a JSON file
+     */
+    exportPresets() {
+        this.downloadBlob(this.presets.exportPresets(), 'presets.json');
+    }
+
+    /**
+     * Import presets from a JSON file
+     * @param {File} file - The JSON file
+     */
+    async importPresets(file) {
+        try {
+            const count = await this.presets.importPresets(file);
+            console.log(`Imported ${count} presets`);
+        } catch (error) {
+            console.error('Error importing presets:', error);
+            alert(`Error importing presets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create the track mixer with a channel strip per timeline track
+     */
+    createMixer() {
+        this.mixer = new Mixer(this.audioContext);
+        this.mixer.connect(this.effectsRack.getInputNode());
+
+        // Shared send/return buses
+        this.mixer.createBus('reverb', this.effects.reverb);
+        this.mixer.createBus('delay', this.effects.delay);
+
+        this.ui.getTracks().forEach(track => {
+            this.mixer.createStrip(track.id, track.name);
+            this.ui.addTrackStrip(track.id);
+        });
+
+        this.startMeterAnimation();
+    }
+
+    /**
+     * Change a track's channel strip from the UI
+     * @param {string} trackId - The track ID
+     * @param {string} label - The history label
+     * @param {Object} params - The parameters to change ({volume, pan, mute, solo, sends})
+     */
+    changeTrackStrip(trackId, label, params) {
+        const strip = this.mixer.getStrip(trackId);
+        if (!strip) return;
+
+        const previous = strip.getParams();
+        this.applyTrackStrip(trackId, params);
+
+        // Slider drags merge into one step, button presses do not
+        const isContinuous = params.volume !== undefined || params.pan !== undefined || params.sends;
+        const mergeKey = isContinuous ? `track:${trackId}:${Object.keys(params.sends || params)[0]}` : null;
+        this.recordChange(label, previous, strip.getParams(), (value) => {
+            this.applyTrackStrip(trackId, value);
+            this.ui.setTrackStrip(trackId, value);
+        }, mergeKey);
+    }
+
+    /**
+     * Set channel strip parameters through the mixer, so solo is resolved across tracks
+     * @param {string} trackId - The track ID
+     * @param {Object} params - The parameters ({volume, pan, mute, solo, sends})
+     */
+    applyTrackStrip(trackId, params) {
+        if (params.volume !== undefined) this.mixer.setVolume(trackId, params.volume);
+        if (params.pan !== undefined) this.mixer.setPan(trackId, params.pan);
+        if (params.mute !== undefined) this.mixer.setMute(trackId, params.mute);
+        if (params.solo !== undefined) this.mixer.setSolo(trackId, params.solo);
+
+        for (const busId in params.sends || {}) {
+            this.mixer.setSend(trackId, busId, params.sends[busId]);
+        }
+    }
+
+    /**
+     * Change a sample's send level from the UI
+     * @param {string} sampleId - The sample ID
+     * @param {string} busId - The bus ID
+     * @param {number} amount - The send level (0-1)
+     */
+    changeSampleSend(sampleId, busId, amount) {
+        const previous = this.mixer.getSampleStrip(sampleId).getParams().sends[busId] || 0;
+        this.mixer.setSampleSend(sampleId, busId, amount);
+
+        this.recordChange('Sample send', previous, amount, (value) => {
+            this.mixer.setSampleSend(sampleId, busId, value);
+            this.ui.setSampleSends(sampleId, { [busId]: value });
+        }, `sample:${sampleId}:${busId}`);
+    }
+
+    /**
+     * Change a sample's polyphony limit or how it steals voices
+     * @param {string} sampleId - The sample ID
+     * @param {Object} settings - Any of limit (0 for no limit) and steal ('oldest' or 'quietest')
+     */
+    changeSampleVoices(sampleId, settings) {
+        const previous = this.voices.getLimit(sampleId);
+        this.voices.setLimit(sampleId, settings);
+
+        this.recordChange('Sample voices', previous, this.voices.getLimit(sampleId), (value) => {
+            this.voices.setLimit(sampleId, value);
+            this.ui.setSampleVoices(sampleId, value);
+        }, `voices:${sampleId}`);
+    }
 
-        // Connect effects chain
-        // Source -> Filter -> Delay -> Reverb -> Compressor -> Destination
-        const destination = this.audioEngine.getMasterGain();
+    /**
+     * Keep the track input meters moving
+     */
+    startMeterAnimation() {
+        const updateMeters = () => {
+            this.ui.updateTrackMeters(this.mixer.getLevels());
+            requestAnimationFrame(updateMeters);
+        };
 
-        this.effects.compressor.connect(this.audioEngine.getAnalyser(), destination);
-        this.effects.reverb.connect(this.audioEngine.getAnalyser(), this.effects.compressor.getNode());
-        this.effects.delay.connect(this.audioEngine.getAnalyser(), this.effects.reverb.getInputNode());
-        this.effects.filter.connect(this.audioEngine.getAnalyser(), this.effects.delay.getInputNode());
+        requestAnimationFrame(updateMeters);
     }
 
     /**
@@ -238,8 +764,10 @@ class App {
 
     /**
      * Start playback
+     * @param {number} startStep - The song position to start from, in steps
+     * @param {number} startTime - The audio context time of the first step; shortly from now if omitted
      */
-    startPlayback() {
+    startPlayback(startStep = 0, startTime = null) {
         if (!this.audioContext) {
             this.initAudio();
         }
@@ -249,63 +777,222 @@ class App {
             this.audioContext.resume();
         }
 
-        // Calculate interval based on tempo
-        const intervalTime = (60 / this.currentBPM) * 1000 / 4; // 16th notes
+        // Songs always play from the top
+        if (this.playMode === 'song' && !this.song.isEmpty()) {
+            this.patterns.selectPattern(this.song.rewind().patternId);
+            this.showPattern();
+            this.updateSongList();
+        }
+
+        // Devices following our clock start with us
+        if (this.clockOutputId) {
+            this.midi.send(this.clockOutputId, songPositionMessage(startStep));
+            this.midi.send(this.clockOutputId, [startStep === 0 ? START : CONTINUE]);
+        }
 
         // Start sequencer
-        this.currentStep = 0;
-        this.sequencerInterval = setInterval(() => this.playNextStep(), intervalTime);
+        this.currentStep = startStep % this.totalSteps;
+        this.patternTick = startStep;
+        this.scheduler.start(startStep, startTime);
+
+        // A take started before the transport lines up with the bars from here
+        if (this.isRecording && this.recordBarTime === null) {
+            this.recordBarTime = this.scheduler.getStepCountTime(0);
+        }
     }
 
     /**
-     * Play the next sequencer step
+     * Schedule a sequencer step
+     * @param {number} step - The step number
+     * @param {number} time - The audio context time the step starts at
+     * @param {number} stepCount - Steps since the start of bar 1
      */
-    playNextStep() {
-        // Update UI to highlight current step
-        const stepCells = this.ui.updateCurrentStep(this.currentStep);
+    playNextStep(step, time, stepCount = step) {
+        if (this.playMode === 'song' && !this.song.isEmpty()) {
+            // Each time the pattern wraps, move on through the song
+            if (step === 0 && stepCount > 0) {
+                const previousIndex = this.song.index;
+                const entry = this.song.advance();
+                if (!entry) {
+                    this.scheduler.stop();
+                    this.scheduler.scheduleVisual(time, () => {
+                        if (this.isPlaying) this.ui.stop();
+                        this.updateSongList();
+                    });
+                    return;
+                }
 
-        // Play active cells
-        stepCells.forEach(cell => {
-            if (cell.classList.contains('active')) {
-                const sampleId = cell.dataset.sample;
-                this.playSample(sampleId);
+                this.patterns.selectPattern(entry.patternId);
+                this.totalSteps = this.patterns.getPattern().steps;
+                this.scheduler.setTotalSteps(this.totalSteps);
+                this.scheduler.setCurrentStep(0);
 
-                // Record the event if recording
-                if (this.isRecording) {
-                    this.recordEvent({
-                        type: 'sequencer',
-                        sampleId: sampleId,
-                        time: (performance.now() - this.recordStartTime) / 1000,
-                        duration: 0.25 // Default duration for sequencer events
-                    });
+                // Rows start over with each song entry, but run on through its repeats
+                if (this.song.index !== previousIndex) {
+                    this.patternTick = 0;
+                }
+
+                this.scheduler.scheduleVisual(time, () => {
+                    this.showPattern();
+                    this.updateSongList();
+                });
+            }
+        } else if (this.patterns.queuedId !== null && stepCount % this.scheduler.getStepsPerBar() === 0) {
+            // Queued pattern switches land on the next bar
+            this.patterns.applyQueuedPattern();
+            this.totalSteps = this.patterns.getPattern().steps;
+            this.scheduler.setTotalSteps(this.totalSteps);
+            this.scheduler.setCurrentStep(0);
+            step = 0;
+            this.patternTick = 0;
+
+            this.scheduler.scheduleVisual(time, () => this.showPattern());
+        }
+
+        this.currentStep = step;
+        const tick = this.patternTick++;
+
+        // Every row steps through its own length at its own rate
+        const stepDuration = this.scheduler.getStepDuration();
+        const grooveOffset = this.groove.getOffset(stepCount);
+
+        this.ui.getLoadedSamples().forEach(({ id: sampleId }) => {
+            const { ticks } = this.patterns.getRowSettings(sampleId);
+
+            this.patterns.getRowStepsInTick(sampleId, tick).forEach(({ step: rowStep, offset }) => {
+                const rowTime = time + offset * stepDuration;
+
+                // Move the row's playhead when the step is actually heard
+                this.scheduler.scheduleVisual(rowTime, () => {
+                    if (this.isPlaying) this.ui.updateRowStep(sampleId, rowStep);
+                });
+
+                if (this.patterns.isStepActive(sampleId, rowStep)) {
+                    this.playStep(sampleId, rowStep, rowTime + grooveOffset * stepDuration, ticks * stepDuration);
                 }
+            });
+        });
+    }
+
+    /**
+     * Play an active step with its velocity, probability, ratchets, micro-timing and parameter locks
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The row step
+     * @param {number} time - The audio context time the step starts at
+     * @param {number} duration - The length of the row's steps in seconds
+     */
+    playStep(sampleId, step, time, duration) {
+        const params = this.patterns.getStepParams(sampleId, step);
+        if (Math.random() >= params.probability) return;
+
+        // Early steps cannot start before now
+        const start = Math.max(this.audioContext.currentTime, time + params.offset * duration);
+        const interval = duration / params.ratchets;
+
+        const locks = this.patterns.getStepLocks(sampleId, step);
+        this.applyStepLocks(sampleId, locks, start, start + duration);
+
+        for (let hit = 0; hit < params.ratchets; hit++) {
+            const hitTime = start + hit * interval;
+            this.playSample(sampleId, hitTime, { velocity: params.velocity, pitch: locks.pitch, start: locks.start });
+
+            // Record the event if recording
+            if (this.isRecording) {
+                this.recordEvent({
+                    type: 'sequencer',
+                    sampleId: sampleId,
+                    time: hitTime - this.recordStartTime,
+                    duration: 0.25 // Default duration for sequencer events
+                });
+            }
+        }
+    }
+
+    /**
+     * Schedule a step's effect and mixer locks through their setters, returning to the unlocked values after the step
+     * Pan and send locks act on the row's own sample strip. Filter locks share the rack filter: when rows
+     * overlap, the row scheduled last wins and the unlocked frequency returns once every lock has ended.
+     * @param {string} sampleId - The sample ID
+     * @param {Object} locks - The locked values keyed by lock name
+     * @param {number} time - The audio context time the step starts at
+     * @param {number} endTime - The audio context time the step ends at
+     */
+    applyStepLocks(sampleId, locks, time, endTime) {
+        const filter = locks.filter !== undefined ? this.effectsRack.findByType('filter') : null;
+        const filterBase = filter ? filter.getParams().frequency : null;
+        if (filter) {
+            const restoreTime = Math.max(endTime, this.filterLockEnd);
+            filter.setFrequency(locks.filter, time);
+
+            // Hold this lock over a running one's restore
+            if (this.filterLockEnd > time && this.filterLockEnd < endTime) {
+                filter.setFrequency(locks.filter, this.filterLockEnd);
             }
+
+            filter.setFrequency(filterBase, restoreTime);
+            this.filterLockEnd = restoreTime;
+        }
+
+        const strip = this.mixer.getSampleStrip(sampleId);
+        const stripParams = strip.getParams();
+        const sends = [['reverbSend', 'reverb'], ['delaySend', 'delay']].filter(([name]) => locks[name] !== undefined);
+
+        if (locks.pan !== undefined) {
+            strip.setPan(locks.pan, time);
+            strip.setPan(stripParams.pan, endTime);
+        }
+
+        sends.forEach(([name, busId]) => {
+            strip.setSend(busId, locks[name], time);
+            strip.setSend(busId, stripParams.sends[busId] || 0, endTime);
         });
 
-        // Move to next step
-        this.currentStep = (this.currentStep + 1) % this.totalSteps;
+        // The restores above use the values from when the step was scheduled; if a
+        // slider moved during the step, apply its value once the step is over
+        this.scheduler.scheduleVisual(endTime, () => {
+            const frequency = filter ? filter.getParams().frequency : null;
+            if (frequency !== filterBase && this.filterLockEnd <= endTime) filter.setFrequency(frequency);
+
+            const current = strip.getParams();
+            if (locks.pan !== undefined && current.pan !== stripParams.pan) strip.setPan(current.pan);
+            sends.forEach(([, busId]) => {
+                const amount = current.sends[busId] || 0;
+                if (amount !== (stripParams.sends[busId] || 0)) strip.setSend(busId, amount);
+            });
+        });
     }
 
     /**
      * Pause playback
      */
     pausePlayback() {
-        clearInterval(this.sequencerInterval);
+        this.scheduler.stop();
+        this.sendMidiStop();
+        this.applyQueuedPattern();
     }
 
     /**
      * Stop playback
      */
     stopPlayback() {
-        clearInterval(this.sequencerInterval);
+        if (this.scheduler) {
+            this.scheduler.stop();
+            this.scheduler.clearEvents();
+        }
+        this.sendMidiStop();
         this.isPlaying = false;
         this.currentStep = 0;
+        this.applyQueuedPattern();
 
         // Stop all active sources
+        this.releaseAllKeys();
+        if (this.audioContext) this.voices.stopAll(this.audioContext.currentTime);
         this.audioEngine.stopAllSources();
+        this.stopTimelineSources();
 
         // Remove current-step highlighting
         this.ui.updateCurrentStep(-1);
+        this.updateSongList();
     }
 
     /**
@@ -315,10 +1002,72 @@ class App {
     updateTempo(tempo) {
         this.currentBPM = tempo;
 
-        // Update sequencer timing if playing
-        if (this.isPlaying) {
-            this.pausePlayback();
-            this.startPlayback();
+        // The scheduler picks the new tempo up on the next step
+        if (this.scheduler) {
+            this.scheduler.setTempo(tempo);
+        }
+    }
+
+    /**
+     * Change the tempo from the UI
+     * @param {number} tempo - The tempo in BPM
+     */
+    changeTempo(tempo) {
+        const previous = this.currentBPM;
+        this.updateTempo(tempo);
+
+        this.recordChange('Tempo', previous, tempo, (bpm) => {
+            this.updateTempo(bpm);
+            this.ui.setTransport(bpm, this.metronomeEnabled);
+        }, 'tempo');
+    }
+
+    /**
+     * Turn the metronome on or off from the UI
+     * @param {boolean} enabled - Whether the metronome should click
+     */
+    changeMetronome(enabled) {
+        const previous = this.metronomeEnabled;
+        this.setMetronomeEnabled(enabled);
+
+        this.recordChange(enabled ? 'Metronome on' : 'Metronome off', previous, enabled, (value) => {
+            this.setMetronomeEnabled(value);
+            this.ui.setTransport(this.currentBPM, value);
+        });
+    }
+
+    /**
+     * Switch between looping the current pattern and playing the song
+     * @param {string} mode - 'pattern' or 'song'
+     */
+    changePlayMode(mode) {
+        const previous = this.playMode;
+        this.setPlayMode(mode);
+
+        this.recordChange(mode === 'song' ? 'Song mode' : 'Pattern mode', previous, mode, (value) => {
+            this.setPlayMode(value);
+            this.ui.setPlayMode(value);
+        });
+    }
+
+    /**
+     * Set the play mode; takes effect the next time playback starts
+     * @param {string} mode - 'pattern' or 'song'
+     */
+    setPlayMode(mode) {
+        this.playMode = mode === 'song' ? 'song' : 'pattern';
+        this.updateSongList();
+    }
+
+    /**
+     * Enable or disable the metronome
+     * @param {boolean} enabled - Whether the metronome should click
+     */
+    setMetronomeEnabled(enabled) {
+        this.metronomeEnabled = enabled;
+
+        if (this.scheduler) {
+            this.scheduler.setMetronomeEnabled(enabled);
         }
     }
 
@@ -351,30 +1100,48 @@ class App {
     /**
      * Play a sample
      * @param {string} sampleId - The sample ID to play
+     * @param {number} when - The audio context time to start at (0 for now)
+     * @param {Object} options - The hit's velocity (gain, 0-1), pitch (semitones), start (offset as a fraction of the sample), buffer (audio in place of the sample's own), loop (true, false, or null to loop only between loop points the user set) and chokeGroup (cuts off the rest of the group)
+     * @returns {Object|null} - The voice ({source, gain, sampleId, chokeGroup, startTime, velocity, offset}), for stopping it early
      */
-    playSample(sampleId) {
-        if (!this.audioContext || !this.fileHandler.audioBuffers[sampleId]) return;
+    playSample(sampleId, when = 0, options = {}) {
+        if (!this.audioContext || !this.fileHandler.audioBuffers[sampleId]) return null;
+
+        const { velocity = 1, pitch = 0, start = 0, buffer = this.fileHandler.audioBuffers[sampleId], loop = null, chokeGroup = null } = options;
+        const startTime = Math.max(when, this.audioContext.currentTime);
+
+        // Cut off the rest of the choke group and anything over the sample's voice limit
+        this.voices.prepare(sampleId, chokeGroup, startTime);
 
         // Create source node
         const source = this.audioContext.createBufferSource();
-        source.buffer = this.fileHandler.audioBuffers[sampleId];
+        source.buffer = buffer;
+        source.playbackRate.value = Math.pow(2, pitch / 12);
 
-        // Get loop points
+        // Loop on repeats the loop points (the whole sample by default); null only loops points the user set
         const loopPoints = this.fileHandler.getLoopPoints(sampleId);
-        if (loopPoints) {
+        if (loopPoints && (loop || (loop === null && this.fileHandler.hasLoopPoints(sampleId)))) {
             source.loop = true;
             source.loopStart = loopPoints.start;
             source.loopEnd = loopPoints.end;
+        } else if (loop) {
+            source.loop = true;
         }
 
-        // Connect to effects chain
-        source.connect(this.effects.filter.getNode());
+        // Connect through the hit's gain to the sample's strip so its sends reach the returns
+        const gain = this.audioContext.createGain();
+        gain.gain.value = velocity;
+        source.connect(gain);
+        gain.connect(this.mixer.getSampleStrip(sampleId).getInputNode());
 
         // Start playback
-        source.start(0);
+        source.start(when, start * source.buffer.duration);
 
-        // Store source for potential stopping
-        this.audioEngine.addActiveSource(sampleId, source);
+        // Store the voice for potential stopping
+        const voice = { source, gain, sampleId, chokeGroup, startTime, velocity, offset: start * source.buffer.duration };
+        this.voices.add(voice);
+
+        return voice;
     }
 
     /**
@@ -418,18 +1185,86 @@ class App {
      * @param {number} freq - The frequency in Hz
      */
     updateFilterFrequency(freq) {
-        if (this.effects.filter) {
-            this.effects.filter.setFrequency(freq);
+        const filter = this.effectsRack && this.effectsRack.findByType('filter');
+        if (filter) {
+            filter.setFrequency(freq);
+            this.refreshEffectsRack();
         }
     }
 
     /**
-     * Update reverb level
-     * @param {number} level - The reverb level (0-1)
+     * Change the filter frequency from the UI
+     * @param {number} freq - The frequency in Hz
+     */
+    changeFilterFrequency(freq) {
+        const filter = this.effectsRack && this.effectsRack.findByType('filter');
+        if (!filter) return;
+
+        const previous = filter.getParams().frequency;
+        this.updateFilterFrequency(freq);
+
+        this.recordChange('Filter frequency', previous, freq, (value) => {
+            this.updateFilterFrequency(value);
+            this.ui.setEffectControls({ filterFrequency: value });
+        }, 'filterFrequency');
+    }
+
+    /**
+     * Change the reverb return level from the UI
+     * @param {number} level - The reverb return level (0-1)
+     */
+    changeReverbLevel(level) {
+        if (!this.mixer) return;
+
+        const previous = this.mixer.getReturnLevels().reverb;
+        this.updateReverbLevel(level);
+
+        this.recordChange('Reverb return', previous, level, (value) => {
+            this.updateReverbLevel(value);
+            this.ui.setEffectControls({ reverbReturn: value });
+        }, 'reverbReturn');
+    }
+
+    /**
+     * Change the delay time from the UI
+     * @param {number} time - The delay time in seconds
+     */
+    changeDelayTime(time) {
+        if (!this.effects.delay) return;
+
+        const previous = this.effects.delay.getParams().delayTime;
+        this.updateDelayTime(time);
+
+        this.recordChange('Delay time', previous, time, (value) => {
+            this.updateDelayTime(value);
+            this.ui.setEffectControls({ delayTime: value });
+        }, 'delayTime');
+    }
+
+    /**
+     * Change the compressor threshold from the UI
+     * @param {number} threshold - The threshold in dB
+     */
+    changeCompressorThreshold(threshold) {
+        const compressor = this.effectsRack && this.effectsRack.findByType('compressor');
+        if (!compressor) return;
+
+        const previous = compressor.getParams().threshold;
+        this.updateCompressorThreshold(threshold);
+
+        this.recordChange('Compressor threshold', previous, threshold, (value) => {
+            this.updateCompressorThreshold(value);
+            this.ui.setEffectControls({ compressorThreshold: value });
+        }, 'compressorThreshold');
+    }
+
+    /**
+     * Update reverb return level
+     * @param {number} level - The reverb return level (0-1)
      */
     updateReverbLevel(level) {
-        if (this.effects.reverb) {
-            this.effects.reverb.setMix(level);
+        if (this.mixer) {
+            this.mixer.setReturnLevel('reverb', level);
         }
     }
 
@@ -443,6 +1278,18 @@ class App {
         }
     }
 
+    /**
+     * Update compressor threshold
+     * @param {number} threshold - The threshold in dB
+     */
+    updateCompressorThreshold(threshold) {
+        const compressor = this.effectsRack && this.effectsRack.findByType('compressor');
+        if (compressor) {
+            compressor.setThreshold(threshold);
+            this.refreshEffectsRack();
+        }
+    }
+
     /**
      * Handle sequencer cell toggle
      * @param {string} sampleId - The sample ID
@@ -450,82 +1297,1066 @@ class App {
      * @param {boolean} isActive - Whether the cell is active
      */
     handleSequencerCellToggle(sampleId, step, isActive) {
-        console.log(`Sequencer cell toggled: ${sampleId}, step ${step}, active: ${isActive}`);
+        const previous = this.patterns.getState();
+        this.patterns.setStep(sampleId, step, isActive);
+        this.showStep(sampleId, step);
+        this.updatePatternList();
+        this.updateLockEditor();
+
+        this.recordSequencerChange(isActive ? 'Add step' : 'Remove step', previous);
     }
 
     /**
-     * Clear sequencer pattern
+     * Change the velocity, probability, ratchets or micro-timing of a step
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     * @param {Object} changes - Any of velocity, probability, ratchets and offset
      */
-    clearSequencer() {
-        console.log('Sequencer cleared');
+    editSequencerStep(sampleId, step, changes) {
+        const previous = this.patterns.getState();
+        const params = this.patterns.setStepParams(sampleId, step, changes);
+        if (!params) return;
+
+        this.ui.showStepParams(sampleId, step, params);
+
+        const name = Object.keys(changes)[0];
+        const labels = { velocity: 'Step velocity', probability: 'Step probability', ratchets: 'Step ratchets', offset: 'Step timing' };
+        this.recordSequencerChange(labels[name] || 'Edit step', previous, `step:${sampleId}:${step}:${name}`);
     }
 
     /**
-     * Change number of steps in sequencer
-     * @param {number} steps - The number of steps
+     * Give a sequencer row its own length or clock divider
+     * @param {string} sampleId - The sample ID
+     * @param {Object} changes - Any of length and division
      */
-    changeStepCount(steps) {
-        this.totalSteps = steps;
-        this.currentStep = 0;
+    changeRowSettings(sampleId, changes) {
+        const previous = this.patterns.getState();
+        this.patterns.setRowSettings(sampleId, changes);
+        this.showPattern();
 
-        // Update sequencer timing if playing
-        if (this.isPlaying) {
-            this.pausePlayback();
-            this.startPlayback();
+        this.recordSequencerChange(changes.length !== undefined ? 'Row length' : 'Row rate', previous);
+    }
+
+    /**
+     * Fill a sequencer row with a generated rhythm, leaving it editable by hand
+     * @param {string} sampleId - The sample ID
+     * @param {Object} options - The generator ({type: 'euclidean'|'random'|'mutate', hits, steps, rotation, density, count})
+     */
+    generateRow(sampleId, options) {
+        const previous = this.patterns.getState();
+        let label;
+
+        if (options.type === 'euclidean') {
+            // The Euclidean step count becomes the row length
+            if (options.steps !== this.patterns.getRowSettings(sampleId).length) {
+                this.patterns.setRowSettings(sampleId, { length: options.steps });
+            }
+            const { length } = this.patterns.getRowSettings(sampleId);
+            this.patterns.setRowSteps(sampleId, euclidean(options.hits, length, options.rotation));
+            label = `Euclidean ${options.hits}/${length}`;
+        } else if (options.type === 'random') {
+            this.patterns.setRowSteps(sampleId, randomSteps(this.patterns.getRowSettings(sampleId).length, options.density));
+            label = 'Random fill';
+        } else if (options.type === 'mutate') {
+            const pattern = this.patterns.getPattern();
+            const active = pattern.cells[sampleId] || [];
+            this.patterns.setRowSteps(sampleId, mutateSteps(active, this.patterns.getRowSettings(sampleId).length, options.count));
+            label = `Mutate ${options.count} step${options.count === 1 ? '' : 's'}`;
+        } else {
+            return;
         }
+
+        this.showPattern();
+        this.recordSequencerChange(label, previous);
+    }
+
+    /**
+     * Clear the current sequencer pattern
+     */
+    clearSequencer() {
+        const previous = this.patterns.getState();
+        this.patterns.clearPattern();
+        this.updatePatternList();
+
+        this.recordSequencerChange(`Clear pattern ${this.patterns.currentId}`, previous);
+    }
+
+    /**
+     * Change number of steps in the current pattern
+     * @param {number} steps - The number of steps
+     */
+    changeStepCount(steps) {
+        const previous = this.patterns.getState();
+        this.patterns.setSteps(steps);
+        this.showPattern();
+
+        this.recordSequencerChange(`${steps} steps`, previous);
+    }
+
+    /**
+     * Show the current pattern in the grid and hand its length to the scheduler
+     */
+    showPattern() {
+        const pattern = this.patterns.getPattern();
+        this.totalSteps = pattern.steps;
+
+        if (this.scheduler) {
+            this.scheduler.setTotalSteps(pattern.steps);
+        }
+
+        const rows = {};
+        this.ui.getLoadedSamples().forEach(({ id }) => {
+            const { length, division } = this.patterns.getRowSettings(id);
+            rows[id] = { length, division };
+        });
+
+        this.ui.setSequencerState({ ...pattern, rows });
+        for (const sampleId in pattern.cells) {
+            pattern.cells[sampleId].forEach(step => this.showStep(sampleId, step));
+        }
+        this.updatePatternList();
+        this.updateLockEditor();
+    }
+
+    /**
+     * Show a step's settings and whether it has parameter locks on its cell
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     */
+    showStep(sampleId, step) {
+        if (!this.patterns.isStepActive(sampleId, step)) {
+            this.ui.showStepParams(sampleId, step, null);
+            return;
+        }
+
+        this.ui.showStepParams(sampleId, step, this.patterns.getStepParams(sampleId, step));
+        this.ui.markStepLocked(sampleId, step, Object.keys(this.patterns.getStepLocks(sampleId, step)).length > 0);
+    }
+
+    /**
+     * Open the parameter locks of a held step
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     */
+    openStepLocks(sampleId, step) {
+        this.lockEditorStep = { sampleId, step };
+        this.updateLockEditor();
+    }
+
+    /**
+     * Close the parameter lock editor
+     */
+    closeStepLocks() {
+        this.lockEditorStep = null;
+        this.ui.hideLockEditor();
+    }
+
+    /**
+     * Redraw the parameter lock editor, closing it if its step is no longer on
+     */
+    updateLockEditor() {
+        if (!this.lockEditorStep) return;
+
+        const { sampleId, step } = this.lockEditorStep;
+        if (!this.patterns.isStepActive(sampleId, step)) {
+            this.closeStepLocks();
+            return;
+        }
+
+        this.ui.showLockEditor(sampleId, step, this.patterns.getStepLocks(sampleId, step), this.getLockBases(sampleId), PARAM_LOCKS);
+    }
+
+    /**
+     * Get the values a sample's steps use when a parameter is not locked
+     * @param {string} sampleId - The sample ID
+     * @returns {Object} - The values keyed by lock name
+     */
+    getLockBases(sampleId) {
+        const filter = this.effectsRack && this.effectsRack.findByType('filter');
+        const strip = this.mixer ? this.mixer.getSampleStrip(sampleId).getParams() : { pan: 0, sends: {} };
+
+        return {
+            pitch: 0,
+            start: 0,
+            filter: filter ? filter.getParams().frequency : 20000,
+            pan: strip.pan,
+            reverbSend: strip.sends.reverb || 0,
+            delaySend: strip.sends.delay || 0
+        };
+    }
+
+    /**
+     * Lock or unlock a parameter on a step
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     * @param {string} name - The lock name
+     * @param {number|null} value - The locked value, or null to unlock
+     */
+    changeStepLock(sampleId, step, name, value) {
+        const previous = this.patterns.getState();
+        const locks = this.patterns.setStepLock(sampleId, step, name, value);
+        if (!locks) return;
+
+        this.ui.markStepLocked(sampleId, step, Object.keys(locks).length > 0);
+
+        const label = `${value === null ? 'Unlock' : 'Lock'} ${PARAM_LOCKS[name].name.toLowerCase()}`;
+        this.recordSequencerChange(label, previous, value === null ? null : `lock:${sampleId}:${step}:${name}`);
+    }
+
+    /**
+     * Redraw the pattern picker
+     */
+    updatePatternList() {
+        this.ui.renderPatterns(
+            this.patterns.getPatternList(),
+            this.patterns.currentId,
+            this.patterns.queuedId,
+            this.patterns.clipboard !== null
+        );
+        this.updateSongList();
+    }
+
+    /**
+     * Redraw the groove picker and swing amount
+     */
+    updateGrooveList() {
+        this.ui.renderGrooves(this.groove.getTemplateList(), this.groove.currentId, this.groove.amount);
+    }
+
+    /**
+     * Use a different groove template
+     * @param {string} templateId - The template ID
+     */
+    changeGroove(templateId) {
+        const previous = this.groove.getState();
+        if (!this.groove.selectTemplate(templateId)) return;
+
+        this.recordGrooveChange(`Groove ${this.groove.getTemplate().name}`, previous);
+    }
+
+    /**
+     * Change how strongly the groove applies
+     * @param {number} amount - 0 for straight, 1 for the full groove
+     */
+    changeSwingAmount(amount) {
+        const previous = this.groove.getState();
+        this.groove.setAmount(amount);
+
+        this.recordGrooveChange('Swing amount', previous, 'swing');
+    }
+
+    /**
+     * Make a groove template from the timing of the last recording and use it
+     */
+    extractGroove() {
+        const stepDuration = (60 / this.currentBPM) / 4;
+
+        // Event times count from pressing Record; the template needs them from the transport's bar 1
+        const origin = this.recordBarTime !== null ? this.recordBarTime : this.recordStartTime;
+        const times = this.recordedEvents
+            .map(event => this.recordStartTime + event.time - origin)
+            .filter(time => time > -stepDuration / 2);
+        if (times.length === 0) {
+            alert('Record a take first to extract its groove');
+            return;
+        }
+
+        const previous = this.groove.getState();
+        const template = this.groove.extractTemplate(times, stepDuration);
+        this.groove.selectTemplate(template.id);
+        this.updateGrooveList();
+
+        this.recordGrooveChange(`Groove from ${template.name}`, previous);
+    }
+
+    /**
+     * Record a change to the groove
+     * @param {string} label - The history label
+     * @param {Object} previous - The groove state before the change
+     * @param {string} mergeKey - Changes with the same key in quick succession undo as one step
+     */
+    recordGrooveChange(label, previous, mergeKey = null) {
+        this.recordChange(label, previous, this.groove.getState(), (state) => {
+            this.groove.setState(state);
+            this.updateGrooveList();
+        }, mergeKey);
+    }
+
+    /**
+     * Move every timeline clip onto the nearest step of the current groove
+     */
+    quantizeTimeline() {
+        const stepDuration = (60 / this.currentBPM) / 4;
+
+        const moved = this.ui.getClipElements()
+            .map(clip => {
+                const time = parseFloat(clip.dataset.time) || 0;
+                return {
+                    clip,
+                    duration: parseFloat(clip.dataset.duration) || 0,
+                    from: time,
+                    to: this.groove.quantize(time, stepDuration)
+                };
+            })
+            .filter(entry => Math.abs(entry.to - entry.from) > 1e-6);
+
+        if (moved.length === 0) return;
+
+        const apply = (key) => moved.forEach(entry => this.ui.setClipTiming(entry.clip, entry[key], entry.duration));
+        this.history.execute({
+            label: 'Quantize to groove',
+            undo: () => apply('from'),
+            redo: () => apply('to')
+        });
+    }
+
+    /**
+     * Redraw the song arrangement, highlighting the entry being played
+     */
+    updateSongList() {
+        const playing = this.isPlaying && this.playMode === 'song' ? this.song.index : -1;
+        this.ui.renderSong(this.song.getEntries(), this.patterns.getPatternList(), playing);
+    }
+
+    /**
+     * Append the current pattern to the song
+     */
+    addPatternToSong() {
+        const previous = this.song.getState();
+        this.song.addEntry(this.patterns.currentId);
+        this.updateSongList();
+
+        this.recordSongChange(`Add ${this.patterns.currentId} to song`, previous);
+    }
+
+    /**
+     * Change a song entry's pattern or repeat count
+     * @param {number} index - The entry position
+     * @param {Object} changes - Any of patternId and repeats
+     */
+    changeSongEntry(index, changes) {
+        const previous = this.song.getState();
+        this.song.setEntry(index, changes);
+        this.updateSongList();
+
+        this.recordSongChange(changes.repeats !== undefined ? 'Song repeats' : 'Song pattern', previous);
+    }
+
+    /**
+     * Remove an entry from the song
+     * @param {number} index - The entry position
+     */
+    removeSongEntry(index) {
+        const previous = this.song.getState();
+        this.song.removeEntry(index);
+        this.updateSongList();
+
+        this.recordSongChange('Remove from song', previous);
+    }
+
+    /**
+     * Move a song entry to a new position
+     * @param {number} from - The current position
+     * @param {number} to - The new position
+     */
+    moveSongEntry(from, to) {
+        const previous = this.song.getState();
+        this.song.moveEntry(from, to);
+        this.updateSongList();
+
+        this.recordSongChange('Move song entry', previous);
+    }
+
+    /**
+     * Record a change to the song arrangement
+     * @param {string} label - The history label
+     * @param {Object} previous - The song state before the change
+     */
+    recordSongChange(label, previous) {
+        this.recordChange(label, previous, this.song.getState(), (state) => {
+            this.song.setState(state);
+            this.updateSongList();
+        });
+    }
+
+    /**
+     * Write the song out as timeline clips, one per sequencer hit
+     * Steps keep their velocity, ratchets, micro-timing and pitch and start
+     * locks; probability is rolled once here, so each render is one take.
+     * Effect and mixer locks act on shared controls, not clips, and are left out.
+     */
+    renderSongToTimeline() {
+        if (this.song.isEmpty()) return;
+
+        const stepDuration = (60 / this.currentBPM) / 4;
+        const clips = [];
+        let offset = 0; // 16ths from the start of the song
+
+        this.song.getEntries().forEach(entry => {
+            const pattern = this.patterns.getPattern(entry.patternId);
+            if (!pattern) return;
+
+            // Rows run on through the entry's repeats, as in playback
+            const entryTicks = pattern.steps * entry.repeats;
+
+            for (const sampleId in pattern.cells) {
+                const audioBuffer = this.fileHandler.audioBuffers[sampleId];
+                if (!audioBuffer) continue;
+
+                const { length, ticks } = this.patterns.getRowSettings(sampleId, pattern.id);
+                const duration = ticks * stepDuration;
+                for (let n = 0; n * ticks < entryTicks - 1e-9; n++) {
+                    const step = n % length;
+                    if (!pattern.cells[sampleId].includes(step)) continue;
+
+                    const params = this.patterns.getStepParams(sampleId, step, pattern.id);
+                    if (Math.random() >= params.probability) continue;
+
+                    const locks = this.patterns.getStepLocks(sampleId, step, pattern.id);
+                    const pitch = locks.pitch || 0;
+                    const start = (locks.start || 0) * audioBuffer.duration;
+
+                    const position = offset + n * ticks;
+                    const time = (position + this.groove.getOffset(Math.floor(position + 1e-9))) * stepDuration + params.offset * duration;
+                    for (let hit = 0; hit < params.ratchets; hit++) {
+                        clips.push(this.ui.addRecordedEvent({
+                            type: 'sequencer',
+                            sampleId,
+                            time: Math.max(0, time + hit * duration / params.ratchets),
+                            duration: (audioBuffer.duration - start) / Math.pow(2, pitch / 12),
+                            pitch,
+                            velocity: params.velocity,
+                            offset: start
+                        }));
+                    }
+                }
+            }
+
+            offset += entryTicks;
+        });
+
+        if (clips.length > 0) {
+            this.recordClipsAdded('Render song', clips);
+        }
+    }
+
+    /**
+     * Switch patterns; while playing the switch waits for the next bar
+     * @param {string} patternId - The pattern ID
+     */
+    selectPattern(patternId) {
+        if (this.isPlaying) {
+            this.patterns.queuePattern(patternId);
+            this.updatePatternList();
+        } else if (this.patterns.selectPattern(patternId)) {
+            this.showPattern();
+        }
+    }
+
+    /**
+     * Make a queued pattern current straight away, e.g. when the transport stops
+     */
+    applyQueuedPattern() {
+        if (this.patterns.applyQueuedPattern()) {
+            this.showPattern();
+        }
+    }
+
+    /**
+     * Add an empty pattern and switch to it
+     */
+    addPattern() {
+        const previous = this.patterns.getState();
+        const pattern = this.patterns.addPattern();
+        if (!pattern) {
+            alert('No more patterns available');
+            return;
+        }
+
+        this.recordSequencerChange(`Add pattern ${pattern.id}`, previous);
+        this.selectPattern(pattern.id);
+    }
+
+    /**
+     * Copy the current pattern
+     */
+    copyPattern() {
+        this.patterns.copyPattern();
+        this.updatePatternList();
+    }
+
+    /**
+     * Paste the copied pattern over the current pattern
+     */
+    pastePattern() {
+        const previous = this.patterns.getState();
+        if (!this.patterns.pastePattern()) return;
+
+        this.showPattern();
+        this.recordSequencerChange(`Paste into pattern ${this.patterns.currentId}`, previous);
+    }
+
+    /**
+     * Copy the current pattern into a new pattern and switch to it
+     */
+    duplicatePattern() {
+        const previous = this.patterns.getState();
+        const pattern = this.patterns.duplicatePattern();
+        if (!pattern) {
+            alert('No more patterns available');
+            return;
+        }
+
+        this.recordSequencerChange(`Duplicate pattern ${this.patterns.currentId}`, previous);
+        this.selectPattern(pattern.id);
+    }
+
+    /**
+     * Record a change to the sequencer patterns
+     * @param {string} label - The history label
+     * @param {Object} previous - The pattern bank state before the change
+     * @param {string} mergeKey - Changes with the same key in quick succession undo as one step
+     */
+    recordSequencerChange(label, previous, mergeKey = null) {
+        this.recordChange(label, previous, this.patterns.getState(), (state) => {
+            this.patterns.setState(state, true);
+            this.showPattern();
+        }, mergeKey);
+    }
+
+    /**
+     * Set loop points for a sample
+     * @param {string} sampleId - The sample ID
+     * @param {number} start - The loop start time in seconds
+     * @param {number} end - The loop end time in seconds
+     */
+    setLoopPoints(sampleId, start, end) {
+        if (this.fileHandler) {
+            try {
+                const previous = this.fileHandler.getLoopPoints(sampleId);
+                const loopPoints = { ...this.fileHandler.setLoopPoints(sampleId, start, end) };
+                console.log(`Loop points set for ${sampleId}: ${start}s - ${end}s`);
+
+                this.recordChange('Loop points', previous && { ...previous }, loopPoints, (value) => {
+                    if (value) {
+                        this.fileHandler.setLoopPoints(sampleId, value.start, value.end);
+                    } else {
+                        this.fileHandler.clearLoopPoints(sampleId);
+                    }
+                    this.ui.showLoopPoints(sampleId, value);
+                });
+            } catch (error) {
+                console.error('Error setting loop points:', error);
+            }
+        }
+    }
+
+    /**
+     * Bind a key to a sample
+     * @param {string} key - The key to bind
+     * @param {string} sampleId - The sample ID to bind to the key
+     * @param {string} mode - How the key plays ('oneshot', 'gate', 'toggle' or 'loop')
+     * @param {number|null} chokeGroup - The choke group (1-8) the key's notes belong to
+     */
+    bindKeyToSample(key, sampleId, mode = 'oneshot', chokeGroup = null) {
+        const previous = this.getKeyBindingState();
+        this.keyBindings[key] = sampleId;
+        if (mode === 'oneshot') {
+            delete this.keyModes[key];
+        } else {
+            this.keyModes[key] = mode;
+        }
+        if (chokeGroup) {
+            this.keyChokes[key] = chokeGroup;
+        } else {
+            delete this.keyChokes[key];
+        }
+        console.log(`Bound key ${key} to sample ${sampleId} (${mode})`);
+
+        const note = padNote(key);
+        this.recordKeyBindings(note === null ? `Bind key ${key}` : `Bind pad ${noteName(note)}`, previous);
+        this.updatePadList();
+    }
+
+    /**
+     * Remove a key's binding
+     * @param {string} key - The key
+     */
+    unbindKey(key) {
+        const previous = this.getKeyBindingState();
+        delete this.keyBindings[key];
+        delete this.keyModes[key];
+        delete this.keyChokes[key];
+
+        const note = padNote(key);
+        this.recordKeyBindings(note === null ? `Unbind key ${key}` : `Unbind pad ${noteName(note)}`, previous);
+        this.ui.setKeyBindings(this.keyBindings, this.keyModes, this.keyChokes);
+        this.updatePadList();
+    }
+
+    /**
+     * Show the MIDI notes that are bound like keys
+     */
+    updatePadList() {
+        const pads = Object.keys(this.keyBindings)
+            .filter(key => padNote(key) !== null)
+            .sort((a, b) => padNote(a) - padNote(b))
+            .map(key => ({
+                key,
+                name: `${noteName(padNote(key))} (${padNote(key)})`,
+                sampleId: this.keyBindings[key],
+                mode: this.keyModes[key] || 'oneshot',
+                chokeGroup: this.keyChokes[key] || null
+            }));
+
+        this.ui.renderMidiPads(pads);
+    }
+
+    /**
+     * Ask for MIDI access and start listening to every input
+     * Opening the page with ?midi=mock uses a virtual device instead, reachable
+     * from the console as window.mockMIDIAccess
+     */
+    async enableMidi() {
+        // MIDI notes are not user gestures, so start audio from the click that enables MIDI
+        this.initAudio();
+
+        try {
+            let access = null;
+            if (new URLSearchParams(window.location.search).get('midi') === 'mock') {
+                access = createMockMIDIAccess();
+                window.mockMIDIAccess = access;
+            }
+
+            await this.midi.initialize(access);
+        } catch (error) {
+            console.error('Error enabling MIDI:', error);
+            alert(`Error enabling MIDI: ${error.message}`);
+        }
+    }
+
+    /**
+     * Play a MIDI note: chromatically in chromatic mode, otherwise through its pad binding
+     * @param {number} note - The MIDI note number
+     * @param {number} velocity - The note velocity, 0-1
+     */
+    handleMidiNoteOn(note, velocity) {
+        const key = padKey(note);
+
+        if (this.sampler.enabled) {
+            this.playNote(key, note, velocity);
+        } else if (this.keyBindings[key]) {
+            this.pressKey(key, this.keyBindings[key], this.keyModes[key] || 'oneshot', {
+                velocity,
+                chokeGroup: this.keyChokes[key] || null
+            });
+        }
+    }
+
+    /**
+     * Start or stop binding the next MIDI note to the selected sample
+     * @param {boolean} active - Whether to start learning
+     */
+    toggleMidiLearn(active) {
+        if (!active) {
+            this.midi.cancelLearn();
+            return;
+        }
+
+        this.midi.learn((note) => {
+            this.ui.setMidiLearning(false);
+            this.ui.bindPadToSample(padKey(note));
+        });
+    }
+
+    /**
+     * Start or stop mapping the next MIDI CC to a slider
+     * @param {string|null} controlId - The slider's control ID, or null to stop
+     */
+    async learnControl(controlId) {
+        if (!controlId) {
+            this.midiMappings.cancelLearn();
+            return;
+        }
+
+        if (!this.midi.isEnabled()) {
+            await this.enableMidi();
+            if (!this.midi.isEnabled()) {
+                this.ui.setControlLearning(null);
+                return;
+            }
+        }
+
+        this.midiMappings.learn(controlId);
+    }
+
+    /**
+     * Map a CC to the learning slider, or move the sliders mapped to it
+     * @param {number} cc - The controller number
+     * @param {number} value - The controller value (0-127)
+     * @param {number} channel - The MIDI channel (0-15)
+     */
+    handleMidiControlChange(cc, value, channel) {
+        if (this.midiMappings.isLearning()) {
+            const previous = this.midiMappings.getState();
+            const mapping = this.midiMappings.completeLearn(channel, cc);
+            this.ui.setControlLearning(null);
+            this.recordMidiMappings(`Map CC ${mapping.cc}`, previous);
+            return;
+        }
+
+        const moves = this.midiMappings.handleControlChange(channel, cc, value, (controlId) => this.ui.getControlPosition(controlId));
+        moves.forEach(({ controlId, position }) => {
+            this.midiMappings.confirmPosition(controlId, this.ui.setControlPosition(controlId, position));
+        });
+    }
+
+    /**
+     * Change the range, curve or pickup of a slider's MIDI mapping
+     * @param {string} controlId - The control ID
+     * @param {Object} changes - Any of min, max (0-1), curve and takeover
+     */
+    changeControlMapping(controlId, changes) {
+        const previous = this.midiMappings.getState();
+        this.midiMappings.updateMapping(controlId, changes);
+        this.recordMidiMappings('MIDI mapping', previous, `mapping:${controlId}`);
+    }
+
+    /**
+     * Remove a slider's MIDI mapping
+     * @param {string} controlId - The control ID
+     */
+    removeControlMapping(controlId) {
+        const previous = this.midiMappings.getState();
+        this.midiMappings.removeMapping(controlId);
+        this.recordMidiMappings('Remove MIDI mapping', previous);
+    }
+
+    /**
+     * Show the MIDI mappings and record a change to them
+     * @param {string} label - The history label
+     * @param {Array<Object>} previous - The mappings before the change
+     * @param {string} mergeKey - Changes with the same key in quick succession undo as one step
+     */
+    recordMidiMappings(label, previous, mergeKey = null) {
+        this.ui.setControlMappings(this.midiMappings.getState());
+        this.recordChange(label, previous, this.midiMappings.getState(), (mappings) => {
+            this.midiMappings.setState(mappings);
+            this.ui.setControlMappings(this.midiMappings.getState());
+        }, mergeKey);
+    }
+
+    /**
+     * Turn following incoming MIDI clock on or off
+     * @param {boolean} enabled - Whether the transport follows the clock
+     */
+    setClockSync(enabled) {
+        this.clockSync = enabled;
+        this.midiClock.reset();
+        this.ui.setClockSync(enabled);
+    }
+
+    /**
+     * Choose the output our clock is sent to
+     * @param {string|null} outputId - The output ID, or null to stop sending clock
+     */
+    setClockOutput(outputId) {
+        // A device left running on the old output would play on by itself
+        if (this.clockOutputId && this.isPlaying) {
+            this.midi.send(this.clockOutputId, [STOP]);
+        }
+
+        this.clockOutputId = outputId;
+    }
+
+    /**
+     * Follow a MIDI clock pulse: take on its tempo, start playback if it was
+     * waiting for one, and keep the steps in line with it
+     * @param {number} timestamp - When the pulse arrived, in performance.now() milliseconds
+     */
+    handleMidiClock(timestamp) {
+        if (!this.clockSync || !this.audioContext) return;
+
+        this.midiClock.trackTime(this.audioContext);
+        const pulse = this.midiClock.receivePulse(this.midiClock.toAudioTime(timestamp || performance.now()), this.currentBPM);
+
+        const tempo = Math.round(this.midiClock.getTempo() * 10) / 10;
+        if (tempo !== this.currentBPM) {
+            this.updateTempo(tempo);
+            this.ui.setTransport(tempo, this.metronomeEnabled);
+        }
+
+        if (pulse.started) {
+            this.isPlaying = true;
+            this.ui.setPlaying(true);
+            this.startPlayback(pulse.step, pulse.time);
+        } else if (pulse.step !== null && this.isPlaying) {
+            // Ease towards the clock so steps do not lurch, unless it is a whole step out
+            const error = this.scheduler.getStepCountTime(pulse.step) - pulse.time;
+            this.scheduler.nudge(Math.abs(error) > this.scheduler.getStepDuration() ? -error : -error * 0.1);
+        }
+    }
+
+    /**
+     * Get ready to play with the next MIDI clock pulse (MIDI start or continue)
+     * @param {number} step - The song position to play from, in steps
+     */
+    handleMidiStart(step) {
+        if (!this.clockSync) return;
+
+        if (this.isPlaying) {
+            this.stopPlayback();
+            this.ui.setPlaying(false);
+        }
+        this.midiClock.start(step);
+    }
+
+    /**
+     * Stop playback when the MIDI clock's transport stops
+     */
+    handleMidiStop() {
+        if (!this.clockSync) return;
+
+        this.midiClock.stop();
+        if (this.isPlaying) {
+            this.stopPlayback();
+            this.ui.setPlaying(false);
+        }
+    }
+
+    /**
+     * Send one step's worth of MIDI clock, timestamped so it leaves on time
+     * @param {number} time - The audio context time the step starts at
+     */
+    sendMidiClock(time) {
+        if (!this.clockOutputId) return;
+
+        this.midiClock.trackTime(this.audioContext);
+        this.midiClock.getStepPulses(time, this.scheduler.getStepDuration()).forEach(timestamp => {
+            this.midi.send(this.clockOutputId, [CLOCK], timestamp);
+        });
+    }
+
+    /**
+     * Tell the device following our clock that the transport stopped
+     */
+    sendMidiStop() {
+        if (this.clockOutputId) {
+            this.midi.send(this.clockOutputId, [STOP]);
+        }
+    }
+
+    /**
+     * Trigger a sample by key
+     * @param {string} sampleId - The sample ID to trigger
+     * @param {string} key - The key, whose play mode applies
+     */
+    triggerSample(sampleId, key) {
+        this.pressKey(key, sampleId, this.keyModes[key] || 'oneshot', { chokeGroup: this.keyChokes[key] || null });
+    }
+
+    /**
+     * Start a keyboard note
+     * One-shots play the whole sample once. Gate notes play until their key
+     * is let go, looping between loop points if the user set them; loop
+     * notes always loop. Toggle notes loop until their key is pressed again.
+     * @param {string} key - The key
+     * @param {string} sampleId - The sample ID
+     * @param {string} mode - 'oneshot', 'gate', 'toggle' or 'loop'
+     * @param {Object} options - Extra playSample() options
+     * @param {Object} details - Extra fields for the recorded event
+     */
+    pressKey(key, sampleId, mode, options = {}, details = {}) {
+        // Pressing a key that is still sounding stops it; for toggles that is all it does
+        const held = this.heldKeys[key];
+        if (held) {
+            this.releaseHeldKey(key);
+            if (held.mode === 'toggle') return;
+        }
+
+        const loop = mode === 'oneshot' ? false : (mode === 'gate' ? null : true);
+        const voice = this.playSample(sampleId, 0, { ...options, loop });
+        if (!voice) return;
+
+        const startTime = this.audioContext.currentTime;
+        let event = null;
+
+        if (this.isRecording) {
+            const { source } = voice;
+            event = {
+                type: 'keyboard',
+                sampleId: sampleId,
+                time: startTime - this.recordStartTime,
+                // Held notes get their length on note-off
+                duration: mode === 'oneshot' ? source.buffer.duration / source.playbackRate.value : null,
+                ...details
+            };
+            if (source.loop) event.loop = true;
+            this.recordEvent(event);
+        }
+
+        if (mode !== 'oneshot') {
+            this.heldKeys[key] = { voice, mode, event, startTime };
+            this.ui.setKeyHeld(key, true);
+
+            // A choked or stolen note lets its key go
+            voice.source.addEventListener('ended', () => {
+                if (this.heldKeys[key] && this.heldKeys[key].voice === voice) {
+                    this.releaseHeldKey(key);
+                }
+            });
+        }
+    }
+
+    /**
+     * Handle a key being let go
+     * @param {string} key - The key
+     */
+    releaseKey(key) {
+        const held = this.heldKeys[key];
+        if (held && held.mode !== 'toggle') {
+            this.releaseHeldKey(key);
+        }
+    }
+
+    /**
+     * Stop a held or toggled key's note and settle its recorded length
+     * @param {string} key - The key
+     */
+    releaseHeldKey(key) {
+        const held = this.heldKeys[key];
+        if (!held) return;
+
+        delete this.heldKeys[key];
+        const now = this.audioContext.currentTime;
+        this.voices.stop(held.voice, now, this.releaseTime);
+
+        if (held.event && held.event.duration === null) {
+            held.event.duration = now - held.startTime + this.releaseTime;
+        }
+
+        this.ui.setKeyHeld(key, false);
+    }
+
+    /**
+     * Stop every held or toggled key
+     */
+    releaseAllKeys() {
+        Object.keys(this.heldKeys).forEach(key => this.releaseHeldKey(key));
     }
 
     /**
-     * Set loop points for a sample
-     * @param {string} sampleId - The sample ID
-     * @param {number} start - The loop start time in seconds
-     * @param {number} end - The loop end time in seconds
+     * Play the note of a key in chromatic mode
+     * @param {string} key - The key
      */
-    setLoopPoints(sampleId, start, end) {
-        if (this.fileHandler) {
-            try {
-                this.fileHandler.setLoopPoints(sampleId, start, end);
-                console.log(`Loop points set for ${sampleId}: ${start}s - ${end}s`);
-            } catch (error) {
-                console.error('Error setting loop points:', error);
-            }
-        }
+    playKeyNote(key) {
+        this.playNote(key, this.sampler.getNote(key));
     }
 
     /**
-     * Bind a key to a sample
-     * @param {string} key - The key to bind
-     * @param {string} sampleId - The sample ID to bind to the key
+     * Play a note of the chromatic sampler
+     * @param {string} key - The key or pad holding the note
+     * @param {number|null} note - The MIDI note number
+     * @param {number} velocity - The note velocity, 0-1
      */
-    bindKeyToSample(key, sampleId) {
-        this.keyBindings[key] = sampleId;
-        console.log(`Bound key ${key} to sample ${sampleId}`);
+    playNote(key, note, velocity = 1) {
+        const sampleId = this.sampler.sampleId;
+        if (!sampleId || note === null || !this.fileHandler.audioBuffers[sampleId]) return;
+
+        // Notes sound for as long as their key is held
+        const pitch = note - this.sampler.rootNote;
+        const preserveFormants = this.sampler.preserveFormants;
+        const options = { ...this.getNoteOptions(sampleId, pitch, preserveFormants), velocity };
+        this.pressKey(key, sampleId, 'gate', options, { pitch, preserveFormants });
     }
 
     /**
-     * Trigger a sample by key
-     * @param {string} sampleId - The sample ID to trigger
+     * Get the playSample() options for a repitched note
+     * @param {string} sampleId - The sample ID
+     * @param {number} pitch - The shift in semitones
+     * @param {boolean} preserveFormants - Render with PSOLA instead of resampling
+     * @returns {Object} - The options ({pitch} or {buffer})
      */
-    triggerSample(sampleId) {
-        this.playSample(sampleId);
+    getNoteOptions(sampleId, pitch, preserveFormants) {
+        if (!preserveFormants || !this.audioContext) return { pitch };
 
-        // Record the event if recording
-        if (this.isRecording) {
-            this.recordEvent({
-                type: 'keyboard',
-                sampleId: sampleId,
-                time: (performance.now() - this.recordStartTime) / 1000,
-                duration: 0.5 // Default duration for keyboard events
-            });
+        const buffer = this.fileHandler.audioBuffers[sampleId];
+        return { buffer: this.sampler.getShiftedBuffer(this.audioContext, sampleId, buffer, pitch) };
+    }
+
+    /**
+     * Change a chromatic mode setting
+     * @param {Object} changes - Any of enabled, sampleId, rootNote and preserveFormants
+     */
+    changeChromatic(changes) {
+        const previous = this.sampler.getSettings();
+        this.sampler.setSettings(changes);
+        this.updateChromaticKeyboard();
+
+        let label = 'Chromatic sample';
+        if (changes.enabled !== undefined) label = `Chromatic mode ${changes.enabled ? 'on' : 'off'}`;
+        if (changes.rootNote !== undefined) label = `Root note ${noteName(this.sampler.rootNote)}`;
+        if (changes.preserveFormants !== undefined) label = `Keep formants ${changes.preserveFormants ? 'on' : 'off'}`;
+
+        this.recordChange(label, previous, this.sampler.getSettings(), (settings) => {
+            this.sampler.setSettings(settings);
+            this.updateChromaticKeyboard();
+        });
+    }
+
+    /**
+     * Move the chromatic keyboard up or down
+     * @param {number} delta - Octaves to move by
+     */
+    shiftOctave(delta) {
+        if (this.sampler.shiftOctave(delta)) {
+            this.updateChromaticKeyboard();
         }
     }
 
+    /**
+     * Show the chromatic settings and the note of every key
+     */
+    updateChromaticKeyboard() {
+        this.ui.setChromaticSettings(this.sampler.getSettings());
+        this.ui.showKeyNotes(this.sampler.enabled ? this.sampler.getKeyNotes() : {}, noteName(this.sampler.getNote('Z')));
+    }
+
     /**
      * Clear all key bindings
      */
     clearKeyBindings() {
+        const previous = this.getKeyBindingState();
         this.keyBindings = {};
+        this.keyModes = {};
+        this.keyChokes = {};
         console.log('All key bindings cleared');
+
+        this.recordKeyBindings('Clear key bindings', previous);
+        this.updatePadList();
+    }
+
+    /**
+     * Get a copy of the key bindings, their play modes and choke groups
+     * @returns {Object} - The bindings ({bindings, modes, chokes})
+     */
+    getKeyBindingState() {
+        return { bindings: { ...this.keyBindings }, modes: { ...this.keyModes }, chokes: { ...this.keyChokes } };
+    }
+
+    /**
+     * Record a change to the key bindings
+     * @param {string} label - The history label
+     * @param {Object} previous - The bindings before the change ({bindings, modes, chokes})
+     */
+    recordKeyBindings(label, previous) {
+        this.recordChange(label, previous, this.getKeyBindingState(), ({ bindings, modes, chokes }) => {
+            this.keyBindings = { ...bindings };
+            this.keyModes = { ...modes };
+            this.keyChokes = { ...chokes };
+            this.ui.setKeyBindings(bindings, modes, chokes);
+            this.updatePadList();
+        });
     }
 
     /**
@@ -534,7 +2365,8 @@ class App {
     startRecording() {
         this.isRecording = true;
         this.recordedEvents = [];
-        this.recordStartTime = performance.now();
+        this.recordStartTime = this.audioContext ? this.audioContext.currentTime : 0;
+        this.recordBarTime = this.scheduler && this.scheduler.isRunning ? this.scheduler.getStepCountTime(0) : null;
         console.log('Recording started');
     }
 
@@ -546,9 +2378,32 @@ class App {
         console.log('Recording stopped');
         console.log('Recorded events:', this.recordedEvents);
 
-        // Add recorded events to timeline
+        // Notes still held are cut off at the end of the take
+        const endTime = this.audioContext ? this.audioContext.currentTime - this.recordStartTime : 0;
         this.recordedEvents.forEach(event => {
-            this.ui.addRecordedEvent(event);
+            if (event.duration === null) event.duration = Math.max(0, endTime - event.time);
+        });
+
+        // Add recorded events to timeline
+        const clips = this.recordedEvents.map(event => this.ui.addRecordedEvent(event));
+
+        if (clips.length > 0) {
+            this.recordClipsAdded('Record', clips);
+        }
+    }
+
+    /**
+     * Record clips being added to the timeline
+     * @param {string} label - The history label
+     * @param {Array<HTMLElement>} clips - The new clip elements
+     */
+    recordClipsAdded(label, clips) {
+        let removed = null;
+
+        this.history.push({
+            label,
+            undo: () => { removed = this.ui.removeClips(clips); },
+            redo: () => this.ui.restoreClips(removed)
         });
     }
 
@@ -566,49 +2421,480 @@ class App {
     playTimeline() {
         console.log('Playing timeline');
 
+        if (!this.audioContext) {
+            this.initAudio();
+        }
+
         // Get all clips from the timeline
-        const clips = document.querySelectorAll('.clip');
+        const clips = this.getTimelineClips();
+        const startTime = this.audioContext.currentTime + this.scheduler.scheduleAheadTime;
 
-        // Schedule each clip to play at its time
+        // Queue each clip against the audio clock
         clips.forEach(clip => {
-            const sampleId = clip.dataset.sampleId;
-            const time = parseFloat(clip.dataset.time);
-
-            // Schedule playback
-            setTimeout(() => {
-                this.playSample(sampleId);
-            }, time * 1000);
+            this.scheduler.scheduleAt(startTime + clip.time, (when) => {
+                this.playClip(clip, when);
+            });
         });
     }
 
+    /**
+     * Play a timeline clip through its track's channel strip
+     * @param {Object} clip - The clip ({buffer, time, duration, track, sampleId, pitch, loop, release, velocity, offset})
+     * @param {number} when - The audio context time to start at
+     */
+    playClip(clip, when) {
+        const strip = this.mixer.getClipStrip(clip);
+        const destination = strip ? strip.getInputNode() : this.effectsRack.getInputNode();
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = clip.buffer;
+        source.playbackRate.value = Math.pow(2, clip.pitch / 12);
+        if (clip.loop) {
+            source.loop = true;
+            source.loopStart = clip.loop.start;
+            source.loopEnd = clip.loop.end;
+        }
+
+        const gain = this.audioContext.createGain();
+        source.connect(gain);
+        gain.connect(destination);
+        scheduleClip(source, gain, clip, when);
+
+        this.timelineSources.add(source);
+        source.addEventListener('ended', () => this.timelineSources.delete(source));
+    }
+
+    /**
+     * Stop every timeline clip that is playing or scheduled
+     */
+    stopTimelineSources() {
+        this.timelineSources.forEach(source => source.stop());
+        this.timelineSources.clear();
+    }
+
     /**
      * Clear the timeline
+     * @param {Array<Object>} removed - The clips taken off ({clip, track})
      */
-    clearTimeline() {
+    clearTimeline(removed = []) {
         this.recordedEvents = [];
+        this.stopTimelineSources();
         console.log('Timeline cleared');
+
+        if (removed.length > 0) {
+            this.history.push({
+                label: 'Clear timeline',
+                undo: () => this.ui.restoreClips(removed),
+                redo: () => this.ui.removeClips(removed.map(entry => entry.clip))
+            });
+        }
+    }
+
+    /**
+     * Export the timeline as a rendered mixdown
+     * @param {string} format - 'wav' or 'webm'
+     */
+    async exportTimeline(format = 'wav') {
+        if (!this.exporter || this.exporter.isCurrentlyProcessing()) return;
+
+        const clips = this.getTimelineClips();
+        const effectParams = {
+            rack: this.effectsRack.getParams(),
+            reverb: this.effects.reverb.getParams(),
+            delay: this.effects.delay.getParams()
+        };
+
+        try {
+            const blob = await this.exporter.export(clips, effectParams, format, {
+                tracks: this.mixer.getParams(),
+                samples: this.mixer.getSampleParams(),
+                returns: this.mixer.getReturnLevels()
+            });
+            this.downloadBlob(blob, `mixdown.${format}`);
+            console.log('Timeline exported');
+        } catch (error) {
+            console.error('Error exporting timeline:', error);
+            alert(`Error exporting timeline: ${error.message}`);
+        } finally {
+            this.ui.updateExportProgress(null);
+        }
+    }
+
+    /**
+     * Collect every clip on every track with its audio buffer
+     * Clips on per-sample rows have no track; their sampleId names the sample strip they play through
+     * @returns {Array<Object>} - The clips ({buffer, time, duration, track, sampleId, pitch, loop, release, velocity, offset})
+     */
+    getTimelineClips() {
+        const clips = [];
+
+        document.querySelectorAll('.clip').forEach(clip => {
+            let buffer = this.getClipBuffer(clip);
+            if (!buffer) return;
+
+            const track = clip.closest('.track');
+            let pitch = parseFloat(clip.dataset.pitch) || 0;
+
+            // Notes played with formants kept use the same render as when they were played
+            if (pitch && clip.dataset.preserveFormants === 'true' && clip.dataset.sampleId) {
+                buffer = this.sampler.getShiftedBuffer(this.audioContext, clip.dataset.sampleId, buffer, pitch);
+                pitch = 0;
+            }
+
+            // Held notes that looped keep looping for the clip's length
+            let loop = null;
+            if (clip.dataset.loop === 'true') {
+                loop = this.fileHandler.getLoopPoints(clip.dataset.sampleId) || { start: 0, end: buffer.duration };
+            }
+
+            clips.push({
+                buffer,
+                time: parseFloat(clip.dataset.time) || 0,
+                duration: parseFloat(clip.dataset.duration) || buffer.duration,
+                track: track ? track.dataset.track || null : null,
+                sampleId: track && !track.dataset.track ? track.dataset.sample || null : null,
+                pitch,
+                loop,
+                release: this.releaseTime,
+                velocity: clip.dataset.velocity !== undefined ? parseFloat(clip.dataset.velocity) : 1,
+                offset: parseFloat(clip.dataset.offset) || 0
+            });
+        });
+
+        return clips;
+    }
+
+    /**
+     * Get the audio buffer a clip plays
+     * @param {HTMLElement} clip - The clip element
+     * @returns {AudioBuffer|null} - The buffer, if loaded
+     */
+    getClipBuffer(clip) {
+        if (clip.dataset.componentId) {
+            const component = this.extractedComponents.find(c => c.id === clip.dataset.componentId);
+            return component ? component.buffer : null;
+        }
+
+        return this.fileHandler ? this.fileHandler.audioBuffers[clip.dataset.sampleId] || null : null;
+    }
+
+    /**
+     * Collect everything needed to rebuild the session
+     * @returns {Object} - The project ({manifest, audio}) with AudioBuffers keyed by the IDs the manifest uses
+     */
+    getProjectState() {
+        const audio = {};
+
+        const samples = this.ui.getLoadedSamples()
+            .filter(sample => this.fileHandler.audioBuffers[sample.id])
+            .map(sample => {
+                audio[`sample:${sample.id}`] = this.fileHandler.audioBuffers[sample.id];
+                return {
+                    id: sample.id,
+                    name: sample.name,
+                    type: sample.type,
+                    audio: `sample:${sample.id}`,
+                    loopPoints: this.fileHandler.getLoopPoints(sample.id),
+                    voices: this.voices.getLimit(sample.id)
+                };
+            });
+
+        const components = this.extractedComponents.map(component => {
+            audio[`component:${component.id}`] = component.buffer;
+            return {
+                id: component.id,
+                name: component.name,
+                type: component.type,
+                audio: `component:${component.id}`
+            };
+        });
+
+        const manifest = {
+            created: new Date().toISOString(),
+            transport: {
+                bpm: this.currentBPM,
+                metronome: this.metronomeEnabled,
+                mode: this.playMode
+            },
+            samples,
+            components,
+            keyBindings: { ...this.keyBindings },
+            keyModes: { ...this.keyModes },
+            keyChokes: { ...this.keyChokes },
+            sampler: this.sampler.getState(),
+            midiMappings: this.midiMappings.getState(),
+            sequencer: this.patterns.getState(),
+            song: this.song.getState(),
+            groove: this.groove.getState(),
+            timeline: {
+                tracks: this.ui.getTracks(),
+                clips: this.ui.getClips()
+            },
+            mixer: {
+                tracks: this.mixer.getParams(),
+                samples: this.mixer.getSampleParams(),
+                returns: this.mixer.getReturnLevels()
+            },
+            effects: {
+                rack: this.effectsRack.getParams(),
+                reverb: this.effects.reverb.getParams(),
+                delay: this.effects.delay.getParams()
+            }
+        };
+
+        return { manifest, audio };
+    }
+
+    /**
+     * Save the session as a project file
+     */
+    saveProject() {
+        if (!this.audioContext) {
+            alert('Nothing to save yet');
+            return;
+        }
+
+        try {
+            const { manifest, audio } = this.getProjectState();
+            this.downloadBlob(encodeProject(manifest, audio), `project${PROJECT_EXTENSION}`);
+        } catch (error) {
+            console.error('Error saving project:', error);
+            alert(`Error saving project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open a project file, replacing the current session
+     * @param {File} file - The project file
+     */
+    async openProject(file) {
+        if (!this.audioContext) {
+            this.initAudio();
+        }
+
+        try {
+            const { manifest, audio } = decodeProject(await file.arrayBuffer(), this.audioContext);
+            this.loadProjectState(manifest, audio);
+            console.log(`Project loaded: ${file.name}`);
+        } catch (error) {
+            console.error('Error opening project:', error);
+            alert(`Error opening project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Look for an autosaved session and offer to restore it
+     * Autosave only starts once the user has chosen, so the session on offer is not overwritten
+     */
+    async checkForRecovery() {
+        try {
+            if (!await this.autosave.initialize()) return;
+
+            const session = await this.autosave.getRecoverableSession();
+            const snapshots = await this.autosave.getSnapshots();
+
+            this.recoveryPoints = [];
+            if (session && hasProjectContent(session.manifest)) {
+                this.recoveryPoints.push({ id: 'session', time: session.updated, source: session });
+            }
+            snapshots.forEach(snapshot => {
+                this.recoveryPoints.push({ id: snapshot.id, time: snapshot.created, source: snapshot });
+            });
+
+            if (session && hasProjectContent(session.manifest)) {
+                this.ui.showRecoveryPrompt(this.recoveryPoints.map(({ id, time, source }) => ({
+                    id,
+                    time,
+                    summary: summarizeProject(source.manifest)
+                })));
+            } else {
+                // An empty session is simply overwritten by the next save
+                this.startAutosave();
+            }
+        } catch (error) {
+            console.error('Error checking for a recoverable session:', error);
+        }
+    }
+
+    /**
+     * Restore the autosaved session or one of its snapshots
+     * @param {string|number} pointId - 'session' or a snapshot ID
+     */
+    async restoreSession(pointId) {
+        const point = this.recoveryPoints.find(p => p.id === pointId);
+        if (!point) return;
+
+        if (!this.audioContext) {
+            this.initAudio();
+        }
+
+        try {
+            const { manifest, audio } = await this.autosave.restore(point.source, this.audioContext);
+            this.loadProjectState(manifest, audio);
+            console.log('Session restored');
+        } catch (error) {
+            console.error('Error restoring session:', error);
+            alert(`Error restoring session: ${error.message}`);
+        }
+
+        this.startAutosave();
+    }
+
+    /**
+     * Keep the autosaved session as a snapshot and start a fresh one
+     */
+    async discardSession() {
+        try {
+            await this.autosave.archiveSession();
+        } catch (error) {
+            console.error('Error archiving session:', error);
+        }
+
+        this.startAutosave();
+    }
+
+    /**
+     * Start autosaving the session, flushing when the page is hidden or closed
+     */
+    startAutosave() {
+        this.recoveryPoints = [];
+        this.autosave.start(() => this.audioContext ? this.getProjectState() : null);
+
+        if (!this.autosaveListenersAdded) {
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.autosave.saveNow();
+            });
+            window.addEventListener('pagehide', () => this.autosave.saveNow());
+            this.autosaveListenersAdded = true;
+        }
     }
 
     /**
-     * Export the timeline
+     * Replace the session with a decoded project
+     * @param {Object} manifest - The project manifest (current format version)
+     * @param {Object} audio - AudioBuffers keyed by the IDs the manifest uses
      */
-    exportTimeline() {
-        // Create a JSON representation of the timeline
-        const clips = document.querySelectorAll('.clip');
-        const timelineData = Array.from(clips).map(clip => ({
-            sampleId: clip.dataset.sampleId,
-            time: parseFloat(clip.dataset.time),
-            duration: parseFloat(clip.dataset.duration)
-        }));
+    loadProjectState(manifest, audio) {
+        // Stop and clear the current session
+        if (this.isPlaying) this.ui.stop();
+        this.stopPlayback();
+        this.ui.clearTimeline();
+        this.ui.clearKeyBindings();
+        this.ui.clearSamples();
+        this.fileHandler.dispose();
+        this.sampler.clearCache();
+        this.voices.clearLimits();
+
+        // Transport
+        this.updateTempo(manifest.transport.bpm);
+        this.setMetronomeEnabled(manifest.transport.metronome);
+        this.ui.setTransport(manifest.transport.bpm, manifest.transport.metronome);
+        this.setPlayMode(manifest.transport.mode);
+        this.ui.setPlayMode(this.playMode);
+
+        // Samples and dissected components
+        manifest.samples.forEach(sample => {
+            if (!audio[sample.audio]) {
+                console.warn(`Project audio missing for sample ${sample.id}`);
+                return;
+            }
+
+            this.fileHandler.restoreSample(sample.id, audio[sample.audio], sample.loopPoints);
+            this.ui.addSampleToList(sample.id, sample.name, sample.type);
+            this.ui.addSampleRow(sample.id, sample.name);
+
+            if (sample.voices) {
+                this.voices.setLimit(sample.id, sample.voices);
+                this.ui.setSampleVoices(sample.id, this.voices.getLimit(sample.id));
+            }
+        });
+
+        this.showComponents(manifest.components
+            .filter(component => audio[component.audio])
+            .map(component => ({
+                id: component.id,
+                name: component.name,
+                type: component.type,
+                buffer: audio[component.audio]
+            })));
+
+        // Key bindings and sequencer
+        this.keyBindings = { ...manifest.keyBindings };
+        this.keyModes = { ...manifest.keyModes };
+        this.keyChokes = { ...manifest.keyChokes };
+        this.ui.setKeyBindings(this.keyBindings, this.keyModes, this.keyChokes);
+        this.updatePadList();
+        this.sampler.setState(manifest.sampler);
+        this.updateChromaticKeyboard();
+        this.patterns.setState(manifest.sequencer);
+        this.song.setState(manifest.song);
+        this.groove.setState(manifest.groove);
+        this.showPattern();
+        this.updateGrooveList();
+
+        // Tracks and mixer
+        const existingTracks = this.ui.getTracks().map(track => track.id);
+        manifest.timeline.tracks.forEach(track => {
+            if (!existingTracks.includes(track.id)) {
+                this.ui.addTrackRow(track.id, track.name);
+            }
+        });
+
+        this.mixer.setParams(manifest.mixer.tracks);
+        this.mixer.setSampleParams(manifest.mixer.samples);
+        for (const busId in manifest.mixer.returns) {
+            this.mixer.setReturnLevel(busId, manifest.mixer.returns[busId]);
+        }
+
+        for (const trackId in manifest.mixer.tracks) {
+            this.ui.setTrackStrip(trackId, manifest.mixer.tracks[trackId]);
+        }
+        for (const sampleId in manifest.mixer.samples) {
+            this.ui.setSampleSends(sampleId, manifest.mixer.samples[sampleId].sends || {});
+        }
+
+        // Effects
+        this.effectsRack.setParams(manifest.effects.rack);
+        this.effects.reverb.setParams(manifest.effects.reverb);
+        this.effects.delay.setParams(manifest.effects.delay);
+        this.refreshEffectsRack();
+
+        const filter = this.effectsRack.findByType('filter');
+        const compressor = this.effectsRack.findByType('compressor');
+        this.ui.setEffectControls({
+            filterFrequency: filter ? filter.getParams().frequency : undefined,
+            reverbReturn: manifest.mixer.returns.reverb,
+            delayTime: manifest.effects.delay.delayTime,
+            compressorThreshold: compressor ? compressor.getParams().threshold : undefined
+        });
 
-        // Create a JSON blob
-        const blob = new Blob([JSON.stringify(timelineData, null, 2)], { type: 'application/json' });
+        // Timeline clips; clips recorded onto per-sample rows rebuild those rows
+        manifest.timeline.clips.forEach(clip => {
+            if (!this.ui.addClip(clip.track, clip) && clip.sampleId) {
+                this.ui.addRecordedEvent(clip);
+            }
+        });
+
+        // MIDI mappings, once the sliders they name are drawn
+        this.midiMappings.setState(manifest.midiMappings);
+        this.ui.setControlLearning(null);
+        this.ui.setControlMappings(this.midiMappings.getState());
+
+        // Earlier steps refer to the replaced session
+        this.history.clear();
+    }
 
+    /**
+     * Download a blob as a file
+     * @param {Blob} blob - The file contents
+     * @param {string} filename - The download file name
+     */
+    downloadBlob(blob, filename) {
         // Create a download link
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'timeline.json';
+        a.download = filename;
         document.body.appendChild(a);
         a.click();
 
@@ -617,16 +2903,24 @@ class App {
             document.body.removeChild(a);
             URL.revokeObjectURL(url);
         }, 0);
-
-        console.log('Timeline exported');
     }
 
     /**
      * Update a clip in the timeline
      * @param {Object} clip - The clip data
+     * @param {HTMLElement} element - The clip element
+     * @param {Object} previous - The clip timing ({time, duration}) before the edit
      */
-    updateClip(clip) {
+    updateClip(clip, element, previous) {
         console.log('Clip updated:', clip);
+
+        if (!element || !previous) return;
+        if (previous.time === clip.time && previous.duration === clip.duration) return;
+
+        const label = previous.duration === clip.duration ? 'Move clip' : 'Resize clip';
+        this.recordChange(label, previous, { time: clip.time, duration: clip.duration }, (timing) => {
+            this.ui.setClipTiming(element, timing.time, timing.duration);
+        });
     }
 
     /**
@@ -647,39 +2941,7 @@ class App {
         // Dissection complete callback
         this.songDissector.onDissectionComplete = (components) => {
             console.log('Dissection complete:', components);
-            this.extractedComponents = components;
-
-            // Show results
-            const dissectionProgress = document.getElementById('dissectionProgress');
-            const dissectionResults = document.getElementById('dissectionResults');
-            const componentsList = document.getElementById('componentsList');
-
-            if (dissectionProgress) dissectionProgress.classList.add('hidden');
-            if (dissectionResults) dissectionResults.classList.remove('hidden');
-
-            // Clear previous results
-            if (componentsList) componentsList.innerHTML = '';
-
-            // Add components to the list
-            components.forEach(component => {
-                const listItem = document.createElement('li');
-                listItem.innerHTML = `
-                    <span>${component.name}</span>
-                    <div>
-                        <button class="preview-btn" data-component-id="${component.id}">Preview</button>
-                        <button class="add-to-track-btn" data-component-id="${component.id}">Add to Track</button>
-                    </div>
-                `;
-
-                componentsList.appendChild(listItem);
-
-                // Add event listeners
-                const previewBtn = listItem.querySelector('.preview-btn');
-                const addToTrackBtn = listItem.querySelector('.add-to-track-btn');
-
-                previewBtn.addEventListener('click', () => this.previewComponent(component.id));
-                addToTrackBtn.addEventListener('click', () => this.addComponentToTrack(component.id));
-            });
+            this.showComponents(components);
 
             // Enable dissect button
             const dissectBtn = document.getElementById('dissectBtn');
@@ -703,6 +2965,46 @@ class App {
         };
     }
 
+    /**
+     * Keep extracted components and list them in the dissector results
+     * @param {Array<Object>} components - The components ({id, name, type, buffer})
+     */
+    showComponents(components) {
+        this.extractedComponents = components;
+
+        // Show results
+        const dissectionProgress = document.getElementById('dissectionProgress');
+        const dissectionResults = document.getElementById('dissectionResults');
+        const componentsList = document.getElementById('componentsList');
+
+        if (dissectionProgress) dissectionProgress.classList.add('hidden');
+        if (dissectionResults) dissectionResults.classList.toggle('hidden', components.length === 0);
+
+        // Clear previous results
+        if (componentsList) componentsList.innerHTML = '';
+
+        // Add components to the list
+        components.forEach(component => {
+            const listItem = document.createElement('li');
+            listItem.innerHTML = `
+                <span>${component.name}</span>
+                <div>
+                    <button class="preview-btn" data-component-id="${component.id}">Preview</button>
+                    <button class="add-to-track-btn" data-component-id="${component.id}">Add to Track</button>
+                </div>
+            `;
+
+            componentsList.appendChild(listItem);
+
+            // Add event listeners
+            const previewBtn = listItem.querySelector('.preview-btn');
+            const addToTrackBtn = listItem.querySelector('.add-to-track-btn');
+
+            previewBtn.addEventListener('click', () => this.previewComponent(component.id));
+            addToTrackBtn.addEventListener('click', () => this.addComponentToTrack(component.id));
+        });
+    }
+
     /**
      * Set up additional UI event listeners
      */
@@ -819,8 +3121,8 @@ class App {
         const source = this.audioContext.createBufferSource();
         source.buffer = component.buffer;
 
-        // Connect to effects chain
-        source.connect(this.effects.filter.getNode());
+        // Connect to the insert rack
+        source.connect(this.effectsRack.getInputNode());
 
         // Start playback
         source.start(0);
@@ -862,106 +3164,60 @@ class App {
         track.appendChild(clip);
 
         // Make clip interactive
-        this.makeClipInteractive(clip);
+        this.ui.makeClipInteractive(clip);
+        this.recordClipsAdded(`Add ${component.name}`, [clip]);
     }
 
     /**
-     * Make a clip interactive (draggable and resizable)
-     * @param {HTMLElement} clip - The clip element
+     * Add a new track to the track editor
      */
-    makeClipInteractive(clip) {
-        let isDragging = false;
-        let isResizingLeft = false;
-        let isResizingRight = false;
-        let startX = 0;
-        let startLeft = 0;
-        let startWidth = 0;
-
-        const leftHandle = clip.querySelector('.clip-handle.left');
-        const rightHandle = clip.querySelector('.clip-handle.right');
-
-        // Left resize handle
-        leftHandle.addEventListener('mousedown', (e) => {
-            isResizingLeft = true;
-            startX = e.clientX;
-            startLeft = parseInt(clip.style.left) || 0;
-            startWidth = parseInt(clip.style.width) || 0;
-            e.stopPropagation();
-        });
-
-        // Right resize handle
-        rightHandle.addEventListener('mousedown', (e) => {
-            isResizingRight = true;
-            startX = e.clientX;
-            startWidth = parseInt(clip.style.width) || 0;
-            e.stopPropagation();
-        });
-
-        // Clip dragging
-        clip.addEventListener('mousedown', (e) => {
-            if (!isResizingLeft && !isResizingRight) {
-                isDragging = true;
-                startX = e.clientX;
-                startLeft = parseInt(clip.style.left) || 0;
-            }
-        });
-
-        // Mouse move handler
-        document.addEventListener('mousemove', (e) => {
-            if (isDragging) {
-                const dx = e.clientX - startX;
-                clip.style.left = `${Math.max(0, startLeft + dx)}px`;
-            } else if (isResizingLeft) {
-                const dx = e.clientX - startX;
-                const newLeft = Math.max(0, startLeft + dx);
-                const newWidth = Math.max(10, startWidth - dx);
-
-                clip.style.left = `${newLeft}px`;
-                clip.style.width = `${newWidth}px`;
-            } else if (isResizingRight) {
-                const dx = e.clientX - startX;
-                clip.style.width = `${Math.max(10, startWidth + dx)}px`;
-            }
-        });
-
-        // Mouse up handler
-        document.addEventListener('mouseup', () => {
-            if (isDragging || isResizingLeft || isResizingRight) {
-                // Update clip data attributes
-                clip.dataset.time = parseInt(clip.style.left) / 100;
-                clip.dataset.duration = parseInt(clip.style.width) / 100;
+    addNewTrack() {
+        // Get the next track number
+        const trackCount = this.ui.getTracks().length + 1;
+        const trackId = String(trackCount);
+        const trackName = `Track ${trackCount}`;
+
+        // Create the timeline row and its channel strip
+        const createTrack = () => {
+            if (this.ui.addTrackRow(trackId, trackName)) {
+                this.mixer.createStrip(trackId, trackName);
             }
+        };
 
-            isDragging = false;
-            isResizingLeft = false;
-            isResizingRight = false;
+        this.history.execute({
+            label: `Add ${trackName}`,
+            undo: () => {
+                this.ui.removeTrackRow(trackId);
+                this.mixer.removeStrip(trackId);
+            },
+            redo: createTrack
         });
     }
+}
 
-    /**
-     * Add a new track to the track editor
-     */
-    addNewTrack() {
-        const trackLabels = document.querySelector('.track-labels');
-        const trackContent = document.querySelector('.track-content');
-
-        if (!trackLabels || !trackContent) return;
-
-        // Get the next track number
-        const trackCount = trackLabels.children.length + 1;
-
-        // Create track label
-        const trackLabel = document.createElement('div');
-        trackLabel.className = 'track-label';
-        trackLabel.textContent = `Track ${trackCount}`;
-        trackLabels.appendChild(trackLabel);
+/**
+ * Whether a project manifest holds anything worth restoring
+ * @param {Object} manifest - The project manifest
+ * @returns {boolean} - True if it has samples, components or clips
+ */
+function hasProjectContent(manifest) {
+    return Boolean(
+        (manifest.samples && manifest.samples.length) ||
+        (manifest.components && manifest.components.length) ||
+        (manifest.timeline && manifest.timeline.clips.length)
+    );
+}
 
-        // Create track
-        const track = document.createElement('div');
-        track.className = 'track';
-        track.dataset.track = trackCount;
-        trackContent.appendChild(track);
-    }
+/**
+ * Describe a project manifest in a few words
+ * @param {Object} manifest - The project manifest
+ * @returns {string} - e.g. "3 samples, 5 clips, 120 BPM"
+ */
+function summarizeProject(manifest) {
+    const samples = manifest.samples ? manifest.samples.length : 0;
+    const clips = manifest.timeline ? manifest.timeline.clips.length : 0;
+    const bpm = manifest.transport ? manifest.transport.bpm : '-';
+    return `${samples} sample${samples === 1 ? '' : 's'}, ${clips} clip${clips === 1 ? '' : 's'}, ${bpm} BPM`;
 }
 
 // Initialize the application when DOM is loaded
@@ -0,0 +1,194 @@
+// clock.js - MIDI clock sync in and out for Web Audio Instrument
+
+// MIDI clock runs at 24 pulses per quarter note
+const PULSES_PER_BEAT = 24;
+
+// Realtime and song position messages
+export const CLOCK = 0xf8;
+export const START = 0xfa;
+export const CONTINUE = 0xfb;
+export const STOP = 0xfc;
+export const SONG_POSITION = 0xf2;
+
+const MIN_TEMPO = 20;
+const MAX_TEMPO = 300;
+
+/**
+ * MidiClock class
+ * Follows incoming MIDI clock and times outgoing clock. Incoming pulses are
+ * smoothed by a delay-locked loop, which settles on the master's tempo and
+ * phase while ignoring the jitter each pulse arrives with. Both directions
+ * convert between MIDI timestamps (performance.now() milliseconds) and
+ * audio context time through a smoothed offset between the two clocks.
+ */
+class MidiClock {
+    /**
+     * Create a new MidiClock instance
+     * @param {number} stepsPerBeat - Sequencer steps per quarter note
+     */
+    constructor(stepsPerBeat = 4) {
+        this.pulsesPerStep = PULSES_PER_BEAT / stepsPerBeat;
+        this.bandwidth = 0.5; // Loop bandwidth in Hz: lower is smoother but slower to follow tempo changes
+
+        // Incoming clock
+        this.period = null; // Smoothed seconds per pulse
+        this.nextPulseTime = null; // Predicted audio time of the next pulse
+        this.position = 0; // Pulses since the start of the song
+        this.running = false;
+        this.startPending = false; // Start or continue received; the next pulse is the first
+
+        // Offset from audio context time to performance time, in seconds
+        this.timeOffset = null;
+    }
+
+    /**
+     * Take a fresh reading of the audio and performance clocks
+     * @param {AudioContext} audioContext - The Web Audio API context
+     */
+    trackTime(audioContext) {
+        const stamp = audioContext.getOutputTimestamp ? audioContext.getOutputTimestamp() : {};
+        const contextTime = stamp.contextTime !== undefined ? stamp.contextTime : audioContext.currentTime;
+        const performanceTime = stamp.performanceTime !== undefined ? stamp.performanceTime : performance.now();
+        const offset = performanceTime / 1000 - contextTime;
+
+        // Start over if the clocks jumped apart, e.g. the context was suspended
+        if (this.timeOffset === null || Math.abs(offset - this.timeOffset) > 0.05) {
+            this.timeOffset = offset;
+        } else {
+            this.timeOffset += (offset - this.timeOffset) * 0.05;
+        }
+    }
+
+    /**
+     * Convert a MIDI timestamp to audio context time
+     * @param {number} timestamp - The performance.now() time in milliseconds
+     * @returns {number} - The audio context time in seconds
+     */
+    toAudioTime(timestamp) {
+        return timestamp / 1000 - this.timeOffset;
+    }
+
+    /**
+     * Convert audio context time to a MIDI timestamp
+     * @param {number} time - The audio context time in seconds
+     * @returns {number} - The performance.now() time in milliseconds
+     */
+    toTimestamp(time) {
+        return (time + this.timeOffset) * 1000;
+    }
+
+    /**
+     * Play from a song position on the next pulse (MIDI start or continue)
+     * @param {number} step - The step to start from
+     */
+    start(step) {
+        this.position = step * this.pulsesPerStep;
+        this.startPending = true;
+    }
+
+    /**
+     * Stop following the song position (MIDI stop); the tempo is kept
+     */
+    stop() {
+        this.running = false;
+        this.startPending = false;
+    }
+
+    /**
+     * Move the song position while stopped (MIDI song position pointer)
+     * @param {number} step - The step, i.e. MIDI beats (16ths) since the start of the song
+     */
+    setSongPosition(step) {
+        if (!this.running) {
+            this.position = step * this.pulsesPerStep;
+        }
+    }
+
+    /**
+     * Get the step the song position is at
+     * @returns {number} - The step
+     */
+    getStep() {
+        return Math.floor(this.position / this.pulsesPerStep);
+    }
+
+    /**
+     * Follow an incoming clock pulse
+     * @param {number} time - The audio context time the pulse arrived at
+     * @param {number} tempo - The tempo to assume until the clock's own is known
+     * @returns {Object} - The pulse ({time: smoothed audio time, step: the step it starts or null, started: whether playback starts on it})
+     */
+    receivePulse(time, tempo) {
+        // Lock on afresh at the first pulse or after the clock stalled or jumped
+        if (this.period === null) {
+            this.period = 60 / (tempo * PULSES_PER_BEAT);
+        }
+        if (this.nextPulseTime === null || Math.abs(time - this.nextPulseTime) > this.period * 4) {
+            this.nextPulseTime = time;
+        }
+
+        // Second order delay-locked loop
+        const omega = 2 * Math.PI * this.bandwidth * this.period;
+        const error = time - this.nextPulseTime;
+        this.nextPulseTime += this.period + Math.SQRT2 * omega * error;
+        this.period += omega * omega * error;
+        this.period = Math.max(60 / (MAX_TEMPO * PULSES_PER_BEAT), Math.min(60 / (MIN_TEMPO * PULSES_PER_BEAT), this.period));
+
+        const pulse = { time: this.nextPulseTime - this.period, step: null, started: false };
+
+        if (this.startPending) {
+            this.startPending = false;
+            this.running = true;
+            pulse.started = true;
+        }
+
+        if (this.running) {
+            if (this.position % this.pulsesPerStep === 0) {
+                pulse.step = this.position / this.pulsesPerStep;
+            }
+            this.position++;
+        }
+
+        return pulse;
+    }
+
+    /**
+     * Get the tempo of the incoming clock
+     * @returns {number|null} - The tempo in BPM, or null before any clock arrived
+     */
+    getTempo() {
+        return this.period === null ? null : 60 / (this.period * PULSES_PER_BEAT);
+    }
+
+    /**
+     * Forget the incoming clock's tempo and phase, e.g. when sync is turned off
+     */
+    reset() {
+        this.period = null;
+        this.nextPulseTime = null;
+        this.running = false;
+        this.startPending = false;
+    }
+
+    /**
+     * Get the timestamps to send one step's clock pulses at
+     * @param {number} time - The audio context time the step starts at
+     * @param {number} stepDuration - The step length in seconds
+     * @returns {Array<number>} - The performance.now() times in milliseconds
+     */
+    getStepPulses(time, stepDuration) {
+        return Array.from({ length: this.pulsesPerStep }, (_, i) => this.toTimestamp(time + i * stepDuration / this.pulsesPerStep));
+    }
+}
+
+/**
+ * Build a song position pointer message
+ * @param {number} step - The step, i.e. MIDI beats (16ths) since the start of the song
+ * @returns {Array<number>} - The message bytes
+ */
+export function songPositionMessage(step) {
+    const position = Math.max(0, Math.min(0x3fff, step));
+    return [SONG_POSITION, position & 0x7f, position >> 7];
+}
+
+export default MidiClock;
@@ -0,0 +1,211 @@
+// midi/index.js - Web MIDI input for Web Audio Instrument
+
+import { CLOCK, START, CONTINUE, STOP, SONG_POSITION } from './clock.js';
+
+/**
+ * MidiInput class
+ * Listens to every connected MIDI input and reports notes, controller moves
+ * and clock, and sends to outputs. Works with the browser's MIDIAccess or
+ * any object shaped like it ({inputs, outputs, onstatechange}, inputs being
+ * {name, onmidimessage} and outputs {id, name, send}), so it can be driven
+ * by a mock.
+ */
+class MidiInput {
+    /**
+     * Create a new MidiInput instance
+     */
+    constructor() {
+        this.access = null;
+        this.learnCallback = null; // Takes the next note-on instead of it being played
+
+        // Event callbacks
+        this.onNoteOn = null; // (note, velocity 0-1, channel)
+        this.onNoteOff = null; // (note, channel)
+        this.onControlChange = null; // (controller, value 0-127, channel)
+        this.onClock = null; // (timestamp in ms)
+        this.onStart = null;
+        this.onContinue = null;
+        this.onStop = null;
+        this.onSongPosition = null; // (MIDI beats, i.e. 16ths since the start of the song)
+        this.onStateChange = null; // (input names)
+    }
+
+    /**
+     * Get MIDI access and start listening
+     * @param {Object} access - A MIDIAccess to use instead of asking the browser
+     * @returns {Promise<MidiInput>} - This input
+     */
+    async initialize(access = null) {
+        if (!access) {
+            if (!navigator.requestMIDIAccess) {
+                throw new Error('Web MIDI is not supported in this browser');
+            }
+            access = await navigator.requestMIDIAccess();
+        }
+
+        this.access = access;
+        this.access.onstatechange = () => {
+            this.connectInputs();
+            this.notifyStateChange();
+        };
+
+        this.connectInputs();
+        this.notifyStateChange();
+        return this;
+    }
+
+    /**
+     * Check whether MIDI access has been granted
+     * @returns {boolean} - True once initialized
+     */
+    isEnabled() {
+        return this.access !== null;
+    }
+
+    /**
+     * Listen to every input, including ones plugged in since the last call
+     */
+    connectInputs() {
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = (event) => this.handleMessage(event.data, event.timeStamp);
+        });
+    }
+
+    /**
+     * Get the names of the connected inputs
+     * @returns {Array<string>} - The input names
+     */
+    getInputNames() {
+        if (!this.access) return [];
+
+        const names = [];
+        this.access.inputs.forEach(input => names.push(input.name || 'MIDI input'));
+        return names;
+    }
+
+    /**
+     * Get the connected outputs
+     * @returns {Array<Object>} - The outputs ({id, name})
+     */
+    getOutputs() {
+        if (!this.access || !this.access.outputs) return [];
+
+        const outputs = [];
+        this.access.outputs.forEach(output => outputs.push({ id: output.id, name: output.name || 'MIDI output' }));
+        return outputs;
+    }
+
+    /**
+     * Send a message to an output
+     * @param {string} outputId - The output ID
+     * @param {Array<number>} data - The message bytes
+     * @param {number} timestamp - When to send it, in performance.now() milliseconds; now if omitted
+     */
+    send(outputId, data, timestamp) {
+        const output = this.access && this.access.outputs && this.access.outputs.get(outputId);
+        if (output) output.send(data, timestamp);
+    }
+
+    /**
+     * Hand the next note-on to a callback instead of playing it
+     * @param {Function} callback - Called with the note number
+     */
+    learn(callback) {
+        this.learnCallback = callback;
+    }
+
+    /**
+     * Stop waiting for a note to learn
+     */
+    cancelLearn() {
+        this.learnCallback = null;
+    }
+
+    /**
+     * Check whether a note is being learned
+     * @returns {boolean} - True while waiting for a note
+     */
+    isLearning() {
+        return this.learnCallback !== null;
+    }
+
+    /**
+     * Decode a MIDI message
+     * @param {Uint8Array} data - The message bytes
+     * @param {number} timestamp - When the message arrived, in performance.now() milliseconds
+     */
+    handleMessage(data, timestamp) {
+        // System messages carry no channel
+        if (data[0] >= 0xf0) {
+            this.handleSystemMessage(data, timestamp);
+            return;
+        }
+
+        const status = data[0] & 0xf0;
+        const channel = data[0] & 0x0f;
+
+        if (status === 0x90 && data[2] > 0) {
+            if (this.learnCallback) {
+                const callback = this.learnCallback;
+                this.learnCallback = null;
+                callback(data[1]);
+                return;
+            }
+
+            if (this.onNoteOn) this.onNoteOn(data[1], data[2] / 127, channel);
+        } else if (status === 0x80 || status === 0x90) {
+            // Note-on with zero velocity is a note-off
+            if (this.onNoteOff) this.onNoteOff(data[1], channel);
+        } else if (status === 0xb0) {
+            if (this.onControlChange) this.onControlChange(data[1], data[2], channel);
+        }
+    }
+
+    /**
+     * Decode a clock, transport or song position message
+     * @param {Uint8Array} data - The message bytes
+     * @param {number} timestamp - When the message arrived, in performance.now() milliseconds
+     */
+    handleSystemMessage(data, timestamp) {
+        if (data[0] === CLOCK) {
+            if (this.onClock) this.onClock(timestamp);
+        } else if (data[0] === START) {
+            if (this.onStart) this.onStart();
+        } else if (data[0] === CONTINUE) {
+            if (this.onContinue) this.onContinue();
+        } else if (data[0] === STOP) {
+            if (this.onStop) this.onStop();
+        } else if (data[0] === SONG_POSITION) {
+            if (this.onSongPosition) this.onSongPosition(data[1] | (data[2] << 7));
+        }
+    }
+
+    /**
+     * Report the connected inputs
+     */
+    notifyStateChange() {
+        if (this.onStateChange) {
+            this.onStateChange(this.getInputNames());
+        }
+    }
+}
+
+/**
+ * Get the key-binding ID of a MIDI note, so pads bind like keys
+ * @param {number} note - The MIDI note number
+ * @returns {string} - e.g. 'midi-36'
+ */
+export function padKey(note) {
+    return `midi-${note}`;
+}
+
+/**
+ * Get the MIDI note of a key-binding ID
+ * @param {string} key - The key-binding ID
+ * @returns {number|null} - The note number, or null for computer keys
+ */
+export function padNote(key) {
+    return key.startsWith('midi-') ? parseInt(key.slice(5)) : null;
+}
+
+export default MidiInput;
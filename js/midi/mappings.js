@@ -0,0 +1,197 @@
+// mappings.js - MIDI CC mappings for on-screen controls in Web Audio Instrument
+
+// Response curves from a CC's travel (0-1) to the control's travel (0-1)
+const CURVES = {
+    linear: (position) => position,
+    exponential: (position) => position * position, // Fine control at the bottom, e.g. filter frequency
+    logarithmic: (position) => Math.sqrt(position) // Fine control at the top
+};
+
+// How close a knob must come to the control's value to pick it up
+const PICKUP_DISTANCE = 0.02;
+
+/**
+ * MidiMappings class
+ * Maps CC numbers to controls, which are named by ID and moved in terms of
+ * their own travel (0 at the minimum, 1 at the maximum). A mapping is
+ * {controlId, channel, cc, min, max, curve, takeover}: min and max narrow
+ * the part of the control's travel the knob covers, and with takeover on
+ * the knob only takes over once it reaches the control's current value, so
+ * the control does not jump when the knob and screen disagree.
+ */
+class MidiMappings {
+    /**
+     * Create a new MidiMappings instance
+     */
+    constructor() {
+        this.mappings = [];
+        this.learnControlId = null; // Control waiting for a CC
+
+        // Pickup state per control ID: {position: last value set by MIDI, incoming: last knob position}
+        this.pickup = {};
+    }
+
+    /**
+     * Wait for the next CC to map it to a control
+     * @param {string} controlId - The control ID
+     */
+    learn(controlId) {
+        this.learnControlId = controlId;
+    }
+
+    /**
+     * Stop waiting for a CC
+     */
+    cancelLearn() {
+        this.learnControlId = null;
+    }
+
+    /**
+     * Check whether a control is waiting for a CC
+     * @returns {boolean} - True while learning
+     */
+    isLearning() {
+        return this.learnControlId !== null;
+    }
+
+    /**
+     * Map the learning control to a CC, replacing any earlier mapping of either
+     * @param {number} channel - The MIDI channel (0-15)
+     * @param {number} cc - The controller number
+     * @returns {Object|null} - The new mapping, or null if nothing was learning
+     */
+    completeLearn(channel, cc) {
+        if (!this.learnControlId) return null;
+
+        const controlId = this.learnControlId;
+        this.learnControlId = null;
+
+        this.mappings = this.mappings.filter(mapping =>
+            mapping.controlId !== controlId && !(mapping.channel === channel && mapping.cc === cc));
+
+        const mapping = { controlId, channel, cc, min: 0, max: 1, curve: 'linear', takeover: true };
+        this.mappings.push(mapping);
+        delete this.pickup[controlId];
+        return { ...mapping };
+    }
+
+    /**
+     * Get a control's mapping
+     * @param {string} controlId - The control ID
+     * @returns {Object|null} - The mapping
+     */
+    getMapping(controlId) {
+        const mapping = this.mappings.find(entry => entry.controlId === controlId);
+        return mapping ? { ...mapping } : null;
+    }
+
+    /**
+     * Change a mapping's range, curve or takeover
+     * @param {string} controlId - The control ID
+     * @param {Object} changes - Any of min, max (0-1), curve and takeover
+     */
+    updateMapping(controlId, changes) {
+        const mapping = this.mappings.find(entry => entry.controlId === controlId);
+        if (!mapping) return;
+
+        if (changes.min !== undefined) mapping.min = clampUnit(changes.min);
+        if (changes.max !== undefined) mapping.max = clampUnit(changes.max);
+        if (changes.curve !== undefined && CURVES[changes.curve]) mapping.curve = changes.curve;
+        if (changes.takeover !== undefined) mapping.takeover = !!changes.takeover;
+    }
+
+    /**
+     * Remove a control's mapping
+     * @param {string} controlId - The control ID
+     */
+    removeMapping(controlId) {
+        this.mappings = this.mappings.filter(mapping => mapping.controlId !== controlId);
+        delete this.pickup[controlId];
+    }
+
+    /**
+     * Work out which controls a CC message moves
+     * @param {number} channel - The MIDI channel (0-15)
+     * @param {number} cc - The controller number
+     * @param {number} value - The controller value (0-127)
+     * @param {Function} getPosition - Returns a control's current travel (0-1), or null if it is not on screen
+     * @returns {Array<Object>} - The moves ({controlId, position})
+     */
+    handleControlChange(channel, cc, value, getPosition) {
+        const moves = [];
+
+        this.mappings.forEach(mapping => {
+            if (mapping.channel !== channel || mapping.cc !== cc) return;
+
+            const current = getPosition(mapping.controlId);
+            if (current === null) return;
+
+            const position = mapping.min + (mapping.max - mapping.min) * CURVES[mapping.curve](value / 127);
+            const state = this.pickup[mapping.controlId];
+
+            if (mapping.takeover) {
+                // Moved from the screen or by undo since MIDI last set it: pick it up again
+                const pickedUp = state && state.position !== null && Math.abs(state.position - current) < 1e-6;
+                const reached = Math.abs(position - current) <= PICKUP_DISTANCE;
+                const crossed = state && (state.incoming - current) * (position - current) <= 0;
+
+                if (!pickedUp && !reached && !crossed) {
+                    this.pickup[mapping.controlId] = { position: null, incoming: position };
+                    return;
+                }
+            }
+
+            this.pickup[mapping.controlId] = { position, incoming: position };
+            moves.push({ controlId: mapping.controlId, position });
+        });
+
+        return moves;
+    }
+
+    /**
+     * Note where a control ended up after a move, once it has snapped to its step
+     * @param {string} controlId - The control ID
+     * @param {number} position - The control's travel (0-1)
+     */
+    confirmPosition(controlId, position) {
+        if (this.pickup[controlId]) {
+            this.pickup[controlId].position = position;
+        }
+    }
+
+    /**
+     * Get the mappings for saving
+     * @returns {Array<Object>} - The mappings
+     */
+    getState() {
+        return this.mappings.map(mapping => ({ ...mapping }));
+    }
+
+    /**
+     * Replace the mappings from a saved state
+     * @param {Array<Object>} state - The mappings
+     */
+    setState(state) {
+        this.mappings = (state || []).map(mapping => ({
+            controlId: mapping.controlId,
+            channel: mapping.channel,
+            cc: mapping.cc,
+            min: clampUnit(mapping.min !== undefined ? mapping.min : 0),
+            max: clampUnit(mapping.max !== undefined ? mapping.max : 1),
+            curve: CURVES[mapping.curve] ? mapping.curve : 'linear',
+            takeover: mapping.takeover !== false
+        }));
+        this.pickup = {};
+    }
+}
+
+/**
+ * Keep a value between 0 and 1
+ * @param {number} value - The value
+ * @returns {number} - The clamped value
+ */
+function clampUnit(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+export default MidiMappings;
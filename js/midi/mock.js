@@ -0,0 +1,81 @@
+// mock.js - Virtual MIDIAccess for trying out MIDI without a device in Web Audio Instrument
+
+/**
+ * Create a stand-in for the browser's MIDIAccess
+ * Pass it to MidiInput.initialize() and play notes from code, e.g.
+ *   const access = createMockMIDIAccess();
+ *   const pads = access.addInput('Virtual pads');
+ *   pads.noteOn(36, 100);
+ * @returns {Object} - The access ({inputs, outputs, onstatechange, addInput, removeInput, addOutput})
+ */
+export function createMockMIDIAccess() {
+    let nextPortId = 1; // Never reused, so an unplugged port's ID cannot point at a new one
+
+    const access = {
+        inputs: new Map(),
+        outputs: new Map(),
+        onstatechange: null,
+
+        /**
+         * Plug in a virtual input
+         * @param {string} name - The input name
+         * @returns {Object} - The input, with noteOn, noteOff, controlChange and send methods
+         */
+        addInput(name) {
+            const id = `mock-${nextPortId++}`;
+            const input = {
+                id,
+                name,
+                onmidimessage: null,
+                send(bytes, timestamp = performance.now()) {
+                    if (input.onmidimessage) input.onmidimessage({ data: Uint8Array.from(bytes), timeStamp: timestamp });
+                },
+                noteOn(note, velocity = 127, channel = 0) {
+                    input.send([0x90 | channel, note, velocity]);
+                },
+                noteOff(note, channel = 0) {
+                    input.send([0x80 | channel, note, 0]);
+                },
+                controlChange(controller, value, channel = 0) {
+                    input.send([0xb0 | channel, controller, value]);
+                }
+            };
+
+            access.inputs.set(id, input);
+            if (access.onstatechange) access.onstatechange({ port: input });
+            return input;
+        },
+
+        /**
+         * Unplug a virtual input
+         * @param {Object} input - The input from addInput()
+         */
+        removeInput(input) {
+            access.inputs.delete(input.id);
+            if (access.onstatechange) access.onstatechange({ port: input });
+        },
+
+        /**
+         * Plug in a virtual output that keeps what it is sent
+         * @param {string} name - The output name
+         * @returns {Object} - The output, whose sent array holds {data, timestamp} messages
+         */
+        addOutput(name) {
+            const id = `mock-out-${nextPortId++}`;
+            const output = {
+                id,
+                name,
+                sent: [],
+                send(data, timestamp = performance.now()) {
+                    output.sent.push({ data: Array.from(data), timestamp });
+                }
+            };
+
+            access.outputs.set(id, output);
+            if (access.onstatechange) access.onstatechange({ port: output });
+            return output;
+        }
+    };
+
+    return access;
+}
@@ -0,0 +1,203 @@
+// channelStrip.js - Track channel strip for Web Audio Instrument
+
+/**
+ * Channel strip processor
+ * Input -> Volume -> Pan -> Mute/Solo -> Output, with an input level meter
+ */
+class ChannelStrip {
+    /**
+     * Create a new channel strip
+     * @param {BaseAudioContext} audioContext - The Web Audio API context
+     * @param {string} id - The track ID
+     * @param {string} name - The track name
+     */
+    constructor(audioContext, id, name = '') {
+        this.audioContext = audioContext;
+        this.id = id;
+        this.name = name;
+
+        // Create nodes
+        this.inputNode = audioContext.createGain();
+        this.volumeNode = audioContext.createGain();
+        this.panNode = audioContext.createStereoPanner();
+        this.muteNode = audioContext.createGain();
+        this.outputNode = audioContext.createGain();
+        this.meterNode = audioContext.createAnalyser();
+        this.meterNode.fftSize = 256;
+
+        // Connect nodes
+        this.inputNode.connect(this.volumeNode);
+        this.volumeNode.connect(this.panNode);
+        this.panNode.connect(this.muteNode);
+        this.muteNode.connect(this.outputNode);
+
+        // Input meter taps the signal before the fader
+        this.inputNode.connect(this.meterNode);
+        this.meterData = new Float32Array(this.meterNode.fftSize);
+
+        // Post-fader aux sends keyed by bus ID
+        this.sends = {};
+
+        // Default parameters
+        this.params = {
+            volume: 1,
+            pan: 0,
+            mute: false,
+            solo: false,
+            sends: {}
+        };
+    }
+
+    /**
+     * Connect the strip output to a destination
+     * @param {AudioNode} destination - The destination node
+     * @returns {AudioNode} - The output node
+     */
+    connect(destination) {
+        this.outputNode.connect(destination);
+        return this.outputNode;
+    }
+
+    /**
+     * Disconnect the strip output
+     */
+    disconnect() {
+        this.outputNode.disconnect();
+    }
+
+    /**
+     * Set the fader volume
+     * @param {number} volume - The volume (0-1)
+     */
+    setVolume(volume) {
+        const safeVolume = Math.max(0, Math.min(1, volume));
+        this.volumeNode.gain.setTargetAtTime(safeVolume, this.audioContext.currentTime, 0.01);
+        this.params.volume = safeVolume;
+    }
+
+    /**
+     * Set the stereo position
+     * @param {number} pan - The pan position (-1 left to 1 right)
+     * @param {number} time - The audio context time of the change (defaults to now)
+     */
+    setPan(pan, time = this.audioContext.currentTime) {
+        const safePan = Math.max(-1, Math.min(1, pan));
+        this.panNode.pan.setTargetAtTime(safePan, time, 0.01);
+        this.params.pan = safePan;
+    }
+
+    /**
+     * Set the mute flag (applied by the mixer)
+     * @param {boolean} mute - Whether the track is muted
+     */
+    setMute(mute) {
+        this.params.mute = !!mute;
+    }
+
+    /**
+     * Set the solo flag (applied by the mixer)
+     * @param {boolean} solo - Whether the track is soloed
+     */
+    setSolo(solo) {
+        this.params.solo = !!solo;
+    }
+
+    /**
+     * Open or close the mute/solo gate
+     * @param {boolean} audible - Whether the strip should pass signal
+     */
+    setAudible(audible) {
+        this.muteNode.gain.setTargetAtTime(audible ? 1 : 0, this.audioContext.currentTime, 0.01);
+    }
+
+    /**
+     * Add a post-fader send to an aux bus
+     * @param {string} busId - The bus ID
+     * @param {AudioNode} destination - The bus input node
+     */
+    addSend(busId, destination) {
+        if (this.sends[busId]) return;
+
+        const sendNode = this.audioContext.createGain();
+        sendNode.gain.value = this.params.sends[busId] || 0;
+
+        // Tap after the mute/solo gate so muted tracks do not feed the returns
+        this.muteNode.connect(sendNode);
+        sendNode.connect(destination);
+
+        this.sends[busId] = sendNode;
+        this.params.sends[busId] = sendNode.gain.value;
+    }
+
+    /**
+     * Set the amount sent to an aux bus
+     * @param {string} busId - The bus ID
+     * @param {number} amount - The send level (0-1)
+     * @param {number} time - The audio context time of the change (defaults to now)
+     */
+    setSend(busId, amount, time = this.audioContext.currentTime) {
+        const safeAmount = Math.max(0, Math.min(1, amount));
+        this.params.sends[busId] = safeAmount;
+
+        if (this.sends[busId]) {
+            this.sends[busId].gain.setTargetAtTime(safeAmount, time, 0.01);
+        }
+    }
+
+    /**
+     * Get the current input peak level
+     * @returns {number} - The peak level (0-1)
+     */
+    getLevel() {
+        this.meterNode.getFloatTimeDomainData(this.meterData);
+
+        let peak = 0;
+        for (let i = 0; i < this.meterData.length; i++) {
+            peak = Math.max(peak, Math.abs(this.meterData[i]));
+        }
+
+        return Math.min(1, peak);
+    }
+
+    /**
+     * Get the input node
+     * @returns {GainNode} - The input node
+     */
+    getInputNode() {
+        return this.inputNode;
+    }
+
+    /**
+     * Get the output node
+     * @returns {GainNode} - The output node
+     */
+    getOutputNode() {
+        return this.outputNode;
+    }
+
+    /**
+     * Get current parameters
+     * @returns {Object} - The current parameters
+     */
+    getParams() {
+        return { ...this.params, sends: { ...this.params.sends } };
+    }
+
+    /**
+     * Set all parameters at once
+     * @param {Object} params - The parameters to set
+     */
+    setParams(params) {
+        if (params.volume !== undefined) this.setVolume(params.volume);
+        if (params.pan !== undefined) this.setPan(params.pan);
+        if (params.mute !== undefined) this.setMute(params.mute);
+        if (params.solo !== undefined) this.setSolo(params.solo);
+        if (params.sends) {
+            for (const busId in params.sends) {
+                this.setSend(busId, params.sends[busId]);
+            }
+        }
+    }
+}
+
+export default ChannelStrip;
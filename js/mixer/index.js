@@ -0,0 +1,333 @@
+// mixer/index.js - Track mixer module for Web Audio Instrument
+
+import ChannelStrip from './channelStrip.js';
+
+/**
+ * Mixer class
+ * Owns one channel strip per track (plus one per triggered sample), the
+ * aux send/return buses, and sums everything into a shared output
+ */
+class Mixer {
+    /**
+     * Create a new Mixer instance
+     * @param {BaseAudioContext} audioContext - The Web Audio API context
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.strips = {};
+        this.sampleStrips = {};
+        this.buses = {};
+
+        // Sum of all strips and returns
+        this.outputNode = audioContext.createGain();
+    }
+
+    /**
+     * Create a shared aux bus around a return effect
+     * @param {string} busId - The bus ID
+     * @param {Object} effect - An effect with getInputNode()/getOutputNode()
+     * @returns {Object} - The bus
+     */
+    createBus(busId, effect) {
+        if (this.buses[busId]) {
+            return this.buses[busId];
+        }
+
+        // Returns carry only the processed signal
+        if (effect.setReturnMode) {
+            effect.setReturnMode(true);
+        }
+
+        const bus = {
+            id: busId,
+            effect,
+            inputNode: this.audioContext.createGain(),
+            returnNode: this.audioContext.createGain(),
+            level: 1
+        };
+
+        bus.inputNode.connect(effect.getInputNode());
+        effect.getOutputNode().connect(bus.returnNode);
+        bus.returnNode.connect(this.outputNode);
+
+        this.buses[busId] = bus;
+
+        // Give every existing strip a send to the new bus
+        this.getAllStrips().forEach(strip => strip.addSend(busId, bus.inputNode));
+
+        return bus;
+    }
+
+    /**
+     * Set the level of a bus return
+     * @param {string} busId - The bus ID
+     * @param {number} level - The return level (0-1)
+     */
+    setReturnLevel(busId, level) {
+        const bus = this.buses[busId];
+        if (!bus) return;
+
+        bus.level = Math.max(0, Math.min(1, level));
+        bus.returnNode.gain.setTargetAtTime(bus.level, this.audioContext.currentTime, 0.01);
+    }
+
+    /**
+     * Set how much a track sends to a bus
+     * @param {string} trackId - The track ID
+     * @param {string} busId - The bus ID
+     * @param {number} amount - The send level (0-1)
+     */
+    setSend(trackId, busId, amount) {
+        if (this.strips[trackId]) {
+            this.strips[trackId].setSend(busId, amount);
+        }
+    }
+
+    /**
+     * Get the strip samples play through, creating it on first use
+     * Sample strips have sends but take no part in track solo/mute
+     * @param {string} sampleId - The sample ID
+     * @returns {ChannelStrip} - The sample's strip
+     */
+    getSampleStrip(sampleId) {
+        if (!this.sampleStrips[sampleId]) {
+            const strip = new ChannelStrip(this.audioContext, sampleId, sampleId);
+            strip.connect(this.outputNode);
+            this.addBusSends(strip);
+            this.sampleStrips[sampleId] = strip;
+        }
+
+        return this.sampleStrips[sampleId];
+    }
+
+    /**
+     * Set how much a sample sends to a bus
+     * @param {string} sampleId - The sample ID
+     * @param {string} busId - The bus ID
+     * @param {number} amount - The send level (0-1)
+     */
+    setSampleSend(sampleId, busId, amount) {
+        this.getSampleStrip(sampleId).setSend(busId, amount);
+    }
+
+    /**
+     * Give a strip a send to every bus
+     * @param {ChannelStrip} strip - The strip
+     */
+    addBusSends(strip) {
+        for (const busId in this.buses) {
+            strip.addSend(busId, this.buses[busId].inputNode);
+        }
+    }
+
+    /**
+     * Get track and sample strips together
+     * @returns {Array<ChannelStrip>} - Every strip
+     */
+    getAllStrips() {
+        return [...Object.values(this.strips), ...Object.values(this.sampleStrips)];
+    }
+
+    /**
+     * Connect the mixer output to a destination
+     * @param {AudioNode} destination - The destination node
+     * @returns {AudioNode} - The output node
+     */
+    connect(destination) {
+        this.outputNode.connect(destination);
+        return this.outputNode;
+    }
+
+    /**
+     * Create a channel strip for a track
+     * @param {string} trackId - The track ID
+     * @param {string} name - The track name
+     * @returns {ChannelStrip} - The new (or existing) strip
+     */
+    createStrip(trackId, name) {
+        if (this.strips[trackId]) {
+            return this.strips[trackId];
+        }
+
+        const strip = new ChannelStrip(this.audioContext, trackId, name);
+        strip.connect(this.outputNode);
+        this.addBusSends(strip);
+        this.strips[trackId] = strip;
+
+        this.updateStripStates();
+
+        return strip;
+    }
+
+    /**
+     * Remove a track's channel strip
+     * @param {string} trackId - The track ID
+     */
+    removeStrip(trackId) {
+        const strip = this.strips[trackId];
+        if (!strip) return;
+
+        strip.disconnect();
+        delete this.strips[trackId];
+
+        this.updateStripStates();
+    }
+
+    /**
+     * Get a track's channel strip
+     * @param {string} trackId - The track ID
+     * @returns {ChannelStrip|null} - The strip
+     */
+    getStrip(trackId) {
+        return this.strips[trackId] || null;
+    }
+
+    /**
+     * Get the strip a timeline clip plays through
+     * @param {Object} clip - The clip ({track, sampleId}); clips on per-sample rows have no track
+     * @returns {ChannelStrip|null} - The track's strip, or the sample's strip
+     */
+    getClipStrip(clip) {
+        if (clip.track) return this.getStrip(clip.track);
+        return clip.sampleId ? this.getSampleStrip(clip.sampleId) : null;
+    }
+
+    /**
+     * Set a track's volume
+     * @param {string} trackId - The track ID
+     * @param {number} volume - The volume (0-1)
+     */
+    setVolume(trackId, volume) {
+        if (this.strips[trackId]) {
+            this.strips[trackId].setVolume(volume);
+        }
+    }
+
+    /**
+     * Set a track's pan position
+     * @param {string} trackId - The track ID
+     * @param {number} pan - The pan position (-1 to 1)
+     */
+    setPan(trackId, pan) {
+        if (this.strips[trackId]) {
+            this.strips[trackId].setPan(pan);
+        }
+    }
+
+    /**
+     * Set a track's mute state
+     * @param {string} trackId - The track ID
+     * @param {boolean} mute - Whether the track is muted
+     */
+    setMute(trackId, mute) {
+        if (!this.strips[trackId]) return;
+
+        this.strips[trackId].setMute(mute);
+        this.updateStripStates();
+    }
+
+    /**
+     * Set a track's solo state
+     * @param {string} trackId - The track ID
+     * @param {boolean} solo - Whether the track is soloed
+     */
+    setSolo(trackId, solo) {
+        if (!this.strips[trackId]) return;
+
+        this.strips[trackId].setSolo(solo);
+        this.updateStripStates();
+    }
+
+    /**
+     * Update strip gates based on solo/mute settings
+     */
+    updateStripStates() {
+        // Check if any track is soloed
+        const anySolo = Object.values(this.strips).some(strip => strip.params.solo);
+
+        for (const id in this.strips) {
+            const strip = this.strips[id];
+
+            if (anySolo) {
+                // If any track is soloed, play only soloed tracks
+                strip.setAudible(strip.params.solo);
+            } else {
+                // Otherwise respect mute status
+                strip.setAudible(!strip.params.mute);
+            }
+        }
+    }
+
+    /**
+     * Get the input level of every strip
+     * @returns {Object} - Peak levels (0-1) keyed by track ID
+     */
+    getLevels() {
+        const levels = {};
+        for (const id in this.strips) {
+            levels[id] = this.strips[id].getLevel();
+        }
+        return levels;
+    }
+
+    /**
+     * Get parameters for every sample strip
+     * @returns {Object} - Strip parameters keyed by sample ID
+     */
+    getSampleParams() {
+        const params = {};
+        for (const id in this.sampleStrips) {
+            params[id] = this.sampleStrips[id].getParams();
+        }
+        return params;
+    }
+
+    /**
+     * Configure sample strips from saved parameters
+     * @param {Object} params - Strip parameters keyed by sample ID
+     */
+    setSampleParams(params) {
+        for (const id in params) {
+            this.getSampleStrip(id).setParams(params[id]);
+        }
+    }
+
+    /**
+     * Get the level of every bus return
+     * @returns {Object} - Return levels keyed by bus ID
+     */
+    getReturnLevels() {
+        const levels = {};
+        for (const id in this.buses) {
+            levels[id] = this.buses[id].level;
+        }
+        return levels;
+    }
+
+    /**
+     * Get parameters for every strip
+     * @returns {Object} - Strip parameters keyed by track ID
+     */
+    getParams() {
+        const params = {};
+        for (const id in this.strips) {
+            params[id] = { name: this.strips[id].name, ...this.strips[id].getParams() };
+        }
+        return params;
+    }
+
+    /**
+     * Create and configure strips from saved parameters
+     * @param {Object} params - Strip parameters keyed by track ID
+     */
+    setParams(params) {
+        for (const id in params) {
+            const strip = this.createStrip(id, params[id].name);
+            strip.setParams(params[id]);
+        }
+
+        this.updateStripStates();
+    }
+}
+
+export default Mixer;
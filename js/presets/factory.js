@@ -0,0 +1,83 @@
+// factory.js - Factory preset bank for Web Audio Instrument
+
+/**
+ * Presets shipped with the instrument
+ * Effect presets use the effect type ID; whole-rack presets use 'rack' and
+ * hold the same layout as EffectsRack.getParams()
+ */
+const factoryPresets = [
+    // Reverb
+    {
+        type: 'reverb',
+        name: 'Small Room',
+        params: { mix: 0.25, decayTime: 0.6, preDelay: 0.005, tone: 0.6 }
+    },
+    {
+        type: 'reverb',
+        name: 'Large Hall',
+        params: { mix: 0.4, decayTime: 4.5, preDelay: 0.04, tone: 0.4 }
+    },
+
+    // Delay
+    {
+        type: 'delay',
+        name: 'Dub Echo',
+        params: { delayTime: 0.375, feedback: 0.7, mix: 0.45 }
+    },
+    {
+        type: 'delay',
+        name: 'Slapback',
+        params: { delayTime: 0.09, feedback: 0.1, mix: 0.3 }
+    },
+
+    // Compressor
+    {
+        type: 'compressor',
+        name: 'Vocal Leveler',
+        params: { threshold: -20, knee: 10, ratio: 3, attack: 0.01, release: 0.2 }
+    },
+    {
+        type: 'compressor',
+        name: 'Drum Smash',
+        params: { threshold: -35, knee: 0, ratio: 20, attack: 0.001, release: 0.1 }
+    },
+
+    // Filter
+    {
+        type: 'filter',
+        name: 'Telephone',
+        params: { type: 'bandpass', frequency: 1500, Q: 1.5, gain: 0 }
+    },
+    {
+        type: 'filter',
+        name: 'Warm Low Pass',
+        params: { type: 'lowpass', frequency: 5000, Q: 0.7, gain: 0 }
+    },
+
+    // Whole rack
+    {
+        type: 'rack',
+        name: 'Clean Master',
+        params: [
+            { type: 'filter', bypassed: false, params: { type: 'lowpass', frequency: 20000, Q: 1, gain: 0 } },
+            { type: 'compressor', bypassed: false, params: { threshold: -12, knee: 20, ratio: 2, attack: 0.01, release: 0.25 } }
+        ]
+    },
+    {
+        type: 'rack',
+        name: 'Lo-Fi Radio',
+        params: [
+            { type: 'filter', bypassed: false, params: { type: 'highpass', frequency: 400, Q: 0.7, gain: 0 } },
+            { type: 'filter', bypassed: false, params: { type: 'lowpass', frequency: 3500, Q: 2, gain: 0 } },
+            { type: 'compressor', bypassed: false, params: { threshold: -30, knee: 5, ratio: 12, attack: 0.003, release: 0.15 } }
+        ]
+    }
+];
+
+// Factory presets are read-only and keyed apart from user presets
+factoryPresets.forEach(preset => {
+    preset.id = `factory:${preset.type}:${preset.name}`;
+    preset.factory = true;
+});
+
+export default factoryPresets;
@@ -0,0 +1,91 @@
+// glide.js - Smooth parameter transitions for Web Audio Instrument
+
+// Glides in progress, keyed by effect instance
+const activeGlides = new WeakMap();
+
+/**
+ * Move an effect's parameters to new values over time instead of jumping
+ * Numeric parameters are interpolated each animation frame (logarithmically
+ * for ranges marked scale: 'log'); choices and parameters marked glide: false
+ * are applied at the start or the end of the glide
+ * @param {Object} effect - The effect instance (getParams/setParams)
+ * @param {Object} ranges - The effect type's parameter ranges
+ * @param {Object} target - The parameters to reach
+ * @param {number} duration - The glide time in seconds
+ * @returns {Promise<void>} - Resolves when the target is reached or the glide is replaced
+ */
+export function glideParams(effect, ranges, target, duration = 0.3) {
+    cancelGlide(effect);
+
+    const start = effect.getParams();
+    const gliding = {};
+    const immediate = {};
+    const deferred = {};
+
+    for (const param in target) {
+        const range = ranges[param] || {};
+        const from = start[param];
+        const to = target[param];
+
+        if (typeof from !== 'number' || typeof to !== 'number' || range.options) {
+            immediate[param] = to;
+        } else if (range.glide === false) {
+            deferred[param] = to;
+        } else if (from !== to) {
+            gliding[param] = { from, to, log: range.scale === 'log' && from > 0 && to > 0 };
+        }
+    }
+
+    if (Object.keys(immediate).length > 0) {
+        effect.setParams(immediate);
+    }
+
+    if (duration <= 0 || Object.keys(gliding).length === 0) {
+        effect.setParams({ ...target });
+        return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+        const startTime = performance.now();
+        const glide = { frame: null, resolve };
+
+        const step = (now) => {
+            const progress = Math.min(1, (now - startTime) / (duration * 1000));
+            const values = {};
+
+            for (const param in gliding) {
+                const { from, to, log } = gliding[param];
+                values[param] = log
+                    ? from * Math.pow(to / from, progress)
+                    : from + (to - from) * progress;
+            }
+
+            if (progress < 1) {
+                effect.setParams(values);
+                glide.frame = requestAnimationFrame(step);
+                return;
+            }
+
+            // Land exactly on the target and apply the stepped parameters
+            activeGlides.delete(effect);
+            effect.setParams({ ...values, ...deferred, ...target });
+            resolve();
+        };
+
+        glide.frame = requestAnimationFrame(step);
+        activeGlides.set(effect, glide);
+    });
+}
+
+/**
+ * Stop a running glide, leaving the parameters where they are
+ * @param {Object} effect - The effect instance
+ */
+export function cancelGlide(effect) {
+    const glide = activeGlides.get(effect);
+    if (!glide) return;
+
+    cancelAnimationFrame(glide.frame);
+    activeGlides.delete(effect);
+    glide.resolve();
+}
@@ -0,0 +1,188 @@
+// presets/index.js - Effect preset manager for Web Audio Instrument
+
+import factoryPresets from './factory.js';
+import { getAllRecords, putRecord, deleteRecord } from '../storage/database.js';
+
+const STORE_NAME = 'presets';
+const EXPORT_FORMAT = 'web-audio-instrument-presets';
+const EXPORT_VERSION = 1;
+
+/**
+ * PresetManager class
+ * Keeps named presets per effect type and for the whole rack ('rack').
+ * User presets persist in IndexedDB; factory presets ship read-only.
+ */
+class PresetManager {
+    /**
+     * Create a new PresetManager instance
+     */
+    constructor() {
+        this.userPresets = [];
+        this.persistent = false;
+
+        // Event callbacks
+        this.onPresetsChange = null;
+    }
+
+    /**
+     * Load the user presets from storage
+     * Works in memory only when IndexedDB is unavailable
+     * @returns {Promise<PresetManager>} - This manager
+     */
+    async initialize() {
+        try {
+            this.userPresets = await getAllRecords(STORE_NAME);
+            this.persistent = true;
+        } catch (error) {
+            console.warn('Presets will not be saved:', error);
+            this.persistent = false;
+        }
+
+        this.notifyChange();
+        return this;
+    }
+
+    /**
+     * Get the factory and user presets for a type
+     * @param {string} type - The effect type ID or 'rack'
+     * @returns {Array<Object>} - The presets, factory first, each group sorted by name
+     */
+    getPresets(type) {
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const factory = factoryPresets.filter(preset => preset.type === type).sort(byName);
+        const user = this.userPresets.filter(preset => preset.type === type).sort(byName);
+        return [...factory, ...user];
+    }
+
+    /**
+     * Find a preset by ID
+     * @param {string} presetId - The preset ID
+     * @returns {Object|null} - The preset
+     */
+    getPreset(presetId) {
+        return factoryPresets.find(preset => preset.id === presetId) ||
+            this.userPresets.find(preset => preset.id === presetId) ||
+            null;
+    }
+
+    /**
+     * Save a user preset, replacing any user preset of the same type and name
+     * @param {string} type - The effect type ID or 'rack'
+     * @param {string} name - The preset name
+     * @param {Object|Array} params - The effect parameters or rack layout
+     * @returns {Promise<Object>} - The saved preset
+     */
+    async savePreset(type, name, params) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('A preset needs a name');
+        }
+
+        const preset = {
+            id: `user:${type}:${trimmedName}`,
+            type,
+            name: trimmedName,
+            params: JSON.parse(JSON.stringify(params)),
+            created: Date.now()
+        };
+
+        await this.store(preset);
+        this.notifyChange();
+
+        return preset;
+    }
+
+    /**
+     * Delete a user preset
+     * @param {string} presetId - The preset ID
+     * @returns {Promise<void>}
+     */
+    async deletePreset(presetId) {
+        const preset = this.userPresets.find(p => p.id === presetId);
+        if (!preset) {
+            throw new Error('Factory presets cannot be deleted');
+        }
+
+        if (this.persistent) {
+            await deleteRecord(STORE_NAME, presetId);
+        }
+
+        this.userPresets = this.userPresets.filter(p => p.id !== presetId);
+        this.notifyChange();
+    }
+
+    /**
+     * Export presets as a JSON file
+     * @param {Array<string>} presetIds - The presets to export (defaults to all user presets)
+     * @returns {Blob} - The JSON file
+     */
+    exportPresets(presetIds = null) {
+        const presets = presetIds
+            ? presetIds.map(id => this.getPreset(id)).filter(Boolean)
+            : this.userPresets;
+
+        const data = {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            presets: presets.map(({ type, name, params }) => ({ type, name, params }))
+        };
+
+        return new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    }
+
+    /**
+     * Import presets from a JSON file (a preset bank or a single preset)
+     * @param {File} file - The JSON file
+     * @returns {Promise<number>} - How many presets were imported
+     */
+    async importPresets(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error(`Not a valid preset file: ${error.message}`);
+        }
+
+        const presets = Array.isArray(data.presets) ? data.presets : [data];
+        const valid = presets.filter(preset =>
+            preset && typeof preset.type === 'string' && typeof preset.name === 'string' &&
+            preset.params && typeof preset.params === 'object' &&
+            (preset.type === 'rack') === Array.isArray(preset.params)
+        );
+
+        if (valid.length === 0) {
+            throw new Error('The file contains no presets');
+        }
+
+        for (const preset of valid) {
+            await this.savePreset(preset.type, preset.name, preset.params);
+        }
+
+        return valid.length;
+    }
+
+    /**
+     * Write a preset to storage and the in-memory list
+     * @param {Object} preset - The preset
+     * @returns {Promise<void>}
+     */
+    async store(preset) {
+        if (this.persistent) {
+            await putRecord(STORE_NAME, preset);
+        }
+
+        this.userPresets = this.userPresets.filter(p => p.id !== preset.id);
+        this.userPresets.push(preset);
+    }
+
+    /**
+     * Tell listeners the preset list changed
+     */
+    notifyChange() {
+        if (this.onPresetsChange) {
+            this.onPresetsChange();
+        }
+    }
+}
+
+export default PresetManager;
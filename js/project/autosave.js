@@ -0,0 +1,311 @@
+// autosave.js - Autosave and crash recovery for Web Audio Instrument
+
+import { getAllRecords, getAllKeys, getRecord, putRecord, deleteRecord, clearStore } from '../storage/database.js';
+import { PROJECT_VERSION, migrateProject } from './migrations.js';
+
+const META_ID = '_meta';
+
+/**
+ * AutosaveManager class
+ * Keeps the running session in IndexedDB so it survives a crash or reload:
+ * - decoded audio is written once per buffer to the 'audio' store, under an
+ *   ID of its own so snapshots keep their audio when a sample is replaced
+ * - the project manifest is split into its top-level sections and only
+ *   the sections that changed since the last save are written to 'session'
+ * - every few minutes the whole manifest is copied to 'snapshots', keeping
+ *   a short history to roll back to
+ */
+class AutosaveManager {
+    /**
+     * Create a new AutosaveManager instance
+     * @param {Object} options - Save timing and history settings
+     */
+    constructor(options = {}) {
+        this.saveInterval = options.saveInterval || 5000; // ms between incremental saves
+        this.snapshotInterval = options.snapshotInterval || 5 * 60 * 1000; // ms between snapshots
+        this.maxSnapshots = options.maxSnapshots || 5;
+
+        this.available = false;
+        this.getState = null;
+        this.timer = null;
+        this.isSaving = false;
+        this.lastSnapshotTime = 0;
+
+        // What is already stored, to write only the differences
+        this.savedSections = {}; // Section name -> JSON string
+        this.audioIds = new WeakMap(); // AudioBuffer -> storage ID
+        this.storedAudio = new Set(); // Storage IDs already written
+        this.nextAudioId = 0;
+    }
+
+    /**
+     * Open storage
+     * @returns {Promise<boolean>} - Whether autosave can be used
+     */
+    async initialize() {
+        try {
+            await getAllKeys('session');
+            this.available = true;
+        } catch (error) {
+            console.warn('Autosave is not available:', error);
+            this.available = false;
+        }
+
+        return this.available;
+    }
+
+    /**
+     * Start saving the session periodically
+     * @param {Function} getState - Returns the current project ({manifest, audio}) or null when there is nothing to save
+     */
+    start(getState) {
+        if (!this.available) return;
+
+        this.getState = getState;
+        this.lastSnapshotTime = Date.now();
+        this.stop();
+        this.timer = setInterval(() => this.saveNow(), this.saveInterval);
+    }
+
+    /**
+     * Stop saving
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Write the changes since the last save
+     * @returns {Promise<void>}
+     */
+    async saveNow() {
+        if (!this.available || !this.getState || this.isSaving) return;
+
+        const state = this.getState();
+        if (!state) return;
+
+        this.isSaving = true;
+
+        try {
+            const { manifest, audio } = state;
+
+            // Audio: once per buffer
+            const audioIds = {};
+            for (const key in audio) {
+                const id = this.getAudioId(audio[key]);
+                if (!this.storedAudio.has(id)) {
+                    await putRecord('audio', serializeAudio(id, audio[key]));
+                    this.storedAudio.add(id);
+                }
+                audioIds[key] = id;
+            }
+
+            // Manifest: only the sections that changed
+            const sections = Object.keys(manifest).filter(name => name !== 'created');
+            for (const name of sections) {
+                const json = JSON.stringify(manifest[name]);
+                if (this.savedSections[name] !== json) {
+                    await putRecord('session', { id: name, json });
+                    this.savedSections[name] = json;
+                }
+            }
+
+            await putRecord('session', {
+                id: META_ID,
+                version: PROJECT_VERSION,
+                updated: Date.now(),
+                sections,
+                audio: audioIds
+            });
+
+            if (Date.now() - this.lastSnapshotTime >= this.snapshotInterval) {
+                await this.takeSnapshot();
+            }
+        } catch (error) {
+            console.error('Autosave failed:', error);
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    /**
+     * Get the session left behind by the last visit
+     * @returns {Promise<Object|null>} - The session ({updated, manifest, audio}) or null
+     */
+    async getRecoverableSession() {
+        if (!this.available) return null;
+
+        const records = await getAllRecords('session');
+        const meta = records.find(record => record.id === META_ID);
+        if (!meta) return null;
+
+        const manifest = { version: meta.version, created: new Date(meta.updated).toISOString() };
+        meta.sections.forEach(name => {
+            const record = records.find(r => r.id === name);
+            if (record) manifest[name] = JSON.parse(record.json);
+        });
+
+        return {
+            updated: meta.updated,
+            manifest,
+            audio: meta.audio
+        };
+    }
+
+    /**
+     * List the recovery snapshots, newest first
+     * @returns {Promise<Array<Object>>} - The snapshots ({id, created, manifest, audio})
+     */
+    async getSnapshots() {
+        if (!this.available) return [];
+
+        const snapshots = await getAllRecords('snapshots');
+        return snapshots.sort((a, b) => b.created - a.created);
+    }
+
+    /**
+     * Load a stored session or snapshot, ready for App.loadProjectState()
+     * @param {Object} session - A result of getRecoverableSession() or getSnapshots()
+     * @param {BaseAudioContext} audioContext - The context to create AudioBuffers in
+     * @returns {Promise<Object>} - The project ({manifest, audio})
+     */
+    async restore(session, audioContext) {
+        const manifest = migrateProject(session.manifest);
+        const audio = {};
+
+        for (const key in session.audio) {
+            const id = session.audio[key];
+            const record = await getRecord('audio', id);
+            if (!record) {
+                console.warn(`Recovered session is missing audio: ${key}`);
+                continue;
+            }
+
+            audio[key] = deserializeAudio(audioContext, record);
+            this.audioIds.set(audio[key], id);
+            this.storedAudio.add(id);
+        }
+
+        // The restored state is what storage now holds
+        this.savedSections = {};
+        for (const name in manifest) {
+            this.savedSections[name] = JSON.stringify(manifest[name]);
+        }
+
+        return { manifest, audio };
+    }
+
+    /**
+     * Move the stored session into the snapshot history and start a new one
+     * @returns {Promise<void>}
+     */
+    async archiveSession() {
+        if (!this.available) return;
+
+        const session = await this.getRecoverableSession();
+        if (session) {
+            await this.storeSnapshot(session.manifest, session.audio);
+        }
+
+        await clearStore('session');
+        this.savedSections = {};
+    }
+
+    /**
+     * Copy the stored session into the snapshot history
+     * @returns {Promise<void>}
+     */
+    async takeSnapshot() {
+        const session = await this.getRecoverableSession();
+        if (session) {
+            await this.storeSnapshot(session.manifest, session.audio);
+        }
+
+        this.lastSnapshotTime = Date.now();
+    }
+
+    /**
+     * Store a snapshot and prune the history and unused audio
+     * @param {Object} manifest - The project manifest
+     * @param {Object} audio - Storage IDs of the audio the manifest uses, keyed by manifest audio key
+     * @returns {Promise<void>}
+     */
+    async storeSnapshot(manifest, audio) {
+        const created = Date.now();
+        await putRecord('snapshots', { id: created, created, manifest, audio });
+
+        const snapshots = await this.getSnapshots();
+        for (const snapshot of snapshots.slice(this.maxSnapshots)) {
+            await deleteRecord('snapshots', snapshot.id);
+        }
+
+        await this.pruneAudio();
+    }
+
+    /**
+     * Delete stored audio that neither the session nor a snapshot uses
+     * @returns {Promise<void>}
+     */
+    async pruneAudio() {
+        const used = new Set();
+
+        const meta = await getRecord('session', META_ID);
+        if (meta) Object.values(meta.audio).forEach(id => used.add(id));
+
+        const snapshots = await this.getSnapshots();
+        snapshots.forEach(snapshot => Object.values(snapshot.audio).forEach(id => used.add(id)));
+
+        const stored = await getAllKeys('audio');
+        for (const id of stored) {
+            if (!used.has(id)) {
+                await deleteRecord('audio', id);
+                this.storedAudio.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Get the storage ID of a buffer, assigning a new one on first sight
+     * @param {AudioBuffer} audioBuffer - The audio
+     * @returns {string} - The storage ID
+     */
+    getAudioId(audioBuffer) {
+        if (!this.audioIds.has(audioBuffer)) {
+            this.audioIds.set(audioBuffer, `${Date.now().toString(36)}-${this.nextAudioId++}`);
+        }
+
+        return this.audioIds.get(audioBuffer);
+    }
+}
+
+/**
+ * Turn an AudioBuffer into a storable record
+ * @param {string} key - The storage ID
+ * @param {AudioBuffer} audioBuffer - The audio
+ * @returns {Object} - The record ({key, sampleRate, channels})
+ */
+function serializeAudio(key, audioBuffer) {
+    const channels = [];
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        channels.push(audioBuffer.getChannelData(channel).slice());
+    }
+
+    return { key, sampleRate: audioBuffer.sampleRate, channels };
+}
+
+/**
+ * Rebuild an AudioBuffer from a stored record
+ * @param {BaseAudioContext} audioContext - The Web Audio API context
+ * @param {Object} record - The record ({sampleRate, channels})
+ * @returns {AudioBuffer} - The audio
+ */
+function deserializeAudio(audioContext, record) {
+    const audioBuffer = audioContext.createBuffer(record.channels.length, record.channels[0].length, record.sampleRate);
+    record.channels.forEach((data, channel) => audioBuffer.copyToChannel(data, channel));
+    return audioBuffer;
+}
+
+export default AutosaveManager;
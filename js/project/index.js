@@ -0,0 +1,167 @@
+// project/index.js - Project file format for Web Audio Instrument
+
+import { encodeWAV } from '../codecs/wavEncoder.js';
+import { decodeWAV } from '../codecs/wavDecoder.js';
+import { PROJECT_VERSION, migrateProject } from './migrations.js';
+
+/**
+ * Project files are RIFF containers of form type 'WAIP':
+ * - one 'proj' chunk holding the JSON manifest
+ * - one 'wave' chunk per audio buffer: a 16-bit key length, the UTF-8 key
+ *   the manifest refers to, then a complete 32-bit float WAV file
+ */
+const FORM_TYPE = 'WAIP';
+const MANIFEST_CHUNK = 'proj';
+const AUDIO_CHUNK = 'wave';
+
+export const PROJECT_EXTENSION = '.waip';
+export { PROJECT_VERSION };
+
+/**
+ * Encode a project manifest and its audio into a single file
+ * @param {Object} manifest - The project state (JSON-serialisable)
+ * @param {Object} audio - AudioBuffers keyed by the IDs the manifest uses
+ * @returns {Blob} - The project file
+ */
+export function encodeProject(manifest, audio) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+
+    chunks.push(createChunk(MANIFEST_CHUNK, [
+        encoder.encode(JSON.stringify({ ...manifest, version: PROJECT_VERSION }))
+    ]));
+
+    for (const key in audio) {
+        const keyBytes = encoder.encode(key);
+        const keyLength = new Uint8Array(2);
+        new DataView(keyLength.buffer).setUint16(0, keyBytes.length, true);
+
+        chunks.push(createChunk(AUDIO_CHUNK, [
+            keyLength,
+            keyBytes,
+            new Uint8Array(encodeWAV(audio[key], { float: true }))
+        ]));
+    }
+
+    const bodySize = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+    const header = new Uint8Array(12);
+    const view = new DataView(header.buffer);
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 4 + bodySize, true);
+    writeString(view, 8, FORM_TYPE);
+
+    return new Blob([header, ...chunks.flatMap(chunk => chunk.parts)], { type: 'application/octet-stream' });
+}
+
+/**
+ * Decode a project file, migrating older formats
+ * @param {ArrayBuffer} arrayBuffer - The project file
+ * @param {BaseAudioContext} audioContext - The context to create AudioBuffers in
+ * @returns {Object} - The project ({manifest, audio}) with audio as AudioBuffers keyed by ID
+ */
+export function decodeProject(arrayBuffer, audioContext) {
+    const view = new DataView(arrayBuffer);
+
+    if (view.byteLength < 12 || readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== FORM_TYPE) {
+        throw new Error('Not a Web Audio Instrument project file');
+    }
+
+    const decoder = new TextDecoder();
+    const end = Math.min(view.byteLength, 8 + view.getUint32(4, true));
+    const audio = {};
+    let manifest = null;
+    let offset = 12;
+
+    while (offset + 8 <= end) {
+        const id = readString(view, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+
+        if (body + size > end) {
+            throw new Error('Project file is truncated');
+        }
+
+        if (id === MANIFEST_CHUNK) {
+            manifest = JSON.parse(decoder.decode(new Uint8Array(arrayBuffer, body, size)));
+        } else if (id === AUDIO_CHUNK) {
+            const keyLength = view.getUint16(body, true);
+            const key = decoder.decode(new Uint8Array(arrayBuffer, body + 2, keyLength));
+            const wav = decodeWAV(arrayBuffer.slice(body + 2 + keyLength, body + size));
+            audio[key] = createAudioBuffer(audioContext, wav);
+        }
+
+        // Unknown chunks are skipped so newer writers stay readable
+        offset = body + size + (size & 1);
+    }
+
+    if (!manifest) {
+        throw new Error('Project file has no manifest');
+    }
+
+    return { manifest: migrateProject(manifest), audio };
+}
+
+/**
+ * Build a RIFF chunk
+ * @param {string} id - The four-character chunk ID
+ * @param {Array<Uint8Array>} payload - The chunk body parts
+ * @returns {Object} - The chunk ({parts, size}) including header and padding
+ */
+function createChunk(id, payload) {
+    const length = payload.reduce((sum, part) => sum + part.length, 0);
+    const header = new Uint8Array(8);
+    const view = new DataView(header.buffer);
+    writeString(view, 0, id);
+    view.setUint32(4, length, true);
+
+    const parts = [header, ...payload];
+    if (length & 1) {
+        parts.push(new Uint8Array(1));
+    }
+
+    return { parts, size: 8 + length + (length & 1) };
+}
+
+/**
+ * Copy decoded WAV channels into an AudioBuffer
+ * @param {BaseAudioContext} audioContext - The Web Audio API context
+ * @param {Object} wav - The decoded audio ({sampleRate, channels})
+ * @returns {AudioBuffer} - The audio buffer
+ */
+function createAudioBuffer(audioContext, wav) {
+    const length = Math.max(1, wav.channels[0] ? wav.channels[0].length : 0);
+    const audioBuffer = audioContext.createBuffer(Math.max(1, wav.channels.length), length, wav.sampleRate);
+
+    wav.channels.forEach((data, channel) => {
+        audioBuffer.copyToChannel(data, channel);
+    });
+
+    return audioBuffer;
+}
+
+/**
+ * Write an ASCII string into a DataView
+ * @param {DataView} view - The target view
+ * @param {number} offset - The byte offset
+ * @param {string} string - The string to write
+ */
+function writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+        view.setUint8(offset + i, string.charCodeAt(i));
+    }
+}
+
+/**
+ * Read an ASCII string from a DataView
+ * @param {DataView} view - The source view
+ * @param {number} offset - The byte offset
+ * @param {number} length - The string length
+ * @returns {string} - The string
+ */
+function readString(view, offset, length) {
+    let string = '';
+    for (let i = 0; i < length; i++) {
+        string += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return string;
+}
@@ -0,0 +1,108 @@
+// migrations.js - Project format versions for Web Audio Instrument
+
+/**
+ * Current project format version
+ * Bump this and add a migration below whenever the manifest shape changes
+ */
+export const PROJECT_VERSION = 9;
+
+/**
+ * Upgrades keyed by the version they upgrade from
+ * Each migration takes a manifest of that version and returns one of the next
+ */
+const migrations = {
+    // 1 -> 2: the single sequencer grid becomes pattern A of a pattern bank
+    1: (manifest) => {
+        const { steps, cells } = manifest.sequencer || { steps: 16, cells: {} };
+        return {
+            ...manifest,
+            sequencer: {
+                current: 'A',
+                patterns: [{ id: 'A', name: 'A', steps, cells }]
+            }
+        };
+    },
+
+    // 2 -> 3: song arrangement and transport play mode
+    2: (manifest) => ({
+        ...manifest,
+        transport: { ...manifest.transport, mode: 'pattern' },
+        song: { entries: [] }
+    }),
+
+    // 3 -> 4: sequencer groove
+    3: (manifest) => ({
+        ...manifest,
+        groove: { current: 'mpc-50', amount: 1, custom: [] }
+    }),
+
+    // 4 -> 5: chromatic keyboard mode
+    4: (manifest) => ({
+        ...manifest,
+        sampler: { enabled: false, sampleId: null, rootNote: 60, octave: 4, preserveFormants: false }
+    }),
+
+    // 5 -> 6: per-key play modes
+    5: (manifest) => ({
+        ...manifest,
+        keyModes: {}
+    }),
+
+    // 6 -> 7: per-key choke groups
+    6: (manifest) => ({
+        ...manifest,
+        keyChokes: {}
+    }),
+
+    // 7 -> 8: MIDI CC mappings of sliders
+    7: (manifest) => ({
+        ...manifest,
+        midiMappings: []
+    }),
+
+    // 8 -> 9: step settings, row lengths and divisions, and parameter locks; every
+    // step starts with the default settings (only changed ones are stored) and no locks
+    8: (manifest) => ({
+        ...manifest,
+        sequencer: {
+            ...manifest.sequencer,
+            patterns: manifest.sequencer.patterns.map(pattern => ({
+                ...pattern,
+                params: pattern.params || {},
+                rows: pattern.rows || {},
+                locks: pattern.locks || {}
+            }))
+        }
+    })
+};
+
+/**
+ * Bring a project manifest up to the current version
+ * @param {Object} manifest - The manifest as read from a file
+ * @returns {Object} - The manifest in the current format
+ */
+export function migrateProject(manifest) {
+    let version = manifest.version;
+
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error('Project file has no format version');
+    }
+
+    if (version > PROJECT_VERSION) {
+        throw new Error(`Project was saved by a newer version (format ${version}, this app reads up to ${PROJECT_VERSION})`);
+    }
+
+    let migrated = manifest;
+    while (version < PROJECT_VERSION) {
+        const migrate = migrations[version];
+        if (!migrate) {
+            throw new Error(`No migration from project format ${version}`);
+        }
+
+        migrated = migrate(migrated);
+        version += 1;
+        migrated.version = version;
+    }
+
+    return migrated;
+}
@@ -0,0 +1,173 @@
+// sampler/index.js - Chromatic playback of one sample across the keyboard for Web Audio Instrument
+
+import { findPitchMarks, shiftPitch } from './psola.js';
+
+// Semitones above the keyboard's C, tracker style: the Z row is the lower
+// octave with sharps on the row above, the Q row the upper octave with
+// sharps on the number row
+const KEY_NOTES = {
+    'Z': 0, 'S': 1, 'X': 2, 'D': 3, 'C': 4, 'V': 5, 'G': 6, 'B': 7, 'H': 8, 'N': 9, 'J': 10, 'M': 11,
+    ',': 12, 'L': 13, '.': 14, ';': 15, '/': 16,
+    'Q': 12, '2': 13, 'W': 14, '3': 15, 'E': 16, 'R': 17, '5': 18, 'T': 19, '6': 20, 'Y': 21, '7': 22, 'U': 23,
+    'I': 24, '9': 25, 'O': 26, '0': 27, 'P': 28
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Root notes offered, as MIDI note numbers (C1-C7)
+const ROOT_NOTES = Array.from({ length: 73 }, (_, i) => 24 + i);
+
+const MIN_OCTAVE = 0;
+const MAX_OCTAVE = 7;
+
+/**
+ * ChromaticSampler class
+ * Spreads one sample across the keyboard. Each key plays a note; the
+ * sample is repitched by the distance between that note and the root note
+ * it was recorded at. With preserveFormants set, notes are rendered with
+ * PSOLA instead of resampling, so voices keep their character and length.
+ */
+class ChromaticSampler {
+    /**
+     * Create a new ChromaticSampler instance
+     */
+    constructor() {
+        this.enabled = false;
+        this.sampleId = null;
+        this.rootNote = 60; // C4
+        this.octave = 4; // Octave of the Z key
+        this.preserveFormants = false;
+
+        // Formant-preserving renders, keyed by sample ID
+        this.pitchMarks = new Map();
+        this.shiftedBuffers = new Map(); // `${sampleId}:${pitch}` -> AudioBuffer
+    }
+
+    /**
+     * Get the note a key plays
+     * @param {string} key - The key (upper case)
+     * @returns {number|null} - The MIDI note number, or null if the key plays no note
+     */
+    getNote(key) {
+        if (KEY_NOTES[key] === undefined) return null;
+        return 12 * (this.octave + 1) + KEY_NOTES[key];
+    }
+
+    /**
+     * Get the note name of every key for display
+     * @returns {Object} - Note names (e.g. 'C#4') keyed by key
+     */
+    getKeyNotes() {
+        const names = {};
+        for (const key in KEY_NOTES) {
+            names[key] = noteName(this.getNote(key));
+        }
+        return names;
+    }
+
+    /**
+     * Move the keyboard up or down
+     * @param {number} delta - Octaves to move by
+     * @returns {boolean} - Whether the octave changed
+     */
+    shiftOctave(delta) {
+        const octave = Math.max(MIN_OCTAVE, Math.min(MAX_OCTAVE, this.octave + delta));
+        if (octave === this.octave) return false;
+
+        this.octave = octave;
+        return true;
+    }
+
+    /**
+     * Get the settings that are undoable (everything but the octave)
+     * @returns {Object} - The settings ({enabled, sampleId, rootNote, preserveFormants})
+     */
+    getSettings() {
+        return {
+            enabled: this.enabled,
+            sampleId: this.sampleId,
+            rootNote: this.rootNote,
+            preserveFormants: this.preserveFormants
+        };
+    }
+
+    /**
+     * Change any of the settings
+     * @param {Object} settings - Any of enabled, sampleId, rootNote and preserveFormants
+     */
+    setSettings(settings) {
+        if (settings.enabled !== undefined) this.enabled = !!settings.enabled;
+        if (settings.sampleId !== undefined) this.sampleId = settings.sampleId;
+        if (settings.rootNote !== undefined) {
+            this.rootNote = Math.max(ROOT_NOTES[0], Math.min(ROOT_NOTES[ROOT_NOTES.length - 1], Math.round(settings.rootNote)));
+        }
+        if (settings.preserveFormants !== undefined) this.preserveFormants = !!settings.preserveFormants;
+    }
+
+    /**
+     * Get a formant-preserving render of a sample at a pitch
+     * Renders are cached, so only the first press of each note pays for it
+     * @param {BaseAudioContext} audioContext - The context to create the buffer in
+     * @param {string} sampleId - The sample ID
+     * @param {AudioBuffer} buffer - The sample's audio
+     * @param {number} pitch - The shift in semitones
+     * @returns {AudioBuffer} - The shifted audio, the same length as the sample
+     */
+    getShiftedBuffer(audioContext, sampleId, buffer, pitch) {
+        if (pitch === 0) return buffer;
+
+        const cacheKey = `${sampleId}:${pitch}`;
+        if (this.shiftedBuffers.has(cacheKey)) return this.shiftedBuffers.get(cacheKey);
+
+        // Channels share the marks of the first so they stay aligned
+        if (!this.pitchMarks.has(sampleId)) {
+            this.pitchMarks.set(sampleId, findPitchMarks(buffer.getChannelData(0), buffer.sampleRate));
+        }
+        const marks = this.pitchMarks.get(sampleId);
+
+        const shifted = audioContext.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            shifted.copyToChannel(shiftPitch(buffer.getChannelData(channel), marks, Math.pow(2, pitch / 12)), channel);
+        }
+
+        this.shiftedBuffers.set(cacheKey, shifted);
+        return shifted;
+    }
+
+    /**
+     * Forget cached renders, e.g. when the samples are replaced
+     */
+    clearCache() {
+        this.pitchMarks.clear();
+        this.shiftedBuffers.clear();
+    }
+
+    /**
+     * Get the sampler for saving
+     * @returns {Object} - The sampler state ({enabled, sampleId, rootNote, octave, preserveFormants})
+     */
+    getState() {
+        return { ...this.getSettings(), octave: this.octave };
+    }
+
+    /**
+     * Replace the settings from a saved state
+     * @param {Object} state - The sampler state ({enabled, sampleId, rootNote, octave, preserveFormants})
+     */
+    setState(state) {
+        this.setSettings(state);
+        this.octave = Math.max(MIN_OCTAVE, Math.min(MAX_OCTAVE, state.octave !== undefined ? state.octave : 4));
+    }
+}
+
+/**
+ * Name a MIDI note
+ * @param {number} note - The MIDI note number
+ * @returns {string} - e.g. 'C4' for 60
+ */
+export function noteName(note) {
+    return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+}
+
+export { ROOT_NOTES };
+export default ChromaticSampler;
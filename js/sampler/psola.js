@@ -0,0 +1,143 @@
+// psola.js - Formant-preserving pitch shifting for Web Audio Instrument
+
+// Pitch search range in Hz
+const MIN_FREQUENCY = 60;
+const MAX_FREQUENCY = 800;
+
+// Frames below this normalised autocorrelation are treated as unpitched
+const VOICING_THRESHOLD = 0.5;
+
+/**
+ * Place a pitch mark on every period of a signal
+ * Unpitched stretches get marks every 10 ms so they are carried over
+ * unchanged
+ * @param {Float32Array} data - The samples
+ * @param {number} sampleRate - The sample rate in Hz
+ * @returns {Object} - The marks ({positions, periods}), both in samples
+ */
+export function findPitchMarks(data, sampleRate) {
+    // Search a decimated copy; pitch detection does not need the top end
+    const decimation = Math.max(1, Math.floor(sampleRate / 11025));
+    const decimated = new Float32Array(Math.floor(data.length / decimation));
+    for (let i = 0; i < decimated.length; i++) {
+        let sum = 0;
+        for (let j = 0; j < decimation; j++) sum += data[i * decimation + j];
+        decimated[i] = sum / decimation;
+    }
+
+    const rate = sampleRate / decimation;
+    const minLag = Math.floor(rate / MAX_FREQUENCY);
+    const maxLag = Math.ceil(rate / MIN_FREQUENCY);
+    const hop = Math.round(rate * 0.01);
+    const fallback = Math.round(sampleRate * 0.01);
+
+    // Period of each 10 ms frame, in full-rate samples
+    const framePeriods = [];
+    for (let start = 0; start < decimated.length; start += hop) {
+        const lag = detectPeriod(decimated, start, minLag, maxLag);
+        framePeriods.push(lag ? lag * decimation : fallback);
+    }
+
+    const frameLength = hop * decimation;
+    const positions = [];
+    const periods = [];
+
+    for (let position = 0; position < data.length;) {
+        const frame = Math.min(framePeriods.length - 1, Math.floor(position / frameLength));
+        const period = Math.max(1, framePeriods[Math.max(0, frame)] || fallback);
+        positions.push(position);
+        periods.push(period);
+        position += period;
+    }
+
+    return { positions, periods };
+}
+
+/**
+ * Shift the pitch of a signal without moving its formants or changing its length
+ * Two-period grains are cut around each analysis mark and overlap-added at
+ * the new period (TD-PSOLA), so the spectral envelope of each grain is kept
+ * @param {Float32Array} data - The samples
+ * @param {Object} marks - The pitch marks from findPitchMarks()
+ * @param {number} ratio - The frequency ratio, e.g. 2 for an octave up
+ * @returns {Float32Array} - The shifted samples
+ */
+export function shiftPitch(data, marks, ratio) {
+    const output = new Float32Array(data.length);
+    const weight = new Float32Array(data.length);
+    const { positions, periods } = marks;
+    if (positions.length === 0) return output;
+
+    let mark = 0;
+    for (let time = 0; time < data.length;) {
+        // Use the analysis mark nearest the synthesis time
+        while (mark < positions.length - 1 &&
+            Math.abs(positions[mark + 1] - time) <= Math.abs(positions[mark] - time)) {
+            mark++;
+        }
+
+        const period = periods[mark];
+        const centre = positions[mark];
+
+        for (let i = -period; i < period; i++) {
+            const source = centre + i;
+            const target = Math.round(time) + i;
+            if (source < 0 || source >= data.length || target < 0 || target >= data.length) continue;
+
+            const window = 0.5 - 0.5 * Math.cos(Math.PI * (i + period) / period);
+            output[target] += data[source] * window;
+            weight[target] += window;
+        }
+
+        time += period / ratio;
+    }
+
+    // Grains pile up when shifting upwards; keep the original level
+    for (let i = 0; i < output.length; i++) {
+        if (weight[i] > 1) output[i] /= weight[i];
+    }
+
+    return output;
+}
+
+/**
+ * Find the strongest period in a frame by normalised autocorrelation
+ * @param {Float32Array} data - The samples
+ * @param {number} start - The frame start
+ * @param {number} minLag - The shortest period to try
+ * @param {number} maxLag - The longest period to try
+ * @returns {number|null} - The period in samples, or null if the frame is unpitched
+ */
+function detectPeriod(data, start, minLag, maxLag) {
+    const size = maxLag * 2;
+    if (start + size + maxLag > data.length) return null;
+
+    const scores = [];
+    let best = 0;
+
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        let sum = 0;
+        let energyA = 0;
+        let energyB = 0;
+        for (let i = start; i < start + size; i++) {
+            sum += data[i] * data[i + lag];
+            energyA += data[i] * data[i];
+            energyB += data[i + lag] * data[i + lag];
+        }
+
+        const score = energyA > 0 && energyB > 0 ? sum / Math.sqrt(energyA * energyB) : 0;
+        scores.push(score);
+        best = Math.max(best, score);
+    }
+
+    if (best < VOICING_THRESHOLD) return null;
+
+    // Multiples of the period score almost as well; take the shortest peak near the best
+    let bestLag = null;
+    for (let i = 0; i < scores.length && bestLag === null; i++) {
+        const isPeak = (i === 0 || scores[i] >= scores[i - 1]) && (i === scores.length - 1 || scores[i] >= scores[i + 1]);
+        if (isPeak && scores[i] >= best * 0.9) bestLag = minLag + i;
+    }
+
+    return bestLag;
+}
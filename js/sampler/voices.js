@@ -0,0 +1,168 @@
+// voices.js - Voice tracking, choke groups and polyphony limits for Web Audio Instrument
+
+// Ways to pick the voice that makes room for a new one
+const STEAL_MODES = ['oldest', 'quietest'];
+
+// Length of audio around a voice's playback position its loudness is judged by, in seconds
+const LEVEL_WINDOW = 0.01;
+
+/**
+ * VoicePool class
+ * Keeps every sounding sample voice ({source, gain, sampleId, chokeGroup,
+ * startTime, velocity, offset}) so new voices can cut others off: a voice in
+ * a choke group silences the rest of its group (open/closed hi-hats), and a
+ * sample with a polyphony limit gives up its oldest or quietest voice when
+ * the limit is reached. Quietest goes by velocity and how loud the sample is
+ * where the voice has got to, so a decayed tail goes before a fresh hit.
+ * Cut-off voices fade out briefly rather than stopping dead, so they do
+ * not click.
+ */
+class VoicePool {
+    /**
+     * Create a new VoicePool instance
+     * @param {number} fadeTime - Fade for choked and stolen voices, in seconds
+     */
+    constructor(fadeTime = 0.01) {
+        this.fadeTime = fadeTime;
+        this.voices = [];
+        this.limits = {}; // Sample ID -> {limit, steal}
+    }
+
+    /**
+     * Start tracking a voice; it is forgotten once it ends
+     * @param {Object} voice - The voice ({source, gain, sampleId, chokeGroup, startTime, velocity, offset})
+     */
+    add(voice) {
+        this.voices.push(voice);
+        voice.source.addEventListener('ended', () => {
+            this.voices = this.voices.filter(active => active !== voice);
+        });
+    }
+
+    /**
+     * Make way for a new voice: choke its group and steal over its sample's limit
+     * Voices scheduled to start after the new one are left alone
+     * @param {string} sampleId - The new voice's sample ID
+     * @param {number|null} chokeGroup - The new voice's choke group
+     * @param {number} time - The audio context time the new voice starts at
+     */
+    prepare(sampleId, chokeGroup, time) {
+        const started = this.getSounding().filter(voice => voice.startTime <= time);
+
+        if (chokeGroup) {
+            started.filter(voice => voice.chokeGroup === chokeGroup)
+                .forEach(voice => this.stop(voice, time));
+        }
+
+        const { limit, steal } = this.getLimit(sampleId);
+        if (!limit) return;
+
+        const voices = started.filter(voice => voice.sampleId === sampleId);
+        if (voices.length < limit) return;
+
+        if (steal === 'quietest') {
+            const levels = new Map(voices.map(voice => [voice, this.getLevel(voice, time)]));
+            voices.sort((a, b) => levels.get(a) - levels.get(b) || a.startTime - b.startTime);
+        } else {
+            voices.sort((a, b) => a.startTime - b.startTime);
+        }
+
+        voices.slice(0, voices.length - limit + 1).forEach(voice => this.stop(voice, time));
+    }
+
+    /**
+     * Estimate how loud a voice is at a time: its velocity times the peak of its sample around where it has got to
+     * @param {Object} voice - The voice
+     * @param {number} time - The audio context time
+     * @returns {number} - The level (0-1)
+     */
+    getLevel(voice, time) {
+        const { source } = voice;
+        const buffer = source.buffer;
+        let position = (voice.offset || 0) + (time - voice.startTime) * source.playbackRate.value;
+
+        if (source.loop && position >= buffer.duration) {
+            const loopStart = source.loopEnd > 0 ? source.loopStart : 0;
+            const loopEnd = source.loopEnd > 0 ? source.loopEnd : buffer.duration;
+            position = loopStart + (position - loopStart) % (loopEnd - loopStart);
+        }
+        if (position >= buffer.duration) return 0;
+
+        const data = buffer.getChannelData(0);
+        const from = Math.floor(position * buffer.sampleRate);
+        const to = Math.min(data.length, from + Math.ceil(LEVEL_WINDOW * buffer.sampleRate));
+        let peak = 0;
+        for (let i = from; i < to; i++) {
+            peak = Math.max(peak, Math.abs(data[i]));
+        }
+
+        return peak * (voice.velocity !== undefined ? voice.velocity : 1);
+    }
+
+    /**
+     * Fade a voice out and stop it
+     * @param {Object} voice - The voice
+     * @param {number} time - The audio context time to start the fade at
+     * @param {number} fadeTime - The fade length in seconds
+     */
+    stop(voice, time, fadeTime = this.fadeTime) {
+        const { source, gain } = voice;
+        voice.stopTime = time + fadeTime;
+
+        gain.gain.cancelScheduledValues(time);
+        gain.gain.setValueAtTime(gain.gain.value, time);
+        gain.gain.linearRampToValueAtTime(0, time + fadeTime);
+        source.stop(time + fadeTime);
+    }
+
+    /**
+     * Fade out every voice
+     * @param {number} time - The audio context time to start the fades at
+     */
+    stopAll(time) {
+        this.getSounding().forEach(voice => this.stop(voice, time));
+    }
+
+    /**
+     * Get the voices that have not been told to stop
+     * @returns {Array<Object>} - The voices
+     */
+    getSounding() {
+        return this.voices.filter(voice => voice.stopTime === undefined);
+    }
+
+    /**
+     * Get a sample's polyphony limit
+     * @param {string} sampleId - The sample ID
+     * @returns {Object} - The limit ({limit, steal}); a limit of 0 means no limit
+     */
+    getLimit(sampleId) {
+        return { limit: 0, steal: 'oldest', ...this.limits[sampleId] };
+    }
+
+    /**
+     * Set a sample's polyphony limit
+     * @param {string} sampleId - The sample ID
+     * @param {Object} settings - Any of limit (0 for no limit, up to 32) and steal ('oldest' or 'quietest')
+     */
+    setLimit(sampleId, settings) {
+        const current = this.getLimit(sampleId);
+        const limit = settings.limit !== undefined ? Math.max(0, Math.min(32, Math.round(settings.limit) || 0)) : current.limit;
+        const steal = STEAL_MODES.includes(settings.steal) ? settings.steal : current.steal;
+
+        if (limit === 0 && steal === 'oldest') {
+            delete this.limits[sampleId];
+        } else {
+            this.limits[sampleId] = { limit, steal };
+        }
+    }
+
+    /**
+     * Forget every limit, e.g. when the samples are replaced
+     */
+    clearLimits() {
+        this.limits = {};
+    }
+}
+
+export default VoicePool;
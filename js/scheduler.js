@@ -0,0 +1,304 @@
+// scheduler.js - Look-ahead transport scheduler for Web Audio Instrument
+
+/**
+ * Scheduler class
+ * Queues audio events slightly ahead of time against audioContext.currentTime
+ * so that playback stays sample-accurate regardless of main thread load.
+ * Shared by the step sequencer, timeline playback and the metronome.
+ */
+class Scheduler {
+    /**
+     * Create a new Scheduler instance
+     * @param {AudioContext} audioContext - The Web Audio API context
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.metronomeDestination = null;
+
+        // Timing settings
+        this.lookahead = 25; // How often the timer wakes up (ms)
+        this.scheduleAheadTime = 0.1; // How far ahead to schedule audio (s)
+        this.timerId = null;
+
+        // Transport state
+        this.isRunning = false;
+        this.tempo = 120;
+        this.stepsPerBeat = 4; // 16th notes
+        this.beatsPerBar = 4;
+        this.totalSteps = 16;
+        this.currentStep = 0;
+        this.stepCount = 0; // Steps since the start of bar 1, unaffected by wrapping
+        this.nextStepTime = 0;
+
+        // One-shot events queued at absolute context times
+        this.events = [];
+        this.nextEventId = 1;
+
+        // Metronome state
+        this.metronomeEnabled = false;
+        this.metronomeVolume = 0.5;
+
+        // Event callbacks
+        this.onStep = null;
+    }
+
+    /**
+     * Initialize the scheduler
+     * @param {AudioContext} audioContext - The Web Audio API context
+     * @param {AudioNode} metronomeDestination - Where metronome clicks are sent
+     */
+    initialize(audioContext, metronomeDestination) {
+        if (audioContext) {
+            this.audioContext = audioContext;
+        }
+
+        if (!this.audioContext) {
+            throw new Error('AudioContext is required for Scheduler');
+        }
+
+        this.metronomeDestination = metronomeDestination || this.audioContext.destination;
+
+        return this;
+    }
+
+    /**
+     * Start the step clock
+     * @param {number} startStep - The step to start from
+     * @param {number} startTime - The context time of the first step; shortly from now if omitted
+     */
+    start(startStep = 0, startTime = null) {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.currentStep = startStep % this.totalSteps;
+        this.stepCount = startStep;
+        this.nextStepTime = startTime !== null ? startTime : this.audioContext.currentTime + 0.05;
+
+        this.startTimer();
+    }
+
+    /**
+     * Stop the step clock (queued one-shot events keep running)
+     */
+    stop() {
+        this.isRunning = false;
+
+        if (this.events.length === 0) {
+            this.stopTimer();
+        }
+    }
+
+    /**
+     * Set the tempo; takes effect from the next step
+     * @param {number} bpm - The tempo in beats per minute
+     */
+    setTempo(bpm) {
+        this.tempo = Math.max(20, Math.min(300, bpm));
+    }
+
+    /**
+     * Set the number of steps before the step counter wraps
+     * @param {number} steps - The number of steps
+     */
+    setTotalSteps(steps) {
+        this.totalSteps = Math.max(1, steps);
+        this.currentStep = this.currentStep % this.totalSteps;
+    }
+
+    /**
+     * Renumber the step being scheduled; counting continues from it
+     * Call from onStep, e.g. to restart a pattern that was switched in
+     * @param {number} step - The step number
+     */
+    setCurrentStep(step) {
+        this.currentStep = step % this.totalSteps;
+    }
+
+    /**
+     * Get when a step was or will be scheduled, counting at the current tempo
+     * @param {number} stepCount - Steps since the start of bar 1
+     * @returns {number} - The context time of the step
+     */
+    getStepCountTime(stepCount) {
+        return this.nextStepTime - (this.stepCount - stepCount) * this.getStepDuration();
+    }
+
+    /**
+     * Move the steps not yet scheduled earlier or later, e.g. to stay in line with an external clock
+     * @param {number} seconds - How far to move them; negative is earlier
+     */
+    nudge(seconds) {
+        this.nextStepTime += seconds;
+    }
+
+    /**
+     * Get the number of steps in a bar
+     * @returns {number} - Steps per bar
+     */
+    getStepsPerBar() {
+        return this.stepsPerBeat * this.beatsPerBar;
+    }
+
+    /**
+     * Get the duration of one step at the current tempo
+     * @returns {number} - The step duration in seconds
+     */
+    getStepDuration() {
+        return (60 / this.tempo) / this.stepsPerBeat;
+    }
+
+    /**
+     * Enable or disable the metronome
+     * @param {boolean} enabled - Whether the metronome should click
+     */
+    setMetronomeEnabled(enabled) {
+        this.metronomeEnabled = enabled;
+    }
+
+    /**
+     * Queue a callback to be scheduled at an absolute context time
+     * The callback is invoked slightly early with the exact time, which it
+     * should pass on to AudioBufferSourceNode.start(when)
+     * @param {number} time - The context time in seconds
+     * @param {Function} callback - Called with (time)
+     * @returns {number} - The event ID
+     */
+    scheduleAt(time, callback) {
+        const id = this.nextEventId++;
+        this.events.push({ id, time, callback });
+        this.events.sort((a, b) => a.time - b.time);
+
+        this.startTimer();
+
+        return id;
+    }
+
+    /**
+     * Remove a queued event
+     * @param {number} id - The event ID
+     */
+    cancelEvent(id) {
+        this.events = this.events.filter(event => event.id !== id);
+    }
+
+    /**
+     * Remove all queued one-shot events
+     */
+    clearEvents() {
+        this.events = [];
+
+        if (!this.isRunning) {
+            this.stopTimer();
+        }
+    }
+
+    /**
+     * Run a UI callback when the audio clock reaches a given time
+     * @param {number} time - The context time in seconds
+     * @param {Function} callback - The callback to run
+     */
+    scheduleVisual(time, callback) {
+        const delay = Math.max(0, (time - this.audioContext.currentTime) * 1000);
+        setTimeout(callback, delay);
+    }
+
+    /**
+     * Start the look-ahead timer if it is not already running
+     */
+    startTimer() {
+        if (this.timerId !== null) return;
+
+        this.timerId = setInterval(() => this.tick(), this.lookahead);
+        this.tick();
+    }
+
+    /**
+     * Stop the look-ahead timer
+     */
+    stopTimer() {
+        if (this.timerId === null) return;
+
+        clearInterval(this.timerId);
+        this.timerId = null;
+    }
+
+    /**
+     * Schedule everything that falls inside the look-ahead window
+     */
+    tick() {
+        const horizon = this.audioContext.currentTime + this.scheduleAheadTime;
+
+        // Sequencer steps
+        while (this.isRunning && this.nextStepTime < horizon) {
+            this.scheduleStep(this.currentStep, this.nextStepTime);
+            this.advanceStep();
+        }
+
+        // One-shot events
+        while (this.events.length > 0 && this.events[0].time < horizon) {
+            const event = this.events.shift();
+            event.callback(event.time);
+        }
+
+        if (!this.isRunning && this.events.length === 0) {
+            this.stopTimer();
+        }
+    }
+
+    /**
+     * Schedule a single step
+     * @param {number} step - The step number
+     * @param {number} time - The context time of the step
+     */
+    scheduleStep(step, time) {
+        if (this.metronomeEnabled && step % this.stepsPerBeat === 0) {
+            const isDownbeat = step % (this.stepsPerBeat * this.beatsPerBar) === 0;
+            this.scheduleClick(time, isDownbeat);
+        }
+
+        if (this.onStep) {
+            this.onStep(step, time, this.stepCount);
+        }
+    }
+
+    /**
+     * Move the step clock forward by one step
+     */
+    advanceStep() {
+        // Read the tempo every step so changes land on the next step
+        this.nextStepTime += this.getStepDuration();
+        this.currentStep = (this.currentStep + 1) % this.totalSteps;
+        this.stepCount++;
+    }
+
+    /**
+     * Schedule a metronome click
+     * @param {number} time - The context time of the click
+     * @param {boolean} accent - Whether this is the first beat of a bar
+     */
+    scheduleClick(time, accent) {
+        const osc = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+
+        osc.frequency.value = accent ? 1500 : 1000;
+
+        gain.gain.setValueAtTime(this.metronomeVolume, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+
+        osc.connect(gain);
+        gain.connect(this.metronomeDestination);
+
+        osc.start(time);
+        osc.stop(time + 0.05);
+    }
+
+    /**
+     * Get the current audio context time
+     * @returns {number} - The current time in seconds
+     */
+    getCurrentTime() {
+        return this.audioContext ? this.audioContext.currentTime : 0;
+    }
+}
+
+export default Scheduler;
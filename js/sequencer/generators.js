@@ -0,0 +1,59 @@
+// generators.js - Rhythm generators for sequencer rows in Web Audio Instrument
+
+/**
+ * Spread hits as evenly as possible over a row (Euclidean rhythm)
+ * @param {number} hits - The number of hits
+ * @param {number} steps - The row length
+ * @param {number} rotation - Steps to rotate the pattern to the right
+ * @returns {Array<number>} - The sorted active step numbers
+ */
+export function euclidean(hits, steps, rotation = 0) {
+    const safeHits = Math.max(0, Math.min(steps, hits));
+    const shift = ((rotation % steps) + steps) % steps;
+    const active = [];
+
+    for (let i = 0; i < steps; i++) {
+        if ((i * safeHits) % steps < safeHits) {
+            active.push((i + shift) % steps);
+        }
+    }
+
+    return active.sort((a, b) => a - b);
+}
+
+/**
+ * Turn each step on with a given chance
+ * @param {number} steps - The row length
+ * @param {number} density - The chance of each step being on, 0-1
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Array<number>} - The sorted active step numbers
+ */
+export function randomSteps(steps, density, random = Math.random) {
+    const active = [];
+    for (let i = 0; i < steps; i++) {
+        if (random() < density) active.push(i);
+    }
+
+    return active;
+}
+
+/**
+ * Flip a number of different steps of a row on or off
+ * @param {Array<number>} active - The active step numbers
+ * @param {number} steps - The row length
+ * @param {number} count - How many steps to change
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Array<number>} - The sorted active step numbers
+ */
+export function mutateSteps(active, steps, count, random = Math.random) {
+    const result = new Set(active.filter(step => step < steps));
+    const positions = Array.from({ length: steps }, (_, i) => i);
+
+    for (let i = 0; i < Math.min(count, steps); i++) {
+        const [step] = positions.splice(Math.floor(random() * positions.length), 1);
+        if (result.has(step)) result.delete(step);
+        else result.add(step);
+    }
+
+    return Array.from(result).sort((a, b) => a - b);
+}
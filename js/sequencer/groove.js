@@ -0,0 +1,173 @@
+// groove.js - Swing and groove templates for Web Audio Instrument
+
+// MPC-style swing settings: where the second 16th of each pair lands, as a percentage of the pair
+const MPC_SWINGS = [50, 54, 58, 62, 66, 71, 75];
+
+/**
+ * Groove class
+ * Holds groove templates and the one in use. A template is {id, name,
+ * offsets}, where offsets[i] shifts every step at position i of the
+ * template (wrapping) by a fraction of a step. The swing amount scales
+ * the current template, from straight (0) to the full groove (1). Steps
+ * are counted from the start of bar 1, so sequencer playback and timeline
+ * quantize line up.
+ */
+class Groove {
+    /**
+     * Create a new Groove instance
+     */
+    constructor() {
+        this.templates = MPC_SWINGS.map(percent => ({
+            id: `mpc-${percent}`,
+            name: `MPC ${percent}%`,
+            offsets: [0, swingOffset(percent)],
+            builtIn: true
+        }));
+
+        this.currentId = 'mpc-50';
+        this.amount = 1;
+    }
+
+    /**
+     * Get a template
+     * @param {string} templateId - The template ID (defaults to the current template)
+     * @returns {Object|null} - The template ({id, name, offsets, builtIn})
+     */
+    getTemplate(templateId = this.currentId) {
+        return this.templates.find(template => template.id === templateId) || null;
+    }
+
+    /**
+     * List the templates for display
+     * @returns {Array<Object>} - The templates ({id, name, builtIn})
+     */
+    getTemplateList() {
+        return this.templates.map(({ id, name, builtIn }) => ({ id, name, builtIn: !!builtIn }));
+    }
+
+    /**
+     * Use a template
+     * @param {string} templateId - The template ID
+     * @returns {boolean} - Whether the template exists
+     */
+    selectTemplate(templateId) {
+        if (!this.getTemplate(templateId)) return false;
+
+        this.currentId = templateId;
+        return true;
+    }
+
+    /**
+     * Set how strongly the template applies
+     * @param {number} amount - 0 for straight, 1 for the full groove
+     */
+    setAmount(amount) {
+        this.amount = Math.max(0, Math.min(1, amount));
+    }
+
+    /**
+     * Get how far a step is pushed by the groove
+     * @param {number} step - Steps since the start of bar 1
+     * @returns {number} - The shift as a fraction of a step
+     */
+    getOffset(step) {
+        const template = this.getTemplate();
+        if (!template || template.offsets.length === 0) return 0;
+
+        return template.offsets[step % template.offsets.length] * this.amount;
+    }
+
+    /**
+     * Build a template from the timing of a recorded take
+     * Each hit is compared with the nearest straight step and the average
+     * deviation at each position of the bar becomes that position's offset
+     * @param {Array<number>} times - Hit times in seconds from the start of bar 1
+     * @param {number} stepDuration - The length of a step in seconds
+     * @param {number} length - The number of steps the template covers
+     * @returns {Object|null} - The new template, or null if there were no hits
+     */
+    extractTemplate(times, stepDuration, length = 16) {
+        if (times.length === 0) return null;
+
+        const sums = new Array(length).fill(0);
+        const counts = new Array(length).fill(0);
+
+        times.forEach(time => {
+            const position = time / stepDuration;
+            const step = Math.round(position);
+            const slot = step % length;
+            sums[slot] += position - step;
+            counts[slot] += 1;
+        });
+
+        const offsets = sums.map((sum, slot) => counts[slot] > 0 ? Math.round(sum / counts[slot] * 100) / 100 : 0);
+
+        let number = 1;
+        while (this.getTemplate(`take-${number}`)) number++;
+
+        const template = { id: `take-${number}`, name: `Take ${number}`, offsets };
+        this.templates.push(template);
+        return template;
+    }
+
+    /**
+     * Pull a time towards the nearest grooved step
+     * @param {number} time - The time in seconds from the start of bar 1
+     * @param {number} stepDuration - The length of a step in seconds
+     * @param {number} strength - 0 leaves the time alone, 1 snaps it exactly
+     * @returns {number} - The quantized time
+     */
+    quantize(time, stepDuration, strength = 1) {
+        const nearest = Math.round(time / stepDuration);
+
+        // The groove can move a neighbouring step closer than the nearest straight one
+        let target = null;
+        for (let step = Math.max(0, nearest - 1); step <= nearest + 1; step++) {
+            const stepTime = Math.max(0, (step + this.getOffset(step)) * stepDuration);
+            if (target === null || Math.abs(stepTime - time) < Math.abs(target - time)) {
+                target = stepTime;
+            }
+        }
+
+        return time + (target - time) * strength;
+    }
+
+    /**
+     * Get the groove for saving
+     * @returns {Object} - The groove state ({current, amount, custom})
+     */
+    getState() {
+        return {
+            current: this.currentId,
+            amount: this.amount,
+            custom: this.templates
+                .filter(template => !template.builtIn)
+                .map(({ id, name, offsets }) => ({ id, name, offsets: [...offsets] }))
+        };
+    }
+
+    /**
+     * Replace the custom templates and selection from a saved state
+     * @param {Object} state - The groove state ({current, amount, custom})
+     */
+    setState(state) {
+        this.templates = this.templates.filter(template => template.builtIn);
+        (state.custom || []).forEach(({ id, name, offsets }) => {
+            this.templates.push({ id, name, offsets: [...offsets] });
+        });
+
+        this.currentId = this.getTemplate(state.current) ? state.current : 'mpc-50';
+        this.setAmount(state.amount !== undefined ? state.amount : 1);
+    }
+}
+
+/**
+ * Convert an MPC swing percentage to the shift of every second step
+ * @param {number} percent - 50 (straight) to 75 (dotted)
+ * @returns {number} - The shift as a fraction of a step
+ */
+function swingOffset(percent) {
+    return Math.round((2 * percent / 100 - 1) * 100) / 100;
+}
+
+export default Groove;
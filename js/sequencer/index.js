@@ -0,0 +1,531 @@
+// sequencer/index.js - Step sequencer patterns for Web Audio Instrument
+
+const PATTERN_IDS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Row clock dividers: how many 16th-note ticks one row step lasts
+const DIVISIONS = {
+    '1/8': 2,
+    '1/8T': 4 / 3,
+    '1/16': 1,
+    '1/16T': 2 / 3,
+    '1/32': 1 / 2
+};
+
+/**
+ * Parameters a step can lock, keyed by lock name
+ * Each entry holds a display name and the {min, max, step} range of its
+ * value; an unlocked parameter keeps the sample's or effect's own setting
+ */
+const PARAM_LOCKS = {
+    pitch: { name: 'Pitch (semitones)', min: -24, max: 24, step: 1 },
+    start: { name: 'Start offset', min: 0, max: 0.99, step: 0.01 },
+    filter: { name: 'Filter cutoff', min: 20, max: 20000, step: 1 },
+    pan: { name: 'Pan', min: -1, max: 1, step: 0.01 },
+    reverbSend: { name: 'Reverb send', min: 0, max: 1, step: 0.01 },
+    delaySend: { name: 'Delay send', min: 0, max: 1, step: 0.01 }
+};
+
+// How an active step plays unless told otherwise
+const STEP_DEFAULTS = {
+    velocity: 1, // Gain, 0-1
+    probability: 1, // Chance of triggering, 0-1
+    ratchets: 1, // Evenly spaced hits within the step, 1-8
+    offset: 0 // Micro-timing as a fraction of a step, -0.5 to 0.5
+};
+
+/**
+ * PatternBank class
+ * Holds the sequencer patterns and which one is playing. A pattern is
+ * {id, name, steps, cells, params, rows} with cells mapping a sample ID to
+ * its sorted active step numbers, params holding the step settings that
+ * differ from STEP_DEFAULTS ({sampleId: {step: {velocity, ...}}}) and rows
+ * giving a row its own length and clock divider ({sampleId: {length,
+ * division}}). A row without a length follows the pattern's step count,
+ * which is also when the pattern wraps. locks holds parameter locks
+ * ({sampleId: {step: {lockName: value}}}, see PARAM_LOCKS).
+ * Switching while the transport runs is queued and applied by the caller
+ * on the next bar through applyQueuedPattern().
+ */
+class PatternBank {
+    /**
+     * Create a new PatternBank instance
+     * @param {number} steps - The step count of new patterns
+     * @param {number} count - How many empty patterns to start with
+     */
+    constructor(steps = 16, count = 3) {
+        this.defaultSteps = steps;
+        this.patterns = [];
+        this.currentId = null;
+        this.queuedId = null;
+        this.clipboard = null;
+
+        for (let i = 0; i < count; i++) {
+            this.addPattern();
+        }
+        this.currentId = this.patterns[0].id;
+    }
+
+    /**
+     * Get a pattern
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     * @returns {Object|null} - The pattern
+     */
+    getPattern(patternId = this.currentId) {
+        return this.patterns.find(pattern => pattern.id === patternId) || null;
+    }
+
+    /**
+     * List the patterns for display
+     * @returns {Array<Object>} - The patterns ({id, name, isEmpty})
+     */
+    getPatternList() {
+        return this.patterns.map(pattern => ({
+            id: pattern.id,
+            name: pattern.name,
+            isEmpty: Object.values(pattern.cells).every(steps => steps.length === 0)
+        }));
+    }
+
+    /**
+     * Add an empty pattern named after the next free letter
+     * @returns {Object|null} - The new pattern, or null if every letter is used
+     */
+    addPattern() {
+        const id = Array.from(PATTERN_IDS).find(letter => !this.getPattern(letter));
+        if (!id) return null;
+
+        const pattern = { id, name: id, steps: this.defaultSteps, cells: {}, params: {}, rows: {}, locks: {} };
+        this.patterns.push(pattern);
+        return pattern;
+    }
+
+    /**
+     * Turn a step on or off
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     * @param {boolean} active - Whether the step should play
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     */
+    setStep(sampleId, step, active, patternId = this.currentId) {
+        const pattern = this.getPattern(patternId);
+        if (!pattern || step < 0 || step >= this.getRowSettings(sampleId, patternId).length) return;
+
+        const steps = (pattern.cells[sampleId] || []).filter(s => s !== step);
+        if (active) {
+            steps.push(step);
+            steps.sort((a, b) => a - b);
+        } else {
+            if (pattern.params[sampleId]) delete pattern.params[sampleId][step];
+            if (pattern.locks[sampleId]) delete pattern.locks[sampleId][step];
+        }
+        pattern.cells[sampleId] = steps;
+    }
+
+    /**
+     * Replace which steps of a row are on, e.g. with a generated rhythm
+     * Steps that stay on keep their settings and locks
+     * @param {string} sampleId - The sample ID
+     * @param {Array<number>} steps - The active step numbers
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     */
+    setRowSteps(sampleId, steps, patternId = this.currentId) {
+        const pattern = this.getPattern(patternId);
+        if (!pattern) return;
+
+        const { length } = this.getRowSettings(sampleId, patternId);
+        const active = [...new Set(steps)].filter(step => step >= 0 && step < length).sort((a, b) => a - b);
+
+        for (const map of [pattern.params, pattern.locks]) {
+            for (const step in map[sampleId]) {
+                if (!active.includes(parseInt(step))) delete map[sampleId][step];
+            }
+        }
+        pattern.cells[sampleId] = active;
+    }
+
+    /**
+     * Get how an active step plays
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     * @returns {Object} - The step settings ({velocity, probability, ratchets, offset})
+     */
+    getStepParams(sampleId, step, patternId = this.currentId) {
+        const pattern = this.getPattern(patternId);
+        const params = pattern && pattern.params[sampleId] ? pattern.params[sampleId][step] : null;
+
+        return { ...STEP_DEFAULTS, ...params };
+    }
+
+    /**
+     * Change how an active step plays
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     * @param {Object} changes - Any of velocity, probability, ratchets and offset
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     * @returns {Object|null} - The step settings after the change, or null if the step is off
+     */
+    setStepParams(sampleId, step, changes, patternId = this.currentId) {
+        const pattern = this.getPattern(patternId);
+        if (!pattern || !(pattern.cells[sampleId] || []).includes(step)) return null;
+
+        const params = clampStepParams({ ...this.getStepParams(sampleId, step, patternId), ...changes });
+
+        // Store only what differs from the defaults
+        const stored = {};
+        for (const name in STEP_DEFAULTS) {
+            if (params[name] !== STEP_DEFAULTS[name]) stored[name] = params[name];
+        }
+
+        if (!pattern.params[sampleId]) pattern.params[sampleId] = {};
+        if (Object.keys(stored).length > 0) {
+            pattern.params[sampleId][step] = stored;
+        } else {
+            delete pattern.params[sampleId][step];
+        }
+
+        return params;
+    }
+
+    /**
+     * Get the parameter locks of a step
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     * @returns {Object} - The locked values keyed by lock name (empty if none)
+     */
+    getStepLocks(sampleId, step, patternId = this.currentId) {
+        const pattern = this.getPattern(patternId);
+        const locks = pattern && pattern.locks[sampleId] ? pattern.locks[sampleId][step] : null;
+
+        return { ...locks };
+    }
+
+    /**
+     * Lock or unlock a parameter on an active step
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     * @param {string} name - The lock name (see PARAM_LOCKS)
+     * @param {number|null} value - The locked value, or null to unlock
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     * @returns {Object|null} - The step's locks after the change, or null if the step is off
+     */
+    setStepLock(sampleId, step, name, value, patternId = this.currentId) {
+        const pattern = this.getPattern(patternId);
+        const range = PARAM_LOCKS[name];
+        if (!pattern || !range || !(pattern.cells[sampleId] || []).includes(step)) return null;
+
+        const locks = this.getStepLocks(sampleId, step, patternId);
+        if (value === null || value === undefined) {
+            delete locks[name];
+        } else {
+            locks[name] = Math.max(range.min, Math.min(range.max, value));
+        }
+
+        if (!pattern.locks[sampleId]) pattern.locks[sampleId] = {};
+        if (Object.keys(locks).length > 0) {
+            pattern.locks[sampleId][step] = locks;
+        } else {
+            delete pattern.locks[sampleId][step];
+        }
+
+        return { ...locks };
+    }
+
+    /**
+     * Get a row's length and clock divider
+     * @param {string} sampleId - The sample ID
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     * @returns {Object} - The row settings ({length, division, ticks}), ticks being 16ths per row step
+     */
+    getRowSettings(sampleId, patternId = this.currentId) {
+        const pattern = this.getPattern(patternId);
+        const row = (pattern && pattern.rows[sampleId]) || {};
+        const division = row.division || '1/16';
+
+        return {
+            length: row.length || (pattern ? pattern.steps : this.defaultSteps),
+            division,
+            ticks: DIVISIONS[division]
+        };
+    }
+
+    /**
+     * Change a row's length or clock divider, dropping steps past the new end
+     * @param {string} sampleId - The sample ID
+     * @param {Object} changes - Any of length (null to follow the pattern) and division
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     */
+    setRowSettings(sampleId, changes, patternId = this.currentId) {
+        const pattern = this.getPattern(patternId);
+        if (!pattern) return;
+
+        const row = { ...pattern.rows[sampleId] };
+        if (changes.length !== undefined) {
+            if (changes.length) row.length = Math.max(1, Math.min(64, Math.round(changes.length)));
+            else delete row.length;
+        }
+        if (changes.division !== undefined && DIVISIONS[changes.division]) {
+            if (changes.division !== '1/16') row.division = changes.division;
+            else delete row.division;
+        }
+
+        if (Object.keys(row).length > 0) {
+            pattern.rows[sampleId] = row;
+        } else {
+            delete pattern.rows[sampleId];
+        }
+
+        this.truncateRow(pattern, sampleId);
+    }
+
+    /**
+     * Find the row steps that start within a 16th-note tick of the current pattern
+     * Rows run from tick 0 and wrap at their own length, so rows of
+     * different lengths or dividers drift against each other
+     * @param {string} sampleId - The sample ID
+     * @param {number} tick - 16ths since the pattern started
+     * @returns {Array<Object>} - The steps ({step, offset}), offset being how far into the tick it starts in 16ths
+     */
+    getRowStepsInTick(sampleId, tick) {
+        const { length, ticks } = this.getRowSettings(sampleId);
+        const steps = [];
+
+        // Tolerance keeps triplet positions from rounding into the wrong tick
+        for (let n = Math.ceil(tick / ticks - 1e-9); n * ticks < tick + 1 - 1e-9; n++) {
+            steps.push({ step: n % length, offset: Math.max(0, n * ticks - tick) });
+        }
+
+        return steps;
+    }
+
+    /**
+     * Check whether a step of the current pattern is on
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     * @returns {boolean} - True if the step plays
+     */
+    isStepActive(sampleId, step) {
+        const pattern = this.getPattern();
+        return !!pattern && (pattern.cells[sampleId] || []).includes(step);
+    }
+
+    /**
+     * Change a pattern's length, dropping steps past the new end
+     * @param {number} steps - The number of steps
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     */
+    setSteps(steps, patternId = this.currentId) {
+        const pattern = this.getPattern(patternId);
+        if (!pattern) return;
+
+        pattern.steps = Math.max(1, steps);
+        for (const sampleId in pattern.cells) {
+            this.truncateRow(pattern, sampleId);
+        }
+    }
+
+    /**
+     * Drop a row's steps and step settings past its length
+     * @param {Object} pattern - The pattern
+     * @param {string} sampleId - The sample ID
+     */
+    truncateRow(pattern, sampleId) {
+        const { length } = this.getRowSettings(sampleId, pattern.id);
+
+        if (pattern.cells[sampleId]) {
+            pattern.cells[sampleId] = pattern.cells[sampleId].filter(step => step < length);
+        }
+        for (const step in pattern.params[sampleId]) {
+            if (step >= length) delete pattern.params[sampleId][step];
+        }
+        for (const step in pattern.locks[sampleId]) {
+            if (step >= length) delete pattern.locks[sampleId][step];
+        }
+    }
+
+    /**
+     * Turn off every step of a pattern
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     */
+    clearPattern(patternId = this.currentId) {
+        const pattern = this.getPattern(patternId);
+        if (pattern) {
+            pattern.cells = {};
+            pattern.params = {};
+            pattern.locks = {};
+        }
+    }
+
+    /**
+     * Copy a pattern's steps to the clipboard
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     */
+    copyPattern(patternId = this.currentId) {
+        const pattern = this.getPattern(patternId);
+        if (pattern) {
+            this.clipboard = clonePattern(pattern);
+        }
+    }
+
+    /**
+     * Replace a pattern's steps with the clipboard
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     * @returns {boolean} - Whether anything was pasted
+     */
+    pastePattern(patternId = this.currentId) {
+        const pattern = this.getPattern(patternId);
+        if (!pattern || !this.clipboard) return false;
+
+        const copy = clonePattern(this.clipboard);
+        pattern.steps = copy.steps;
+        pattern.cells = copy.cells;
+        pattern.params = copy.params;
+        pattern.rows = copy.rows;
+        pattern.locks = copy.locks;
+        return true;
+    }
+
+    /**
+     * Copy a pattern into a new pattern
+     * @param {string} patternId - The pattern ID (defaults to the current pattern)
+     * @returns {Object|null} - The new pattern, or null if every letter is used
+     */
+    duplicatePattern(patternId = this.currentId) {
+        const source = this.getPattern(patternId);
+        if (!source) return null;
+
+        const pattern = this.addPattern();
+        if (pattern) {
+            const copy = clonePattern(source);
+            pattern.steps = copy.steps;
+            pattern.cells = copy.cells;
+            pattern.params = copy.params;
+            pattern.rows = copy.rows;
+            pattern.locks = copy.locks;
+        }
+        return pattern;
+    }
+
+    /**
+     * Make a pattern current now, cancelling any queued switch
+     * @param {string} patternId - The pattern ID
+     * @returns {boolean} - Whether the pattern exists
+     */
+    selectPattern(patternId) {
+        if (!this.getPattern(patternId)) return false;
+
+        this.currentId = patternId;
+        this.queuedId = null;
+        return true;
+    }
+
+    /**
+     * Queue a pattern to become current at the next applyQueuedPattern()
+     * @param {string} patternId - The pattern ID
+     */
+    queuePattern(patternId) {
+        if (!this.getPattern(patternId)) return;
+
+        this.queuedId = patternId === this.currentId ? null : patternId;
+    }
+
+    /**
+     * Switch to the queued pattern, if any
+     * @returns {boolean} - Whether the current pattern changed
+     */
+    applyQueuedPattern() {
+        if (this.queuedId === null) return false;
+
+        return this.selectPattern(this.queuedId);
+    }
+
+    /**
+     * Get the patterns for saving
+     * @returns {Object} - The sequencer state ({current, patterns})
+     */
+    getState() {
+        return {
+            current: this.currentId,
+            patterns: this.patterns.map(clonePattern)
+        };
+    }
+
+    /**
+     * Replace every pattern from a saved state
+     * @param {Object} state - The sequencer state ({current, patterns})
+     * @param {boolean} keepCurrent - Keep the current pattern selected if it still exists
+     */
+    setState(state, keepCurrent = false) {
+        this.patterns = state.patterns.map(clonePattern);
+        if (this.patterns.length === 0) {
+            this.addPattern();
+        }
+
+        const current = keepCurrent ? this.currentId : state.current;
+        this.currentId = this.getPattern(current) ? current : this.patterns[0].id;
+        if (!this.getPattern(this.queuedId)) {
+            this.queuedId = null;
+        }
+    }
+}
+
+/**
+ * Deep-copy a pattern
+ * @param {Object} pattern - The pattern
+ * @returns {Object} - The copy
+ */
+function clonePattern(pattern) {
+    const cells = {};
+    for (const sampleId in pattern.cells) {
+        cells[sampleId] = [...pattern.cells[sampleId]];
+    }
+
+    // Saved before step settings or locks existed if missing
+    const params = cloneStepMap(pattern.params);
+    const locks = cloneStepMap(pattern.locks);
+
+    // Saved before row settings existed if missing
+    const rows = {};
+    for (const sampleId in pattern.rows) {
+        rows[sampleId] = { ...pattern.rows[sampleId] };
+    }
+
+    return { id: pattern.id, name: pattern.name, steps: pattern.steps, cells, params, rows, locks };
+}
+
+/**
+ * Deep-copy a {sampleId: {step: {...}}} map
+ * @param {Object} map - The map (may be undefined)
+ * @returns {Object} - The copy
+ */
+function cloneStepMap(map) {
+    const copy = {};
+    for (const sampleId in map) {
+        copy[sampleId] = {};
+        for (const step in map[sampleId]) {
+            copy[sampleId][step] = { ...map[sampleId][step] };
+        }
+    }
+
+    return copy;
+}
+
+/**
+ * Keep step settings inside their ranges
+ * @param {Object} params - The step settings ({velocity, probability, ratchets, offset})
+ * @returns {Object} - The usable settings
+ */
+function clampStepParams(params) {
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+    return {
+        velocity: clamp(Math.round(params.velocity * 100) / 100, 0, 1),
+        probability: clamp(Math.round(params.probability * 100) / 100, 0, 1),
+        ratchets: clamp(Math.round(params.ratchets), 1, 8),
+        offset: clamp(Math.round(params.offset * 100) / 100, -0.5, 0.5)
+    };
+}
+
+export { PARAM_LOCKS };
+export default PatternBank;
@@ -0,0 +1,143 @@
+// song.js - Song arrangement of sequencer patterns for Web Audio Instrument
+
+/**
+ * Song class
+ * An ordered chain of entries ({patternId, repeats}) and a playback cursor
+ * that walks through it one pattern pass at a time
+ */
+class Song {
+    /**
+     * Create a new Song instance
+     */
+    constructor() {
+        this.entries = [];
+
+        // Playback cursor
+        this.index = 0;
+        this.repeat = 0;
+    }
+
+    /**
+     * Add a pattern to the chain
+     * @param {string} patternId - The pattern ID
+     * @param {number} repeats - How many times the pattern plays
+     * @param {number} index - Where to insert it (defaults to the end)
+     */
+    addEntry(patternId, repeats = 1, index = this.entries.length) {
+        this.entries.splice(index, 0, { patternId, repeats: clampRepeats(repeats) });
+    }
+
+    /**
+     * Remove an entry from the chain
+     * @param {number} index - The entry position
+     */
+    removeEntry(index) {
+        this.entries.splice(index, 1);
+    }
+
+    /**
+     * Change an entry's pattern or repeat count
+     * @param {number} index - The entry position
+     * @param {Object} changes - Any of patternId and repeats
+     */
+    setEntry(index, changes) {
+        const entry = this.entries[index];
+        if (!entry) return;
+
+        if (changes.patternId !== undefined) entry.patternId = changes.patternId;
+        if (changes.repeats !== undefined) entry.repeats = clampRepeats(changes.repeats);
+    }
+
+    /**
+     * Move an entry to a new position
+     * @param {number} from - The current position
+     * @param {number} to - The new position
+     */
+    moveEntry(from, to) {
+        const [entry] = this.entries.splice(from, 1);
+        if (entry) {
+            this.entries.splice(Math.max(0, Math.min(this.entries.length, to)), 0, entry);
+        }
+    }
+
+    /**
+     * Get a copy of the chain
+     * @returns {Array<Object>} - The entries ({patternId, repeats})
+     */
+    getEntries() {
+        return this.entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Check whether the chain has anything to play
+     * @returns {boolean} - True if the chain is empty
+     */
+    isEmpty() {
+        return this.entries.length === 0;
+    }
+
+    /**
+     * Put the cursor back on the first pass of the first entry
+     * @returns {Object|null} - The first entry
+     */
+    rewind() {
+        this.index = 0;
+        this.repeat = 0;
+        return this.getCurrentEntry();
+    }
+
+    /**
+     * Get the entry under the cursor
+     * @returns {Object|null} - The entry ({patternId, repeats})
+     */
+    getCurrentEntry() {
+        return this.entries[this.index] || null;
+    }
+
+    /**
+     * Move the cursor on by one pattern pass
+     * @returns {Object|null} - The entry to play next, or null at the end of the song
+     */
+    advance() {
+        const entry = this.getCurrentEntry();
+        if (!entry) return null;
+
+        this.repeat += 1;
+        if (this.repeat >= entry.repeats) {
+            this.index += 1;
+            this.repeat = 0;
+        }
+
+        return this.getCurrentEntry();
+    }
+
+    /**
+     * Get the song for saving
+     * @returns {Object} - The song state ({entries})
+     */
+    getState() {
+        return { entries: this.getEntries() };
+    }
+
+    /**
+     * Replace the chain from a saved state
+     * @param {Object} state - The song state ({entries})
+     */
+    setState(state) {
+        this.entries = (state.entries || []).map(entry => ({
+            patternId: entry.patternId,
+            repeats: clampRepeats(entry.repeats)
+        }));
+    }
+}
+
+/**
+ * Keep a repeat count to a whole number from 1 to 64
+ * @param {number} repeats - The requested count
+ * @returns {number} - The usable count
+ */
+function clampRepeats(repeats) {
+    return Math.max(1, Math.min(64, Math.round(repeats) || 1));
+}
+
+export default Song;
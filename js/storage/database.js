@@ -0,0 +1,129 @@
+// database.js - IndexedDB storage for Web Audio Instrument
+
+const DB_NAME = 'webAudioInstrument';
+const DB_VERSION = 2;
+
+// Object stores and their key paths
+const STORES = {
+    presets: 'id',
+    audio: 'key',
+    session: 'id',
+    snapshots: 'id'
+};
+
+let databasePromise = null;
+
+/**
+ * Open the application database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>} - The open database
+ */
+export function openDatabase() {
+    if (databasePromise) {
+        return databasePromise;
+    }
+
+    databasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            for (const storeName in STORES) {
+                if (!db.objectStoreNames.contains(storeName)) {
+                    db.createObjectStore(storeName, { keyPath: STORES[storeName] });
+                }
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed
+    databasePromise.catch(() => {
+        databasePromise = null;
+    });
+
+    return databasePromise;
+}
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - The object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the store, returns an IDBRequest
+ * @returns {Promise<*>} - The request result
+ */
+async function runRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Get every record in a store
+ * @param {string} storeName - The object store
+ * @returns {Promise<Array<Object>>} - The records
+ */
+export function getAllRecords(storeName) {
+    return runRequest(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Get one record by key
+ * @param {string} storeName - The object store
+ * @param {*} key - The record key
+ * @returns {Promise<Object|undefined>} - The record
+ */
+export function getRecord(storeName, key) {
+    return runRequest(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Get the keys of every record in a store
+ * @param {string} storeName - The object store
+ * @returns {Promise<Array<*>>} - The keys
+ */
+export function getAllKeys(storeName) {
+    return runRequest(storeName, 'readonly', store => store.getAllKeys());
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - The object store
+ * @param {Object} record - The record (must include the key path)
+ * @returns {Promise<*>} - The record key
+ */
+export function putRecord(storeName, record) {
+    return runRequest(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - The object store
+ * @param {*} key - The record key
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(storeName, key) {
+    return runRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Delete every record in a store
+ * @param {string} storeName - The object store
+ * @returns {Promise<void>}
+ */
+export function clearStore(storeName) {
+    return runRequest(storeName, 'readwrite', store => store.clear());
+}
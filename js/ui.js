@@ -1,5 +1,11 @@
 // ui.js - Manages user interface for Web Audio Instrument
 
+// Clock dividers offered for sequencer rows
+const ROW_DIVISIONS = ['1/8', '1/8T', '1/16', '1/16T', '1/32'];
+
+// How a bound key plays
+const KEY_MODE_NAMES = { oneshot: 'One-shot', gate: 'Gate', toggle: 'Toggle', loop: 'Loop while held' };
+
 class UI {
     constructor() {
         // Core UI elements
@@ -9,6 +15,17 @@ class UI {
             stopButton: document.getElementById('stopButton'),
             tempoSlider: document.getElementById('tempoSlider'),
             tempoValue: document.getElementById('tempoValue'),
+            metronomeToggle: document.getElementById('metronomeToggle'),
+            playModeSelect: document.getElementById('playModeSelect'),
+
+            // Project
+            saveProjectBtn: document.getElementById('saveProjectBtn'),
+            projectFileInput: document.getElementById('projectFileInput'),
+
+            // History
+            undoBtn: document.getElementById('undoBtn'),
+            redoBtn: document.getElementById('redoBtn'),
+            historyList: document.getElementById('historyList'),
 
             // File loading
             dropZone: document.getElementById('dropZone'),
@@ -26,11 +43,53 @@ class UI {
             reverbValue: document.getElementById('reverbValue'),
             delayTimeSlider: document.getElementById('delayTime'),
             delayTimeValue: document.getElementById('delayTimeValue'),
+            compressorThresholdSlider: document.getElementById('compressorThreshold'),
+            compressorThresholdValue: document.getElementById('compressorThresholdValue'),
+            effectsRackList: document.getElementById('effectsRackList'),
+            effectTypeSelect: document.getElementById('effectTypeSelect'),
+            addEffectBtn: document.getElementById('addEffectBtn'),
+            rackPresetSelect: document.getElementById('rackPresetSelect'),
+            saveRackPresetBtn: document.getElementById('saveRackPresetBtn'),
+            exportPresetsBtn: document.getElementById('exportPresetsBtn'),
+            importPresetsInput: document.getElementById('importPresetsInput'),
 
             // Sequencer
             sequencerGrid: document.getElementById('sequencerGrid'),
             clearSequencerBtn: document.getElementById('clearSequencerBtn'),
             stepsSelect: document.getElementById('stepsSelect'),
+            patternList: document.getElementById('patternList'),
+            addPatternBtn: document.getElementById('addPatternBtn'),
+            copyPatternBtn: document.getElementById('copyPatternBtn'),
+            pastePatternBtn: document.getElementById('pastePatternBtn'),
+            duplicatePatternBtn: document.getElementById('duplicatePatternBtn'),
+            grooveSelect: document.getElementById('grooveSelect'),
+            swingAmount: document.getElementById('swingAmount'),
+            swingValue: document.getElementById('swingValue'),
+            extractGrooveBtn: document.getElementById('extractGrooveBtn'),
+            lockEditor: document.getElementById('lockEditor'),
+            generatorPanel: document.getElementById('generatorPanel'),
+            generatorTitle: document.getElementById('generatorTitle'),
+            generatorType: document.getElementById('generatorType'),
+            euclidHits: document.getElementById('euclidHits'),
+            euclidSteps: document.getElementById('euclidSteps'),
+            euclidRotation: document.getElementById('euclidRotation'),
+            randomDensity: document.getElementById('randomDensity'),
+            mutateCount: document.getElementById('mutateCount'),
+            applyGeneratorBtn: document.getElementById('applyGeneratorBtn'),
+            closeGeneratorBtn: document.getElementById('closeGeneratorBtn'),
+            songList: document.getElementById('songList'),
+            addToSongBtn: document.getElementById('addToSongBtn'),
+            renderSongBtn: document.getElementById('renderSongBtn'),
+
+            // MIDI mapping
+            midiMenu: document.getElementById('midiMenu'),
+            midiMappingPanel: document.getElementById('midiMappingPanel'),
+            midiMappingTitle: document.getElementById('midiMappingTitle'),
+            closeMidiMappingBtn: document.getElementById('closeMidiMappingBtn'),
+            midiMappingMin: document.getElementById('midiMappingMin'),
+            midiMappingMax: document.getElementById('midiMappingMax'),
+            midiMappingCurve: document.getElementById('midiMappingCurve'),
+            midiMappingTakeover: document.getElementById('midiMappingTakeover'),
 
             // Visualization
             visualizer: document.getElementById('visualizer')
@@ -41,6 +100,10 @@ class UI {
             onPlay: null,
             onStop: null,
             onTempoChange: null,
+            onMetronomeToggle: null,
+            onPlayModeChange: null,
+            onProjectSave: null,
+            onProjectOpen: null,
             onFilesDrop: null,
             onFilesSelect: null,
             onSamplePreview: null,
@@ -51,9 +114,75 @@ class UI {
             onFilterChange: null,
             onReverbChange: null,
             onDelayChange: null,
+            onCompressorChange: null,
             onSequencerCellToggle: null,
+            onSequencerStepEdit: null,
+            onRowSettingsChange: null,
+            onStepLockOpen: null,
+            onStepLockChange: null,
+            onStepLockClose: null,
+            onRowGenerate: null,
             onSequencerClear: null,
-            onStepsChange: null
+            onStepsChange: null,
+            onPatternSelect: null,
+            onPatternAdd: null,
+            onPatternCopy: null,
+            onPatternPaste: null,
+            onPatternDuplicate: null,
+            onGrooveChange: null,
+            onSwingChange: null,
+            onGrooveExtract: null,
+            onTimelineQuantize: null,
+            onSongAdd: null,
+            onSongEntryChange: null,
+            onSongEntryRemove: null,
+            onSongEntryMove: null,
+            onSongRender: null,
+            onLoopPointsChange: null,
+            onKeyBind: null,
+            onKeyTrigger: null,
+            onKeyRelease: null,
+            onPadRemove: null,
+            onMidiEnable: null,
+            onMidiLearn: null,
+            onControlLearn: null,
+            onControlMappingChange: null,
+            onControlMappingRemove: null,
+            onClockSyncChange: null,
+            onClockOutputChange: null,
+            onKeyNote: null,
+            onChromaticChange: null,
+            onOctaveShift: null,
+            onClearBindings: null,
+            onStartRecording: null,
+            onStopRecording: null,
+            onPlayTimeline: null,
+            onClearTimeline: null,
+            onExportTimeline: null,
+            onClipEdit: null,
+            onTrackVolumeChange: null,
+            onTrackPanChange: null,
+            onTrackMute: null,
+            onTrackSolo: null,
+            onTrackSendChange: null,
+            onRackAddEffect: null,
+            onRackRemoveEffect: null,
+            onRackMoveEffect: null,
+            onRackBypass: null,
+            onRackParamChange: null,
+            onEffectPresetLoad: null,
+            onEffectPresetSave: null,
+            onRackPresetLoad: null,
+            onRackPresetSave: null,
+            onPresetsExport: null,
+            onPresetsImport: null,
+            onSampleSendChange: null,
+            onSampleVoicesChange: null,
+            onRecoveryRestore: null,
+            onRecoveryDiscard: null,
+            onUndo: null,
+            onRedo: null,
+            onHistoryJump: null
         };
 
         // State
@@ -61,6 +190,16 @@ class UI {
         this.currentStep = 0;
         this.totalSteps = 16;
         this.loadedSamples = {};
+        this.rowSettings = {}; // Sample ID -> sequencer row {length, division}
+        this.suppressCellClick = false; // Set when a held step opened the lock editor
+        this.generatorSampleId = null; // Row the generator panel fills
+        this.isChromatic = false; // Keys play notes of one sample instead of their bindings
+        this.pressedKeys = new Set(); // Keys held down, so they get a note-off
+        this.keyCodes = new Map(); // Physical key code to the key it pressed, as Shift may change by the key up
+        this.controlMappings = {}; // Control ID -> MIDI mapping, for the slider context menu
+        this.learningControlId = null; // Slider waiting for a MIDI CC
+        this.menuControlId = null; // Slider the MIDI menu was opened on
+        this.mappingControlId = null; // Slider whose mapping panel is open
 
         // Create containers for new UI elements
         this.createAdditionalUIContainers();
@@ -116,11 +255,55 @@ class UI {
                     <span>Current selection: </span>
                     <span id="currentSampleName">None</span>
                 </div>
+                <label>Play mode
+                    <select id="keyModeSelect" title="How keys bound from now on play">
+                        <option value="oneshot">One-shot</option>
+                        <option value="gate">Gate</option>
+                        <option value="toggle">Toggle</option>
+                        <option value="loop">Loop while held</option>
+                    </select>
+                </label>
+                <label>Choke group
+                    <select id="chokeGroupSelect" title="Keys in the same group cut each other off">
+                        <option value="">None</option>
+                        <option value="1">1</option>
+                        <option value="2">2</option>
+                        <option value="3">3</option>
+                        <option value="4">4</option>
+                        <option value="5">5</option>
+                        <option value="6">6</option>
+                        <option value="7">7</option>
+                        <option value="8">8</option>
+                    </select>
+                </label>
                 <button id="clearBindingsBtn">Clear All Bindings</button>
             </div>
+            <div class="midi-controls">
+                <button id="midiEnableBtn">Enable MIDI</button>
+                <button id="midiLearnBtn" title="Bind the next pad or key you hit to the selected sample" disabled>MIDI Learn</button>
+                <span id="midiStatus">MIDI off</span>
+                <label title="Follow the tempo, start, stop and song position of incoming MIDI clock">
+                    <input type="checkbox" id="midiClockSyncToggle" disabled> Sync to clock
+                </label>
+                <select id="midiClockOutputSelect" title="Send MIDI clock to an output" disabled>
+                    <option value="">Clock out: off</option>
+                </select>
+            </div>
+            <div class="chromatic-controls">
+                <label><input type="checkbox" id="chromaticToggle"> Chromatic</label>
+                <select id="chromaticSampleSelect" title="Sample to play across the keyboard"></select>
+                <label>Root <select id="rootNoteSelect" title="The note the sample was recorded at"></select></label>
+                <button id="octaveDownBtn" title="Octave down (-)">Oct -</button>
+                <span id="octaveValue">C4</span>
+                <button id="octaveUpBtn" title="Octave up (=)">Oct +</button>
+                <label title="Repitch without moving formants, keeping the sample's length">
+                    <input type="checkbox" id="preserveFormantsToggle"> Keep formants
+                </label>
+            </div>
             <div id="keyboard" class="keyboard">
                 <!-- Keyboard keys will be generated by JavaScript -->
             </div>
+            <ul id="midiPadList" class="midi-pad-list"></ul>
         `;
 
         // Add these sections to the main container
@@ -138,6 +321,21 @@ class UI {
         this.elements.keyboard = document.getElementById('keyboard');
         this.elements.currentSampleName = document.getElementById('currentSampleName');
         this.elements.clearBindingsBtn = document.getElementById('clearBindingsBtn');
+        this.elements.keyModeSelect = document.getElementById('keyModeSelect');
+        this.elements.chokeGroupSelect = document.getElementById('chokeGroupSelect');
+        this.elements.midiEnableBtn = document.getElementById('midiEnableBtn');
+        this.elements.midiLearnBtn = document.getElementById('midiLearnBtn');
+        this.elements.midiStatus = document.getElementById('midiStatus');
+        this.elements.midiPadList = document.getElementById('midiPadList');
+        this.elements.midiClockSyncToggle = document.getElementById('midiClockSyncToggle');
+        this.elements.midiClockOutputSelect = document.getElementById('midiClockOutputSelect');
+        this.elements.chromaticToggle = document.getElementById('chromaticToggle');
+        this.elements.chromaticSampleSelect = document.getElementById('chromaticSampleSelect');
+        this.elements.rootNoteSelect = document.getElementById('rootNoteSelect');
+        this.elements.octaveDownBtn = document.getElementById('octaveDownBtn');
+        this.elements.octaveUpBtn = document.getElementById('octaveUpBtn');
+        this.elements.octaveValue = document.getElementById('octaveValue');
+        this.elements.preserveFormantsToggle = document.getElementById('preserveFormantsToggle');
     }
 
     /**
@@ -148,6 +346,28 @@ class UI {
         this.elements.playButton.addEventListener('click', () => this.togglePlay());
         this.elements.stopButton.addEventListener('click', () => this.stop());
         this.elements.tempoSlider.addEventListener('input', (e) => this.updateTempo(e.target.value));
+        this.elements.metronomeToggle.addEventListener('change', (e) => this.toggleMetronome(e.target.checked));
+        this.elements.playModeSelect.addEventListener('change', (e) => {
+            if (this.callbacks.onPlayModeChange) this.callbacks.onPlayModeChange(e.target.value);
+        });
+
+        // Project
+        this.elements.saveProjectBtn.addEventListener('click', () => {
+            if (this.callbacks.onProjectSave) this.callbacks.onProjectSave();
+        });
+        this.elements.projectFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file && this.callbacks.onProjectOpen) this.callbacks.onProjectOpen(file);
+            e.target.value = '';
+        });
+
+        // History
+        this.elements.undoBtn.addEventListener('click', () => {
+            if (this.callbacks.onUndo) this.callbacks.onUndo();
+        });
+        this.elements.redoBtn.addEventListener('click', () => {
+            if (this.callbacks.onRedo) this.callbacks.onRedo();
+        });
 
         // File loading
         this.elements.dropZone.addEventListener('dragover', (e) => this.handleDragOver(e));
@@ -155,7 +375,7 @@ class UI {
         this.elements.audioFileInput.addEventListener('change', (e) => this.handleFileSelect(e));
 
         // Layer controls
-        this.elements.splitLayersBtn.addEventListener('click', () => this.splitIntoLayers());
+        this.elements.splitLayersBtn?.addEventListener('click', () => this.splitIntoLayers());
 
         const soloButtons = document.querySelectorAll('.solo-btn');
         const muteButtons = document.querySelectorAll('.mute-btn');
@@ -177,10 +397,68 @@ class UI {
         this.elements.filterFreqSlider.addEventListener('input', (e) => this.updateFilterFrequency(e.target.value));
         this.elements.reverbLevelSlider.addEventListener('input', (e) => this.updateReverbLevel(e.target.value));
         this.elements.delayTimeSlider.addEventListener('input', (e) => this.updateDelayTime(e.target.value));
+        this.elements.compressorThresholdSlider.addEventListener('input', (e) => this.updateCompressorThreshold(e.target.value));
+        this.elements.addEffectBtn.addEventListener('click', () => {
+            if (this.callbacks.onRackAddEffect) {
+                this.callbacks.onRackAddEffect(this.elements.effectTypeSelect.value);
+            }
+        });
+
+        // Presets
+        this.elements.rackPresetSelect.addEventListener('change', (e) => {
+            if (e.target.value && this.callbacks.onRackPresetLoad) {
+                this.callbacks.onRackPresetLoad(e.target.value);
+            }
+            e.target.value = '';
+        });
+        this.elements.saveRackPresetBtn.addEventListener('click', () => {
+            const name = prompt('Rack preset name:');
+            if (name && this.callbacks.onRackPresetSave) this.callbacks.onRackPresetSave(name);
+        });
+        this.elements.exportPresetsBtn.addEventListener('click', () => {
+            if (this.callbacks.onPresetsExport) this.callbacks.onPresetsExport();
+        });
+        this.elements.importPresetsInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file && this.callbacks.onPresetsImport) this.callbacks.onPresetsImport(file);
+            e.target.value = '';
+        });
 
         // Sequencer controls
         this.elements.clearSequencerBtn.addEventListener('click', () => this.clearSequencer());
         this.elements.stepsSelect.addEventListener('change', (e) => this.changeStepCount(e.target.value));
+        this.elements.addPatternBtn.addEventListener('click', () => {
+            if (this.callbacks.onPatternAdd) this.callbacks.onPatternAdd();
+        });
+        this.elements.copyPatternBtn.addEventListener('click', () => {
+            if (this.callbacks.onPatternCopy) this.callbacks.onPatternCopy();
+        });
+        this.elements.pastePatternBtn.addEventListener('click', () => {
+            if (this.callbacks.onPatternPaste) this.callbacks.onPatternPaste();
+        });
+        this.elements.duplicatePatternBtn.addEventListener('click', () => {
+            if (this.callbacks.onPatternDuplicate) this.callbacks.onPatternDuplicate();
+        });
+        this.elements.grooveSelect.addEventListener('change', (e) => {
+            if (this.callbacks.onGrooveChange) this.callbacks.onGrooveChange(e.target.value);
+        });
+        this.elements.swingAmount.addEventListener('input', (e) => {
+            const amount = parseInt(e.target.value) / 100;
+            this.elements.swingValue.textContent = `${e.target.value}%`;
+            if (this.callbacks.onSwingChange) this.callbacks.onSwingChange(amount);
+        });
+        this.elements.extractGrooveBtn.addEventListener('click', () => {
+            if (this.callbacks.onGrooveExtract) this.callbacks.onGrooveExtract();
+        });
+        this.elements.generatorType.addEventListener('change', (e) => this.showGeneratorFields(e.target.value));
+        this.elements.applyGeneratorBtn.addEventListener('click', () => this.applyGenerator());
+        this.elements.closeGeneratorBtn.addEventListener('click', () => this.hideGenerator());
+        this.elements.addToSongBtn.addEventListener('click', () => {
+            if (this.callbacks.onSongAdd) this.callbacks.onSongAdd();
+        });
+        this.elements.renderSongBtn.addEventListener('click', () => {
+            if (this.callbacks.onSongRender) this.callbacks.onSongRender();
+        });
 
         // Loop controls
         this.elements.loopStartSlider.addEventListener('input', (e) => this.updateLoopStart(e.target.value));
@@ -189,7 +467,40 @@ class UI {
 
         // Keyboard binding
         this.elements.clearBindingsBtn.addEventListener('click', () => this.clearKeyBindings());
+        this.elements.chromaticToggle.addEventListener('change', (e) => this.changeChromatic({ enabled: e.target.checked }));
+        this.elements.chromaticSampleSelect.addEventListener('change', (e) => this.changeChromatic({ sampleId: e.target.value || null }));
+        this.elements.rootNoteSelect.addEventListener('change', (e) => this.changeChromatic({ rootNote: parseInt(e.target.value) }));
+        this.elements.preserveFormantsToggle.addEventListener('change', (e) => this.changeChromatic({ preserveFormants: e.target.checked }));
+        this.elements.octaveDownBtn.addEventListener('click', () => this.shiftOctave(-1));
+        this.elements.octaveUpBtn.addEventListener('click', () => this.shiftOctave(1));
+        this.elements.midiEnableBtn.addEventListener('click', () => {
+            if (this.callbacks.onMidiEnable) this.callbacks.onMidiEnable();
+        });
+        this.elements.midiLearnBtn.addEventListener('click', () => this.toggleMidiLearn());
+        this.elements.midiClockSyncToggle.addEventListener('change', (e) => {
+            if (this.callbacks.onClockSyncChange) this.callbacks.onClockSyncChange(e.target.checked);
+        });
+        this.elements.midiClockOutputSelect.addEventListener('change', (e) => {
+            if (this.callbacks.onClockOutputChange) this.callbacks.onClockOutputChange(e.target.value || null);
+        });
+
+        // MIDI mapping of sliders
+        document.addEventListener('contextmenu', (e) => this.handleControlContextMenu(e));
+        document.addEventListener('click', (e) => {
+            if (!this.elements.midiMenu.contains(e.target)) this.hideMidiMenu();
+        });
+        this.elements.midiMenu.addEventListener('click', (e) => {
+            if (e.target.dataset.action) this.handleMidiMenuAction(e.target.dataset.action);
+        });
+        this.elements.closeMidiMappingBtn.addEventListener('click', () => this.hideMappingPanel());
+        this.elements.midiMappingMin.addEventListener('change', (e) => this.changeControlMapping({ min: parseInt(e.target.value) / 100 }));
+        this.elements.midiMappingMax.addEventListener('change', (e) => this.changeControlMapping({ max: parseInt(e.target.value) / 100 }));
+        this.elements.midiMappingCurve.addEventListener('change', (e) => this.changeControlMapping({ curve: e.target.value }));
+        this.elements.midiMappingTakeover.addEventListener('change', (e) => this.changeControlMapping({ takeover: e.target.checked }));
+
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        document.addEventListener('keyup', (e) => this.handleKeyUp(e));
+        window.addEventListener('blur', () => this.releaseAllKeys());
 
         // Initialize keyboard UI
         this.initKeyboardUI();
@@ -210,6 +521,11 @@ class UI {
         emptyCell.className = 'sequencer-cell header-cell';
         headerRow.appendChild(emptyCell);
 
+        const settingsCell = document.createElement('div');
+        settingsCell.className = 'sequencer-cell header-cell row-settings';
+        settingsCell.textContent = 'Length / Rate';
+        headerRow.appendChild(settingsCell);
+
         for (let i = 0; i < this.totalSteps; i++) {
             const stepCell = document.createElement('div');
             stepCell.className = 'sequencer-cell header-cell';
@@ -246,7 +562,12 @@ class UI {
                 keyElement.dataset.key = key;
                 keyElement.textContent = key;
 
-                keyElement.addEventListener('click', () => this.handleKeyClick(key));
+                keyElement.addEventListener('pointerdown', () => {
+                    this.pressedKeys.add(key);
+                    this.handleKeyClick(key);
+                });
+                keyElement.addEventListener('pointerup', () => this.releaseKey(key));
+                keyElement.addEventListener('pointerleave', () => this.releaseKey(key));
 
                 keyRowElement.appendChild(keyElement);
             });
@@ -277,18 +598,136 @@ class UI {
         labelCell.textContent = sampleName;
         row.appendChild(labelCell);
 
-        for (let i = 0; i < this.totalSteps; i++) {
-            const cell = document.createElement('div');
-            cell.className = 'sequencer-cell';
-            cell.dataset.step = i;
-            cell.dataset.sample = sampleId;
-            cell.addEventListener('click', (e) => this.toggleSequencerCell(e));
-            row.appendChild(cell);
+        // Row length and clock divider
+        const settings = this.rowSettings[sampleId] || { length: this.totalSteps, division: '1/16' };
+        const settingsCell = document.createElement('div');
+        settingsCell.className = 'sequencer-cell row-settings';
+        settingsCell.innerHTML = `
+            <input type="number" class="row-length" min="1" max="64" value="${settings.length}" title="Row length">
+            <select class="row-division" title="Row rate">
+                ${ROW_DIVISIONS.map(division => `<option value="${division}">${division}</option>`).join('')}
+            </select>
+            <button class="row-generate-btn" title="Generate rhythm">&#9860;</button>
+        `;
+        settingsCell.querySelector('.row-generate-btn').addEventListener('click', () => this.showGenerator(sampleId));
+        settingsCell.querySelector('.row-division').value = settings.division;
+        settingsCell.querySelector('.row-length').addEventListener('change', (e) => {
+            if (this.callbacks.onRowSettingsChange) this.callbacks.onRowSettingsChange(sampleId, { length: parseInt(e.target.value) });
+        });
+        settingsCell.querySelector('.row-division').addEventListener('change', (e) => {
+            if (this.callbacks.onRowSettingsChange) this.callbacks.onRowSettingsChange(sampleId, { division: e.target.value });
+        });
+        row.appendChild(settingsCell);
+
+        for (let i = 0; i < settings.length; i++) {
+            row.appendChild(this.createStepCell(sampleId, i));
         }
 
         this.elements.sequencerGrid.appendChild(row);
     }
 
+    /**
+     * Create a sequencer step cell
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     * @returns {HTMLElement} - The cell
+     */
+    createStepCell(sampleId, step) {
+        const cell = document.createElement('div');
+        cell.className = 'sequencer-cell';
+        cell.dataset.step = step;
+        cell.dataset.sample = sampleId;
+        cell.addEventListener('click', (e) => this.toggleSequencerCell(e));
+        cell.addEventListener('mousedown', (e) => this.startStepDrag(e));
+        return cell;
+    }
+
+    /**
+     * Give a sequencer row its own length and clock divider without firing callbacks
+     * The row's active cells have to be shown again afterwards if its length changed
+     * @param {string} sampleId - The sample ID
+     * @param {Object} settings - The row settings ({length, division})
+     */
+    setRowSettings(sampleId, settings) {
+        const current = this.rowSettings[sampleId];
+        this.rowSettings[sampleId] = { length: settings.length, division: settings.division };
+
+        const row = document.getElementById(`row-${sampleId}`);
+        if (!row) return;
+
+        row.querySelector('.row-length').value = settings.length;
+        row.querySelector('.row-division').value = settings.division;
+
+        if (current && current.length === settings.length) return;
+
+        row.querySelectorAll('.sequencer-cell[data-step]').forEach(cell => cell.remove());
+        for (let i = 0; i < settings.length; i++) {
+            row.appendChild(this.createStepCell(sampleId, i));
+        }
+    }
+
+    /**
+     * Open the rhythm generator for a row
+     * @param {string} sampleId - The sample ID
+     */
+    showGenerator(sampleId) {
+        this.generatorSampleId = sampleId;
+
+        const settings = this.rowSettings[sampleId] || { length: this.totalSteps };
+        this.elements.generatorTitle.textContent = `Generate: ${this.loadedSamples[sampleId]?.name || sampleId}`;
+        this.elements.euclidSteps.value = settings.length;
+        this.showGeneratorFields(this.elements.generatorType.value);
+        this.elements.generatorPanel.classList.remove('hidden');
+    }
+
+    /**
+     * Close the rhythm generator
+     */
+    hideGenerator() {
+        this.generatorSampleId = null;
+        this.elements.generatorPanel.classList.add('hidden');
+    }
+
+    /**
+     * Show only the fields of one generator
+     * @param {string} type - 'euclidean', 'random' or 'mutate'
+     */
+    showGeneratorFields(type) {
+        this.elements.generatorPanel.querySelectorAll('.generator-group').forEach(group => {
+            group.classList.toggle('hidden', group.dataset.generator !== type);
+        });
+    }
+
+    /**
+     * Fill the open row with the chosen generator
+     */
+    applyGenerator() {
+        if (!this.generatorSampleId || !this.callbacks.onRowGenerate) return;
+
+        this.callbacks.onRowGenerate(this.generatorSampleId, {
+            type: this.elements.generatorType.value,
+            hits: parseInt(this.elements.euclidHits.value) || 0,
+            steps: parseInt(this.elements.euclidSteps.value) || 1,
+            rotation: parseInt(this.elements.euclidRotation.value) || 0,
+            density: parseInt(this.elements.randomDensity.value) / 100,
+            count: parseInt(this.elements.mutateCount.value) || 1
+        });
+    }
+
+    /**
+     * Move one row's playhead
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The row step being played
+     */
+    updateRowStep(sampleId, step) {
+        const row = document.getElementById(`row-${sampleId}`);
+        if (!row) return;
+
+        row.querySelectorAll('.sequencer-cell.current-step').forEach(cell => cell.classList.remove('current-step'));
+        const cell = row.querySelector(`.sequencer-cell[data-step="${step}"]`);
+        if (cell) cell.classList.add('current-step');
+    }
+
     /**
      * Add a sample to the sample list
      * @param {string} sampleId - The sample ID
@@ -324,8 +763,15 @@ class UI {
 
         listItem.appendChild(previewButton);
         listItem.appendChild(bindButton);
+        listItem.appendChild(this.createSendControls('sample-send', `sample:${sampleId}`, (busId, amount) => {
+            if (this.callbacks.onSampleSendChange) {
+                this.callbacks.onSampleSendChange(sampleId, busId, amount);
+            }
+        }));
+        listItem.appendChild(this.createVoiceControls(sampleId));
 
         this.elements.sampleList.appendChild(listItem);
+        this.markMappedControls();
 
         // Store in loaded samples
         this.loadedSamples[sampleId] = {
@@ -334,8 +780,51 @@ class UI {
             type: type
         };
 
+        this.updateChromaticSamples();
+
         // Enable split layers button if we have at least one sample
-        this.elements.splitLayersBtn.disabled = false;
+        if (this.elements.splitLayersBtn) this.elements.splitLayersBtn.disabled = false;
+    }
+
+    /**
+     * Get the samples in the sample list
+     * @returns {Array<Object>} - The samples ({id, name, type})
+     */
+    getLoadedSamples() {
+        return Object.values(this.loadedSamples).map(sample => ({ ...sample }));
+    }
+
+    /**
+     * Remove every sample from the sample list and the sequencer
+     */
+    clearSamples() {
+        this.elements.sampleList.innerHTML = '';
+        Object.keys(this.loadedSamples).forEach(sampleId => {
+            const row = document.getElementById(`row-${sampleId}`);
+            if (row) row.remove();
+        });
+
+        this.loadedSamples = {};
+        this.rowSettings = {};
+        this.hideGenerator();
+        this.updateChromaticSamples();
+        this.elements.currentSampleName.textContent = 'None';
+        delete this.elements.currentSampleName.dataset.sampleId;
+    }
+
+    /**
+     * Show a sample's send levels
+     * @param {string} sampleId - The sample ID
+     * @param {Object} sends - Send levels (0-1) keyed by bus ID
+     */
+    setSampleSends(sampleId, sends) {
+        const item = this.elements.sampleList.querySelector(`.sample-item[data-id="${sampleId}"]`);
+        if (!item) return;
+
+        for (const busId in sends) {
+            const slider = item.querySelector(`.sample-send[data-bus="${busId}"]`);
+            if (slider) slider.value = Math.round(sends[busId] * 100);
+        }
     }
 
     /**
@@ -353,6 +842,15 @@ class UI {
         }
     }
 
+    /**
+     * Show whether the transport is playing without firing callbacks
+     * @param {boolean} playing - Whether it is playing
+     */
+    setPlaying(playing) {
+        this.isPlaying = playing;
+        this.elements.playButton.textContent = playing ? 'Pause' : 'Play';
+    }
+
     /**
      * Stop playback
      */
@@ -380,6 +878,33 @@ class UI {
         if (this.callbacks.onTempoChange) this.callbacks.onTempoChange(tempo);
     }
 
+    /**
+     * Show transport settings without firing callbacks
+     * @param {number} tempo - The tempo in BPM
+     * @param {boolean} metronomeEnabled - Whether the metronome is on
+     */
+    setTransport(tempo, metronomeEnabled) {
+        this.elements.tempoSlider.value = tempo;
+        this.elements.tempoValue.textContent = tempo;
+        this.elements.metronomeToggle.checked = metronomeEnabled;
+    }
+
+    /**
+     * Show the play mode without firing callbacks
+     * @param {string} mode - 'pattern' or 'song'
+     */
+    setPlayMode(mode) {
+        this.elements.playModeSelect.value = mode;
+    }
+
+    /**
+     * Toggle the metronome
+     * @param {boolean} enabled - Whether the metronome is enabled
+     */
+    toggleMetronome(enabled) {
+        if (this.callbacks.onMetronomeToggle) this.callbacks.onMetronomeToggle(enabled);
+    }
+
     /**
      * Handle file drag over
      * @param {Event} event - The drag event
@@ -509,147 +1034,755 @@ class UI {
     }
 
     /**
-     * Toggle sequencer cell active state
-     * @param {Event} event - The click event
+     * Update compressor threshold
+     * @param {number} value - The threshold in dB
      */
-    toggleSequencerCell(event) {
-        const cell = event.target;
-        cell.classList.toggle('active');
+    updateCompressorThreshold(value) {
+        const threshold = parseFloat(value);
+        this.elements.compressorThresholdValue.textContent = `${Math.round(threshold)} dB`;
 
-        if (this.callbacks.onSequencerCellToggle) {
-            this.callbacks.onSequencerCellToggle(
-                cell.dataset.sample,
-                parseInt(cell.dataset.step),
-                cell.classList.contains('active')
-            );
-        }
+        if (this.callbacks.onCompressorChange) this.callbacks.onCompressorChange(threshold);
     }
 
     /**
-     * Clear sequencer pattern
+     * Show the quick effect control values without firing callbacks
+     * @param {Object} values - Any of filterFrequency (Hz), reverbReturn (0-1), delayTime (s) and compressorThreshold (dB)
      */
-    clearSequencer() {
-        const activeCells = this.elements.sequencerGrid.querySelectorAll('.sequencer-cell.active');
-        activeCells.forEach(cell => {
-            cell.classList.remove('active');
-        });
+    setEffectControls(values) {
+        if (values.filterFrequency !== undefined) {
+            this.elements.filterFreqSlider.value = values.filterFrequency;
+            this.elements.filterFreqValue.textContent = `${Math.round(values.filterFrequency)} Hz`;
+        }
 
-        if (this.callbacks.onSequencerClear) this.callbacks.onSequencerClear();
+        if (values.reverbReturn !== undefined) {
+            this.elements.reverbLevelSlider.value = Math.round(values.reverbReturn * 100);
+            this.elements.reverbValue.textContent = `${Math.round(values.reverbReturn * 100)}%`;
+        }
+
+        if (values.delayTime !== undefined) {
+            this.elements.delayTimeSlider.value = values.delayTime;
+            this.elements.delayTimeValue.textContent = `${values.delayTime.toFixed(2)} s`;
+        }
+
+        if (values.compressorThreshold !== undefined) {
+            this.elements.compressorThresholdSlider.value = values.compressorThreshold;
+            this.elements.compressorThresholdValue.textContent = `${Math.round(values.compressorThreshold)} dB`;
+        }
     }
 
     /**
-     * Change number of steps in sequencer
-     * @param {number} steps - The number of steps
+     * Fill the effect type picker of the effects rack
+     * @param {Array<Object>} types - The available types ({type, name})
      */
-    changeStepCount(steps) {
-        this.totalSteps = parseInt(steps);
-        this.currentStep = 0;
-        this.initSequencerGrid();
-
-        // Re-add sample rows
-        Object.keys(this.loadedSamples).forEach(sampleId => {
-            this.addSampleRow(sampleId, this.loadedSamples[sampleId].name);
+    setEffectTypes(types) {
+        this.elements.effectTypeSelect.innerHTML = '';
+
+        types.forEach(({ type, name }) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = name;
+            this.elements.effectTypeSelect.appendChild(option);
         });
-
-        if (this.callbacks.onStepsChange) this.callbacks.onStepsChange(this.totalSteps);
     }
 
     /**
-     * Update loop start point
-     * @param {number} value - The start point value
+     * Draw the effects rack
+     * @param {Array<Object>} slots - The rack slots in chain order ({id, name, bypassed, params, ranges, presets})
      */
-    updateLoopStart(value) {
-        const startTime = parseFloat(value);
-        this.elements.loopStartValue.textContent = startTime.toFixed(2);
+    renderEffectsRack(slots) {
+        const list = this.elements.effectsRackList;
+        list.innerHTML = '';
+
+        slots.forEach((slot, index) => {
+            const item = document.createElement('li');
+            item.className = `rack-effect${slot.bypassed ? ' bypassed' : ''}`;
+            item.dataset.slot = slot.id;
+            item.draggable = true;
+
+            const header = document.createElement('div');
+            header.className = 'rack-effect-header';
+            header.innerHTML = `
+                <span class="rack-drag-handle" title="Drag to reorder">&#8801;</span>
+                <span class="rack-effect-name">${slot.name}</span>
+                <select class="rack-preset-select" title="Load preset"></select>
+                <button class="rack-save-preset-btn" title="Save preset">Save</button>
+                <button class="rack-bypass-btn${slot.bypassed ? ' active' : ''}" title="Bypass">Bypass</button>
+                <button class="rack-remove-btn" title="Remove">&times;</button>
+            `;
+            item.appendChild(header);
 
-        // Ensure start is less than end
-        const endTime = parseFloat(this.elements.loopEndSlider.value);
-        if (startTime >= endTime) {
-            this.elements.loopStartSlider.value = endTime - 0.01;
-            this.elements.loopStartValue.textContent = (endTime - 0.01).toFixed(2);
-        }
-    }
+            const presetSelect = header.querySelector('.rack-preset-select');
+            this.fillPresetSelect(presetSelect, slot.presets || []);
+            presetSelect.addEventListener('change', (e) => {
+                if (e.target.value && this.callbacks.onEffectPresetLoad) {
+                    this.callbacks.onEffectPresetLoad(slot.id, e.target.value);
+                }
+                e.target.value = '';
+            });
 
-    /**
-     * Update loop end point
-     * @param {number} value - The end point value
-     */
-    updateLoopEnd(value) {
-        const endTime = parseFloat(value);
-        this.elements.loopEndValue.textContent = endTime.toFixed(2);
+            header.querySelector('.rack-save-preset-btn').addEventListener('click', () => {
+                const name = prompt(`${slot.name} preset name:`);
+                if (name && this.callbacks.onEffectPresetSave) this.callbacks.onEffectPresetSave(slot.id, name);
+            });
 
-        // Ensure end is greater than start
-        const startTime = parseFloat(this.elements.loopStartSlider.value);
-        if (endTime <= startTime) {
-            this.elements.loopEndSlider.value = startTime + 0.01;
-            this.elements.loopEndValue.textContent = (startTime + 0.01).toFixed(2);
-        }
-    }
+            header.querySelector('.rack-bypass-btn').addEventListener('click', (e) => {
+                const bypassed = e.target.classList.toggle('active');
+                item.classList.toggle('bypassed', bypassed);
+                if (this.callbacks.onRackBypass) this.callbacks.onRackBypass(slot.id, bypassed);
+            });
 
-    /**
-     * Apply loop points to current sample
-     */
-    applyLoop() {
-        const startTime = parseFloat(this.elements.loopStartSlider.value);
-        const endTime = parseFloat(this.elements.loopEndSlider.value);
+            header.querySelector('.rack-remove-btn').addEventListener('click', () => {
+                if (this.callbacks.onRackRemoveEffect) this.callbacks.onRackRemoveEffect(slot.id);
+            });
 
-        // Get the currently selected sample (if any)
-        const selectedSample = this.elements.videoPlayer.dataset.sampleId;
+            item.appendChild(this.createRackParamControls(slot, index));
 
-        if (selectedSample && this.callbacks.onLoopPointsChange) {
-            this.callbacks.onLoopPointsChange(selectedSample, startTime, endTime);
-        }
+            // Drag to reorder
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', slot.id);
+                item.classList.add('dragging');
+            });
+
+            item.addEventListener('dragend', () => item.classList.remove('dragging'));
+
+            item.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                item.classList.add('drag-over');
+            });
+
+            item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                item.classList.remove('drag-over');
+
+                const slotId = e.dataTransfer.getData('text/plain');
+                const index = Array.from(list.children).indexOf(item);
+                if (slotId && slotId !== slot.id && this.callbacks.onRackMoveEffect) {
+                    this.callbacks.onRackMoveEffect(slotId, index);
+                }
+            });
+
+            list.appendChild(item);
+        });
+
+        this.markMappedControls();
     }
 
     /**
-     * Select a sample for keyboard binding
-     * @param {string} sampleId - The sample ID
-     * @param {string} sampleName - The sample name
+     * Update the whole-rack preset picker
+     * @param {Array<Object>} presets - The rack presets ({id, name, factory})
      */
-    selectSampleForBinding(sampleId, sampleName) {
-        // Update current selection display
-        this.elements.currentSampleName.textContent = sampleName;
-        this.elements.currentSampleName.dataset.sampleId = sampleId;
+    updateRackPresets(presets) {
+        this.fillPresetSelect(this.elements.rackPresetSelect, presets);
+    }
 
-        // Highlight the selected sample in the list
-        const sampleItems = this.elements.sampleList.querySelectorAll('.sample-item');
-        sampleItems.forEach(item => {
-            item.classList.remove('selected');
-            if (item.dataset.id === sampleId) {
-                item.classList.add('selected');
-            }
+    /**
+     * Fill a preset picker, grouping factory and user presets
+     * @param {HTMLSelectElement} select - The picker
+     * @param {Array<Object>} presets - The presets ({id, name, factory})
+     */
+    fillPresetSelect(select, presets) {
+        select.innerHTML = '<option value="">Presets...</option>';
+
+        [['Factory', true], ['User', false]].forEach(([label, factory]) => {
+            const group = presets.filter(preset => !!preset.factory === factory);
+            if (group.length === 0) return;
+
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            group.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                optgroup.appendChild(option);
+            });
+            select.appendChild(optgroup);
         });
     }
 
     /**
-     * Handle key click for binding
-     * @param {string} key - The key that was clicked
+     * Create the parameter controls for a rack effect
+     * @param {Object} slot - The rack slot ({id, params, ranges})
+     * @param {number} index - The slot's position, which names its controls for MIDI mapping
+     * @returns {HTMLElement} - The controls container
      */
-    handleKeyClick(key) {
-        const selectedSampleId = this.elements.currentSampleName.dataset.sampleId;
+    createRackParamControls(slot, index) {
+        const controls = document.createElement('div');
+        controls.className = 'rack-effect-params';
+
+        for (const param in slot.ranges) {
+            const range = slot.ranges[param];
+            const label = document.createElement('label');
+            label.className = 'rack-param';
+            label.textContent = param;
+
+            let input;
+            if (range.options) {
+                input = document.createElement('select');
+                range.options.forEach(value => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = value;
+                    input.appendChild(option);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = 'range';
+                input.min = range.min;
+                input.max = range.max;
+                input.step = range.step;
+                input.dataset.control = `rack:${index}:${param}`;
+            }
 
-        if (selectedSampleId) {
-            this.bindKeyToSample(key, selectedSampleId);
-        } else {
-            // If no sample is selected, try to play the bound sample
-            this.triggerKeySound(key);
+            input.value = slot.params[param];
+            input.dataset.param = param;
+            input.addEventListener('input', (e) => {
+                const value = range.options ? e.target.value : parseFloat(e.target.value);
+                if (this.callbacks.onRackParamChange) this.callbacks.onRackParamChange(slot.id, param, value);
+            });
+
+            label.appendChild(input);
+            controls.appendChild(label);
         }
+
+        return controls;
     }
 
     /**
-     * Handle keyboard key down event
-     * @param {KeyboardEvent} event - The keydown event
+     * Toggle sequencer cell active state
+     * @param {Event} event - The click event
      */
-    handleKeyDown(event) {
-        // Ignore if in an input field
-        if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+    toggleSequencerCell(event) {
+        // Modifier clicks belong to step editing, and a held step opened its locks instead
+        if (event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) return;
+        if (this.suppressCellClick) {
+            this.suppressCellClick = false;
             return;
         }
 
-        const key = event.key.toUpperCase();
-        const keyElement = this.elements.keyboard.querySelector(`.key[data-key="${key}"]`);
+        const cell = event.target;
+        cell.classList.toggle('active');
+
+        if (this.callbacks.onSequencerCellToggle) {
+            this.callbacks.onSequencerCellToggle(
+                cell.dataset.sample,
+                parseInt(cell.dataset.step),
+                cell.classList.contains('active')
+            );
+        }
+    }
+
+    /**
+     * Edit an active step by dragging with a modifier held:
+     * Shift - velocity, Alt - probability, Ctrl/Cmd - ratchets (all vertical),
+     * Shift+Alt - micro-timing (horizontal). Without a modifier, holding the
+     * step opens its parameter locks.
+     * @param {MouseEvent} event - The mousedown event
+     */
+    startStepDrag(event) {
+        this.suppressCellClick = false;
+
+        const cell = event.target;
+        if (!cell.classList.contains('active') || cell.dataset.velocity === undefined) return;
+
+        let param;
+        if (event.shiftKey && event.altKey) param = 'offset';
+        else if (event.shiftKey) param = 'velocity';
+        else if (event.altKey) param = 'probability';
+        else if (event.ctrlKey || event.metaKey) param = 'ratchets';
+        else {
+            this.startStepHold(cell);
+            return;
+        }
+
+        event.preventDefault();
+
+        const sampleId = cell.dataset.sample;
+        const step = parseInt(cell.dataset.step);
+        const startValue = parseFloat(cell.dataset[param]);
+        const startX = event.clientX;
+        const startY = event.clientY;
+
+        const onMouseMove = (e) => {
+            let value;
+            if (param === 'offset') {
+                value = startValue + (e.clientX - startX) / 60; // 60px per step
+            } else if (param === 'ratchets') {
+                value = startValue + Math.round((startY - e.clientY) / 15); // 15px per hit
+            } else {
+                value = startValue + (startY - e.clientY) / 100; // 100px for the full range
+            }
+
+            if (this.callbacks.onSequencerStepEdit) {
+                this.callbacks.onSequencerStepEdit(sampleId, step, { [param]: value });
+            }
+        };
+
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * Open a step's parameter locks once it has been held down long enough
+     * @param {HTMLElement} cell - The step cell
+     */
+    startStepHold(cell) {
+        const timer = setTimeout(() => {
+            this.suppressCellClick = true;
+            if (this.callbacks.onStepLockOpen) {
+                this.callbacks.onStepLockOpen(cell.dataset.sample, parseInt(cell.dataset.step));
+            }
+        }, 400);
+
+        const cancel = () => {
+            clearTimeout(timer);
+            cell.removeEventListener('mouseup', cancel);
+            cell.removeEventListener('mouseleave', cancel);
+        };
+
+        cell.addEventListener('mouseup', cancel);
+        cell.addEventListener('mouseleave', cancel);
+    }
+
+    /**
+     * Show the parameter lock editor for a step without firing callbacks
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     * @param {Object} locks - The locked values keyed by lock name
+     * @param {Object} bases - The unlocked values keyed by lock name
+     * @param {Object} ranges - The lockable parameters ({name, min, max, step}) keyed by lock name
+     */
+    showLockEditor(sampleId, step, locks, bases, ranges) {
+        const editor = this.elements.lockEditor;
+        const sampleName = this.loadedSamples[sampleId]?.name || sampleId;
+
+        editor.innerHTML = `
+            <div class="lock-editor-header">
+                <span>Locks: ${sampleName}, step ${step + 1}</span>
+                <button class="lock-close-btn" title="Close">&times;</button>
+            </div>
+        `;
+        editor.querySelector('.lock-close-btn').addEventListener('click', () => {
+            if (this.callbacks.onStepLockClose) this.callbacks.onStepLockClose();
+        });
+
+        for (const name in ranges) {
+            const range = ranges[name];
+            const row = document.createElement('label');
+            row.className = 'lock-param';
+            row.classList.toggle('locked', locks[name] !== undefined);
+            row.innerHTML = `
+                <span class="lock-name">${range.name}</span>
+                <input type="range" min="${range.min}" max="${range.max}" step="${range.step}">
+                <span class="lock-value"></span>
+                <button class="lock-clear-btn" title="Unlock">&times;</button>
+            `;
+
+            const input = row.querySelector('input');
+            const valueText = row.querySelector('.lock-value');
+            const show = (value) => {
+                input.value = value;
+                valueText.textContent = Math.round(value * 100) / 100;
+            };
+            show(locks[name] !== undefined ? locks[name] : bases[name]);
+
+            input.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                show(value);
+                row.classList.add('locked');
+                if (this.callbacks.onStepLockChange) this.callbacks.onStepLockChange(sampleId, step, name, value);
+            });
+
+            row.querySelector('.lock-clear-btn').addEventListener('click', (e) => {
+                e.preventDefault();
+                if (!row.classList.contains('locked')) return;
+
+                show(bases[name]);
+                row.classList.remove('locked');
+                if (this.callbacks.onStepLockChange) this.callbacks.onStepLockChange(sampleId, step, name, null);
+            });
+
+            editor.appendChild(row);
+        }
+
+        editor.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the parameter lock editor
+     */
+    hideLockEditor() {
+        this.elements.lockEditor.classList.add('hidden');
+        this.elements.lockEditor.innerHTML = '';
+    }
+
+    /**
+     * Mark whether a step has parameter locks without firing callbacks
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     * @param {boolean} locked - Whether any parameter is locked
+     */
+    markStepLocked(sampleId, step, locked) {
+        const cell = this.elements.sequencerGrid.querySelector(
+            `.sequencer-cell[data-sample="${sampleId}"][data-step="${step}"]`
+        );
+        if (cell) cell.classList.toggle('locked', locked);
+    }
+
+    /**
+     * Show how a step plays on its cell without firing callbacks
+     * @param {string} sampleId - The sample ID
+     * @param {number} step - The step number
+     * @param {Object|null} params - The step settings ({velocity, probability, ratchets, offset}), or null for an inactive step
+     */
+    showStepParams(sampleId, step, params) {
+        const cell = this.elements.sequencerGrid.querySelector(
+            `.sequencer-cell[data-sample="${sampleId}"][data-step="${step}"]`
+        );
+        if (!cell) return;
+
+        cell.classList.remove('chance', 'early', 'late');
+        cell.style.removeProperty('--velocity');
+        cell.textContent = '';
+        cell.title = '';
+
+        if (!params) {
+            ['velocity', 'probability', 'ratchets', 'offset'].forEach(name => delete cell.dataset[name]);
+            cell.classList.remove('locked');
+            return;
+        }
+
+        const { velocity, probability, ratchets, offset } = params;
+        cell.dataset.velocity = velocity;
+        cell.dataset.probability = probability;
+        cell.dataset.ratchets = ratchets;
+        cell.dataset.offset = offset;
+
+        cell.style.setProperty('--velocity', velocity);
+        cell.classList.toggle('chance', probability < 1);
+        cell.classList.toggle('early', offset < 0);
+        cell.classList.toggle('late', offset > 0);
+        if (ratchets > 1) cell.textContent = ratchets;
+        cell.title = `Velocity ${Math.round(velocity * 100)}%, chance ${Math.round(probability * 100)}%, ` +
+            `${ratchets}x, timing ${offset > 0 ? '+' : ''}${Math.round(offset * 100)}%`;
+    }
+
+    /**
+     * Clear sequencer pattern
+     */
+    clearSequencer() {
+        const activeCells = this.elements.sequencerGrid.querySelectorAll('.sequencer-cell.active');
+        activeCells.forEach(cell => {
+            cell.classList.remove('active');
+            this.showStepParams(cell.dataset.sample, parseInt(cell.dataset.step), null);
+        });
+
+        if (this.callbacks.onSequencerClear) this.callbacks.onSequencerClear();
+    }
+
+    /**
+     * Restore the sequencer step count, row settings and active cells
+     * Step settings are shown separately through showStepParams()
+     * @param {Object} state - The sequencer state ({steps, cells, rows}), rows holding full settings for every row
+     */
+    setSequencerState(state) {
+        if (state.steps && state.steps !== this.totalSteps) {
+            this.setStepCount(state.steps);
+        }
+
+        for (const sampleId in state.rows) {
+            this.setRowSettings(sampleId, state.rows[sampleId]);
+        }
+
+        this.elements.sequencerGrid.querySelectorAll('.sequencer-cell.active').forEach(cell => {
+            cell.classList.remove('active');
+            this.showStepParams(cell.dataset.sample, parseInt(cell.dataset.step), null);
+        });
+
+        for (const sampleId in state.cells) {
+            state.cells[sampleId].forEach(step => {
+                const cell = this.elements.sequencerGrid.querySelector(
+                    `.sequencer-cell[data-sample="${sampleId}"][data-step="${step}"]`
+                );
+                if (cell) cell.classList.add('active');
+            });
+        }
+    }
+
+    /**
+     * Change number of steps in sequencer
+     * @param {number} steps - The number of steps
+     */
+    changeStepCount(steps) {
+        this.setStepCount(steps);
+
+        if (this.callbacks.onStepsChange) this.callbacks.onStepsChange(this.totalSteps);
+    }
+
+    /**
+     * Rebuild the sequencer grid with a new number of steps without firing callbacks
+     * @param {number} steps - The number of steps
+     */
+    setStepCount(steps) {
+        this.totalSteps = parseInt(steps);
+        this.currentStep = 0;
+        this.elements.stepsSelect.value = this.totalSteps;
+        this.initSequencerGrid();
+
+        // Re-add sample rows
+        Object.keys(this.loadedSamples).forEach(sampleId => {
+            this.addSampleRow(sampleId, this.loadedSamples[sampleId].name);
+        });
+    }
+
+    /**
+     * Show the pattern picker
+     * @param {Array<Object>} patterns - The patterns ({id, name, isEmpty})
+     * @param {string} currentId - The pattern shown and playing
+     * @param {string|null} queuedId - The pattern waiting for the next bar
+     * @param {boolean} canPaste - Whether a pattern has been copied
+     */
+    renderPatterns(patterns, currentId, queuedId, canPaste) {
+        const list = this.elements.patternList;
+        list.innerHTML = '';
+
+        patterns.forEach(pattern => {
+            const button = document.createElement('button');
+            button.className = 'pattern-btn';
+            button.textContent = pattern.name;
+            button.classList.toggle('current', pattern.id === currentId);
+            button.classList.toggle('queued', pattern.id === queuedId);
+            button.classList.toggle('has-steps', !pattern.isEmpty);
+            button.addEventListener('click', () => {
+                if (this.callbacks.onPatternSelect) this.callbacks.onPatternSelect(pattern.id);
+            });
+            list.appendChild(button);
+        });
+
+        this.elements.pastePatternBtn.disabled = !canPaste;
+    }
+
+    /**
+     * Show the groove templates and settings without firing callbacks
+     * @param {Array<Object>} templates - The templates ({id, name})
+     * @param {string} currentId - The template in use
+     * @param {number} amount - The swing amount, 0-1
+     */
+    renderGrooves(templates, currentId, amount) {
+        const select = this.elements.grooveSelect;
+        select.innerHTML = '';
+
+        templates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            select.appendChild(option);
+        });
+        select.value = currentId;
+
+        const percent = Math.round(amount * 100);
+        this.elements.swingAmount.value = percent;
+        this.elements.swingValue.textContent = `${percent}%`;
+    }
+
+    /**
+     * Get the clip elements on the timeline
+     * @returns {Array<HTMLElement>} - The clip elements
+     */
+    getClipElements() {
+        return Array.from(this.elements.timeline.querySelectorAll('.clip'));
+    }
+
+    /**
+     * Show the song arrangement
+     * @param {Array<Object>} entries - The chain ({patternId, repeats})
+     * @param {Array<Object>} patterns - The patterns to choose from ({id, name})
+     * @param {number} playingIndex - The entry being played, or -1
+     */
+    renderSong(entries, patterns, playingIndex = -1) {
+        const list = this.elements.songList;
+        list.innerHTML = '';
+
+        entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.className = 'song-entry';
+            item.classList.toggle('playing', index === playingIndex);
+            item.innerHTML = `
+                <button class="song-move-btn" data-direction="-1" title="Move earlier">&lsaquo;</button>
+                <select class="song-pattern-select" title="Pattern"></select>
+                <span>&times;</span>
+                <input type="number" class="song-repeats" min="1" max="64" value="${entry.repeats}" title="Repeats">
+                <button class="song-move-btn" data-direction="1" title="Move later">&rsaquo;</button>
+                <button class="song-remove-btn" title="Remove">&times;</button>
+            `;
+
+            const select = item.querySelector('.song-pattern-select');
+            patterns.forEach(pattern => {
+                const option = document.createElement('option');
+                option.value = pattern.id;
+                option.textContent = pattern.name;
+                select.appendChild(option);
+            });
+            select.value = entry.patternId;
+            select.addEventListener('change', (e) => {
+                if (this.callbacks.onSongEntryChange) this.callbacks.onSongEntryChange(index, { patternId: e.target.value });
+            });
+
+            item.querySelector('.song-repeats').addEventListener('change', (e) => {
+                if (this.callbacks.onSongEntryChange) this.callbacks.onSongEntryChange(index, { repeats: parseInt(e.target.value) });
+            });
+
+            item.querySelectorAll('.song-move-btn').forEach(button => {
+                button.addEventListener('click', () => {
+                    const to = index + parseInt(button.dataset.direction);
+                    if (to >= 0 && to < entries.length && this.callbacks.onSongEntryMove) {
+                        this.callbacks.onSongEntryMove(index, to);
+                    }
+                });
+            });
+
+            item.querySelector('.song-remove-btn').addEventListener('click', () => {
+                if (this.callbacks.onSongEntryRemove) this.callbacks.onSongEntryRemove(index);
+            });
+
+            list.appendChild(item);
+        });
+
+        this.elements.renderSongBtn.disabled = entries.length === 0;
+    }
+
+    /**
+     * Update loop start point
+     * @param {number} value - The start point value
+     */
+    updateLoopStart(value) {
+        const startTime = parseFloat(value);
+        this.elements.loopStartValue.textContent = startTime.toFixed(2);
+
+        // Ensure start is less than end
+        const endTime = parseFloat(this.elements.loopEndSlider.value);
+        if (startTime >= endTime) {
+            this.elements.loopStartSlider.value = endTime - 0.01;
+            this.elements.loopStartValue.textContent = (endTime - 0.01).toFixed(2);
+        }
+    }
+
+    /**
+     * Update loop end point
+     * @param {number} value - The end point value
+     */
+    updateLoopEnd(value) {
+        const endTime = parseFloat(value);
+        this.elements.loopEndValue.textContent = endTime.toFixed(2);
+
+        // Ensure end is greater than start
+        const startTime = parseFloat(this.elements.loopStartSlider.value);
+        if (endTime <= startTime) {
+            this.elements.loopEndSlider.value = startTime + 0.01;
+            this.elements.loopEndValue.textContent = (startTime + 0.01).toFixed(2);
+        }
+    }
+
+    /**
+     * Apply loop points to current sample
+     */
+    applyLoop() {
+        const startTime = parseFloat(this.elements.loopStartSlider.value);
+        const endTime = parseFloat(this.elements.loopEndSlider.value);
+
+        // Get the currently selected sample (if any)
+        const selectedSample = this.elements.videoPlayer.dataset.sampleId;
+
+        if (selectedSample && this.callbacks.onLoopPointsChange) {
+            this.callbacks.onLoopPointsChange(selectedSample, startTime, endTime);
+        }
+    }
+
+    /**
+     * Select a sample for keyboard binding
+     * @param {string} sampleId - The sample ID
+     * @param {string} sampleName - The sample name
+     */
+    selectSampleForBinding(sampleId, sampleName) {
+        // Update current selection display
+        this.elements.currentSampleName.textContent = sampleName;
+        this.elements.currentSampleName.dataset.sampleId = sampleId;
+
+        // Highlight the selected sample in the list
+        const sampleItems = this.elements.sampleList.querySelectorAll('.sample-item');
+        sampleItems.forEach(item => {
+            item.classList.remove('selected');
+            if (item.dataset.id === sampleId) {
+                item.classList.add('selected');
+            }
+        });
+    }
+
+    /**
+     * Handle key click for binding
+     * @param {string} key - The key that was clicked
+     */
+    handleKeyClick(key) {
+        const selectedSampleId = this.elements.currentSampleName.dataset.sampleId;
+
+        if (this.isChromatic) {
+            this.playKeyNote(key);
+        } else if (selectedSampleId) {
+            this.bindKeyToSample(key, selectedSampleId);
+        } else {
+            // If no sample is selected, try to play the bound sample
+            this.triggerKeySound(key);
+        }
+    }
+
+    /**
+     * Handle keyboard key down event
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    handleKeyDown(event) {
+        const isTextField = event.target.tagName === 'TEXTAREA' ||
+            (event.target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'file'].includes(event.target.type));
+
+        // Undo: Ctrl+Z, redo: Ctrl+Shift+Z or Ctrl+Y (text fields keep their own)
+        if ((event.ctrlKey || event.metaKey) && !isTextField) {
+            const key = event.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                event.preventDefault();
+                const isRedo = key === 'y' || event.shiftKey;
+                const callback = isRedo ? this.callbacks.onRedo : this.callbacks.onUndo;
+                if (callback) callback();
+            }
+            return;
+        }
+
+        // Ignore if in an input field
+        if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
+            return;
+        }
+
+        // Held keys play once; auto-repeat would retrigger them
+        if (event.repeat) return;
+
+        const key = event.key.toUpperCase();
+
+        // Octave shift keys
+        if (this.isChromatic && (key === '-' || key === '=')) {
+            this.shiftOctave(key === '-' ? -1 : 1);
+            return;
+        }
+
+        const keyElement = this.elements.keyboard.querySelector(`.key[data-key="${key}"]`);
 
         if (keyElement) {
+            this.pressedKeys.add(key);
+            this.keyCodes.set(event.code, key);
+
             // Add active class for visual feedback
             keyElement.classList.add('active');
 
@@ -658,41 +1791,430 @@ class UI {
                 keyElement.classList.remove('active');
             }, 100);
 
-            const selectedSampleId = this.elements.currentSampleName.dataset.sampleId;
+            const selectedSampleId = this.elements.currentSampleName.dataset.sampleId;
+
+            if (this.isChromatic) {
+                // In chromatic mode every key plays a note of the same sample
+                this.playKeyNote(key);
+            } else if (selectedSampleId) {
+                // If a sample is selected, bind it to this key
+                this.bindKeyToSample(key, selectedSampleId);
+            } else {
+                // Otherwise, trigger the sound bound to this key
+                this.triggerKeySound(key);
+            }
+        }
+    }
+
+    /**
+     * Handle keyboard key up event
+     * @param {KeyboardEvent} event - The keyup event
+     */
+    handleKeyUp(event) {
+        const key = this.keyCodes.get(event.code);
+        if (key === undefined) return;
+
+        this.keyCodes.delete(event.code);
+        this.releaseKey(key);
+    }
+
+    /**
+     * Send a note-off for a key that was pressed
+     * @param {string} key - The key
+     */
+    releaseKey(key) {
+        if (!this.pressedKeys.delete(key)) return;
+
+        if (this.callbacks.onKeyRelease) {
+            this.callbacks.onKeyRelease(key);
+        }
+    }
+
+    /**
+     * Send a note-off for every pressed key, e.g. when the window loses focus
+     */
+    releaseAllKeys() {
+        this.keyCodes.clear();
+        Array.from(this.pressedKeys).forEach(key => this.releaseKey(key));
+    }
+
+    /**
+     * Bind a key to a sample with the selected play mode and choke group
+     * @param {string} key - The key to bind
+     * @param {string} sampleId - The sample ID to bind to the key
+     */
+    bindKeyToSample(key, sampleId) {
+        const mode = this.elements.keyModeSelect.value;
+        const chokeGroup = parseInt(this.elements.chokeGroupSelect.value) || null;
+
+        if (this.showKeyBinding(key, sampleId, mode, chokeGroup) && this.callbacks.onKeyBind) {
+            this.callbacks.onKeyBind(key, sampleId, mode, chokeGroup);
+        }
+    }
+
+    /**
+     * Show a key's binding without firing callbacks
+     * @param {string} key - The key
+     * @param {string|null} sampleId - The bound sample ID, or null to unbind
+     * @param {string} mode - How the key plays ('oneshot', 'gate', 'toggle' or 'loop')
+     * @param {number|null} chokeGroup - The choke group the key's notes belong to
+     * @returns {boolean} - Whether the key exists on the keyboard
+     */
+    showKeyBinding(key, sampleId, mode = 'oneshot', chokeGroup = null) {
+        const keyElement = this.elements.keyboard.querySelector(`.key[data-key="${key}"]`);
+        if (!keyElement) return false;
+
+        if (sampleId) {
+            keyElement.classList.add('mapped');
+            keyElement.dataset.boundSample = sampleId;
+
+            // Non-default play modes are marked on the key
+            if (mode === 'oneshot') {
+                delete keyElement.dataset.mode;
+            } else {
+                keyElement.dataset.mode = mode;
+            }
+
+            if (chokeGroup) {
+                keyElement.dataset.choke = chokeGroup;
+            } else {
+                delete keyElement.dataset.choke;
+            }
+
+            // Store the sample name as title for hover
+            const sampleName = this.loadedSamples[sampleId]?.name || sampleId;
+            const choke = chokeGroup ? `, choke group ${chokeGroup}` : '';
+            keyElement.title = `Bound to: ${sampleName} (${KEY_MODE_NAMES[mode]}${choke})`;
+        } else {
+            keyElement.classList.remove('mapped');
+            delete keyElement.dataset.boundSample;
+            delete keyElement.dataset.mode;
+            delete keyElement.dataset.choke;
+            keyElement.title = '';
+        }
+
+        return true;
+    }
+
+    /**
+     * Show a complete set of key bindings without firing callbacks
+     * @param {Object} bindings - Sample IDs keyed by key
+     * @param {Object} modes - Play modes keyed by key (missing keys are one-shots)
+     * @param {Object} chokes - Choke groups keyed by key
+     */
+    setKeyBindings(bindings, modes = {}, chokes = {}) {
+        this.elements.keyboard.querySelectorAll('.key').forEach(keyElement => {
+            const key = keyElement.dataset.key;
+            this.showKeyBinding(key, bindings[key] || null, modes[key] || 'oneshot', chokes[key] || null);
+        });
+    }
+
+    /**
+     * Show whether a key's note is sounding until a note-off
+     * @param {string} key - The key or pad
+     * @param {boolean} held - Whether the note is held or toggled on
+     */
+    setKeyHeld(key, held) {
+        const keyElement = this.elements.keyboard.querySelector(`.key[data-key="${key}"]`) ||
+            this.elements.midiPadList.querySelector(`.midi-pad[data-key="${key}"]`);
+        if (keyElement) keyElement.classList.toggle('held', held);
+    }
+
+    /**
+     * Bind a MIDI pad to the selected sample with the selected play mode and choke group
+     * @param {string} key - The pad's key-binding ID
+     */
+    bindPadToSample(key) {
+        const sampleId = this.elements.currentSampleName.dataset.sampleId;
+        if (!sampleId || !this.callbacks.onKeyBind) return;
+
+        const mode = this.elements.keyModeSelect.value;
+        const chokeGroup = parseInt(this.elements.chokeGroupSelect.value) || null;
+        this.callbacks.onKeyBind(key, sampleId, mode, chokeGroup);
+    }
+
+    /**
+     * Show the MIDI pads that are bound to samples
+     * @param {Array<Object>} pads - The pads ({key, name, sampleId, mode, chokeGroup})
+     */
+    renderMidiPads(pads) {
+        const list = this.elements.midiPadList;
+        list.innerHTML = '';
+
+        pads.forEach(pad => {
+            const item = document.createElement('li');
+            item.className = 'midi-pad';
+            item.dataset.key = pad.key;
+
+            const sampleName = this.loadedSamples[pad.sampleId]?.name || pad.sampleId;
+            const choke = pad.chokeGroup ? `, choke group ${pad.chokeGroup}` : '';
+            const label = document.createElement('span');
+            label.textContent = `${pad.name}: ${sampleName} (${KEY_MODE_NAMES[pad.mode]}${choke})`;
+
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '×';
+            removeButton.title = 'Unbind pad';
+            removeButton.addEventListener('click', () => {
+                if (this.callbacks.onPadRemove) this.callbacks.onPadRemove(pad.key);
+            });
+
+            item.appendChild(label);
+            item.appendChild(removeButton);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Start or stop MIDI learn for the selected sample
+     */
+    toggleMidiLearn() {
+        const active = !this.elements.midiLearnBtn.classList.contains('learning');
+
+        if (active && !this.elements.currentSampleName.dataset.sampleId) {
+            this.elements.midiStatus.textContent = 'Select a sample to bind first';
+            return;
+        }
+
+        this.setMidiLearning(active);
+
+        if (this.callbacks.onMidiLearn) {
+            this.callbacks.onMidiLearn(active);
+        }
+    }
+
+    /**
+     * Show whether MIDI learn is waiting for a note without firing callbacks
+     * @param {boolean} active - Whether a note is being learned
+     */
+    setMidiLearning(active) {
+        this.elements.midiLearnBtn.classList.toggle('learning', active);
+        this.elements.midiLearnBtn.textContent = active ? 'Hit a pad...' : 'MIDI Learn';
+    }
+
+    /**
+     * Show the connected MIDI inputs
+     * @param {Array<string>} names - The input names
+     */
+    setMidiStatus(names) {
+        this.elements.midiEnableBtn.disabled = true;
+        this.elements.midiLearnBtn.disabled = false;
+        this.elements.midiClockSyncToggle.disabled = false;
+        this.elements.midiClockOutputSelect.disabled = false;
+        this.elements.midiStatus.textContent = names.length > 0 ? `MIDI: ${names.join(', ')}` : 'MIDI: no inputs connected';
+    }
+
+    /**
+     * Fill the clock output picker, keeping the choice if that output is still connected
+     * @param {Array<Object>} outputs - The outputs ({id, name})
+     */
+    setMidiOutputs(outputs) {
+        const select = this.elements.midiClockOutputSelect;
+        const current = select.value;
+
+        select.innerHTML = '<option value="">Clock out: off</option>';
+        outputs.forEach(({ id, name }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `Clock out: ${name}`;
+            select.appendChild(option);
+        });
+
+        select.value = outputs.some(output => output.id === current) ? current : '';
+    }
+
+    /**
+     * Show whether the transport follows MIDI clock without firing callbacks
+     * The tempo slider is locked meanwhile, as the clock sets the tempo
+     * @param {boolean} enabled - Whether clock sync is on
+     */
+    setClockSync(enabled) {
+        this.elements.midiClockSyncToggle.checked = enabled;
+        this.elements.tempoSlider.disabled = enabled;
+    }
+
+    /**
+     * Get the ID a slider is MIDI mapped by
+     * @param {HTMLElement} control - The slider
+     * @returns {string|null} - The control ID, or null if it cannot be mapped
+     */
+    getControlId(control) {
+        return control.dataset.control || control.id || null;
+    }
+
+    /**
+     * Find a slider by its control ID
+     * @param {string} controlId - The control ID
+     * @returns {HTMLInputElement|null} - The slider, if it is on screen
+     */
+    findControl(controlId) {
+        return document.querySelector(`input[type="range"][data-control="${controlId}"]`) ||
+            document.querySelector(`input[type="range"][id="${controlId}"]`);
+    }
+
+    /**
+     * Get how far along its travel a slider is
+     * @param {string} controlId - The control ID
+     * @returns {number|null} - The position (0-1), or null if the slider is not on screen
+     */
+    getControlPosition(controlId) {
+        const control = this.findControl(controlId);
+        if (!control) return null;
+
+        const min = parseFloat(control.min);
+        const max = parseFloat(control.max);
+        return max > min ? (parseFloat(control.value) - min) / (max - min) : 0;
+    }
+
+    /**
+     * Move a slider as if it were dragged, so its usual handler applies the value
+     * @param {string} controlId - The control ID
+     * @param {number} position - The position (0-1)
+     * @returns {number|null} - The position after snapping to the slider's step
+     */
+    setControlPosition(controlId, position) {
+        const control = this.findControl(controlId);
+        if (!control || control.disabled) return null;
+
+        const min = parseFloat(control.min);
+        const max = parseFloat(control.max);
+        control.value = min + position * (max - min);
+        control.dispatchEvent(new Event('input', { bubbles: true }));
+
+        return this.getControlPosition(controlId);
+    }
+
+    /**
+     * Open the MIDI menu on a right-clicked slider
+     * @param {MouseEvent} event - The contextmenu event
+     */
+    handleControlContextMenu(event) {
+        const control = event.target.closest('input[type="range"]');
+        const controlId = control && this.getControlId(control);
+        if (!controlId) return;
+
+        event.preventDefault();
+        this.menuControlId = controlId;
+
+        const mapped = !!this.controlMappings[controlId];
+        const menu = this.elements.midiMenu;
+        menu.querySelector('[data-action="learn"]').textContent = this.learningControlId === controlId ? 'Cancel MIDI Learn' : 'MIDI Learn';
+        menu.querySelector('[data-action="edit"]').disabled = !mapped;
+        menu.querySelector('[data-action="remove"]').disabled = !mapped;
 
-            if (selectedSampleId) {
-                // If a sample is selected, bind it to this key
-                this.bindKeyToSample(key, selectedSampleId);
-            } else {
-                // Otherwise, trigger the sound bound to this key
-                this.triggerKeySound(key);
-            }
+        menu.style.left = `${event.clientX}px`;
+        menu.style.top = `${event.clientY}px`;
+        menu.classList.remove('hidden');
+    }
+
+    /**
+     * Close the MIDI menu
+     */
+    hideMidiMenu() {
+        this.elements.midiMenu.classList.add('hidden');
+    }
+
+    /**
+     * Act on a MIDI menu choice for the slider it was opened on
+     * @param {string} action - 'learn', 'edit' or 'remove'
+     */
+    handleMidiMenuAction(action) {
+        const controlId = this.menuControlId;
+        this.hideMidiMenu();
+
+        if (action === 'learn') {
+            const learning = this.learningControlId === controlId ? null : controlId;
+            this.setControlLearning(learning);
+            if (this.callbacks.onControlLearn) this.callbacks.onControlLearn(learning);
+        } else if (action === 'edit') {
+            this.showMappingPanel(controlId);
+        } else if (action === 'remove') {
+            if (this.callbacks.onControlMappingRemove) this.callbacks.onControlMappingRemove(controlId);
         }
     }
 
     /**
-     * Bind a key to a sample
-     * @param {string} key - The key to bind
-     * @param {string} sampleId - The sample ID to bind to the key
+     * Open the range, curve and pickup settings of a slider's mapping
+     * @param {string} controlId - The control ID
      */
-    bindKeyToSample(key, sampleId) {
-        const keyElement = this.elements.keyboard.querySelector(`.key[data-key="${key}"]`);
+    showMappingPanel(controlId) {
+        const mapping = this.controlMappings[controlId];
+        const control = this.findControl(controlId);
+        if (!mapping || !control) return;
+
+        this.mappingControlId = controlId;
+
+        const name = control.title || (control.labels && control.labels[0] ? control.labels[0].textContent.trim() : controlId);
+        this.elements.midiMappingTitle.textContent = `${name}: CC ${mapping.cc}, channel ${mapping.channel + 1}`;
+        this.elements.midiMappingMin.value = Math.round(mapping.min * 100);
+        this.elements.midiMappingMax.value = Math.round(mapping.max * 100);
+        this.elements.midiMappingCurve.value = mapping.curve;
+        this.elements.midiMappingTakeover.checked = mapping.takeover;
+
+        const rect = control.getBoundingClientRect();
+        const panel = this.elements.midiMappingPanel;
+        panel.style.left = `${rect.left}px`;
+        panel.style.top = `${rect.bottom + 4}px`;
+        panel.classList.remove('hidden');
+    }
 
-        if (keyElement) {
-            // Update key element
-            keyElement.classList.add('mapped');
-            keyElement.dataset.boundSample = sampleId;
+    /**
+     * Close the mapping settings
+     */
+    hideMappingPanel() {
+        this.mappingControlId = null;
+        this.elements.midiMappingPanel.classList.add('hidden');
+    }
 
-            // Store the sample name as title for hover
-            const sampleName = this.loadedSamples[sampleId]?.name || sampleId;
-            keyElement.title = `Bound to: ${sampleName}`;
+    /**
+     * Change the mapping whose settings are open
+     * @param {Object} changes - Any of min, max (0-1), curve and takeover
+     */
+    changeControlMapping(changes) {
+        if (this.mappingControlId && this.callbacks.onControlMappingChange) {
+            this.callbacks.onControlMappingChange(this.mappingControlId, changes);
+        }
+    }
 
-            if (this.callbacks.onKeyBind) {
-                this.callbacks.onKeyBind(key, sampleId);
+    /**
+     * Show which slider is waiting for a MIDI CC without firing callbacks
+     * @param {string|null} controlId - The control ID, or null when none is
+     */
+    setControlLearning(controlId) {
+        this.learningControlId = controlId;
+        this.markMappedControls();
+    }
+
+    /**
+     * Show the MIDI mappings without firing callbacks
+     * @param {Array<Object>} mappings - The mappings ({controlId, channel, cc, min, max, curve, takeover})
+     */
+    setControlMappings(mappings) {
+        this.controlMappings = {};
+        mappings.forEach(mapping => {
+            this.controlMappings[mapping.controlId] = mapping;
+        });
+        this.markMappedControls();
+
+        if (this.mappingControlId) {
+            if (this.controlMappings[this.mappingControlId]) {
+                this.showMappingPanel(this.mappingControlId);
+            } else {
+                this.hideMappingPanel();
             }
         }
     }
 
+    /**
+     * Mark mapped and learning sliders, including ones drawn since the mappings changed
+     */
+    markMappedControls() {
+        document.querySelectorAll('input[type="range"]').forEach(control => {
+            const controlId = this.getControlId(control);
+            control.classList.toggle('midi-mapped', !!controlId && !!this.controlMappings[controlId]);
+            control.classList.toggle('midi-learning', !!controlId && controlId === this.learningControlId);
+        });
+    }
+
     /**
      * Trigger sound for a key
      * @param {string} key - The key to trigger
@@ -713,19 +2235,119 @@ class UI {
      * Clear all key bindings
      */
     clearKeyBindings() {
-        const mappedKeys = this.elements.keyboard.querySelectorAll('.key.mapped');
-
-        mappedKeys.forEach(key => {
-            key.classList.remove('mapped');
-            delete key.dataset.boundSample;
-            key.title = '';
-        });
+        this.setKeyBindings({});
 
         if (this.callbacks.onClearBindings) {
             this.callbacks.onClearBindings();
         }
     }
 
+    /**
+     * Play the note of a key in chromatic mode
+     * @param {string} key - The key
+     */
+    playKeyNote(key) {
+        const keyElement = this.elements.keyboard.querySelector(`.key[data-key="${key}"]`);
+
+        if (keyElement && keyElement.dataset.note && this.callbacks.onKeyNote) {
+            this.callbacks.onKeyNote(key);
+        }
+    }
+
+    /**
+     * Change a chromatic mode setting
+     * @param {Object} changes - Any of enabled, sampleId, rootNote and preserveFormants
+     */
+    changeChromatic(changes) {
+        if (this.callbacks.onChromaticChange) {
+            this.callbacks.onChromaticChange(changes);
+        }
+    }
+
+    /**
+     * Move the chromatic keyboard up or down
+     * @param {number} delta - Octaves to move by
+     */
+    shiftOctave(delta) {
+        if (this.callbacks.onOctaveShift) {
+            this.callbacks.onOctaveShift(delta);
+        }
+    }
+
+    /**
+     * Fill the root note picker
+     * @param {Array<Object>} notes - The notes ({note, name})
+     */
+    setRootNotes(notes) {
+        const select = this.elements.rootNoteSelect;
+        const current = select.value;
+        select.innerHTML = '';
+
+        notes.forEach(({ note, name }) => {
+            const option = document.createElement('option');
+            option.value = note;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+
+        if (current) select.value = current;
+    }
+
+    /**
+     * Show the chromatic mode settings without firing callbacks
+     * @param {Object} settings - The settings ({enabled, sampleId, rootNote, preserveFormants})
+     */
+    setChromaticSettings(settings) {
+        this.isChromatic = settings.enabled;
+        this.elements.keyboard.classList.toggle('chromatic', settings.enabled);
+        this.elements.chromaticToggle.checked = settings.enabled;
+        this.elements.chromaticSampleSelect.value = settings.sampleId || '';
+        this.elements.rootNoteSelect.value = settings.rootNote;
+        this.elements.preserveFormantsToggle.checked = settings.preserveFormants;
+    }
+
+    /**
+     * Label the keys with the notes they play in chromatic mode
+     * @param {Object} keyNotes - Note names keyed by key
+     * @param {string} octaveName - The note of the Z key, e.g. 'C4'
+     */
+    showKeyNotes(keyNotes, octaveName) {
+        this.elements.octaveValue.textContent = octaveName;
+
+        this.elements.keyboard.querySelectorAll('.key').forEach(keyElement => {
+            const key = keyElement.dataset.key;
+            keyElement.textContent = key;
+
+            if (keyNotes[key]) {
+                const label = document.createElement('span');
+                label.className = 'key-note';
+                label.textContent = keyNotes[key];
+                keyElement.appendChild(label);
+                keyElement.dataset.note = keyNotes[key];
+            } else {
+                delete keyElement.dataset.note;
+            }
+        });
+    }
+
+    /**
+     * Rebuild the chromatic sample picker from the sample list
+     */
+    updateChromaticSamples() {
+        const select = this.elements.chromaticSampleSelect;
+        const current = select.value;
+        select.innerHTML = '<option value="">Choose sample</option>';
+
+        Object.values(this.loadedSamples).forEach(sample => {
+            const option = document.createElement('option');
+            option.value = sample.id;
+            option.textContent = sample.name;
+            select.appendChild(option);
+        });
+
+        select.value = this.loadedSamples[current] ? current : '';
+    }
+
     /**
      * Update the current step in the sequencer
      * @param {number} step - The current step
@@ -747,6 +2369,16 @@ class UI {
         return stepCells;
     }
 
+    /**
+     * Get the samples whose cells are active at a step
+     * @param {number} step - The step number
+     * @returns {Array<string>} - The active sample IDs
+     */
+    getActiveSamplesAtStep(step) {
+        const activeCells = document.querySelectorAll(`.sequencer-cell.active[data-step="${step}"]`);
+        return Array.from(activeCells).map(cell => cell.dataset.sample);
+    }
+
     /**
      * Load a video into the video player
      * @param {string} sampleId - The sample ID
@@ -758,14 +2390,23 @@ class UI {
         this.elements.videoPlayer.src = videoElement.src;
         this.elements.videoPlayer.dataset.sampleId = sampleId;
 
-        // Update loop sliders
-        const duration = videoElement.duration;
-
         // Update slider max values based on duration
-        this.elements.loopStartSlider.max = duration;
-        this.elements.loopEndSlider.max = duration;
+        this.elements.loopStartSlider.max = videoElement.duration;
+        this.elements.loopEndSlider.max = videoElement.duration;
+
+        this.showLoopPoints(sampleId, loopPoints);
+    }
+
+    /**
+     * Show a sample's loop points on the loop sliders, if it is the one in the player
+     * @param {string} sampleId - The sample ID
+     * @param {Object|null} loopPoints - The loop points ({start, end}), or null for the whole sample
+     */
+    showLoopPoints(sampleId, loopPoints) {
+        if (this.elements.videoPlayer.dataset.sampleId !== sampleId) return;
+
+        const duration = parseFloat(this.elements.loopEndSlider.max);
 
-        // Set current loop points
         if (loopPoints) {
             this.elements.loopStartSlider.value = loopPoints.start;
             this.elements.loopEndSlider.value = loopPoints.end;
@@ -807,22 +2448,246 @@ class UI {
             // Add to container before visualization
             const container = document.querySelector('.container');
             container.insertBefore(trackEditorSection, document.querySelector('.visualization'));
+        }
+
+        // Update elements object (the section may come from index.html)
+        this.elements.recordBtn = document.getElementById('recordBtn');
+        this.elements.stopRecordBtn = document.getElementById('stopRecordBtn');
+        this.elements.recordingStatus = document.getElementById('recordingStatus');
+        this.elements.timeline = document.getElementById('timeline');
+        this.elements.playTimelineBtn = document.getElementById('playTimelineBtn');
+        this.elements.clearTimelineBtn = document.getElementById('clearTimelineBtn');
+        this.elements.exportBtn = document.getElementById('exportBtn');
+        this.elements.exportFormat = document.getElementById('exportFormat');
+        this.elements.exportProgress = document.getElementById('exportProgress');
+        this.elements.quantizeTimelineBtn = document.getElementById('quantizeTimelineBtn');
+
+        // Add event listeners
+        this.elements.recordBtn?.addEventListener('click', () => this.startRecording());
+        this.elements.stopRecordBtn?.addEventListener('click', () => this.stopRecording());
+        this.elements.playTimelineBtn?.addEventListener('click', () => this.playTimeline());
+        this.elements.clearTimelineBtn?.addEventListener('click', () => this.clearTimeline());
+        this.elements.quantizeTimelineBtn?.addEventListener('click', () => {
+            if (this.callbacks.onTimelineQuantize) this.callbacks.onTimelineQuantize();
+        });
+        this.elements.exportBtn?.addEventListener('click', () => this.exportTimeline());
+    }
+
+    /**
+     * Add a new track row to the timeline
+     * @param {string} trackId - The track ID
+     * @param {string} trackName - The track name to display
+     * @returns {HTMLElement|null} - The track element
+     */
+    addTrackRow(trackId, trackName) {
+        const trackLabels = document.querySelector('.track-labels');
+        const trackContent = document.querySelector('.track-content');
+
+        if (!trackLabels || !trackContent) return null;
+
+        // Create track label
+        const trackLabel = document.createElement('div');
+        trackLabel.className = 'track-label';
+        trackLabel.dataset.track = trackId;
+        trackLabel.textContent = trackName;
+        trackLabels.appendChild(trackLabel);
+
+        // Create track
+        const track = document.createElement('div');
+        track.className = 'track';
+        track.dataset.track = trackId;
+        trackContent.appendChild(track);
+
+        this.addTrackStrip(trackId);
+
+        return track;
+    }
+
+    /**
+     * Add channel strip controls to a track label
+     * @param {string} trackId - The track ID
+     */
+    addTrackStrip(trackId) {
+        const trackLabel = document.querySelector(`.track-label[data-track="${trackId}"]`);
+        if (!trackLabel || trackLabel.querySelector('.track-strip')) return;
+
+        const trackName = trackLabel.textContent;
+        trackLabel.innerHTML = `
+            <span class="track-name">${trackName}</span>
+            <div class="track-strip">
+                <button class="track-mute-btn" title="Mute">M</button>
+                <button class="track-solo-btn" title="Solo">S</button>
+                <input type="range" class="track-volume" data-control="track:${trackId}:volume" min="0" max="100" value="100" title="Volume">
+                <input type="range" class="track-pan" data-control="track:${trackId}:pan" min="-100" max="100" value="0" title="Pan">
+                <div class="track-meter"><div class="track-meter-fill"></div></div>
+            </div>
+        `;
+
+        trackLabel.querySelector('.track-mute-btn').addEventListener('click', (e) => {
+            e.target.classList.toggle('active');
+            if (this.callbacks.onTrackMute) {
+                this.callbacks.onTrackMute(trackId, e.target.classList.contains('active'));
+            }
+        });
+
+        trackLabel.querySelector('.track-solo-btn').addEventListener('click', (e) => {
+            e.target.classList.toggle('active');
+            if (this.callbacks.onTrackSolo) {
+                this.callbacks.onTrackSolo(trackId, e.target.classList.contains('active'));
+            }
+        });
+
+        trackLabel.querySelector('.track-volume').addEventListener('input', (e) => {
+            if (this.callbacks.onTrackVolumeChange) {
+                this.callbacks.onTrackVolumeChange(trackId, parseInt(e.target.value) / 100);
+            }
+        });
+
+        trackLabel.querySelector('.track-pan').addEventListener('input', (e) => {
+            if (this.callbacks.onTrackPanChange) {
+                this.callbacks.onTrackPanChange(trackId, parseInt(e.target.value) / 100);
+            }
+        });
+
+        trackLabel.appendChild(this.createSendControls('track-send', `track:${trackId}`, (busId, amount) => {
+            if (this.callbacks.onTrackSendChange) {
+                this.callbacks.onTrackSendChange(trackId, busId, amount);
+            }
+        }));
+        this.markMappedControls();
+    }
+
+    /**
+     * Create reverb and delay send knobs
+     * @param {string} className - The class for each send slider
+     * @param {string} controlPrefix - Names the sliders for MIDI mapping, e.g. 'track:track1'
+     * @param {Function} onChange - Called with the bus ID and send amount (0-1)
+     * @returns {HTMLElement} - The send controls container
+     */
+    createSendControls(className, controlPrefix, onChange) {
+        const sends = document.createElement('div');
+        sends.className = 'send-controls';
+
+        [['reverb', 'Rev'], ['delay', 'Dly']].forEach(([busId, label]) => {
+            const sendLabel = document.createElement('label');
+            sendLabel.className = 'send-label';
+            sendLabel.textContent = label;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = className;
+            slider.dataset.bus = busId;
+            slider.dataset.control = `${controlPrefix}:send-${busId}`;
+            slider.min = 0;
+            slider.max = 100;
+            slider.value = 0;
+            slider.title = `${busId === 'reverb' ? 'Reverb' : 'Delay'} send`;
+            slider.addEventListener('input', (e) => onChange(busId, parseInt(e.target.value) / 100));
+
+            sendLabel.appendChild(slider);
+            sends.appendChild(sendLabel);
+        });
+
+        return sends;
+    }
+
+    /**
+     * Create a sample's polyphony limit and voice stealing controls
+     * @param {string} sampleId - The sample ID
+     * @returns {HTMLElement} - The voice controls container
+     */
+    createVoiceControls(sampleId) {
+        const controls = document.createElement('div');
+        controls.className = 'voice-controls';
+
+        const limit = document.createElement('input');
+        limit.type = 'number';
+        limit.className = 'voice-limit';
+        limit.min = 0;
+        limit.max = 32;
+        limit.value = 0;
+        limit.title = 'Voices this sample can play at once (0 for no limit)';
+
+        const steal = document.createElement('select');
+        steal.className = 'voice-steal';
+        steal.title = 'Voice to cut off when the limit is reached';
+        steal.innerHTML = '<option value="oldest">Oldest</option><option value="quietest">Quietest</option>';
+
+        const onChange = (settings) => {
+            if (this.callbacks.onSampleVoicesChange) {
+                this.callbacks.onSampleVoicesChange(sampleId, settings);
+            }
+        };
+        limit.addEventListener('change', (e) => onChange({ limit: parseInt(e.target.value) || 0 }));
+        steal.addEventListener('change', (e) => onChange({ steal: e.target.value }));
+
+        const label = document.createElement('label');
+        label.className = 'send-label';
+        label.textContent = 'Voices';
+        label.appendChild(limit);
+
+        controls.appendChild(label);
+        controls.appendChild(steal);
+        return controls;
+    }
+
+    /**
+     * Show a sample's polyphony limit without firing callbacks
+     * @param {string} sampleId - The sample ID
+     * @param {Object} settings - The limit ({limit, steal})
+     */
+    setSampleVoices(sampleId, settings) {
+        const item = this.elements.sampleList.querySelector(`.sample-item[data-id="${sampleId}"]`);
+        if (!item) return;
+
+        item.querySelector('.voice-limit').value = settings.limit;
+        item.querySelector('.voice-steal').value = settings.steal;
+    }
+
+    /**
+     * Show a track's channel strip settings
+     * @param {string} trackId - The track ID
+     * @param {Object} params - The strip parameters ({volume, pan, mute, solo, sends})
+     */
+    setTrackStrip(trackId, params) {
+        const trackLabel = document.querySelector(`.track-label[data-track="${trackId}"]`);
+        if (!trackLabel) return;
+
+        const volume = trackLabel.querySelector('.track-volume');
+        const pan = trackLabel.querySelector('.track-pan');
+        if (volume && params.volume !== undefined) volume.value = Math.round(params.volume * 100);
+        if (pan && params.pan !== undefined) pan.value = Math.round(params.pan * 100);
+
+        trackLabel.querySelector('.track-mute-btn')?.classList.toggle('active', !!params.mute);
+        trackLabel.querySelector('.track-solo-btn')?.classList.toggle('active', !!params.solo);
+
+        for (const busId in params.sends || {}) {
+            const slider = trackLabel.querySelector(`.track-send[data-bus="${busId}"]`);
+            if (slider) slider.value = Math.round(params.sends[busId] * 100);
+        }
+    }
+
+    /**
+     * Get the IDs and names of the tracks in the timeline
+     * @returns {Array<Object>} - The tracks ({id, name})
+     */
+    getTracks() {
+        return Array.from(document.querySelectorAll('.track-label[data-track]')).map(label => ({
+            id: label.dataset.track,
+            name: (label.querySelector('.track-name') || label).textContent.trim()
+        }));
+    }
 
-            // Update elements object
-            this.elements.recordBtn = document.getElementById('recordBtn');
-            this.elements.stopRecordBtn = document.getElementById('stopRecordBtn');
-            this.elements.recordingStatus = document.getElementById('recordingStatus');
-            this.elements.timeline = document.getElementById('timeline');
-            this.elements.playTimelineBtn = document.getElementById('playTimelineBtn');
-            this.elements.clearTimelineBtn = document.getElementById('clearTimelineBtn');
-            this.elements.exportBtn = document.getElementById('exportBtn');
-
-            // Add event listeners
-            this.elements.recordBtn.addEventListener('click', () => this.startRecording());
-            this.elements.stopRecordBtn.addEventListener('click', () => this.stopRecording());
-            this.elements.playTimelineBtn.addEventListener('click', () => this.playTimeline());
-            this.elements.clearTimelineBtn.addEventListener('click', () => this.clearTimeline());
-            this.elements.exportBtn.addEventListener('click', () => this.exportTimeline());
+    /**
+     * Update the track input meters
+     * @param {Object} levels - Peak levels (0-1) keyed by track ID
+     */
+    updateTrackMeters(levels) {
+        for (const trackId in levels) {
+            const fill = document.querySelector(`.track-label[data-track="${trackId}"] .track-meter-fill`);
+            if (fill) {
+                fill.style.height = `${Math.round(levels[trackId] * 100)}%`;
+            }
         }
     }
 
@@ -857,6 +2722,7 @@ class UI {
     /**
      * Add a recorded event to the timeline
      * @param {Object} event - The recorded event
+     * @returns {HTMLElement} - The clip element
      */
     addRecordedEvent(event) {
         // Create a track if it doesn't exist
@@ -883,6 +2749,11 @@ class UI {
         clip.dataset.time = event.time;
         clip.dataset.duration = event.duration;
         clip.dataset.sampleId = event.sampleId;
+        if (event.pitch) clip.dataset.pitch = event.pitch;
+        if (event.preserveFormants) clip.dataset.preserveFormants = 'true';
+        if (event.loop) clip.dataset.loop = 'true';
+        if (event.velocity !== undefined && event.velocity !== 1) clip.dataset.velocity = event.velocity;
+        if (event.offset) clip.dataset.offset = event.offset;
 
         // Add clip controls
         clip.innerHTML = `
@@ -895,6 +2766,67 @@ class UI {
 
         // Make clip draggable and resizable
         this.makeClipInteractive(clip);
+
+        return clip;
+    }
+
+    /**
+     * Get every clip on the timeline
+     * @returns {Array<Object>} - The clips ({track, time, duration, sampleId, componentId, name, pitch, preserveFormants, loop, velocity, offset})
+     */
+    getClips() {
+        return Array.from(this.elements.timeline.querySelectorAll('.clip')).map(clip => {
+            const track = clip.closest('.track');
+            return {
+                track: track ? track.dataset.track || track.dataset.sample : null,
+                time: parseFloat(clip.dataset.time) || 0,
+                duration: parseFloat(clip.dataset.duration) || 0,
+                sampleId: clip.dataset.sampleId || null,
+                componentId: clip.dataset.componentId || null,
+                name: clip.querySelector('.clip-content')?.textContent || '',
+                pitch: parseFloat(clip.dataset.pitch) || 0,
+                preserveFormants: clip.dataset.preserveFormants === 'true',
+                loop: clip.dataset.loop === 'true',
+                velocity: clip.dataset.velocity !== undefined ? parseFloat(clip.dataset.velocity) : 1,
+                offset: parseFloat(clip.dataset.offset) || 0
+            };
+        });
+    }
+
+    /**
+     * Place a clip on a timeline track
+     * @param {string} trackId - The track ID
+     * @param {Object} clipData - The clip ({time, duration, sampleId, componentId, name, pitch, preserveFormants, loop, velocity, offset})
+     * @returns {HTMLElement|null} - The clip element
+     */
+    addClip(trackId, clipData) {
+        const track = this.elements.timeline.querySelector(`.track[data-track="${trackId}"]`);
+        if (!track) return null;
+
+        const clip = document.createElement('div');
+        clip.className = 'clip';
+        clip.style.left = `${clipData.time * 100}px`;
+        clip.style.width = `${clipData.duration * 100}px`;
+        clip.dataset.time = clipData.time;
+        clip.dataset.duration = clipData.duration;
+        if (clipData.sampleId) clip.dataset.sampleId = clipData.sampleId;
+        if (clipData.componentId) clip.dataset.componentId = clipData.componentId;
+        if (clipData.pitch) clip.dataset.pitch = clipData.pitch;
+        if (clipData.preserveFormants) clip.dataset.preserveFormants = 'true';
+        if (clipData.loop) clip.dataset.loop = 'true';
+        if (clipData.velocity !== undefined && clipData.velocity !== 1) clip.dataset.velocity = clipData.velocity;
+        if (clipData.offset) clip.dataset.offset = clipData.offset;
+
+        clip.innerHTML = `
+            <div class="clip-handle left"></div>
+            <div class="clip-content">${clipData.name || 'Clip'}</div>
+            <div class="clip-handle right"></div>
+        `;
+
+        track.appendChild(clip);
+        this.makeClipInteractive(clip);
+
+        return clip;
     }
 
     /**
@@ -911,16 +2843,26 @@ class UI {
         let startX = 0;
         let startLeft = 0;
         let startWidth = 0;
+        let previous = null;
 
         const leftHandle = clip.querySelector('.clip-handle.left');
         const rightHandle = clip.querySelector('.clip-handle.right');
 
+        // Remember where the clip was, for undo
+        const rememberTiming = () => {
+            previous = {
+                time: parseFloat(clip.dataset.time) || 0,
+                duration: parseFloat(clip.dataset.duration) || 0
+            };
+        };
+
         // Left resize handle
         leftHandle.addEventListener('mousedown', (e) => {
             isResizingLeft = true;
             startX = e.clientX;
             startLeft = parseInt(clip.style.left) || 0;
             startWidth = parseInt(clip.style.width) || 0;
+            rememberTiming();
             e.stopPropagation();
         });
 
@@ -929,6 +2871,7 @@ class UI {
             isResizingRight = true;
             startX = e.clientX;
             startWidth = parseInt(clip.style.width) || 0;
+            rememberTiming();
             e.stopPropagation();
         });
 
@@ -938,6 +2881,7 @@ class UI {
                 isDragging = true;
                 startX = e.clientX;
                 startLeft = parseInt(clip.style.left) || 0;
+                rememberTiming();
             }
         });
 
@@ -972,7 +2916,7 @@ class UI {
                         sampleId: clip.dataset.sampleId,
                         time: parseFloat(clip.dataset.time),
                         duration: parseFloat(clip.dataset.duration)
-                    });
+                    }, clip, previous);
                 }
             }
 
@@ -982,6 +2926,62 @@ class UI {
         });
     }
 
+    /**
+     * Move or resize a clip without firing callbacks
+     * @param {HTMLElement} clip - The clip element
+     * @param {number} time - The start time in seconds
+     * @param {number} duration - The length in seconds
+     */
+    setClipTiming(clip, time, duration) {
+        clip.style.left = `${time * 100}px`;
+        clip.style.width = `${duration * 100}px`;
+        clip.dataset.time = time;
+        clip.dataset.duration = duration;
+    }
+
+    /**
+     * Find a timeline track by the ID clips use for it
+     * @param {string} trackId - A track ID or, for recorded sample tracks, a sample ID
+     * @returns {HTMLElement|null} - The track element
+     */
+    getTrackElement(trackId) {
+        return this.elements.timeline.querySelector(`.track[data-track="${trackId}"]`) ||
+            this.elements.timeline.querySelector(`.track[data-sample="${trackId}"]`);
+    }
+
+    /**
+     * Take clips off the timeline, keeping the elements for restoreClips()
+     * @param {Array<HTMLElement>} clips - The clip elements
+     * @returns {Array<Object>} - The removed clips ({clip, track})
+     */
+    removeClips(clips) {
+        return clips.map(clip => {
+            const track = clip.closest('.track');
+            clip.remove();
+            return { clip, track: track ? track.dataset.track || track.dataset.sample : null };
+        });
+    }
+
+    /**
+     * Put clips taken off by removeClips() back on their tracks
+     * @param {Array<Object>} entries - The removed clips ({clip, track})
+     */
+    restoreClips(entries) {
+        entries.forEach(({ clip, track }) => {
+            const trackElement = this.getTrackElement(track);
+            if (trackElement) trackElement.appendChild(clip);
+        });
+    }
+
+    /**
+     * Remove a track row and its clips from the timeline
+     * @param {string} trackId - The track ID
+     */
+    removeTrackRow(trackId) {
+        document.querySelectorAll(`.track-label[data-track="${trackId}"], .track[data-track="${trackId}"]`)
+            .forEach(element => element.remove());
+    }
+
     /**
      * Play the timeline
      */
@@ -995,10 +2995,11 @@ class UI {
      * Clear the timeline
      */
     clearTimeline() {
-        this.elements.timeline.innerHTML = '';
+        // Keep the track rows (and their channel strips), drop the clips
+        const removed = this.removeClips(Array.from(this.elements.timeline.querySelectorAll('.clip')));
 
         if (this.callbacks.onClearTimeline) {
-            this.callbacks.onClearTimeline();
+            this.callbacks.onClearTimeline(removed);
         }
     }
 
@@ -1006,8 +3007,126 @@ class UI {
      * Export the timeline
      */
     exportTimeline() {
+        const format = this.elements.exportFormat ? this.elements.exportFormat.value : 'wav';
+
         if (this.callbacks.onExportTimeline) {
-            this.callbacks.onExportTimeline();
+            this.callbacks.onExportTimeline(format);
+        }
+    }
+
+    /**
+     * Show or hide mixdown export progress
+     * @param {number|null} progress - The progress percentage, or null to hide
+     */
+    updateExportProgress(progress) {
+        const container = this.elements.exportProgress;
+        if (!container) return;
+
+        const isExporting = progress !== null;
+        container.classList.toggle('hidden', !isExporting);
+        this.elements.exportBtn.disabled = isExporting;
+
+        if (isExporting) {
+            container.querySelector('.progress-fill').style.width = `${progress}%`;
+        }
+    }
+
+    /**
+     * Show the undo history
+     * @param {Object} state - The history ({entries: [{label, time}], position})
+     */
+    renderHistory(state) {
+        const { entries, position } = state;
+
+        this.elements.undoBtn.disabled = position === 0;
+        this.elements.redoBtn.disabled = position === entries.length;
+
+        const list = this.elements.historyList;
+        if (!list) return;
+        list.innerHTML = '';
+
+        // Position 0 is the state before the first recorded change
+        [{ label: 'Start' }, ...entries].forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.classList.toggle('current', index === position);
+            item.classList.toggle('undone', index > position);
+            item.innerHTML = `
+                <span class="history-label">${entry.label}</span>
+                <span class="history-time">${entry.time ? new Date(entry.time).toLocaleTimeString() : ''}</span>
+            `;
+            item.addEventListener('click', () => {
+                if (this.callbacks.onHistoryJump) this.callbacks.onHistoryJump(index);
+            });
+            list.appendChild(item);
+        });
+
+        const current = list.children[position];
+        if (current) current.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Offer to restore an autosaved session after a crash or reload
+     * @param {Array<Object>} entries - The restore points ({id, time, summary}), newest first
+     */
+    showRecoveryPrompt(entries) {
+        this.hideRecoveryPrompt();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'recovery-overlay';
+        overlay.innerHTML = `
+            <div class="recovery-dialog">
+                <h2>Restore Previous Session?</h2>
+                <p>Your last session was not closed cleanly. Choose a point to restore:</p>
+                <ul class="recovery-list"></ul>
+                <div class="recovery-actions">
+                    <button class="recovery-restore">Restore</button>
+                    <button class="recovery-discard">Start Fresh</button>
+                </div>
+            </div>
+        `;
+
+        const list = overlay.querySelector('.recovery-list');
+        entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <label>
+                    <input type="radio" name="recoveryPoint" value="${index}" ${index === 0 ? 'checked' : ''}>
+                    <span class="recovery-time">${new Date(entry.time).toLocaleString()}</span>
+                    <span class="recovery-summary">${entry.summary}</span>
+                </label>
+            `;
+            list.appendChild(item);
+        });
+
+        overlay.querySelector('.recovery-restore').addEventListener('click', () => {
+            const selected = overlay.querySelector('input[name="recoveryPoint"]:checked');
+            const entry = entries[selected ? parseInt(selected.value) : 0];
+            this.hideRecoveryPrompt();
+
+            if (this.callbacks.onRecoveryRestore) {
+                this.callbacks.onRecoveryRestore(entry.id);
+            }
+        });
+
+        overlay.querySelector('.recovery-discard').addEventListener('click', () => {
+            this.hideRecoveryPrompt();
+
+            if (this.callbacks.onRecoveryDiscard) {
+                this.callbacks.onRecoveryDiscard();
+            }
+        });
+
+        document.body.appendChild(overlay);
+        this.elements.recoveryOverlay = overlay;
+    }
+
+    /**
+     * Close the restore prompt
+     */
+    hideRecoveryPrompt() {
+        if (this.elements.recoveryOverlay) {
+            this.elements.recoveryOverlay.remove();
+            this.elements.recoveryOverlay = null;
         }
     }
 
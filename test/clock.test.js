@@ -0,0 +1,81 @@
+// clock.test.js - Tests for MIDI clock sync in Web Audio Instrument
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MidiClock, { songPositionMessage, SONG_POSITION } from '../js/midi/clock.js';
+
+/**
+ * Feed a clock evenly spaced pulses with a little alternating jitter
+ * @param {MidiClock} clock - The clock
+ * @param {number} tempo - The master's tempo in BPM
+ * @param {number} count - How many pulses to send
+ * @param {number} jitter - The jitter in seconds
+ * @returns {Array<Object>} - The pulses the clock returned
+ */
+function sendPulses(clock, tempo, count, jitter = 0) {
+    const period = 60 / (tempo * 24);
+    return Array.from({ length: count }, (_, i) => clock.receivePulse(i * period + (i % 2 ? jitter : -jitter), 120));
+}
+
+test('the tempo settles on the master clock despite jitter', () => {
+    const clock = new MidiClock();
+    assert.equal(clock.getTempo(), null);
+
+    sendPulses(clock, 100, 24 * 32, 0.002);
+
+    assert.ok(Math.abs(clock.getTempo() - 100) < 0.5, `tempo ${clock.getTempo()}`);
+});
+
+test('smoothed pulse times jitter less than the pulses did', () => {
+    const clock = new MidiClock();
+    const period = 60 / (120 * 24);
+    const pulses = sendPulses(clock, 120, 24 * 32, 0.002);
+
+    const errors = pulses.slice(-48).map((pulse, i) => Math.abs(pulse.time - (24 * 32 - 48 + i) * period));
+    assert.ok(Math.max(...errors) < 0.002, `error ${Math.max(...errors)}`);
+});
+
+test('playback starts on the first pulse after start and counts steps', () => {
+    const clock = new MidiClock(4);
+    clock.start(0);
+
+    const pulses = sendPulses(clock, 120, 13);
+
+    assert.equal(pulses[0].started, true);
+    assert.equal(pulses[1].started, false);
+    assert.deepEqual(pulses.filter(pulse => pulse.step !== null).map(pulse => pulse.step), [0, 1, 2]);
+    assert.equal(clock.getStep(), 2);
+});
+
+test('song position only moves while stopped', () => {
+    const clock = new MidiClock();
+    clock.setSongPosition(8);
+    assert.equal(clock.getStep(), 8);
+
+    clock.start(clock.getStep());
+    sendPulses(clock, 120, 1);
+    clock.setSongPosition(0);
+    assert.equal(clock.getStep(), 8);
+
+    clock.stop();
+    clock.setSongPosition(0);
+    assert.equal(clock.getStep(), 0);
+});
+
+test('outgoing pulses are spread evenly over a step', () => {
+    const clock = new MidiClock(4);
+    clock.timeOffset = 10;
+
+    const stamps = clock.getStepPulses(1, 0.12);
+
+    assert.equal(stamps.length, 6);
+    assert.equal(stamps[0], 11000);
+    assert.ok(Math.abs(stamps[5] - 11100) < 1e-6);
+    assert.equal(clock.toAudioTime(clock.toTimestamp(2.5)), 2.5);
+});
+
+test('song position pointers are split into 7-bit bytes and clamped', () => {
+    assert.deepEqual(songPositionMessage(200), [SONG_POSITION, 200 & 0x7f, 1]);
+    assert.deepEqual(songPositionMessage(-5), [SONG_POSITION, 0, 0]);
+    assert.deepEqual(songPositionMessage(1e6), [SONG_POSITION, 0x7f, 0x7f]);
+});
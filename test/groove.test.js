@@ -0,0 +1,72 @@
+// groove.test.js - Tests for swing and groove templates in Web Audio Instrument
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Groove from '../js/sequencer/groove.js';
+
+const STEP = 0.125; // A 16th at 120 BPM
+
+test('MPC swing pushes every second step', () => {
+    const groove = new Groove();
+    groove.selectTemplate('mpc-66');
+
+    assert.equal(groove.getOffset(0), 0);
+    assert.equal(groove.getOffset(1), 0.32);
+    assert.equal(groove.getOffset(7), 0.32);
+
+    groove.setAmount(0.5);
+    assert.equal(groove.getOffset(1), 0.16);
+});
+
+test('straight swing leaves every step in place', () => {
+    const groove = new Groove();
+
+    for (let step = 0; step < 16; step++) {
+        assert.equal(groove.getOffset(step), 0);
+    }
+});
+
+test('a take becomes a template of its average deviation per position', () => {
+    const groove = new Groove();
+
+    // Two bars of four steps: odd steps late by a quarter step, step 2 early in one bar only
+    const times = [0, 1.25, 1.9, 3.25, 4, 5.25, 6, 7.25].map(position => position * STEP);
+    const template = groove.extractTemplate(times, STEP, 4);
+
+    assert.equal(template.id, 'take-1');
+    assert.deepEqual(template.offsets, [0, 0.25, -0.05, 0.25]);
+});
+
+test('positions without hits stay straight and template names do not repeat', () => {
+    const groove = new Groove();
+
+    const first = groove.extractTemplate([0.1 * STEP], STEP, 4);
+    const second = groove.extractTemplate([2 * STEP], STEP, 4);
+
+    assert.deepEqual(first.offsets, [0.1, 0, 0, 0]);
+    assert.equal(second.id, 'take-2');
+    assert.equal(groove.extractTemplate([], STEP), null);
+});
+
+test('quantize pulls times towards the grooved step', () => {
+    const groove = new Groove();
+    groove.selectTemplate('mpc-75');
+
+    // Step 1 sits at 1.5 steps with full swing
+    assert.equal(groove.quantize(1.4 * STEP, STEP), 1.5 * STEP);
+    assert.equal(groove.quantize(0.1 * STEP, STEP), 0);
+    assert.equal(groove.quantize(1.3 * STEP, STEP, 0.5), 1.4 * STEP);
+});
+
+test('custom templates and the selection survive a save and load', () => {
+    const groove = new Groove();
+    const template = groove.extractTemplate([0, 1.2 * STEP], STEP, 2);
+    groove.selectTemplate(template.id);
+    groove.setAmount(0.5);
+
+    const loaded = new Groove();
+    loaded.setState(groove.getState());
+
+    assert.equal(loaded.getOffset(1), 0.1);
+    assert.deepEqual(loaded.getState(), groove.getState());
+});
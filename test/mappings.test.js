@@ -0,0 +1,86 @@
+// mappings.test.js - Tests for MIDI CC mappings in Web Audio Instrument
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MidiMappings from '../js/midi/mappings.js';
+
+/**
+ * Make a mapping bank with one control learned to CC 1 on channel 0
+ * @param {Object} changes - Range, curve or takeover to set on the mapping
+ * @returns {MidiMappings} - The mappings
+ */
+function learned(changes = {}) {
+    const mappings = new MidiMappings();
+    mappings.learn('filter');
+    mappings.completeLearn(0, 1);
+    mappings.updateMapping('filter', changes);
+    return mappings;
+}
+
+test('learning maps the next CC and replaces earlier mappings of either', () => {
+    const mappings = new MidiMappings();
+    assert.equal(mappings.completeLearn(0, 1), null);
+
+    mappings.learn('filter');
+    assert.equal(mappings.isLearning(), true);
+    assert.deepEqual(mappings.completeLearn(0, 1), { controlId: 'filter', channel: 0, cc: 1, min: 0, max: 1, curve: 'linear', takeover: true });
+    assert.equal(mappings.isLearning(), false);
+
+    mappings.learn('pan');
+    mappings.completeLearn(0, 1);
+    assert.equal(mappings.getMapping('filter'), null);
+    assert.equal(mappings.getMapping('pan').cc, 1);
+});
+
+test('curves and ranges shape the control travel', () => {
+    const position = (changes, value) => learned({ ...changes, takeover: false })
+        .handleControlChange(0, 1, value, () => 0)[0].position;
+
+    assert.equal(position({}, 127), 1);
+    assert.equal(position({ curve: 'exponential' }, 63.5), 0.25);
+    assert.equal(position({ curve: 'logarithmic' }, 31.75), 0.5);
+    assert.equal(position({ min: 0.25, max: 0.75 }, 63.5), 0.5);
+    assert.equal(position({ min: 1, max: 0 }, 127), 0);
+});
+
+test('other channels and controllers are ignored', () => {
+    const mappings = learned({ takeover: false });
+
+    assert.deepEqual(mappings.handleControlChange(1, 1, 64, () => 0), []);
+    assert.deepEqual(mappings.handleControlChange(0, 2, 64, () => 0), []);
+    assert.deepEqual(mappings.handleControlChange(0, 1, 64, () => null), []);
+});
+
+test('with takeover the knob only moves the control once it reaches it', () => {
+    const mappings = learned();
+    const current = () => 0.5;
+
+    assert.deepEqual(mappings.handleControlChange(0, 1, 0, current), []);
+    assert.deepEqual(mappings.handleControlChange(0, 1, 32, current), []);
+
+    // Crossing the control's value picks it up
+    const moves = mappings.handleControlChange(0, 1, 100, current);
+    assert.equal(moves.length, 1);
+    assert.equal(moves[0].controlId, 'filter');
+});
+
+test('a picked-up control keeps following until it is moved elsewhere', () => {
+    const mappings = learned();
+    let value = 0;
+
+    value = mappings.handleControlChange(0, 1, 0, () => value)[0].position;
+    mappings.confirmPosition('filter', value);
+    value = mappings.handleControlChange(0, 1, 127, () => value)[0].position;
+    mappings.confirmPosition('filter', value);
+    assert.equal(value, 1);
+
+    // Moved on screen, so the knob has to find it again
+    assert.deepEqual(mappings.handleControlChange(0, 1, 127, () => 0.5), []);
+});
+
+test('saved mappings load with their settings clamped', () => {
+    const mappings = new MidiMappings();
+    mappings.setState([{ controlId: 'pan', channel: 2, cc: 10, min: -1, max: 3, curve: 'wobbly' }]);
+
+    assert.deepEqual(mappings.getState(), [{ controlId: 'pan', channel: 2, cc: 10, min: 0, max: 1, curve: 'linear', takeover: true }]);
+});
@@ -0,0 +1,35 @@
+// migrations.test.js - Tests for project format migrations in Web Audio Instrument
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROJECT_VERSION, migrateProject } from '../js/project/migrations.js';
+
+test('a first-version project comes up to date', () => {
+    const migrated = migrateProject({ version: 1, sequencer: { steps: 16, cells: { kick: [0, 8] } } });
+
+    assert.equal(migrated.version, PROJECT_VERSION);
+    assert.deepEqual(migrated.sequencer.patterns, [
+        { id: 'A', name: 'A', steps: 16, cells: { kick: [0, 8] }, params: {}, rows: {}, locks: {} }
+    ]);
+    assert.deepEqual(migrated.song, { entries: [] });
+    assert.deepEqual(migrated.midiMappings, []);
+});
+
+test('patterns saved before step settings get empty settings, row settings and locks', () => {
+    const pattern = { id: 'A', name: 'A', steps: 16, cells: { kick: [0] } };
+    const migrated = migrateProject({ version: 8, sequencer: { current: 'A', patterns: [pattern] } });
+
+    assert.deepEqual(migrated.sequencer, { current: 'A', patterns: [{ ...pattern, params: {}, rows: {}, locks: {} }] });
+});
+
+test('settings already present are kept', () => {
+    const pattern = { id: 'A', name: 'A', steps: 16, cells: { kick: [0] }, params: { kick: { 0: { velocity: 0.5 } } }, rows: {}, locks: {} };
+    const migrated = migrateProject({ version: 8, sequencer: { current: 'A', patterns: [pattern] } });
+
+    assert.deepEqual(migrated.sequencer.patterns[0], pattern);
+});
+
+test('unknown and newer versions are refused', () => {
+    assert.throws(() => migrateProject({}), /no format version/);
+    assert.throws(() => migrateProject({ version: PROJECT_VERSION + 1 }), /newer version/);
+});
@@ -0,0 +1,126 @@
+// sampler.test.js - Tests for chromatic playback and formant-preserving repitch in Web Audio Instrument
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ChromaticSampler, { noteName } from '../js/sampler/index.js';
+import { findPitchMarks, shiftPitch } from '../js/sampler/psola.js';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Make a sine wave
+ * @param {number} frequency - The frequency in Hz
+ * @param {number} seconds - The length in seconds
+ * @returns {Float32Array} - The samples
+ */
+function sine(frequency, seconds) {
+    return Float32Array.from({ length: Math.round(seconds * SAMPLE_RATE) }, (_, i) => Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+}
+
+/**
+ * Make a voice-like pulse train: a decaying 1 kHz resonance struck every period
+ * @param {number} frequency - The pulse rate in Hz
+ * @param {number} seconds - The length in seconds
+ * @returns {Float32Array} - The samples
+ */
+function pulses(frequency, seconds) {
+    const period = SAMPLE_RATE / frequency;
+    return Float32Array.from({ length: Math.round(seconds * SAMPLE_RATE) }, (_, i) => {
+        const t = (i % period) / SAMPLE_RATE;
+        return Math.exp(-t * 2000) * Math.sin(2 * Math.PI * 1000 * t);
+    });
+}
+
+/**
+ * Get the median of some numbers
+ * @param {Array<number>} values - The numbers
+ * @returns {number} - The median
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+test('keys play notes from the octave of the Z key', () => {
+    const sampler = new ChromaticSampler();
+
+    assert.equal(sampler.getNote('Z'), 60);
+    assert.equal(sampler.getNote('S'), 61);
+    assert.equal(sampler.getNote('Q'), 72);
+    assert.equal(sampler.getNote('A'), null);
+    assert.equal(sampler.getKeyNotes()['M'], 'B4');
+});
+
+test('octave shifts stop at the ends of the range', () => {
+    const sampler = new ChromaticSampler();
+
+    assert.equal(sampler.shiftOctave(-1), true);
+    assert.equal(sampler.getNote('Z'), 48);
+    assert.equal(sampler.shiftOctave(-10), true);
+    assert.equal(sampler.shiftOctave(-1), false);
+    assert.equal(sampler.getNote('Z'), 12);
+});
+
+test('note names count octaves from C-1', () => {
+    assert.equal(noteName(60), 'C4');
+    assert.equal(noteName(69), 'A4');
+    assert.equal(noteName(13), 'C#0');
+});
+
+test('the root note is kept within the offered range', () => {
+    const sampler = new ChromaticSampler();
+    sampler.setSettings({ rootNote: 200, enabled: 1 });
+
+    assert.deepEqual(sampler.getSettings(), { enabled: true, sampleId: null, rootNote: 96, preserveFormants: false });
+});
+
+test('state round-trips with the octave', () => {
+    const sampler = new ChromaticSampler();
+    sampler.setSettings({ sampleId: 'vox', rootNote: 57, preserveFormants: true });
+    sampler.shiftOctave(1);
+
+    const loaded = new ChromaticSampler();
+    loaded.setState(sampler.getState());
+
+    assert.deepEqual(loaded.getState(), sampler.getState());
+});
+
+test('pitch marks follow the period of a pitched signal', () => {
+    const marks = findPitchMarks(sine(200, 0.5), SAMPLE_RATE);
+    const period = SAMPLE_RATE / 200;
+    const middle = marks.periods.slice(10, -10);
+
+    assert.ok(middle.length > 0);
+    middle.forEach(value => assert.ok(Math.abs(value - period) < period * 0.05, `period ${value}`));
+});
+
+test('an octave up doubles the pitch and keeps the length', () => {
+    const data = pulses(150, 0.5);
+    const shifted = shiftPitch(data, findPitchMarks(data, SAMPLE_RATE), 2);
+
+    assert.equal(shifted.length, data.length);
+    const period = median(findPitchMarks(shifted, SAMPLE_RATE).periods);
+    assert.ok(Math.abs(period - SAMPLE_RATE / 300) < 3, `period ${period}`);
+});
+
+test('renders are cached per sample and pitch', () => {
+    const sampler = new ChromaticSampler();
+    const data = sine(200, 0.25);
+    const buffer = { numberOfChannels: 1, length: data.length, sampleRate: SAMPLE_RATE, getChannelData: () => data };
+    let created = 0;
+    const audioContext = {
+        createBuffer(numberOfChannels, length, sampleRate) {
+            created++;
+            return { numberOfChannels, length, sampleRate, copyToChannel() {} };
+        }
+    };
+
+    assert.equal(sampler.getShiftedBuffer(audioContext, 'vox', buffer, 0), buffer);
+    const first = sampler.getShiftedBuffer(audioContext, 'vox', buffer, 7);
+    assert.equal(sampler.getShiftedBuffer(audioContext, 'vox', buffer, 7), first);
+    assert.equal(created, 1);
+
+    sampler.clearCache();
+    sampler.getShiftedBuffer(audioContext, 'vox', buffer, 7);
+    assert.equal(created, 2);
+});
@@ -0,0 +1,113 @@
+// voices.test.js - Tests for choke groups and polyphony limits in Web Audio Instrument
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import VoicePool from '../js/sampler/voices.js';
+
+/**
+ * Make a voice whose sample holds a steady level, with stand-ins for its nodes
+ * @param {string} sampleId - The sample ID
+ * @param {number} startTime - The audio context time it starts at
+ * @param {Object} options - Any of velocity, level (the sample's loudness), duration and chokeGroup
+ * @returns {Object} - The voice; source.stopTime holds when it was told to stop
+ */
+function fakeVoice(sampleId, startTime, { velocity = 1, level = 1, duration = 1, chokeGroup = null } = {}) {
+    const sampleRate = 1000;
+    const data = new Float32Array(duration * sampleRate).fill(level);
+    const source = {
+        buffer: { duration, sampleRate, getChannelData: () => data },
+        playbackRate: { value: 1 },
+        loop: false,
+        loopStart: 0,
+        loopEnd: 0,
+        stopTime: null,
+        stop(time) { source.stopTime = time; },
+        addEventListener() {}
+    };
+    const gain = {
+        gain: {
+            value: velocity,
+            cancelScheduledValues() {},
+            setValueAtTime() {},
+            linearRampToValueAtTime() {}
+        }
+    };
+
+    return { source, gain, sampleId, chokeGroup, startTime, velocity, offset: 0 };
+}
+
+test('voices under the limit are left alone', () => {
+    const pool = new VoicePool();
+    pool.setLimit('kick', { limit: 4 });
+    const voices = [fakeVoice('kick', 0), fakeVoice('kick', 0.1)];
+    voices.forEach(voice => pool.add(voice));
+
+    pool.prepare('kick', null, 0.2);
+
+    assert.deepEqual(voices.map(voice => voice.source.stopTime), [null, null]);
+});
+
+test('reaching the limit steals the oldest voice', () => {
+    const pool = new VoicePool(0.25);
+    pool.setLimit('kick', { limit: 2 });
+    const voices = [fakeVoice('kick', 0.125), fakeVoice('kick', 0)];
+    voices.forEach(voice => pool.add(voice));
+
+    pool.prepare('kick', null, 0.25);
+
+    assert.equal(voices[0].source.stopTime, null);
+    assert.equal(voices[1].source.stopTime, 0.5);
+    assert.equal(pool.getSounding().length, 1);
+});
+
+test('quietest steals the voice that has decayed the most', () => {
+    const pool = new VoicePool();
+    pool.setLimit('pad', { limit: 2, steal: 'quietest' });
+    const loud = fakeVoice('pad', 0, { velocity: 0.8, level: 1 });
+    const faded = fakeVoice('pad', 0.1, { velocity: 1, level: 0.2 });
+    [loud, faded].forEach(voice => pool.add(voice));
+
+    pool.prepare('pad', null, 0.2);
+
+    assert.equal(loud.source.stopTime, null);
+    assert.notEqual(faded.source.stopTime, null);
+});
+
+test('a voice past the end of its sample counts as silent', () => {
+    const pool = new VoicePool();
+    const voice = fakeVoice('hat', 0, { duration: 1 });
+
+    assert.equal(pool.getLevel(voice, 0.5), 1);
+    assert.equal(pool.getLevel(voice, 1.5), 0);
+});
+
+test('choke groups cut off the rest of the group only', () => {
+    const pool = new VoicePool();
+    const open = fakeVoice('open-hat', 0, { chokeGroup: 1 });
+    const kick = fakeVoice('kick', 0, { chokeGroup: 2 });
+    [open, kick].forEach(voice => pool.add(voice));
+
+    pool.prepare('closed-hat', 1, 0.5);
+
+    assert.notEqual(open.source.stopTime, null);
+    assert.equal(kick.source.stopTime, null);
+});
+
+test('voices scheduled to start later are not cut off', () => {
+    const pool = new VoicePool();
+    pool.setLimit('snare', { limit: 1 });
+    const upcoming = fakeVoice('snare', 1, { chokeGroup: 1 });
+    pool.add(upcoming);
+
+    pool.prepare('snare', 1, 0.5);
+
+    assert.equal(upcoming.source.stopTime, null);
+});
+
+test('limits are clamped and default to none', () => {
+    const pool = new VoicePool();
+    pool.setLimit('kick', { limit: 99, steal: 'loudest' });
+
+    assert.deepEqual(pool.getLimit('kick'), { limit: 32, steal: 'oldest' });
+    assert.deepEqual(pool.getLimit('snare'), { limit: 0, steal: 'oldest' });
+});